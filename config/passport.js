@@ -14,6 +14,7 @@ passport.use(new GoogleStrategy({
     const user = {
       id: profile.id,
       displayName: profile.displayName,
+      name: profile.name,
       emails: profile.emails,
       photos: profile.photos
     };
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Create the first admin account for WENZE TII NDAKU
+ * The admin gets every permission; further admins are invited from the API.
+ */
+
+require('dotenv').config();
+
+const bcrypt = require('bcryptjs');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { supabaseAdmin } = require('./config/supabase');
+const { ADMIN_PERMISSIONS, BCRYPT_ROUNDS, findAdminByEmail } = require('./utils/admins');
+const { isValidEmail, isValidPassword } = require('./utils/validation');
+
+/**
+ * Prompt on a terminal; questionHidden() does not echo what is typed
+ * readline echoes the keys itself on a terminal, so its output goes through
+ * a stream that drops everything while a password is entered.
+ */
+const createPrompt = (input = process.stdin, output = process.stdout) => {
+  let muted = false;
+
+  const rl = readline.createInterface({
+    input,
+    output: new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) {
+          output.write(chunk, encoding);
+        }
+        callback();
+      }
+    }),
+    terminal: Boolean(input.isTTY)
+  });
+
+  const question = (query) => new Promise((resolve) => rl.question(query, resolve));
+
+  const questionHidden = async (query) => {
+    output.write(query);
+    muted = true;
+    try {
+      return await question('');
+    } finally {
+      muted = false;
+      output.write('\n');
+    }
+  };
+
+  return { question, questionHidden, close: () => rl.close() };
+};
+
+async function createAdmin(rl) {
+  const { question, questionHidden } = rl;
+
+  console.log('🔐 WENZE TII NDAKU Admin Setup');
+  console.log('==============================\n');
+
+  const email = (await question('Admin email: ')).trim().toLowerCase();
+  const name = (await question('Admin name: ')).trim();
+  const password = await questionHidden('Password: ');
+  const confirmation = await questionHidden('Confirm password: ');
+
+  if (password !== confirmation) {
+    console.log('❌ Passwords do not match');
+    rl.close();
+    return;
+  }
+
+  if (!isValidEmail(email) || !name) {
+    console.log('❌ A valid email and a name are required');
+    rl.close();
+    return;
+  }
+
+  if (!isValidPassword(password)) {
+    console.log('❌ Password must be at least 8 characters with uppercase, lowercase, and number');
+    rl.close();
+    return;
+  }
+
+  if (await findAdminByEmail(email)) {
+    console.log('❌ An admin with this email already exists');
+    rl.close();
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabaseAdmin
+    .from('admins')
+    .insert([{
+      email,
+      name,
+      password: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      permissions: Object.keys(ADMIN_PERMISSIONS),
+      invite_accepted_at: now,
+      password_changed_at: now
+    }]);
+
+  if (error) {
+    console.log('❌ Failed to create admin:', error.message);
+    rl.close();
+    return;
+  }
+
+  console.log(`\n✅ Admin ${email} created with all permissions`);
+  rl.close();
+}
+
+if (require.main === module) {
+  const rl = createPrompt();
+
+  createAdmin(rl).catch((error) => {
+    console.error(error);
+    rl.close();
+  });
+}
+
+module.exports = { createPrompt };
@@ -211,4 +211,1241 @@ CREATE POLICY "Customers can manage own cart" ON cart
     FOR ALL USING (auth.uid()::text = customer_id::text);
 ALTER TABLE products 
 ADD COLUMN IF NOT EXISTS flagged_reason TEXT,
-ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMP WITH TIME ZONE;
\ No newline at end of file
+ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMP WITH TIME ZONE;
+
+-- Indexes for the public product catalog
+CREATE INDEX IF NOT EXISTS idx_products_status_created_at ON products(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_products_status_price ON products(status, price);
+CREATE INDEX IF NOT EXISTS idx_products_status_category ON products(status, category);
+
+-- Full-text product search (accent-insensitive, prefix and typo tolerant)
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- unaccent() is only STABLE, so wrap it to make it usable in indexes
+CREATE OR REPLACE FUNCTION f_unaccent(text)
+RETURNS TEXT AS $$
+    SELECT public.unaccent('public.unaccent', $1)
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR,
+ADD COLUMN IF NOT EXISTS search_text TEXT;
+
+-- Build the weighted search document for a product
+CREATE OR REPLACE FUNCTION product_search_vector(p_name TEXT, p_category TEXT, p_business_name TEXT, p_description TEXT)
+RETURNS TSVECTOR AS $$
+    SELECT setweight(to_tsvector('french', f_unaccent(coalesce(p_name, ''))), 'A') ||
+           setweight(to_tsvector('french', f_unaccent(coalesce(p_category, ''))), 'B') ||
+           setweight(to_tsvector('french', f_unaccent(coalesce(p_business_name, ''))), 'B') ||
+           setweight(to_tsvector('french', f_unaccent(coalesce(p_description, ''))), 'C')
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Normalised text used for trigram (typo tolerant) matching
+CREATE OR REPLACE FUNCTION product_search_text(p_name TEXT, p_category TEXT, p_business_name TEXT)
+RETURNS TEXT AS $$
+    SELECT lower(f_unaccent(concat_ws(' ', p_name, p_category, p_business_name)))
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION update_product_search_document()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_business_name TEXT;
+BEGIN
+    SELECT business_name INTO v_business_name FROM vendors WHERE id = NEW.vendor_id;
+    NEW.search_vector = product_search_vector(NEW.name, NEW.category, v_business_name, NEW.description);
+    NEW.search_text = product_search_text(NEW.name, NEW.category, v_business_name);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_products_search_document BEFORE INSERT OR UPDATE OF name, description, category, vendor_id ON products
+    FOR EACH ROW EXECUTE FUNCTION update_product_search_document();
+
+-- Keep product documents in sync when a vendor is renamed
+CREATE OR REPLACE FUNCTION refresh_vendor_products_search_document()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.business_name IS DISTINCT FROM OLD.business_name THEN
+        UPDATE products
+        SET search_vector = product_search_vector(name, category, NEW.business_name, description),
+            search_text = product_search_text(name, category, NEW.business_name)
+        WHERE vendor_id = NEW.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER refresh_vendor_products_search_document AFTER UPDATE OF business_name ON vendors
+    FOR EACH ROW EXECUTE FUNCTION refresh_vendor_products_search_document();
+
+-- Backfill existing products
+UPDATE products p
+SET search_vector = product_search_vector(p.name, p.category, v.business_name, p.description),
+    search_text = product_search_text(p.name, p.category, v.business_name)
+FROM vendors v
+WHERE v.id = p.vendor_id AND p.search_vector IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_search_text_trgm ON products USING GIN(search_text gin_trgm_ops);
+
+-- Ranked product search used by the catalog and admin APIs.
+-- Every term is prefix matched; products whose text is only similar to the
+-- query (typos) are also returned, ranked below exact matches.
+CREATE OR REPLACE FUNCTION search_products(
+    p_query TEXT,
+    p_published_only BOOLEAN DEFAULT TRUE,
+    p_status TEXT DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_vendor_id UUID DEFAULT NULL,
+    p_similarity REAL DEFAULT 0.3,
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (product_id UUID, rank REAL, total_count BIGINT) AS $$
+DECLARE
+    v_normalized TEXT := lower(f_unaccent(trim(p_query)));
+    v_tsquery TSQUERY;
+BEGIN
+    SELECT to_tsquery('french', string_agg(quote_literal(term) || ':*', ' & '))
+    INTO v_tsquery
+    FROM regexp_split_to_table(regexp_replace(v_normalized, '[^[:alnum:]]+', ' ', 'g'), '\s+') AS term
+    WHERE term <> '';
+
+    PERFORM set_config('pg_trgm.word_similarity_threshold', p_similarity::TEXT, TRUE);
+
+    RETURN QUERY
+    SELECT p.id,
+           (coalesce(ts_rank_cd(p.search_vector, v_tsquery), 0) + word_similarity(v_normalized, p.search_text))::REAL AS rank,
+           COUNT(*) OVER () AS total_count
+    FROM products p
+    JOIN vendors v ON v.id = p.vendor_id
+    WHERE (p.search_vector @@ v_tsquery OR v_normalized <% p.search_text)
+      AND (NOT p_published_only OR (p.status = 'published' AND v.approved))
+      AND (p_status IS NULL OR p.status = p_status)
+      AND (p_category IS NULL OR p.category = p_category)
+      AND (p_vendor_id IS NULL OR p.vendor_id = p_vendor_id)
+    ORDER BY rank DESC, p.created_at DESC
+    LIMIT p_limit OFFSET p_offset;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Order lifecycle: the statuses an order can be in
+-- Any status used to be accepted, so spelling variants are repaired first.
+-- The constraint is added NOT VALID so it guards every write straight away,
+-- and is only validated once no unknown status is left to fix by hand.
+UPDATE orders
+SET status = CASE lower(trim(status))
+        WHEN 'canceled' THEN 'cancelled'
+        WHEN 'complete' THEN 'completed'
+        ELSE lower(trim(status))
+    END
+WHERE status NOT IN (
+    'pending', 'confirmed', 'processing', 'shipped',
+    'delivered', 'completed', 'cancelled', 'refunded'
+);
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+    'pending', 'confirmed', 'processing', 'shipped',
+    'delivered', 'completed', 'cancelled', 'refunded'
+)) NOT VALID;
+
+DO $$
+DECLARE
+    v_invalid BIGINT;
+BEGIN
+    SELECT COUNT(*) INTO v_invalid
+    FROM orders
+    WHERE status NOT IN (
+        'pending', 'confirmed', 'processing', 'shipped',
+        'delivered', 'completed', 'cancelled', 'refunded'
+    );
+
+    IF v_invalid = 0 THEN
+        ALTER TABLE orders VALIDATE CONSTRAINT orders_status_check;
+    ELSE
+        RAISE WARNING '% orders have an unknown status. Set a valid one, then run: ALTER TABLE orders VALIDATE CONSTRAINT orders_status_check', v_invalid;
+    END IF;
+END $$;
+
+-- Create order_status_history table (one row per status change)
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('customer', 'vendor', 'admin', 'system')),
+    actor_id TEXT,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Customers can view history of own orders" ON order_status_history
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM orders
+            WHERE orders.id = order_status_history.order_id
+            AND orders.customer_id::text = auth.uid()::text
+        )
+    );
+
+CREATE POLICY "Vendors can view history of own orders" ON order_status_history
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM orders
+            WHERE orders.id = order_status_history.order_id
+            AND orders.vendor_id::text = auth.uid()::text
+        )
+    );
+
+-- Move an order to a new status if it is still in the expected one, and
+-- record the change. Cancelling restores the stock of the order items.
+-- Returns false when the order was not in p_from_status.
+CREATE OR REPLACE FUNCTION transition_order_status(
+    p_order_id UUID,
+    p_from_status TEXT,
+    p_to_status TEXT,
+    p_actor_type TEXT,
+    p_actor_id TEXT DEFAULT NULL,
+    p_note TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE orders
+    SET status = p_to_status, updated_at = NOW()
+    WHERE id = p_order_id AND status = p_from_status;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    -- A cancelled order gives its stock back, in the same transaction
+    -- (to the variant bought when there is one, see product_variants)
+    IF p_to_status = 'cancelled' THEN
+        UPDATE product_variants pv
+        SET stock = pv.stock + oi.quantity
+        FROM order_items oi
+        WHERE oi.order_id = p_order_id
+          AND oi.variant_id = pv.id;
+
+        UPDATE products p
+        SET stock = p.stock + oi.quantity
+        FROM order_items oi
+        WHERE oi.order_id = p_order_id
+          AND oi.product_id = p.id
+          AND oi.variant_id IS NULL
+          AND NOT p.has_variants;
+    END IF;
+
+    INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, actor_id, note)
+    VALUES (p_order_id, p_from_status, p_to_status, p_actor_type, p_actor_id, p_note);
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Checkout: orders created together from one cart share a checkout_id
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS checkout_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_orders_checkout_id ON orders(checkout_id);
+
+-- Atomically turn a customer's cart (or the given products of it) into one
+-- order per vendor. Prices are snapshotted into order_items, stock is
+-- decremented under row locks so concurrent checkouts cannot oversell, and
+-- the purchased cart lines are removed. Any failure rolls everything back.
+-- Lines of a variant (see product_variants) take its price, when it
+-- overrides the product's, and its stock.
+CREATE OR REPLACE FUNCTION checkout_cart(
+    p_customer_id UUID,
+    p_shipping_address JSONB,
+    p_payment_method TEXT DEFAULT NULL,
+    p_product_ids UUID[] DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_checkout_id UUID := uuid_generate_v4();
+    v_line RECORD;
+    v_line_count INTEGER := 0;
+    v_vendor_id UUID;
+    v_order_id UUID;
+    v_order_ids UUID[] := '{}';
+BEGIN
+    -- Variants are locked before their products, as their stock trigger does
+    PERFORM 1
+    FROM product_variants pv
+    JOIN cart c ON c.variant_id = pv.id
+    WHERE c.customer_id = p_customer_id
+      AND (p_product_ids IS NULL OR c.product_id = ANY(p_product_ids))
+    ORDER BY pv.id
+    FOR UPDATE OF pv;
+
+    -- Lock cart lines and products in a stable order and validate them
+    FOR v_line IN
+        SELECT c.product_id, c.variant_id, c.quantity, p.status, p.has_variants, v.approved,
+               pv.id AS found_variant_id, COALESCE(pv.stock, p.stock) AS stock
+        FROM cart c
+        JOIN products p ON p.id = c.product_id
+        JOIN vendors v ON v.id = p.vendor_id
+        LEFT JOIN product_variants pv ON pv.id = c.variant_id
+        WHERE c.customer_id = p_customer_id
+          AND (p_product_ids IS NULL OR c.product_id = ANY(p_product_ids))
+        ORDER BY p.id, c.variant_id
+        FOR UPDATE OF c, p
+    LOOP
+        IF v_line.status <> 'published' OR NOT v_line.approved
+          OR v_line.has_variants <> (v_line.found_variant_id IS NOT NULL) THEN
+            RAISE EXCEPTION 'PRODUCT_UNAVAILABLE:%', v_line.product_id;
+        END IF;
+
+        IF v_line.stock < v_line.quantity THEN
+            RAISE EXCEPTION 'INSUFFICIENT_STOCK:%', v_line.product_id;
+        END IF;
+
+        v_line_count := v_line_count + 1;
+    END LOOP;
+
+    IF v_line_count = 0 THEN
+        RAISE EXCEPTION 'CART_EMPTY';
+    END IF;
+
+    FOR v_vendor_id IN
+        SELECT DISTINCT p.vendor_id
+        FROM cart c
+        JOIN products p ON p.id = c.product_id
+        WHERE c.customer_id = p_customer_id
+          AND (p_product_ids IS NULL OR c.product_id = ANY(p_product_ids))
+    LOOP
+        INSERT INTO orders (customer_id, vendor_id, checkout_id, total_amount, status, shipping_address, payment_method, payment_status)
+        SELECT p_customer_id, v_vendor_id, v_checkout_id, SUM(COALESCE(pv.price, p.price) * c.quantity), 'pending', p_shipping_address, p_payment_method, 'pending'
+        FROM cart c
+        JOIN products p ON p.id = c.product_id
+        LEFT JOIN product_variants pv ON pv.id = c.variant_id
+        WHERE c.customer_id = p_customer_id
+          AND p.vendor_id = v_vendor_id
+          AND (p_product_ids IS NULL OR c.product_id = ANY(p_product_ids))
+        RETURNING id INTO v_order_id;
+
+        INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, actor_id, note)
+        VALUES (v_order_id, NULL, 'pending', 'customer', p_customer_id::text, 'Order placed');
+
+        INSERT INTO order_items (order_id, product_id, variant_id, sku, variant_options, quantity, price)
+        SELECT v_order_id, c.product_id, pv.id, pv.sku, pv.options, c.quantity, COALESCE(pv.price, p.price)
+        FROM cart c
+        JOIN products p ON p.id = c.product_id
+        LEFT JOIN product_variants pv ON pv.id = c.variant_id
+        WHERE c.customer_id = p_customer_id
+          AND p.vendor_id = v_vendor_id
+          AND (p_product_ids IS NULL OR c.product_id = ANY(p_product_ids));
+
+        v_order_ids := array_append(v_order_ids, v_order_id);
+    END LOOP;
+
+    UPDATE product_variants pv
+    SET stock = pv.stock - c.quantity
+    FROM cart c
+    WHERE c.customer_id = p_customer_id
+      AND c.variant_id = pv.id
+      AND (p_product_ids IS NULL OR c.product_id = ANY(p_product_ids));
+
+    UPDATE products p
+    SET stock = p.stock - c.quantity
+    FROM cart c
+    WHERE c.customer_id = p_customer_id
+      AND c.product_id = p.id
+      AND c.variant_id IS NULL
+      AND (p_product_ids IS NULL OR c.product_id = ANY(p_product_ids));
+
+    DELETE FROM cart c
+    WHERE c.customer_id = p_customer_id
+      AND (p_product_ids IS NULL OR c.product_id = ANY(p_product_ids));
+
+    RETURN jsonb_build_object('checkout_id', v_checkout_id, 'order_ids', to_jsonb(v_order_ids));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create guest carts for shoppers who are not signed in
+CREATE TABLE IF NOT EXISTS guest_carts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS guest_cart_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    guest_cart_id UUID NOT NULL REFERENCES guest_carts(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(guest_cart_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_carts_expires_at ON guest_carts(expires_at);
+CREATE INDEX IF NOT EXISTS idx_guest_cart_items_guest_cart_id ON guest_cart_items(guest_cart_id);
+
+CREATE TRIGGER update_guest_carts_updated_at BEFORE UPDATE ON guest_carts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_guest_cart_items_updated_at BEFORE UPDATE ON guest_cart_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Guest carts are only accessed through the API with the service role
+ALTER TABLE guest_carts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE guest_cart_items ENABLE ROW LEVEL SECURITY;
+
+-- Remove abandoned guest carts (run periodically, e.g. with pg_cron)
+CREATE OR REPLACE FUNCTION purge_expired_guest_carts()
+RETURNS INTEGER AS $$
+DECLARE
+    v_deleted INTEGER;
+BEGIN
+    DELETE FROM guest_carts WHERE expires_at < NOW();
+    GET DIAGNOSTICS v_deleted = ROW_COUNT;
+    RETURN v_deleted;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create payments table (one row per payment attempt on an order)
+CREATE TABLE IF NOT EXISTS payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_reference VARCHAR(255),
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    phone_number VARCHAR(20),
+    redirect_url TEXT,
+    webhook_token VARCHAR(255),
+    failure_reason TEXT,
+    raw_response JSONB,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_reference ON payments(provider, provider_reference);
+
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Customers can view payments for their orders" ON payments
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM orders
+            WHERE orders.id = payments.order_id
+            AND orders.customer_id::text = auth.uid()::text
+        )
+    );
+
+CREATE INDEX IF NOT EXISTS idx_payments_webhook_token ON payments(provider, webhook_token);
+
+-- Create payment_webhook_events table (every webhook received, with the decision taken)
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255),
+    payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    status VARCHAR(20),
+    signature_valid BOOLEAN NOT NULL DEFAULT false,
+    decision VARCHAR(30) NOT NULL DEFAULT 'received' CHECK (decision IN (
+        'received', 'applied', 'duplicate', 'no_change', 'ignored_backward',
+        'amount_mismatch', 'unknown_payment', 'invalid_signature', 'invalid_payload', 'error'
+    )),
+    decision_reason TEXT,
+    payload JSONB,
+    delivery_count INTEGER NOT NULL DEFAULT 1,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Idempotency: a provider event is processed once, redeliveries bump delivery_count
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_webhook_events_event ON payment_webhook_events(provider, event_id);
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_payment_id ON payment_webhook_events(payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_order_id ON payment_webhook_events(order_id);
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_received_at ON payment_webhook_events(received_at DESC);
+
+-- Only reachable with the service role
+ALTER TABLE payment_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Refunds issued through the payment providers
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS refund_reference VARCHAR(255),
+ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+
+-- Partial refunds (returns) accumulate on the payment and the order
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Record a refund made through a provider on the payment and its order.
+-- A payment becomes 'refunded' once nothing is left to refund.
+CREATE OR REPLACE FUNCTION record_payment_refund(
+    p_payment_id UUID,
+    p_amount DECIMAL,
+    p_reference TEXT DEFAULT NULL,
+    p_raw JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_payment payments%ROWTYPE;
+    v_refunded DECIMAL(10,2);
+    v_full BOOLEAN;
+BEGIN
+    SELECT * INTO v_payment FROM payments WHERE id = p_payment_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'PAYMENT_NOT_FOUND';
+    END IF;
+
+    v_refunded := v_payment.refunded_amount + p_amount;
+
+    IF p_amount <= 0 OR v_refunded > v_payment.amount THEN
+        RAISE EXCEPTION 'REFUND_EXCEEDS_PAYMENT';
+    END IF;
+
+    v_full := v_refunded >= v_payment.amount;
+
+    UPDATE payments
+    SET refunded_amount = v_refunded,
+        refund_reference = COALESCE(p_reference, refund_reference),
+        raw_response = COALESCE(p_raw, raw_response),
+        status = CASE WHEN v_full THEN 'refunded' ELSE status END,
+        refunded_at = CASE WHEN v_full THEN NOW() ELSE refunded_at END,
+        updated_at = NOW()
+    WHERE id = p_payment_id;
+
+    UPDATE orders
+    SET refunded_amount = refunded_amount + p_amount,
+        payment_status = CASE WHEN v_full THEN 'refunded' ELSE 'partially_refunded' END,
+        updated_at = NOW()
+    WHERE id = v_payment.order_id;
+
+    RETURN jsonb_build_object('refunded_amount', v_refunded, 'fully_refunded', v_full);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create return_requests table (returns of delivered order items)
+CREATE TABLE IF NOT EXISTS return_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    reason TEXT NOT NULL,
+    photos TEXT[] DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN (
+        'requested', 'rejected', 'refund_pending', 'refunded'
+    )),
+    refund_amount DECIMAL(10,2),
+    refund_reference VARCHAR(255),
+    resolution_note TEXT,
+    resolved_by_type VARCHAR(20) CHECK (resolved_by_type IN ('vendor', 'admin')),
+    resolved_by_id TEXT,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    escalated BOOLEAN NOT NULL DEFAULT false,
+    escalation_reason TEXT,
+    escalated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_requests_order_item_id ON return_requests(order_item_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_customer_id ON return_requests(customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_return_requests_vendor_status ON return_requests(vendor_id, status);
+CREATE INDEX IF NOT EXISTS idx_return_requests_escalated ON return_requests(escalated) WHERE escalated;
+
+-- Only one open request per order item at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_return_requests_open_item ON return_requests(order_item_id)
+    WHERE status = 'requested';
+
+CREATE TRIGGER update_return_requests_updated_at BEFORE UPDATE ON return_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE return_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Customers can view own return requests" ON return_requests
+    FOR SELECT USING (auth.uid()::text = customer_id::text);
+
+CREATE POLICY "Vendors can view return requests for their orders" ON return_requests
+    FOR SELECT USING (auth.uid()::text = vendor_id::text);
+
+-- Create reviews table (one review per delivered order item)
+CREATE TABLE IF NOT EXISTS reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL UNIQUE REFERENCES order_items(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title VARCHAR(150),
+    body TEXT,
+    photos TEXT[] DEFAULT '{}',
+    vendor_reply TEXT,
+    vendor_replied_at TIMESTAMP WITH TIME ZONE,
+    hidden BOOLEAN NOT NULL DEFAULT false,
+    hidden_reason TEXT,
+    hidden_by TEXT,
+    hidden_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_product_id ON reviews(product_id, created_at DESC) WHERE NOT hidden;
+CREATE INDEX IF NOT EXISTS idx_reviews_customer_id ON reviews(customer_id);
+CREATE INDEX IF NOT EXISTS idx_reviews_vendor_id ON reviews(vendor_id, created_at DESC);
+
+CREATE TRIGGER update_reviews_updated_at BEFORE UPDATE ON reviews
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view visible reviews" ON reviews
+    FOR SELECT USING (NOT hidden);
+
+CREATE POLICY "Customers can view own reviews" ON reviews
+    FOR SELECT USING (auth.uid()::text = customer_id::text);
+
+-- products.rating and review_count are derived from visible reviews only
+ALTER TABLE products ALTER COLUMN rating SET DEFAULT 0;
+
+-- Recompute the rating of a product. The product row is locked first so
+-- concurrent review changes are applied one after the other and the
+-- aggregate always includes every committed review.
+CREATE OR REPLACE FUNCTION refresh_product_rating(p_product_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    v_rating DECIMAL(3,2);
+    v_count INTEGER;
+BEGIN
+    PERFORM 1 FROM products WHERE id = p_product_id FOR UPDATE;
+
+    SELECT COALESCE(ROUND(AVG(rating)::numeric, 2), 0), COUNT(*)
+    INTO v_rating, v_count
+    FROM reviews
+    WHERE product_id = p_product_id AND NOT hidden;
+
+    UPDATE products
+    SET rating = v_rating, review_count = v_count
+    WHERE id = p_product_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION update_product_rating()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP <> 'DELETE' THEN
+        PERFORM refresh_product_rating(NEW.product_id);
+    END IF;
+
+    IF TG_OP = 'DELETE' OR (TG_OP = 'UPDATE' AND OLD.product_id <> NEW.product_id) THEN
+        PERFORM refresh_product_rating(OLD.product_id);
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_product_rating_on_review
+    AFTER INSERT OR DELETE OR UPDATE OF rating, hidden, product_id ON reviews
+    FOR EACH ROW EXECUTE FUNCTION update_product_rating();
+
+-- Replace the placeholder ratings with the real aggregates
+UPDATE products p
+SET rating = COALESCE(r.avg_rating, 0),
+    review_count = COALESCE(r.review_count, 0)
+FROM products p2
+LEFT JOIN (
+    SELECT product_id, ROUND(AVG(rating)::numeric, 2) AS avg_rating, COUNT(*) AS review_count
+    FROM reviews
+    WHERE NOT hidden
+    GROUP BY product_id
+) r ON r.product_id = p2.id
+WHERE p.id = p2.id;
+
+-- Vendor analytics
+-- Orders count as sales once confirmed; cancelled and refunded orders do
+-- not, and items refunded through returns are deducted.
+CREATE INDEX IF NOT EXISTS idx_orders_vendor_created_at ON orders(vendor_id, created_at);
+
+-- Units sold and revenue per product of a vendor over [p_from, p_to)
+CREATE OR REPLACE FUNCTION vendor_product_sales(
+    p_vendor_id UUID,
+    p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS TABLE (product_id UUID, orders BIGINT, units_sold BIGINT, revenue DECIMAL) AS $$
+    SELECT oi.product_id,
+           COUNT(DISTINCT o.id),
+           SUM(oi.quantity - COALESCE(r.returned_quantity, 0))::BIGINT,
+           SUM(oi.quantity * oi.price - COALESCE(r.refunded_amount, 0))
+    FROM orders o
+    JOIN order_items oi ON oi.order_id = o.id
+    LEFT JOIN (
+        SELECT order_item_id, SUM(quantity) AS returned_quantity, SUM(refund_amount) AS refunded_amount
+        FROM return_requests
+        WHERE status = 'refunded'
+        GROUP BY order_item_id
+    ) r ON r.order_item_id = oi.id
+    WHERE o.vendor_id = p_vendor_id
+      AND o.status IN ('confirmed', 'processing', 'shipped', 'delivered', 'completed')
+      AND (p_from IS NULL OR o.created_at >= p_from)
+      AND (p_to IS NULL OR o.created_at < p_to)
+    GROUP BY oi.product_id
+$$ LANGUAGE sql STABLE;
+
+-- Sales of a vendor in day, week or month buckets over [p_from, p_to),
+-- bucketed in p_timezone. Empty buckets are returned with zeros.
+CREATE OR REPLACE FUNCTION vendor_sales_timeseries(
+    p_vendor_id UUID,
+    p_bucket TEXT,
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE,
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (bucket_start TIMESTAMP, orders BIGINT, units_sold BIGINT, revenue DECIMAL) AS $$
+    WITH buckets AS (
+        SELECT generate_series(
+            date_trunc(p_bucket, p_from AT TIME ZONE p_timezone),
+            date_trunc(p_bucket, (p_to - INTERVAL '1 microsecond') AT TIME ZONE p_timezone),
+            ('1 ' || p_bucket)::INTERVAL
+        ) AS bucket_start
+    ),
+    sales AS (
+        SELECT date_trunc(p_bucket, o.created_at AT TIME ZONE p_timezone) AS bucket_start,
+               COUNT(DISTINCT o.id) AS orders,
+               SUM(oi.quantity - COALESCE(r.returned_quantity, 0))::BIGINT AS units_sold,
+               SUM(oi.quantity * oi.price - COALESCE(r.refunded_amount, 0)) AS revenue
+        FROM orders o
+        JOIN order_items oi ON oi.order_id = o.id
+        LEFT JOIN (
+            SELECT order_item_id, SUM(quantity) AS returned_quantity, SUM(refund_amount) AS refunded_amount
+            FROM return_requests
+            WHERE status = 'refunded'
+            GROUP BY order_item_id
+        ) r ON r.order_item_id = oi.id
+        WHERE o.vendor_id = p_vendor_id
+          AND o.status IN ('confirmed', 'processing', 'shipped', 'delivered', 'completed')
+          AND o.created_at >= p_from
+          AND o.created_at < p_to
+        GROUP BY 1
+    )
+    SELECT b.bucket_start,
+           COALESCE(s.orders, 0),
+           COALESCE(s.units_sold, 0),
+           COALESCE(s.revenue, 0)
+    FROM buckets b
+    LEFT JOIN sales s ON s.bucket_start = b.bucket_start
+    ORDER BY b.bucket_start
+$$ LANGUAGE sql STABLE;
+
+-- Password changes; tokens issued before this are no longer accepted
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE vendors
+ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
+
+-- Create password_reset_tokens table (only a SHA-256 hash of each token is stored)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('customer', 'vendor')),
+    user_id UUID NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    requested_ip VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_type, user_id, created_at DESC);
+
+-- Only reachable with the service role
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Create sessions table (one per login; user_id is TEXT so the built-in admin fits)
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('customer', 'vendor', 'admin')),
+    user_id TEXT NOT NULL,
+    user_agent TEXT,
+    ip VARCHAR(100),
+    last_ip VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_type, user_id) WHERE revoked_at IS NULL;
+
+-- Create refresh_tokens table (rotated on every use; only a SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+
+-- Only reachable with the service role
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Create admins table (invited by another admin; password is set when the invite is accepted)
+CREATE TABLE IF NOT EXISTS admins (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) UNIQUE NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    password VARCHAR(255),
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    invited_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    invite_token_hash CHAR(64) UNIQUE,
+    invite_expires_at TIMESTAMP WITH TIME ZONE,
+    invite_accepted_at TIMESTAMP WITH TIME ZONE,
+    password_changed_at TIMESTAMP WITH TIME ZONE,
+    last_login TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_admins_updated_at BEFORE UPDATE ON admins
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Only reachable with the service role
+ALTER TABLE admins ENABLE ROW LEVEL SECURITY;
+
+-- Create admin_audit_log table (append-only record of every admin mutation)
+-- admin_id has no foreign key so entries outlive the admin row unchanged
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    admin_id UUID NOT NULL,
+    admin_email VARCHAR(255),
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(30) NOT NULL,
+    target_id TEXT,
+    changes JSONB NOT NULL DEFAULT '{}',
+    reason TEXT,
+    metadata JSONB,
+    ip VARCHAR(100),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_admin_id ON admin_audit_log(admin_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action ON admin_audit_log(action);
+
+-- Entries can only be added, never changed or removed
+CREATE OR REPLACE FUNCTION prevent_admin_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER admin_audit_log_no_update_delete BEFORE UPDATE OR DELETE ON admin_audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_admin_audit_log_changes();
+
+CREATE TRIGGER admin_audit_log_no_truncate BEFORE TRUNCATE ON admin_audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_admin_audit_log_changes();
+
+-- Only reachable with the service role
+ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Create platform_settings table (key/value settings changed by admins)
+CREATE TABLE IF NOT EXISTS platform_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create two_factor_auth table (TOTP secrets of vendors and admins, AES-256-GCM encrypted)
+CREATE TABLE IF NOT EXISTS two_factor_auth (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('vendor', 'admin')),
+    user_id UUID NOT NULL,
+    secret_encrypted TEXT,
+    pending_secret_encrypted TEXT,
+    enabled_at TIMESTAMP WITH TIME ZONE,
+    last_used_step BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_type, user_id)
+);
+
+-- Create two_factor_recovery_codes table (one-time codes, SHA-256 hashed)
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('vendor', 'admin')),
+    user_id UUID NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_type, user_id, code_hash);
+
+-- Create two_factor_challenges table (second login step after a correct password)
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('vendor', 'admin')),
+    user_id UUID NOT NULL,
+    purpose VARCHAR(10) NOT NULL CHECK (purpose IN ('verify', 'enroll')),
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Only reachable with the service role
+ALTER TABLE platform_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE two_factor_auth ENABLE ROW LEVEL SECURITY;
+ALTER TABLE two_factor_recovery_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE two_factor_challenges ENABLE ROW LEVEL SECURITY;
+
+-- Email OTPs: only an HMAC of the code is stored, tied to the flow it was
+-- issued for, with a guess counter and the send time for the resend cooldown
+ALTER TABLE customers
+ALTER COLUMN otp TYPE VARCHAR(64),
+ADD COLUMN IF NOT EXISTS otp_purpose VARCHAR(20),
+ADD COLUMN IF NOT EXISTS otp_attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS otp_sent_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE vendors
+ALTER COLUMN otp TYPE VARCHAR(64),
+ADD COLUMN IF NOT EXISTS otp_purpose VARCHAR(20),
+ADD COLUMN IF NOT EXISTS otp_attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS otp_sent_at TIMESTAMP WITH TIME ZONE;
+
+-- Codes stored in plaintext before hashing can no longer be checked
+UPDATE customers SET otp = NULL, otp_expiry = NULL WHERE otp IS NOT NULL AND otp_purpose IS NULL;
+UPDATE vendors SET otp = NULL, otp_expiry = NULL WHERE otp IS NOT NULL AND otp_purpose IS NULL;
+
+-- Create auth_identities table (external sign-in accounts, e.g. Google, linked to a customer or vendor)
+CREATE TABLE IF NOT EXISTS auth_identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(20) NOT NULL CHECK (provider IN ('google')),
+    provider_user_id VARCHAR(255) NOT NULL,
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('customer', 'vendor')),
+    user_id UUID NOT NULL,
+    email VARCHAR(255),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- A provider account signs in to at most one account of each type,
+    -- and an account links at most one account of each provider
+    UNIQUE (provider, provider_user_id, user_type),
+    UNIQUE (user_type, user_id, provider)
+);
+
+-- Google accounts linked through customers.google_id (no longer written) become identities
+INSERT INTO auth_identities (provider, provider_user_id, user_type, user_id, email)
+SELECT 'google', google_id, 'customer', id, email
+FROM customers
+WHERE google_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- Only reachable with the service role
+ALTER TABLE auth_identities ENABLE ROW LEVEL SECURITY;
+
+-- Create oauth_login_codes table (single-use codes the Google redirect carries
+-- instead of tokens; only a SHA-256 hash of each code is stored)
+CREATE TABLE IF NOT EXISTS oauth_login_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('customer', 'vendor')),
+    user_id UUID NOT NULL,
+    code_hash CHAR(64) UNIQUE NOT NULL,
+    is_new_user BOOLEAN NOT NULL DEFAULT FALSE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Only reachable with the service role
+ALTER TABLE oauth_login_codes ENABLE ROW LEVEL SECURITY;
+
+-- Create vendor_kyc_documents table (files live in the private storage bucket)
+CREATE TABLE IF NOT EXISTS vendor_kyc_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('business_registration', 'government_id', 'proof_of_address')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected', 'superseded')),
+    storage_key TEXT NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    rejection_reason TEXT,
+    reviewed_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_kyc_documents_vendor ON vendor_kyc_documents(vendor_id, document_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vendor_kyc_documents_pending ON vendor_kyc_documents(created_at) WHERE status = 'pending';
+
+CREATE TRIGGER update_vendor_kyc_documents_updated_at BEFORE UPDATE ON vendor_kyc_documents
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Only reachable with the service role
+ALTER TABLE vendor_kyc_documents ENABLE ROW LEVEL SECURITY;
+
+-- Create product_images table (variants live in the public storage bucket
+-- under <storage_prefix>/<size>.webp; products.images mirrors the large ones)
+CREATE TABLE IF NOT EXISTS product_images (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_primary BOOLEAN NOT NULL DEFAULT false,
+    storage_prefix TEXT NOT NULL,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images(product_id, position);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_images_primary ON product_images(product_id) WHERE is_primary;
+
+CREATE TRIGGER update_product_images_updated_at BEFORE UPDATE ON product_images
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Only reachable with the service role
+ALTER TABLE product_images ENABLE ROW LEVEL SECURITY;
+
+-- Product variants: a product can have up to three option types (e.g. Size
+-- and Colour) and one variant per combination it is sold in, each with its
+-- own SKU, price override, stock and images. The stock of a product with
+-- variants is the sum of theirs, kept up to date by a trigger.
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS has_variants BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS product_options (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    "values" TEXT[] NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(product_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS product_variants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+    sku VARCHAR(64) NOT NULL,
+    -- Option name => value, e.g. {"Size": "M", "Colour": "Red"}
+    options JSONB NOT NULL DEFAULT '{}',
+    -- Overrides products.price when set
+    price DECIMAL(10,2) CHECK (price IS NULL OR price > 0),
+    stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT product_variants_options_key UNIQUE (product_id, options) DEFERRABLE INITIALLY DEFERRED
+);
+
+-- SKUs are unique within a vendor's catalog
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_vendor_sku ON product_variants(vendor_id, sku);
+CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants(product_id, position);
+
+CREATE TRIGGER update_product_variants_updated_at BEFORE UPDATE ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE FUNCTION refresh_product_stock_from_variants()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_product_id UUID := CASE WHEN TG_OP = 'DELETE' THEN OLD.product_id ELSE NEW.product_id END;
+BEGIN
+    UPDATE products
+    SET stock = (SELECT COALESCE(SUM(stock), 0) FROM product_variants WHERE product_id = v_product_id)
+    WHERE id = v_product_id;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER refresh_product_stock_from_variants
+    AFTER INSERT OR UPDATE OF stock OR DELETE ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION refresh_product_stock_from_variants();
+
+-- Images shown for a variant
+ALTER TABLE product_images
+ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL;
+
+-- Cart lines and order items point at the variant bought, if any. Order
+-- items keep its SKU and options in case the variant is removed later.
+ALTER TABLE cart
+ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE;
+
+ALTER TABLE cart DROP CONSTRAINT IF EXISTS cart_customer_id_product_id_key;
+ALTER TABLE cart DROP CONSTRAINT IF EXISTS cart_customer_id_product_id_variant_id_key;
+ALTER TABLE cart ADD CONSTRAINT cart_customer_id_product_id_variant_id_key
+    UNIQUE NULLS NOT DISTINCT (customer_id, product_id, variant_id);
+
+ALTER TABLE guest_cart_items
+ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE;
+
+ALTER TABLE guest_cart_items DROP CONSTRAINT IF EXISTS guest_cart_items_guest_cart_id_product_id_key;
+ALTER TABLE guest_cart_items DROP CONSTRAINT IF EXISTS guest_cart_items_guest_cart_id_product_id_variant_id_key;
+ALTER TABLE guest_cart_items ADD CONSTRAINT guest_cart_items_guest_cart_id_product_id_variant_id_key
+    UNIQUE NULLS NOT DISTINCT (guest_cart_id, product_id, variant_id);
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS sku VARCHAR(64),
+ADD COLUMN IF NOT EXISTS variant_options JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_order_items_variant_id ON order_items(variant_id);
+
+-- Replace the options and variants of a product in one transaction.
+-- p_options: [{ "name", "values": [] }]
+-- p_variants: [{ "sku", "options": {}, "price", "stock", "imageIds": [] }]
+-- Variants are matched by SKU, so carts keep pointing at the ones that
+-- stay; the others are deleted. A variant without "imageIds" keeps its
+-- images. Raises SKU_TAKEN:<sku> when another product of the vendor uses
+-- a SKU.
+CREATE OR REPLACE FUNCTION save_product_variants(
+    p_product_id UUID,
+    p_vendor_id UUID,
+    p_options JSONB,
+    p_variants JSONB
+)
+RETURNS VOID AS $$
+DECLARE
+    v_variant JSONB;
+    v_position BIGINT;
+    v_variant_id UUID;
+BEGIN
+    -- Same lock order as checkout_cart: variants, then the product
+    PERFORM 1 FROM product_variants WHERE product_id = p_product_id ORDER BY id FOR UPDATE;
+    PERFORM 1 FROM products WHERE id = p_product_id AND vendor_id = p_vendor_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'PRODUCT_NOT_FOUND';
+    END IF;
+
+    DELETE FROM product_options WHERE product_id = p_product_id;
+
+    INSERT INTO product_options (product_id, name, position, "values")
+    SELECT p_product_id, o.value->>'name', o.ordinality - 1, ARRAY(SELECT jsonb_array_elements_text(o.value->'values'))
+    FROM jsonb_array_elements(p_options) WITH ORDINALITY AS o;
+
+    DELETE FROM product_variants
+    WHERE product_id = p_product_id
+      AND sku NOT IN (SELECT v->>'sku' FROM jsonb_array_elements(p_variants) AS v);
+
+    FOR v_variant, v_position IN
+        SELECT value, ordinality FROM jsonb_array_elements(p_variants) WITH ORDINALITY
+    LOOP
+        v_variant_id := NULL;
+
+        INSERT INTO product_variants (product_id, vendor_id, sku, options, price, stock, position)
+        VALUES (
+            p_product_id,
+            p_vendor_id,
+            v_variant->>'sku',
+            v_variant->'options',
+            (v_variant->>'price')::DECIMAL(10,2),
+            (v_variant->>'stock')::INTEGER,
+            v_position - 1
+        )
+        ON CONFLICT (vendor_id, sku) DO UPDATE
+        SET options = EXCLUDED.options,
+            price = EXCLUDED.price,
+            stock = EXCLUDED.stock,
+            position = EXCLUDED.position
+        WHERE product_variants.product_id = p_product_id
+        RETURNING id INTO v_variant_id;
+
+        IF v_variant_id IS NULL THEN
+            RAISE EXCEPTION 'SKU_TAKEN:%', v_variant->>'sku';
+        END IF;
+
+        IF v_variant ? 'imageIds' THEN
+            UPDATE product_images
+            SET variant_id = NULL
+            WHERE variant_id = v_variant_id;
+
+            UPDATE product_images
+            SET variant_id = v_variant_id
+            WHERE product_id = p_product_id
+              AND id::text IN (SELECT jsonb_array_elements_text(v_variant->'imageIds'));
+        END IF;
+    END LOOP;
+
+    UPDATE products
+    SET has_variants = jsonb_array_length(p_variants) > 0, updated_at = NOW()
+    WHERE id = p_product_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only reachable with the service role
+ALTER TABLE product_options ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_variants ENABLE ROW LEVEL SECURITY;
+
+-- Products can carry the vendor's own SKU; CSV imports match products by it
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_vendor_sku ON products(vendor_id, sku) WHERE sku IS NOT NULL;
+
+-- Create product_import_jobs table (CSV catalog imports, run in the background)
+-- errors: [{ "row", "productSku", "messages": [] }] (row 1 is the header)
+-- results: [{ "productSku", "rows": [], "action", "productId" }] where action
+-- is create/update for a dry run and created/updated/failed otherwise
+CREATE TABLE IF NOT EXISTS product_import_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+    file_name VARCHAR(255) NOT NULL,
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    total_products INTEGER NOT NULL DEFAULT 0,
+    processed_products INTEGER NOT NULL DEFAULT 0,
+    created_count INTEGER NOT NULL DEFAULT 0,
+    updated_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]',
+    results JSONB NOT NULL DEFAULT '[]',
+    failure_reason TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_import_jobs_vendor ON product_import_jobs(vendor_id, created_at DESC);
+
+-- A vendor runs one import at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_import_jobs_active ON product_import_jobs(vendor_id)
+    WHERE status IN ('queued', 'running');
+
+CREATE TRIGGER update_product_import_jobs_updated_at BEFORE UPDATE ON product_import_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Only reachable with the service role
+ALTER TABLE product_import_jobs ENABLE ROW LEVEL SECURITY;
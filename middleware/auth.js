@@ -1,5 +1,14 @@
 const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/supabase');
+const { isSessionActive } = require('../utils/sessions');
+const { ADMIN_PERMISSIONS, hasPermission } = require('../utils/admins');
+
+// Account table of each token role
+const USER_TABLES = {
+  customer: 'customers',
+  vendor: 'vendors',
+  admin: 'admins'
+};
 
 /**
  * Middleware to verify JWT token and authenticate user
@@ -20,40 +29,62 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens belong to a session that logout can revoke
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Session expired, please log in again'
+        }
+      });
+    }
     
-    // Handle admin authentication
-    if (decoded.role === 'admin') {
-      req.user = {
-        id: decoded.adminId || 'admin',
-        email: 'wenzetiindaku@gmail.com',
-        role: 'admin'
-      };
-    } else {
-      // Get user from database for customers and vendors
-      const { data: user, error } = await supabaseAdmin
-        .from(decoded.role === 'vendor' ? 'vendors' : 'customers')
-        .select('*')
-        .eq('id', decoded.userId)
-        .single();
-
-      if (error || !user) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            message: 'Invalid token or user not found'
-          }
-        });
-      }
+    // Get the account the token was issued for
+    const { data: user, error } = await supabaseAdmin
+      .from(USER_TABLES[decoded.role] || 'customers')
+      .select('*')
+      .eq('id', decoded.role === 'admin' ? decoded.adminId : decoded.userId)
+      .single();
+
+    if (error || !user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Invalid token or user not found'
+        }
+      });
+    }
+
+    if (decoded.role === 'admin' && !user.active) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Admin account is disabled'
+        }
+      });
+    }
 
-      // Add user info to request
-      req.user = {
-        id: user.id,
-        email: user.email || user.business_email,
-        role: decoded.role,
-        ...user
-      };
+    // Tokens issued before the last password reset are no longer valid
+    if (user.password_changed_at &&
+        decoded.iat < Math.floor(new Date(user.password_changed_at).getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Session expired, please log in again'
+        }
+      });
     }
 
+    // Add user info to request
+    req.user = {
+      id: user.id,
+      email: user.email || user.business_email,
+      role: decoded.role,
+      ...user,
+      sessionId: decoded.sid
+    };
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -135,6 +166,65 @@ const requireVerification = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to check that a vendor has been approved
+ * Vendors can sign in while their application is reviewed (to upload KYC
+ * documents) but cannot sell until it is approved.
+ */
+const requireApprovedVendor = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Authentication required'
+      }
+    });
+  }
+
+  if (req.user.role !== 'vendor' || !req.user.approved) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Your vendor application is still under review. Please wait for approval.'
+      }
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to check that an admin holds a permission
+ * Use after requireRole(['admin']) / authorize('admin').
+ */
+const requirePermission = (permission) => {
+  if (!ADMIN_PERMISSIONS[permission]) {
+    throw new Error(`Unknown admin permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Authentication required'
+        }
+      });
+    }
+
+    if (req.user.role !== 'admin' || !hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: `Insufficient permissions (requires ${permission})`
+        }
+      });
+    }
+
+    next();
+  };
+};
+
 // Alias for backward compatibility
 const protect = authenticateToken;
 const authorize = (role) => requireRole([role]);
@@ -144,5 +234,7 @@ module.exports = {
   protect,
   requireRole,
   authorize,
-  requireVerification
+  requirePermission,
+  requireVerification,
+  requireApprovedVendor
 };
@@ -1,22 +1,68 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/supabase');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 const emailService = require('../utils/email');
+const { MAX_QUERY_LENGTH, isValidSearchQuery, searchProducts } = require('../utils/search');
+const { OrderTransitionError, transitionOrderStatus, fetchOrderTimeline } = require('../utils/orders');
+const { PaymentError, cancelOrder, formatPayment } = require('../utils/payments');
+const {
+  RETURN_REQUEST_FIELDS,
+  ReturnRequestError,
+  fetchReturnRequest,
+  resolveReturnRequest,
+  settleReturnRefund,
+  formatReturnRequest
+} = require('../utils/returns');
+const { REVIEW_FIELDS, updateReview, fetchReview, formatReview } = require('../utils/reviews');
+const { getClientInfo, createSession } = require('../utils/sessions');
+const {
+  ADMIN_PERMISSIONS,
+  AdminAccountError,
+  authenticateAdmin,
+  fetchAdmin,
+  inviteAdmin,
+  acceptAdminInvite,
+  updateAdmin,
+  formatAdmin
+} = require('../utils/admins');
+const { isValidPassword } = require('../utils/validation');
+const { StorageError } = require('../utils/storage');
+const {
+  KycError,
+  formatKycDocument,
+  getKycSummary,
+  fetchKycDocument,
+  readKycDocumentFile,
+  reviewKycDocument,
+  listKycReviewQueue
+} = require('../utils/kyc');
+const {
+  LoginThrottleError,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLoginLockout,
+  unlockLogin
+} = require('../utils/loginProtection');
+const {
+  TwoFactorError,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  startTwoFactorLogin
+} = require('../utils/twoFactor');
+const {
+  MAX_EXPORT_ROWS,
+  recordAdminAction,
+  validateAuditFilters,
+  buildAuditQuery,
+  formatAuditEntry,
+  toAuditCsv
+} = require('../utils/audit');
 
 const router = express.Router();
 
-/**
- * Generate JWT token for admin
- */
-const generateToken = (adminId) => {
-  return jwt.sign(
-    { adminId, role: 'admin' },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
-};
+const MAX_PAGE_SIZE = 100;
 
 /**
  * @route   POST /api/admin/login
@@ -36,24 +82,13 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Check if it's the admin credentials
-    if (email === 'wenzetiindaku@gmail.com' && password === 'wenzetiindaku') {
-      // Generate token for admin
-      const token = generateToken('admin');
+    // Refuse attempts on accounts or IPs with too many recent failures, and count this one
+    const attempt = await reserveLoginAttempt('admin', email, req.ip);
 
-      res.json({
-        success: true,
-        message: 'Admin login successful',
-        data: {
-          token,
-          admin: {
-            id: 'admin',
-            email: 'wenzetiidnaku@gmail.com',
-            role: 'admin'
-          }
-        }
-      });
-    } else {
+    const admin = await authenticateAdmin(email, password);
+
+    if (!admin) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         error: {
@@ -62,7 +97,51 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    await recordLoginSuccess(attempt);
+
+    // Admins with two-factor authentication get a challenge instead of a token
+    const twoFactorChallenge = await startTwoFactorLogin('admin', admin.id);
+    if (twoFactorChallenge) {
+      return res.json({
+        success: true,
+        message: twoFactorChallenge.twoFactorRequired
+          ? 'Enter the code from your authenticator app'
+          : 'Two-factor authentication is required for admins. Please set it up to continue.',
+        data: twoFactorChallenge
+      });
+    }
+
+    // Open a session for the admin
+    const { token, refreshToken, expiresIn } = await createSession('admin', admin.id, getClientInfo(req));
+
+    // Update last login
+    await supabaseAdmin
+      .from('admins')
+      .update({ last_login: new Date().toISOString() })
+      .eq('id', admin.id);
+
+    res.json({
+      success: true,
+      message: 'Admin login successful',
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+        admin: formatAdmin(admin)
+      }
+    });
+
   } catch (error) {
+    if (error instanceof LoginThrottleError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
     console.error('Admin login error:', error);
     res.status(500).json({
       success: false,
@@ -73,12 +152,272 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/admin/accept-invite
+ * @desc    Accept an admin invite by choosing a password
+ * @access  Public
+ */
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invite token and password are required'
+        }
+      });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Password must be at least 8 characters with uppercase, lowercase, and number'
+        }
+      });
+    }
+
+    const admin = await acceptAdminInvite(token, password);
+
+    res.json({
+      success: true,
+      message: 'Invite accepted. You can now log in.',
+      data: {
+        admin: formatAdmin(admin)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AdminAccountError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Accept admin invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/me
+ * @desc    Get the current admin and their permissions
+ * @access  Private (Admin only)
+ */
+router.get('/me', protect, authorize('admin'), async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      admin: formatAdmin(req.user),
+      availablePermissions: ADMIN_PERMISSIONS
+    }
+  });
+});
+
+/**
+ * @route   GET /api/admin/admins
+ * @desc    List admins and pending invites
+ * @access  Private (Admin only)
+ */
+router.get('/admins', protect, authorize('admin'), requirePermission('admin_management'), async (req, res) => {
+  try {
+    const { data: admins, error } = await supabaseAdmin
+      .from('admins')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching admins:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch admins'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        admins: admins.map(formatAdmin),
+        availablePermissions: ADMIN_PERMISSIONS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get admins error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/admins/invite
+ * @desc    Invite an admin (or resend a pending invite)
+ * @access  Private (Admin only)
+ */
+router.post('/admins/invite', protect, authorize('admin'), requirePermission('admin_management'), async (req, res) => {
+  try {
+    const { email, name, permissions } = req.body;
+
+    const admin = await inviteAdmin({ email, name, permissions }, req.user);
+
+    await recordAdminAction(req, {
+      action: 'admin.invite',
+      targetType: 'admin',
+      targetId: admin.id,
+      after: admin
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${admin.email}`,
+      data: {
+        admin: formatAdmin(admin)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AdminAccountError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Invite admin error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/admins/:adminId
+ * @desc    Change the permissions of an admin or (de)activate them
+ * @access  Private (Admin only)
+ */
+router.put('/admins/:adminId', protect, authorize('admin'), requirePermission('admin_management'), async (req, res) => {
+  try {
+    const { permissions, active, reason } = req.body;
+
+    const before = await fetchAdmin(req.params.adminId);
+    const admin = await updateAdmin(req.params.adminId, { permissions, active }, req.user);
+
+    await recordAdminAction(req, {
+      action: 'admin.update',
+      targetType: 'admin',
+      targetId: admin.id,
+      before,
+      after: admin,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin updated successfully',
+      data: {
+        admin: formatAdmin(admin)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AdminAccountError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Update admin error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/admins/:adminId/unlock
+ * @desc    Unlock another admin's sign-in after too many failed attempts
+ * @access  Private (Admin only)
+ */
+router.put('/admins/:adminId/unlock', protect, authorize('admin'), requirePermission('admin_management'), async (req, res) => {
+  try {
+    const { data: admin, error } = await supabaseAdmin
+      .from('admins')
+      .select('id, email')
+      .eq('id', req.params.adminId)
+      .maybeSingle();
+
+    if (error || !admin) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Admin not found'
+        }
+      });
+    }
+
+    const lockout = await getLoginLockout('admin', admin.email);
+    await unlockLogin('admin', admin.email);
+
+    await recordAdminAction(req, {
+      action: 'admin.unlock_login',
+      targetType: 'admin',
+      targetId: admin.id,
+      reason: req.body.reason,
+      metadata: { lockout }
+    });
+
+    res.json({
+      success: true,
+      message: lockout?.locked ? 'Admin login unlocked' : 'Admin login was not locked; failed attempts cleared',
+      data: {
+        lockout
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlock admin login error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 /**
  * @route   GET /api/admin/vendors
  * @desc    Get all vendors for admin approval
  * @access  Private (Admin only)
  */
-router.get('/vendors', protect, authorize('admin'), async (req, res) => {
+router.get('/vendors', protect, authorize('admin'), requirePermission('vendor_approval'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
     const offset = (page - 1) * limit;
@@ -145,7 +484,7 @@ router.get('/vendors', protect, authorize('admin'), async (req, res) => {
  * @desc    Get specific vendor details
  * @access  Private (Admin only)
  */
-router.get('/vendors/:vendorId', protect, authorize('admin'), async (req, res) => {
+router.get('/vendors/:vendorId', protect, authorize('admin'), requirePermission('vendor_approval'), async (req, res) => {
   try {
     const { vendorId } = req.params;
 
@@ -164,9 +503,11 @@ router.get('/vendors/:vendorId', protect, authorize('admin'), async (req, res) =
       });
     }
 
+    const kyc = await getKycSummary(vendorId);
+
     res.json({
       success: true,
-      data: { vendor }
+      data: { vendor, kyc }
     });
 
   } catch (error) {
@@ -185,7 +526,7 @@ router.get('/vendors/:vendorId', protect, authorize('admin'), async (req, res) =
  * @desc    Approve a vendor
  * @access  Private (Admin only)
  */
-router.put('/vendors/:vendorId/approve', protect, authorize('admin'), async (req, res) => {
+router.put('/vendors/:vendorId/approve', protect, authorize('admin'), requirePermission('vendor_approval'), async (req, res) => {
   try {
     const { vendorId } = req.params;
 
@@ -214,6 +555,21 @@ router.put('/vendors/:vendorId/approve', protect, authorize('admin'), async (req
       });
     }
 
+    // Every KYC document must have been accepted
+    const kyc = await getKycSummary(vendorId);
+    if (!kyc.complete) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'All KYC documents must be accepted before the vendor can be approved',
+          details: {
+            kycStatus: kyc.status,
+            pending: Object.keys(kyc.documents).filter(type => kyc.documents[type]?.status !== 'accepted')
+          }
+        }
+      });
+    }
+
     // Update vendor approval status
     const { data: updatedVendor, error: updateError } = await supabaseAdmin
       .from('vendors')
@@ -236,6 +592,15 @@ router.put('/vendors/:vendorId/approve', protect, authorize('admin'), async (req
       });
     }
 
+    await recordAdminAction(req, {
+      action: 'vendor.approve',
+      targetType: 'vendor',
+      targetId: vendorId,
+      before: vendor,
+      after: updatedVendor,
+      reason: req.body.reason
+    });
+
     // Send approval email to vendor
     try {
       await emailService.sendVendorApprovalEmail(vendor.business_email, vendor.business_name);
@@ -262,46 +627,192 @@ router.put('/vendors/:vendorId/approve', protect, authorize('admin'), async (req
 });
 
 /**
- * @route   PUT /api/admin/vendors/:vendorId/reject
- * @desc    Reject a vendor
+ * @route   GET /api/admin/kyc/documents
+ * @desc    KYC documents waiting for review, oldest first
  * @access  Private (Admin only)
  */
-router.put('/vendors/:vendorId/reject', protect, authorize('admin'), async (req, res) => {
+router.get('/kyc/documents', protect, authorize('admin'), requirePermission('vendor_approval'), async (req, res) => {
   try {
-    const { vendorId } = req.params;
-    const { reason } = req.body;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
-    // Get vendor details first
-    const { data: vendor, error: fetchError } = await supabaseAdmin
-      .from('vendors')
-      .select('*')
-      .eq('id', vendorId)
-      .single();
+    const { documents, total } = await listKycReviewQueue({ page, limit });
 
-    if (fetchError || !vendor) {
+    res.json({
+      success: true,
+      data: {
+        documents,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get KYC review queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/vendors/:vendorId/kyc/documents/:documentId/file
+ * @desc    Download a KYC document
+ * @access  Private (Admin only)
+ */
+router.get('/vendors/:vendorId/kyc/documents/:documentId/file', protect, authorize('admin'), requirePermission('vendor_approval'), async (req, res) => {
+  try {
+    const { vendorId, documentId } = req.params;
+
+    const document = await fetchKycDocument(vendorId, documentId);
+
+    if (!document) {
       return res.status(404).json({
         success: false,
         error: {
-          message: 'Vendor not found'
+          message: 'Document not found'
         }
       });
     }
 
-    if (vendor.approved) {
-      return res.status(400).json({
+    const file = await readKycDocumentFile(document);
+
+    await recordAdminAction(req, {
+      action: 'vendor.kyc_download',
+      targetType: 'vendor',
+      targetId: vendorId,
+      metadata: { documentId, documentType: document.document_type }
+    });
+
+    res.set({
+      'Content-Type': document.mime_type,
+      'Content-Disposition': `attachment; filename="${document.document_type}-${vendorId}.${document.storage_key.split('.').pop()}"`,
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(file);
+
+  } catch (error) {
+    if (error instanceof StorageError) {
+      return res.status(error.statusCode).json({
         success: false,
         error: {
-          message: 'Cannot reject an already approved vendor'
+          message: error.message
         }
       });
     }
 
-    // Update vendor status (you might want to add a 'rejected' status)
-    const { data: updatedVendor, error: updateError } = await supabaseAdmin
-      .from('vendors')
-      .update({
-        approved: false,
-        rejected_at: new Date().toISOString(),
+    console.error('Download KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/vendors/:vendorId/kyc/documents/:documentId/review
+ * @desc    Accept or reject a KYC document (`status`: accepted | rejected, `reason`)
+ * @access  Private (Admin only)
+ */
+router.put('/vendors/:vendorId/kyc/documents/:documentId/review', protect, authorize('admin'), requirePermission('vendor_approval'), async (req, res) => {
+  try {
+    const { vendorId, documentId } = req.params;
+    const { status, reason } = req.body;
+
+    const { before, after } = await reviewKycDocument(vendorId, documentId, { status, reason }, req.user);
+
+    await recordAdminAction(req, {
+      action: status === 'accepted' ? 'vendor.kyc_accept' : 'vendor.kyc_reject',
+      targetType: 'vendor',
+      targetId: vendorId,
+      before,
+      after,
+      reason,
+      metadata: { documentId, documentType: after.document_type }
+    });
+
+    const kyc = await getKycSummary(vendorId);
+
+    res.json({
+      success: true,
+      message: status === 'accepted' ? 'Document accepted' : 'Document rejected; the vendor has been notified',
+      data: {
+        document: formatKycDocument(after),
+        kyc
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof KycError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Review KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/vendors/:vendorId/reject
+ * @desc    Reject a vendor
+ * @access  Private (Admin only)
+ */
+router.put('/vendors/:vendorId/reject', protect, authorize('admin'), requirePermission('vendor_approval'), async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+    const { reason } = req.body;
+
+    // Get vendor details first
+    const { data: vendor, error: fetchError } = await supabaseAdmin
+      .from('vendors')
+      .select('*')
+      .eq('id', vendorId)
+      .single();
+
+    if (fetchError || !vendor) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Vendor not found'
+        }
+      });
+    }
+
+    if (vendor.approved) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Cannot reject an already approved vendor'
+        }
+      });
+    }
+
+    // Update vendor status (you might want to add a 'rejected' status)
+    const { data: updatedVendor, error: updateError } = await supabaseAdmin
+      .from('vendors')
+      .update({
+        approved: false,
+        rejected_at: new Date().toISOString(),
         rejection_reason: reason || 'Application rejected',
         updated_at: new Date().toISOString()
       })
@@ -319,6 +830,15 @@ router.put('/vendors/:vendorId/reject', protect, authorize('admin'), async (req,
       });
     }
 
+    await recordAdminAction(req, {
+      action: 'vendor.reject',
+      targetType: 'vendor',
+      targetId: vendorId,
+      before: vendor,
+      after: updatedVendor,
+      reason
+    });
+
     // Send rejection email to vendor
     try {
       await emailService.sendVendorRejectionEmail(vendor.business_email, vendor.business_name, reason);
@@ -421,20 +941,87 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/admin/vendors/:vendorId/unlock
+ * @desc    Let a vendor sign in again after their business email was locked out
+ * @access  Private (Admin only)
+ */
+router.put('/vendors/:vendorId/unlock', protect, authorize('admin'), requirePermission('vendor_management'), async (req, res) => {
+  try {
+    const { data: vendor, error } = await supabaseAdmin
+      .from('vendors')
+      .select('id, business_email')
+      .eq('id', req.params.vendorId)
+      .maybeSingle();
+
+    if (error || !vendor) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Vendor not found'
+        }
+      });
+    }
+
+    const lockout = await getLoginLockout('vendor', vendor.business_email);
+    await unlockLogin('vendor', vendor.business_email);
+
+    await recordAdminAction(req, {
+      action: 'vendor.unlock_login',
+      targetType: 'vendor',
+      targetId: vendor.id,
+      reason: req.body.reason,
+      metadata: { lockout }
+    });
+
+    res.json({
+      success: true,
+      message: lockout?.locked ? 'Vendor login unlocked' : 'Vendor login was not locked; failed attempts cleared',
+      data: {
+        lockout
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlock vendor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 /**
  * @route   PUT /api/admin/vendors/:vendorId
- * @desc    Update vendor details
+ * @desc    Update vendor details (approval goes through /approve, which checks KYC)
  * @access  Private (Admin only)
  */
-router.put('/vendors/:vendorId', protect, authorize('admin'), async (req, res) => {
+router.put('/vendors/:vendorId', protect, authorize('admin'), requirePermission('vendor_management'), async (req, res) => {
   try {
     const { vendorId } = req.params;
     const {
       business_name, business_email, business_phone, business_website,
       business_address, city, state, country, postal_code, business_type,
-      description, categories, verified, approved
+      description, categories, verified, reason
     } = req.body;
 
+    const { data: before, error: fetchError } = await supabaseAdmin
+      .from('vendors')
+      .select('*')
+      .eq('id', vendorId)
+      .single();
+
+    if (fetchError || !before) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Vendor not found'
+        }
+      });
+    }
+
     // Update vendor
     const { data: vendor, error } = await supabaseAdmin
       .from('vendors')
@@ -452,7 +1039,6 @@ router.put('/vendors/:vendorId', protect, authorize('admin'), async (req, res) =
         description,
         categories,
         verified,
-        approved,
         updated_at: new Date().toISOString()
       })
       .eq('id', vendorId)
@@ -469,6 +1055,15 @@ router.put('/vendors/:vendorId', protect, authorize('admin'), async (req, res) =
       });
     }
 
+    await recordAdminAction(req, {
+      action: 'vendor.update',
+      targetType: 'vendor',
+      targetId: vendorId,
+      before,
+      after: vendor,
+      reason
+    });
+
     res.json({
       success: true,
       message: 'Vendor updated successfully',
@@ -491,10 +1086,25 @@ router.put('/vendors/:vendorId', protect, authorize('admin'), async (req, res) =
  * @desc    Delete vendor and all associated data
  * @access  Private (Admin only)
  */
-router.delete('/vendors/:vendorId', protect, authorize('admin'), async (req, res) => {
+router.delete('/vendors/:vendorId', protect, authorize('admin'), requirePermission('vendor_management'), async (req, res) => {
   try {
     const { vendorId } = req.params;
 
+    const { data: vendor, error: fetchError } = await supabaseAdmin
+      .from('vendors')
+      .select('*')
+      .eq('id', vendorId)
+      .single();
+
+    if (fetchError || !vendor) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Vendor not found'
+        }
+      });
+    }
+
     // 1. Delete order items for vendor's orders
     const { data: orders } = await supabaseAdmin
       .from('orders')
@@ -537,6 +1147,15 @@ router.delete('/vendors/:vendorId', protect, authorize('admin'), async (req, res
       });
     }
 
+    await recordAdminAction(req, {
+      action: 'vendor.delete',
+      targetType: 'vendor',
+      targetId: vendorId,
+      before: vendor,
+      reason: req.body.reason,
+      metadata: { deletedOrders: (orders || []).length }
+    });
+
     res.json({
       success: true,
       message: 'Vendor and all associated data deleted successfully'
@@ -558,14 +1177,11 @@ router.delete('/vendors/:vendorId', protect, authorize('admin'), async (req, res
  * @desc    Get all products with vendor details
  * @access  Private (Admin only)
  */
-router.get('/products', protect, authorize('admin'), async (req, res) => {
+router.get('/products', protect, authorize('admin'), requirePermission('product_moderation'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search = '', status = '', vendor_id = '' } = req.query;
     const offset = (page - 1) * limit;
-
-    let query = supabaseAdmin
-      .from('products')
-      .select(`
+    const productFields = `
         *,
         vendor:vendors!inner(
           id,
@@ -574,14 +1190,48 @@ router.get('/products', protect, authorize('admin'), async (req, res) => {
           approved,
           verified
         )
-      `)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+      `;
 
+    // Text searches go through the ranked search engine
     if (search) {
-      query = query.ilike('name', `%${search}%`);
+      if (!isValidSearchQuery(search)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `Search query must be between 1 and ${MAX_QUERY_LENGTH} characters`
+          }
+        });
+      }
+
+      const { products, total } = await searchProducts({
+        query: search,
+        publishedOnly: false,
+        status: status || null,
+        vendorId: vendor_id || null,
+        limit: parseInt(limit),
+        offset,
+        select: productFields
+      });
+
+      return res.json({
+        success: true,
+        data: {
+          products,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total
+          }
+        }
+      });
     }
 
+    let query = supabaseAdmin
+      .from('products')
+      .select(productFields)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
     if (status) {
       query = query.eq('status', status);
     }
@@ -630,13 +1280,28 @@ router.get('/products', protect, authorize('admin'), async (req, res) => {
  * @desc    Update product details
  * @access  Private (Admin only)
  */
-router.put('/products/:productId', protect, authorize('admin'), async (req, res) => {
+router.put('/products/:productId', protect, authorize('admin'), requirePermission('product_moderation'), async (req, res) => {
   try {
     const { productId } = req.params;
     const {
-      name, description, price, category, images, stock, status
+      name, description, price, category, images, stock, status, reason
     } = req.body;
 
+    const { data: before, error: fetchError } = await supabaseAdmin
+      .from('products')
+      .select('*')
+      .eq('id', productId)
+      .single();
+
+    if (fetchError || !before) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found'
+        }
+      });
+    }
+
     // Update product
     const { data: product, error } = await supabaseAdmin
       .from('products')
@@ -671,6 +1336,15 @@ router.put('/products/:productId', protect, authorize('admin'), async (req, res)
       });
     }
 
+    await recordAdminAction(req, {
+      action: 'product.update',
+      targetType: 'product',
+      targetId: productId,
+      before,
+      after: product,
+      reason
+    });
+
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -693,10 +1367,25 @@ router.put('/products/:productId', protect, authorize('admin'), async (req, res)
  * @desc    Delete product
  * @access  Private (Admin only)
  */
-router.delete('/products/:productId', protect, authorize('admin'), async (req, res) => {
+router.delete('/products/:productId', protect, authorize('admin'), requirePermission('product_moderation'), async (req, res) => {
   try {
     const { productId } = req.params;
 
+    const { data: product, error: fetchError } = await supabaseAdmin
+      .from('products')
+      .select('*')
+      .eq('id', productId)
+      .single();
+
+    if (fetchError || !product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found'
+        }
+      });
+    }
+
     // Delete product
     const { error } = await supabaseAdmin
       .from('products')
@@ -713,6 +1402,14 @@ router.delete('/products/:productId', protect, authorize('admin'), async (req, r
       });
     }
 
+    await recordAdminAction(req, {
+      action: 'product.delete',
+      targetType: 'product',
+      targetId: productId,
+      before: product,
+      reason: req.body.reason
+    });
+
     res.json({
       success: true,
       message: 'Product deleted successfully'
@@ -734,11 +1431,26 @@ router.delete('/products/:productId', protect, authorize('admin'), async (req, r
  * @desc    Red-mark a product (mark as flagged/problematic)
  * @access  Private (Admin only)
  */
-router.put('/products/:productId/red-mark', protect, authorize('admin'), async (req, res) => {
+router.put('/products/:productId/red-mark', protect, authorize('admin'), requirePermission('product_moderation'), async (req, res) => {
   try {
     const { productId } = req.params;
     const { reason } = req.body;
 
+    const { data: before, error: fetchError } = await supabaseAdmin
+      .from('products')
+      .select('*')
+      .eq('id', productId)
+      .single();
+
+    if (fetchError || !before) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found'
+        }
+      });
+    }
+
     // Update product status to flagged
     const { data: product, error } = await supabaseAdmin
       .from('products')
@@ -769,6 +1481,15 @@ router.put('/products/:productId/red-mark', protect, authorize('admin'), async (
       });
     }
 
+    await recordAdminAction(req, {
+      action: 'product.red_mark',
+      targetType: 'product',
+      targetId: productId,
+      before,
+      after: product,
+      reason
+    });
+
     res.json({
       success: true,
       message: 'Product red-marked successfully',
@@ -791,7 +1512,7 @@ router.put('/products/:productId/red-mark', protect, authorize('admin'), async (
  * @desc    Get all customers
  * @access  Private (Admin only)
  */
-router.get('/customers', protect, authorize('admin'), async (req, res) => {
+router.get('/customers', protect, authorize('admin'), requirePermission('customer_management'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search = '' } = req.query;
     const offset = (page - 1) * limit;
@@ -846,7 +1567,7 @@ router.get('/customers', protect, authorize('admin'), async (req, res) => {
  * @desc    Get customer details
  * @access  Private (Admin only)
  */
-router.get('/customers/:customerId', protect, authorize('admin'), async (req, res) => {
+router.get('/customers/:customerId', protect, authorize('admin'), requirePermission('customer_management'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -910,10 +1631,25 @@ router.get('/customers/:customerId', protect, authorize('admin'), async (req, re
  * @desc    Delete customer and all associated data
  * @access  Private (Admin only)
  */
-router.delete('/customers/:customerId', protect, authorize('admin'), async (req, res) => {
+router.delete('/customers/:customerId', protect, authorize('admin'), requirePermission('customer_management'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
+    const { data: customer, error: fetchError } = await supabaseAdmin
+      .from('customers')
+      .select('*')
+      .eq('id', customerId)
+      .single();
+
+    if (fetchError || !customer) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Customer not found'
+        }
+      });
+    }
+
     // 1. Delete cart items
     await supabaseAdmin
       .from('cart')
@@ -962,6 +1698,15 @@ router.delete('/customers/:customerId', protect, authorize('admin'), async (req,
       });
     }
 
+    await recordAdminAction(req, {
+      action: 'customer.delete',
+      targetType: 'customer',
+      targetId: customerId,
+      before: customer,
+      reason: req.body.reason,
+      metadata: { deletedOrders: (orders || []).length }
+    });
+
     res.json({
       success: true,
       message: 'Customer and all associated data deleted successfully'
@@ -978,4 +1723,750 @@ router.delete('/customers/:customerId', protect, authorize('admin'), async (req,
   }
 });
 
+/**
+ * @route   PUT /api/admin/customers/:customerId/unlock
+ * @desc    Clear a customer's failed sign-in attempts and lift their lockout
+ * @access  Private (Admin only)
+ */
+router.put('/customers/:customerId/unlock', protect, authorize('admin'), requirePermission('customer_management'), async (req, res) => {
+  try {
+    const { data: customer, error } = await supabaseAdmin
+      .from('customers')
+      .select('id, email')
+      .eq('id', req.params.customerId)
+      .maybeSingle();
+
+    if (error || !customer) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Customer not found'
+        }
+      });
+    }
+
+    const lockout = await getLoginLockout('customer', customer.email);
+    await unlockLogin('customer', customer.email);
+
+    await recordAdminAction(req, {
+      action: 'customer.unlock_login',
+      targetType: 'customer',
+      targetId: customer.id,
+      reason: req.body.reason,
+      metadata: { lockout }
+    });
+
+    res.json({
+      success: true,
+      message: lockout?.locked ? 'Customer login unlocked' : 'Customer login was not locked; failed attempts cleared',
+      data: {
+        lockout
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlock customer login error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/orders/:orderId/status
+ * @desc    Move an order to another status of its lifecycle
+ * @access  Private (Admin only)
+ */
+router.put('/orders/:orderId/status', protect, authorize('admin'), requirePermission('order_management'), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { status, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Status is required'
+        }
+      });
+    }
+
+    const { data: existingOrder, error: checkError } = await supabaseAdmin
+      .from('orders')
+      .select('id, status')
+      .eq('id', orderId)
+      .single();
+
+    if (checkError || !existingOrder) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Order not found'
+        }
+      });
+    }
+
+    const transition = { actorType: 'admin', actorId: req.user.id, note };
+
+    // Cancelling refunds the customer when the order was paid
+    const { order, refund } = status === 'cancelled'
+      ? await cancelOrder(existingOrder, { ...transition, refundReason: 'Order cancelled by an administrator' })
+      : { order: await transitionOrderStatus(existingOrder, status, transition), refund: null };
+
+    await recordAdminAction(req, {
+      action: 'order.status_change',
+      targetType: 'order',
+      targetId: order.id,
+      before: { status: existingOrder.status },
+      after: { status: order.status, ...(refund && { refund: refund.status }) },
+      reason: note
+    });
+
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: {
+        order,
+        refund: refund && {
+          status: refund.status,
+          payment: formatPayment(refund.payment)
+        },
+        timeline: await fetchOrderTimeline(order.id)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Admin update order status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/returns
+ * @desc    Get return requests, escalated ones with escalated=true
+ * @access  Private (Admin only)
+ */
+router.get('/returns', protect, authorize('admin'), requirePermission('finance'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, escalated } = req.query;
+
+    const pageNumber = parseInt(page);
+    const pageSize = Math.min(parseInt(limit), MAX_PAGE_SIZE);
+
+    if (!pageNumber || pageNumber < 1 || !pageSize || pageSize < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Page and limit must be positive integers'
+        }
+      });
+    }
+
+    const offset = (pageNumber - 1) * pageSize;
+
+    let query = supabaseAdmin
+      .from('return_requests')
+      .select(`${RETURN_REQUEST_FIELDS}, vendor:vendors (business_name), customer:customers (first_name, last_name, email)`, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (escalated === 'true') {
+      query = query.eq('escalated', true);
+    }
+
+    const { data: returnRequests, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching return requests:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch return requests'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        returnRequests: returnRequests.map(returnRequest => ({
+          ...formatReturnRequest(returnRequest),
+          vendor: returnRequest.vendor?.business_name || null,
+          customer: returnRequest.customer || null
+        })),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total: count || 0
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get return requests error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/returns/:returnId/resolve
+ * @desc    Resolve a return request, overriding the vendor decision
+ * @access  Private (Admin only)
+ */
+router.put('/returns/:returnId/resolve', protect, authorize('admin'), requirePermission('finance'), async (req, res) => {
+  try {
+    const { decision, refundAmount, note } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Decision must be approve or reject'
+        }
+      });
+    }
+
+    const existing = await fetchReturnRequest(req.params.returnId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Return request not found'
+        }
+      });
+    }
+
+    const { returnRequest, refund } = await resolveReturnRequest(existing, {
+      approve: decision === 'approve',
+      refundAmount,
+      note,
+      actorType: 'admin',
+      actorId: req.user.id
+    });
+
+    await recordAdminAction(req, {
+      action: `return_request.${decision}`,
+      targetType: 'return_request',
+      targetId: existing.id,
+      before: existing,
+      after: returnRequest,
+      reason: note,
+      metadata: refund ? { refundStatus: refund.status, refundAmount: refund.amount } : null
+    });
+
+    res.json({
+      success: true,
+      message: `Return request ${decision === 'approve' ? 'approved' : 'rejected'}`,
+      data: {
+        returnRequest: formatReturnRequest(returnRequest),
+        refund: refund && { status: refund.status, amount: refund.amount }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReturnRequestError || error instanceof PaymentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Admin resolve return request error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/returns/:returnId/refund
+ * @desc    Settle a refund left pending: retry it through the provider, or
+ *          record a refund made by hand (`reference`)
+ * @access  Private (Admin only)
+ */
+router.post('/returns/:returnId/refund', protect, authorize('admin'), requirePermission('finance'), async (req, res) => {
+  try {
+    const { reference, note } = req.body;
+
+    if (reference !== undefined && (typeof reference !== 'string' || !reference.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Reference must be the reference of the refund made by hand'
+        }
+      });
+    }
+
+    const existing = await fetchReturnRequest(req.params.returnId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Return request not found'
+        }
+      });
+    }
+
+    const { returnRequest, refund } = await settleReturnRefund(existing, { reference });
+
+    await recordAdminAction(req, {
+      action: reference ? 'return_request.manual_refund' : 'return_request.retry_refund',
+      targetType: 'return_request',
+      targetId: existing.id,
+      before: existing,
+      after: returnRequest,
+      reason: note,
+      metadata: { refundStatus: refund.status, refundAmount: parseFloat(existing.refund_amount) }
+    });
+
+    res.json({
+      success: true,
+      message: returnRequest.status === 'refunded' ? 'Refund recorded' : 'Refund is still pending',
+      data: {
+        returnRequest: formatReturnRequest(returnRequest),
+        refund: refund && { status: refund.status, amount: refund.amount, reason: refund.reason }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReturnRequestError || error instanceof PaymentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Admin settle return refund error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/reviews
+ * @desc    Get reviews for moderation (hidden=true|false filter)
+ * @access  Private (Admin only)
+ */
+router.get('/reviews', protect, authorize('admin'), requirePermission('product_moderation'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, hidden, productId, maxRating } = req.query;
+
+    const pageNumber = parseInt(page);
+    const pageSize = Math.min(parseInt(limit), MAX_PAGE_SIZE);
+
+    if (!pageNumber || pageNumber < 1 || !pageSize || pageSize < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Page and limit must be positive integers'
+        }
+      });
+    }
+
+    const offset = (pageNumber - 1) * pageSize;
+
+    let query = supabaseAdmin
+      .from('reviews')
+      .select(`${REVIEW_FIELDS}, vendor:vendors (business_name)`, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (hidden === 'true' || hidden === 'false') {
+      query = query.eq('hidden', hidden === 'true');
+    }
+
+    if (productId) {
+      query = query.eq('product_id', productId);
+    }
+
+    if (maxRating) {
+      query = query.lte('rating', parseInt(maxRating));
+    }
+
+    const { data: reviews, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching reviews:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch reviews'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reviews: reviews.map(review => ({
+          ...formatReview(review, { moderation: true }),
+          vendor: review.vendor?.business_name || null
+        })),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total: count || 0
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/reviews/:reviewId/hide
+ * @desc    Hide an abusive review (removes it from the product rating)
+ * @access  Private (Admin only)
+ */
+router.put('/reviews/:reviewId/hide', protect, authorize('admin'), requirePermission('product_moderation'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A reason is required to hide a review'
+        }
+      });
+    }
+
+    const existing = await fetchReview(req.params.reviewId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Review not found'
+        }
+      });
+    }
+
+    const review = await updateReview(existing.id, {
+      hidden: true,
+      hidden_reason: reason.trim(),
+      hidden_by: String(req.user.id),
+      hidden_at: new Date().toISOString()
+    });
+
+    await recordAdminAction(req, {
+      action: 'review.hide',
+      targetType: 'review',
+      targetId: existing.id,
+      before: existing,
+      after: review,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Review hidden',
+      data: { review: formatReview(review, { moderation: true }) }
+    });
+
+  } catch (error) {
+    console.error('Hide review error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/reviews/:reviewId/unhide
+ * @desc    Make a hidden review visible again
+ * @access  Private (Admin only)
+ */
+router.put('/reviews/:reviewId/unhide', protect, authorize('admin'), requirePermission('product_moderation'), async (req, res) => {
+  try {
+    const existing = await fetchReview(req.params.reviewId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Review not found'
+        }
+      });
+    }
+
+    const review = await updateReview(existing.id, {
+      hidden: false,
+      hidden_reason: null,
+      hidden_by: null,
+      hidden_at: null
+    });
+
+    await recordAdminAction(req, {
+      action: 'review.unhide',
+      targetType: 'review',
+      targetId: existing.id,
+      before: existing,
+      after: review,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Review visible again',
+      data: { review: formatReview(review, { moderation: true }) }
+    });
+
+  } catch (error) {
+    console.error('Unhide review error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/settings/two-factor
+ * @desc    Get the two-factor authentication policy
+ * @access  Private (Admin only)
+ */
+router.get('/settings/two-factor', protect, authorize('admin'), requirePermission('admin_management'), async (req, res) => {
+  try {
+    const policy = await getTwoFactorPolicy();
+
+    res.json({
+      success: true,
+      data: { policy }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/settings/two-factor
+ * @desc    Make two-factor authentication mandatory for admins and/or vendors above a sales threshold
+ * @access  Private (Admin only)
+ */
+router.put('/settings/two-factor', protect, authorize('admin'), requirePermission('admin_management'), async (req, res) => {
+  try {
+    const { requireForAdmins, requireForVendorsAboveSales, reason } = req.body;
+
+    const { before, after } = await updateTwoFactorPolicy({ requireForAdmins, requireForVendorsAboveSales }, req.user.id);
+
+    await recordAdminAction(req, {
+      action: 'settings.two_factor_policy',
+      targetType: 'settings',
+      targetId: 'two_factor_policy',
+      before,
+      after,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: { policy: after }
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Browse the admin audit log (adminId, action, targetType, targetId, from, to, search filters)
+ * @access  Private (Admin only)
+ */
+router.get('/audit-log', protect, authorize('admin'), requirePermission('audit_log'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const { isValid, errors, filters } = validateAuditFilters(req.query);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: errors
+        }
+      });
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const { data: entries, error, count } = await buildAuditQuery(filters, { count: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) {
+      console.error('Error fetching audit log:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch audit log'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(formatAuditEntry),
+        pagination: {
+          page: parseInt(page) || 1,
+          limit: pageSize,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / pageSize)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/audit-log/export
+ * @desc    Export audit log entries matching the filters as CSV (default) or JSON
+ * @access  Private (Admin only)
+ */
+router.get('/audit-log/export', protect, authorize('admin'), requirePermission('audit_log'), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    const { isValid, errors, filters } = validateAuditFilters(req.query);
+
+    if (!['csv', 'json'].includes(format)) {
+      errors.push('Format must be csv or json');
+    }
+
+    if (!isValid || errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: errors
+        }
+      });
+    }
+
+    const { data: entries, error } = await buildAuditQuery(filters)
+      .range(0, MAX_EXPORT_ROWS - 1);
+
+    if (error) {
+      console.error('Error exporting audit log:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to export audit log'
+        }
+      });
+    }
+
+    // Exports are themselves audited
+    await recordAdminAction(req, {
+      action: 'audit_log.export',
+      targetType: 'admin',
+      targetId: req.user.id,
+      metadata: { format, rows: entries.length, filters }
+    });
+
+    const filename = `admin-audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.json(entries.map(formatAuditEntry));
+    }
+
+    res.type('text/csv').send(toAuditCsv(entries));
+
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 module.exports = router;
@@ -1,28 +1,30 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const passport = require('passport');
 const { v4: uuidv4 } = require('uuid');
 
 const { supabaseAdmin } = require('../config/supabase');
 const { authenticateToken } = require('../middleware/auth');
 const emailService = require('../utils/email');
-const { generateOTP, isOTPExpired, generateOTPExpiry, isValidOTP } = require('../utils/otp');
-const { validateCustomerSignup, validateVendorSignup, sanitizeString } = require('../utils/validation');
+const { CLEARED_OTP_FIELDS, OTPError, isValidOTP, createOTP, issueOTP, verifyOTP } = require('../utils/otp');
+const { validateCustomerSignup, validateVendorSignup, isValidPassword, sanitizeString } = require('../utils/validation');
+const { mergeGuestCart } = require('../utils/cart');
+const { PasswordResetError, requestPasswordReset, resetPassword } = require('../utils/passwordReset');
+const {
+  SessionError,
+  getClientInfo,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  formatSession
+} = require('../utils/sessions');
+const { startTwoFactorLogin } = require('../utils/twoFactor');
+const { LoginThrottleError, reserveLoginAttempt, recordLoginFailure, recordLoginSuccess } = require('../utils/loginProtection');
 
 const router = express.Router();
 
-/**
- * Generate JWT token
- */
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { userId, role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
-};
-
 /**
  * @route   POST /api/auth/customer/signup
  * @desc    Register a new customer
@@ -30,7 +32,7 @@ const generateToken = (userId, role) => {
  */
 router.post('/customer/signup', async (req, res) => {
   try {
-    const { firstName, lastName, email, password, agreeToTerms } = req.body;
+    const { firstName, lastName, email, password, agreeToTerms, cartToken } = req.body;
 
     // Validate input
     const validation = validateCustomerSignup(req.body);
@@ -73,20 +75,19 @@ router.post('/customer/signup', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 8);
 
     // Generate OTP
-    const otp = generateOTP();
-    const otpExpiry = generateOTPExpiry();
+    const customerId = uuidv4();
+    const { otp, fields: otpFields } = createOTP(customerId, 'verification');
 
     // Create customer
     const customerData = {
-      id: uuidv4(),
+      id: customerId,
       first_name: sanitizeString(firstName),
       last_name: sanitizeString(lastName),
       email: email.toLowerCase(),
       password: hashedPassword,
       role: 'customer',
       verified: false,
-      otp,
-      otp_expiry: new Date(otpExpiry).toISOString(),
+      ...otpFields,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
@@ -115,13 +116,24 @@ router.post('/customer/signup', async (req, res) => {
       // Don't fail the signup if email fails
     }
 
+    // Carry the guest cart over to the new account
+    let cartMerge = null;
+    if (cartToken) {
+      try {
+        cartMerge = await mergeGuestCart(customer.id, cartToken);
+      } catch (mergeError) {
+        console.error('Error merging guest cart:', mergeError);
+      }
+    }
+
     res.status(201).json({
       success: true,
       message: 'Customer account created successfully. Please check your email for verification code.',
       data: {
         customerId: customer.id,
         email: customer.email,
-        verified: customer.verified
+        verified: customer.verified,
+        cartMerge
       }
     });
 
@@ -188,33 +200,15 @@ router.post('/customer/verify-otp', async (req, res) => {
       });
     }
 
-    // Check OTP
-    if (customer.otp !== otp) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Invalid OTP'
-        }
-      });
-    }
-
-    // Check if OTP is expired
-    if (isOTPExpired(new Date(customer.otp_expiry).getTime())) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'OTP has expired. Please request a new one.'
-        }
-      });
-    }
+    // Check OTP (counts the attempt)
+    await verifyOTP('customers', customer, otp, 'verification');
 
     // Verify customer
     const { error: updateError } = await supabaseAdmin
       .from('customers')
       .update({
         verified: true,
-        otp: null,
-        otp_expiry: null,
+        ...CLEARED_OTP_FIELDS,
         updated_at: new Date().toISOString()
       })
       .eq('id', customer.id);
@@ -242,6 +236,15 @@ router.post('/customer/verify-otp', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof OTPError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
     console.error('OTP verification error:', error);
     res.status(500).json({
       success: false,
@@ -259,7 +262,7 @@ router.post('/customer/verify-otp', async (req, res) => {
  */
 router.post('/customer/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, cartToken } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({
@@ -270,6 +273,9 @@ router.post('/customer/login', async (req, res) => {
       });
     }
 
+    // Refuse attempts on accounts or IPs with too many recent failures, and count this one
+    const attempt = await reserveLoginAttempt('customer', email, req.ip);
+
     // Get customer
     const { data: customer, error } = await supabaseAdmin
       .from('customers')
@@ -278,6 +284,7 @@ router.post('/customer/login', async (req, res) => {
       .single();
 
     if (error || !customer) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         error: {
@@ -299,6 +306,7 @@ router.post('/customer/login', async (req, res) => {
     // Check password
     const isPasswordValid = await bcrypt.compare(password, customer.password);
     if (!isPasswordValid) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         error: {
@@ -307,8 +315,10 @@ router.post('/customer/login', async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(customer.id, 'customer');
+    await recordLoginSuccess(attempt);
+
+    // Open a session
+    const { token, refreshToken, expiresIn } = await createSession('customer', customer.id, getClientInfo(req));
 
     // Update last login
     await supabaseAdmin
@@ -316,11 +326,24 @@ router.post('/customer/login', async (req, res) => {
       .update({ last_login: new Date().toISOString() })
       .eq('id', customer.id);
 
+    // Merge the guest cart into the customer's cart
+    let cartMerge = null;
+    if (cartToken) {
+      try {
+        cartMerge = await mergeGuestCart(customer.id, cartToken);
+      } catch (mergeError) {
+        console.error('Error merging guest cart:', mergeError);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         token,
+        refreshToken,
+        expiresIn,
+        cartMerge,
         user: {
           id: customer.id,
           firstName: customer.first_name,
@@ -340,6 +363,16 @@ router.post('/customer/login', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof LoginThrottleError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
     console.error('Customer login error:', error);
     res.status(500).json({
       success: false,
@@ -393,29 +426,8 @@ router.post('/customer/resend-otp', async (req, res) => {
       });
     }
 
-    // Generate new OTP
-    const otp = generateOTP();
-    const otpExpiry = generateOTPExpiry();
-
-    // Update customer with new OTP
-    const { error: updateError } = await supabaseAdmin
-      .from('customers')
-      .update({
-        otp,
-        otp_expiry: new Date(otpExpiry).toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', customer.id);
-
-    if (updateError) {
-      console.error('Error updating OTP:', updateError);
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: 'Failed to generate new OTP'
-        }
-      });
-    }
+    // Generate new OTP (refused during the resend cooldown)
+    const otp = await issueOTP('customers', customer, 'verification');
 
     // Send OTP email
     try {
@@ -436,6 +448,15 @@ router.post('/customer/resend-otp', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof OTPError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
     console.error('Resend OTP error:', error);
     res.status(500).json({
       success: false,
@@ -446,6 +467,88 @@ router.post('/customer/resend-otp', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/customer/forgot-password
+ * @desc    Email a password reset link to a customer
+ * @access  Public
+ */
+router.post('/customer/forgot-password', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Email is required'
+      }
+    });
+  }
+
+  // Same answer whether or not the email is registered, sent before the
+  // lookup so the response time does not tell either
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+
+  requestPasswordReset('customer', email.trim(), { ip: req.ip })
+    .catch(error => console.error('Customer forgot password error:', error));
+});
+
+/**
+ * @route   POST /api/auth/customer/reset-password
+ * @desc    Set a new customer password with a reset token
+ * @access  Public
+ */
+router.post('/customer/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Reset token and new password are required'
+        }
+      });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Password must be at least 8 characters with uppercase, lowercase, and number'
+        }
+      });
+    }
+
+    await resetPassword('customer', token, password);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Customer reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 /**
  * @route   POST /api/auth/vendor/signup
  * @desc    Register a new vendor
@@ -500,12 +603,12 @@ router.post('/vendor/signup', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 12);
 
     // Generate OTP
-    const otp = generateOTP();
-    const otpExpiry = generateOTPExpiry();
+    const vendorId = uuidv4();
+    const { otp, fields: otpFields } = createOTP(vendorId, 'verification');
 
     // Create vendor
     const vendorData = {
-      id: uuidv4(),
+      id: vendorId,
       business_name: sanitizeString(businessName),
       business_email: businessEmail.toLowerCase(),
       business_phone: businessPhone,
@@ -522,8 +625,7 @@ router.post('/vendor/signup', async (req, res) => {
       role: 'vendor',
       verified: false,
       approved: false,
-      otp,
-      otp_expiry: new Date(otpExpiry).toISOString(),
+      ...otpFields,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
@@ -626,33 +728,15 @@ router.post('/vendor/verify-otp', async (req, res) => {
       });
     }
 
-    // Check OTP
-    if (vendor.otp !== otp) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Invalid OTP'
-        }
-      });
-    }
-
-    // Check if OTP is expired
-    if (isOTPExpired(new Date(vendor.otp_expiry).getTime())) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'OTP has expired. Please request a new one.'
-        }
-      });
-    }
+    // Check OTP (counts the attempt)
+    await verifyOTP('vendors', vendor, otp, 'verification');
 
     // Verify vendor
     const { error: updateError } = await supabaseAdmin
       .from('vendors')
       .update({
         verified: true,
-        otp: null,
-        otp_expiry: null,
+        ...CLEARED_OTP_FIELDS,
         updated_at: new Date().toISOString()
       })
       .eq('id', vendor.id);
@@ -676,10 +760,19 @@ router.post('/vendor/verify-otp', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Account verified successfully. Your application is now under review.'
+      message: 'Account verified successfully. Sign in and upload your KYC documents so we can review your application.'
     });
 
   } catch (error) {
+    if (error instanceof OTPError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
     console.error('Vendor OTP verification error:', error);
     res.status(500).json({
       success: false,
@@ -708,6 +801,9 @@ router.post('/vendor/login', async (req, res) => {
       });
     }
 
+    // Refuse attempts on accounts or IPs with too many recent failures, and count this one
+    const attempt = await reserveLoginAttempt('vendor', email, req.ip);
+
     // Get vendor
     const { data: vendor, error } = await supabaseAdmin
       .from('vendors')
@@ -716,6 +812,7 @@ router.post('/vendor/login', async (req, res) => {
       .single();
 
     if (error || !vendor) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         error: {
@@ -734,19 +831,10 @@ router.post('/vendor/login', async (req, res) => {
       });
     }
 
-    // Check if account is approved
-    if (!vendor.approved) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          message: 'Your vendor application is still under review. Please wait for approval.'
-        }
-      });
-    }
-
     // Check password
     const isPasswordValid = await bcrypt.compare(password, vendor.password);
     if (!isPasswordValid) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         error: {
@@ -755,8 +843,22 @@ router.post('/vendor/login', async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(vendor.id, 'vendor');
+    await recordLoginSuccess(attempt);
+
+    // Accounts with two-factor authentication get a challenge instead of a token
+    const twoFactorChallenge = await startTwoFactorLogin('vendor', vendor.id);
+    if (twoFactorChallenge) {
+      return res.json({
+        success: true,
+        message: twoFactorChallenge.twoFactorRequired
+          ? 'Enter the code from your authenticator app'
+          : 'Two-factor authentication is required for your account. Please set it up to continue.',
+        data: twoFactorChallenge
+      });
+    }
+
+    // Open a session
+    const { token, refreshToken, expiresIn } = await createSession('vendor', vendor.id, getClientInfo(req));
 
     // Update last login
     await supabaseAdmin
@@ -764,11 +866,16 @@ router.post('/vendor/login', async (req, res) => {
       .update({ last_login: new Date().toISOString() })
       .eq('id', vendor.id);
 
+    // Vendors under review can sign in to upload their KYC documents
     res.json({
       success: true,
-      message: 'Login successful',
+      message: vendor.approved
+        ? 'Login successful'
+        : 'Login successful. Your vendor application is under review; upload your KYC documents to complete it.',
       data: {
         token,
+        refreshToken,
+        expiresIn,
         user: {
           id: vendor.id,
           businessName: vendor.business_name,
@@ -792,6 +899,16 @@ router.post('/vendor/login', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof LoginThrottleError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
     console.error('Vendor login error:', error);
     res.status(500).json({
       success: false,
@@ -845,29 +962,8 @@ router.post('/vendor/resend-otp', async (req, res) => {
       });
     }
 
-    // Generate new OTP
-    const otp = generateOTP();
-    const otpExpiry = generateOTPExpiry();
-
-    // Update vendor with new OTP
-    const { error: updateError } = await supabaseAdmin
-      .from('vendors')
-      .update({
-        otp,
-        otp_expiry: new Date(otpExpiry).toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', vendor.id);
-
-    if (updateError) {
-      console.error('Error updating OTP:', updateError);
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: 'Failed to generate new OTP'
-        }
-      });
-    }
+    // Generate new OTP (refused during the resend cooldown)
+    const otp = await issueOTP('vendors', vendor, 'verification');
 
     // Send OTP email
     try {
@@ -888,6 +984,15 @@ router.post('/vendor/resend-otp', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof OTPError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
     console.error('Resend OTP error:', error);
     res.status(500).json({
       success: false,
@@ -898,6 +1003,88 @@ router.post('/vendor/resend-otp', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/vendor/forgot-password
+ * @desc    Email a password reset link to a vendor
+ * @access  Public
+ */
+router.post('/vendor/forgot-password', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Email is required'
+      }
+    });
+  }
+
+  // Same answer whether or not the email is registered, sent before the
+  // lookup so the response time does not tell either
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+
+  requestPasswordReset('vendor', email.trim(), { ip: req.ip })
+    .catch(error => console.error('Vendor forgot password error:', error));
+});
+
+/**
+ * @route   POST /api/auth/vendor/reset-password
+ * @desc    Set a new vendor password with a reset token
+ * @access  Public
+ */
+router.post('/vendor/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Reset token and new password are required'
+        }
+      });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Password must be at least 8 characters with uppercase, lowercase, and number'
+        }
+      });
+    }
+
+    await resetPassword('vendor', token, password);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Vendor reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -986,5 +1173,173 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access and refresh token
+ * @access  Public
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Refresh token is required'
+        }
+      });
+    }
+
+    const tokens = await refreshSession(refreshToken, getClientInfo(req));
+
+    res.json({
+      success: true,
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out of the current session
+ * @access  Private
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out of every session, optionally keeping the current one
+ * @access  Private
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const keepCurrent = req.body.keepCurrent === true;
+
+    const revoked = await revokeAllSessions(req.user.role, req.user.id, 'logout_all', {
+      exceptSessionId: keepCurrent ? req.user.sessionId : null
+    });
+
+    res.json({
+      success: true,
+      message: keepCurrent ? 'Logged out of all other sessions' : 'Logged out of all sessions',
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the active sessions of the current user
+ * @access  Private
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.role, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.user.sessionId))
+      }
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.role, req.user.id);
+    const session = sessions.find(active => active.id === req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Session not found'
+        }
+      });
+    }
+
+    await revokeSession(session.id, 'revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 module.exports = router;
 
@@ -1,9 +1,58 @@
 const express = require('express');
 const { supabaseAdmin } = require('../config/supabase');
 const { authenticateToken, protect, requireRole, requireVerification } = require('../middleware/auth');
+const {
+  MAX_CART_QUANTITY,
+  isValidQuantity,
+  getUnavailableReason,
+  describeUnavailableReason,
+  fetchCartProduct,
+  fetchCartVariant,
+  matchVariant,
+  fetchCartItems,
+  buildCartSummary
+} = require('../utils/cart');
+const { sanitizeString, validateShippingAddress, sanitizeShippingAddress } = require('../utils/validation');
+const {
+  CUSTOMER_CANCELLABLE_STATUSES,
+  OrderTransitionError,
+  transitionOrderStatus,
+  fetchOrderTimeline
+} = require('../utils/orders');
+const {
+  ReturnRequestError,
+  validateReturnRequest,
+  fetchReturnRequest,
+  createReturnRequest,
+  escalateReturnRequest,
+  formatReturnRequest,
+  RETURN_REQUEST_FIELDS
+} = require('../utils/returns');
+const {
+  REVIEW_FIELDS,
+  ReviewError,
+  validateReview,
+  toReviewFields,
+  createReview,
+  updateReview,
+  fetchReview,
+  formatReview
+} = require('../utils/reviews');
+const emailService = require('../utils/email');
+const {
+  PaymentError,
+  getProvider,
+  getAvailablePaymentMethods,
+  initiateOrderPayment,
+  refreshPaymentStatus,
+  cancelOrder,
+  formatPayment
+} = require('../utils/payments');
 
 const router = express.Router();
 
+const MAX_PAGE_SIZE = 100;
+
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 router.use(requireRole(['customer']));
@@ -236,9 +285,11 @@ router.get('/orders/:orderId', protect, requireVerification, async (req, res) =>
       });
     }
 
+    const timeline = await fetchOrderTimeline(order.id);
+
     res.json({
       success: true,
-      data: { order }
+      data: { order, timeline }
     });
 
   } catch (error) {
@@ -253,40 +304,101 @@ router.get('/orders/:orderId', protect, requireVerification, async (req, res) =>
 });
 
 /**
- * @route   GET /api/customer/wishlist
- * @desc    Get customer wishlist
+ * @route   POST /api/customer/orders/:orderId/cancel
+ * @desc    Cancel an order that has not shipped yet, restoring stock and
+ *          refunding the payment when the order was paid
  * @access  Private
  */
-router.get('/wishlist', protect, requireVerification, async (req, res) => {
+router.post('/orders/:orderId/cancel', protect, requireVerification, async (req, res) => {
   try {
     const { id } = req.user;
+    const { orderId } = req.params;
+    const { reason } = req.body;
 
-    const { data: wishlist, error } = await supabaseAdmin
-      .from('wishlist')
+    const { data: existingOrder, error: checkError } = await supabaseAdmin
+      .from('orders')
       .select(`
-        *,
-        product:products (*)
+        id, status, payment_status,
+        vendor:vendors (business_name, business_email),
+        order_items (
+          quantity, sku, variant_options,
+          product:products (name)
+        )
       `)
+      .eq('id', orderId)
       .eq('customer_id', id)
-      .order('created_at', { ascending: false });
+      .single();
 
-    if (error) {
-      console.error('Error fetching wishlist:', error);
-      return res.status(500).json({
+    if (checkError || !existingOrder) {
+      return res.status(404).json({
         success: false,
         error: {
-          message: 'Failed to fetch wishlist'
+          message: 'Order not found'
+        }
+      });
+    }
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(existingOrder.status)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Orders that are ${existingOrder.status} can no longer be cancelled`
         }
       });
     }
 
+    const { order, refund } = await cancelOrder(existingOrder, {
+      actorType: 'customer',
+      actorId: id,
+      note: reason,
+      refundReason: 'Order cancelled by customer'
+    });
+
+    const vendor = existingOrder.vendor;
+    if (vendor?.business_email) {
+      try {
+        await emailService.sendOrderCancelledEmail(vendor.business_email, vendor.business_name, {
+          orderId: order.id,
+          items: (existingOrder.order_items || []).map(item => ({
+            name: item.variant_options
+              ? `${item.product?.name || 'Product'} (${Object.values(item.variant_options).join(' / ')}, SKU ${item.sku})`
+              : item.product?.name || 'Product',
+            quantity: item.quantity
+          })),
+          reason: reason ? sanitizeString(String(reason)) : null,
+          refundStatus: refund?.status || null
+        });
+      } catch (emailError) {
+        console.error('Failed to notify vendor of cancellation:', emailError);
+      }
+    }
+
     res.json({
       success: true,
-      data: { wishlist }
+      message: refund?.status === 'refund_pending'
+        ? 'Order cancelled. Your refund will be processed shortly.'
+        : 'Order cancelled successfully',
+      data: {
+        order,
+        refund: refund && {
+          status: refund.status,
+          payment: formatPayment(refund.payment)
+        },
+        timeline: await fetchOrderTimeline(order.id)
+      }
     });
 
   } catch (error) {
-    console.error('Get wishlist error:', error);
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Cancel order error:', error);
     res.status(500).json({
       success: false,
       error: {
@@ -297,69 +409,176 @@ router.get('/wishlist', protect, requireVerification, async (req, res) => {
 });
 
 /**
- * @route   POST /api/customer/wishlist
- * @desc    Add item to wishlist
+ * @route   POST /api/customer/orders/:orderId/confirm-receipt
+ * @desc    Confirm a delivered order was received, completing it
  * @access  Private
  */
-router.post('/wishlist', protect, requireVerification, async (req, res) => {
+router.post('/orders/:orderId/confirm-receipt', protect, requireVerification, async (req, res) => {
   try {
     const { id } = req.user;
-    const { productId } = req.body;
+    const { orderId } = req.params;
 
-    if (!productId) {
+    const { data: existingOrder, error: checkError } = await supabaseAdmin
+      .from('orders')
+      .select('id, status')
+      .eq('id', orderId)
+      .eq('customer_id', id)
+      .single();
+
+    if (checkError || !existingOrder) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Order not found'
+        }
+      });
+    }
+
+    const order = await transitionOrderStatus(existingOrder, 'completed', {
+      actorType: 'customer',
+      actorId: id,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: 'Order completed',
+      data: {
+        order,
+        timeline: await fetchOrderTimeline(order.id)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Confirm order receipt error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/customer/orders/:orderId/returns
+ * @desc    Request the return of an item of a delivered order
+ * @access  Private
+ */
+router.post('/orders/:orderId/returns', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { orderId } = req.params;
+    const data = {
+      orderItemId: req.body.orderItemId,
+      quantity: req.body.quantity === undefined ? 1 : Number(req.body.quantity),
+      reason: req.body.reason,
+      photos: req.body.photos
+    };
+
+    const validation = validateReturnRequest(data);
+    if (!validation.isValid) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Product ID is required'
+          message: 'Validation failed',
+          details: validation.errors
         }
       });
     }
 
-    // Check if item already exists in wishlist
-    const { data: existingItem } = await supabaseAdmin
-      .from('wishlist')
-      .select('id')
-      .eq('customer_id', id)
-      .eq('product_id', productId)
-      .single();
+    const returnRequest = await createReturnRequest(id, orderId, data);
 
-    if (existingItem) {
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted. The vendor will review it shortly.',
+      data: { returnRequest: formatReturnRequest(returnRequest) }
+    });
+
+  } catch (error) {
+    if (error instanceof ReturnRequestError || error instanceof PaymentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Create return request error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/customer/returns
+ * @desc    Get customer return requests
+ * @access  Private
+ */
+router.get('/returns', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageNumber = parseInt(page);
+    const pageSize = Math.min(parseInt(limit), MAX_PAGE_SIZE);
+
+    if (!pageNumber || pageNumber < 1 || !pageSize || pageSize < 1) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Item already in wishlist'
+          message: 'Page and limit must be positive integers'
         }
       });
     }
 
-    const { data: wishlistItem, error } = await supabaseAdmin
-      .from('wishlist')
-      .insert([{
-        customer_id: id,
-        product_id: productId,
-        created_at: new Date().toISOString()
-      }])
-      .select()
-      .single();
+    const offset = (pageNumber - 1) * pageSize;
+
+    const { data: returnRequests, error } = await supabaseAdmin
+      .from('return_requests')
+      .select(RETURN_REQUEST_FIELDS)
+      .eq('customer_id', id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
 
     if (error) {
-      console.error('Error adding to wishlist:', error);
+      console.error('Error fetching return requests:', error);
       return res.status(500).json({
         success: false,
         error: {
-          message: 'Failed to add item to wishlist'
+          message: 'Failed to fetch return requests'
         }
       });
     }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Item added to wishlist',
-      data: { wishlistItem }
+      data: {
+        returnRequests: returnRequests.map(formatReturnRequest),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total: returnRequests.length
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Add to wishlist error:', error);
+    console.error('Get return requests error:', error);
     res.status(500).json({
       success: false,
       error: {
@@ -370,38 +589,1051 @@ router.post('/wishlist', protect, requireVerification, async (req, res) => {
 });
 
 /**
- * @route   DELETE /api/customer/wishlist/:productId
- * @desc    Remove item from wishlist
+ * @route   GET /api/customer/returns/:returnId
+ * @desc    Get a return request
  * @access  Private
  */
-router.delete('/wishlist/:productId', protect, requireVerification, async (req, res) => {
+router.get('/returns/:returnId', protect, requireVerification, async (req, res) => {
   try {
-    const { id } = req.user;
-    const { productId } = req.params;
+    const returnRequest = await fetchReturnRequest(req.params.returnId, { customerId: req.user.id });
 
-    const { error } = await supabaseAdmin
-      .from('wishlist')
-      .delete()
-      .eq('customer_id', id)
-      .eq('product_id', productId);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Return request not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { returnRequest: formatReturnRequest(returnRequest) }
+    });
+
+  } catch (error) {
+    console.error('Get return request error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/customer/returns/:returnId/escalate
+ * @desc    Escalate a return request to the marketplace team
+ * @access  Private
+ */
+router.post('/returns/:returnId/escalate', protect, requireVerification, async (req, res) => {
+  try {
+    const existing = await fetchReturnRequest(req.params.returnId, { customerId: req.user.id });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Return request not found'
+        }
+      });
+    }
+
+    const returnRequest = await escalateReturnRequest(existing, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Return request escalated. Our team will review it.',
+      data: { returnRequest: formatReturnRequest(returnRequest) }
+    });
+
+  } catch (error) {
+    if (error instanceof ReturnRequestError || error instanceof PaymentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Escalate return request error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/customer/reviews
+ * @desc    Get the customer's reviews
+ * @access  Private
+ */
+router.get('/reviews', protect, requireVerification, async (req, res) => {
+  try {
+    const { data: reviews, error } = await supabaseAdmin
+      .from('reviews')
+      .select(REVIEW_FIELDS)
+      .eq('customer_id', req.user.id)
+      .order('created_at', { ascending: false });
 
     if (error) {
-      console.error('Error removing from wishlist:', error);
+      console.error('Error fetching reviews:', error);
       return res.status(500).json({
         success: false,
         error: {
-          message: 'Failed to remove item from wishlist'
+          message: 'Failed to fetch reviews'
         }
       });
     }
 
     res.json({
       success: true,
-      message: 'Item removed from wishlist'
+      data: { reviews: reviews.map(review => formatReview(review, { moderation: true })) }
     });
 
   } catch (error) {
-    console.error('Remove from wishlist error:', error);
+    console.error('Get customer reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/customer/reviews
+ * @desc    Review a product of a delivered order item
+ * @access  Private
+ */
+router.post('/reviews', protect, requireVerification, async (req, res) => {
+  try {
+    const { orderItemId, rating, title, body, photos } = req.body;
+    const data = { orderItemId, rating: Number(rating), title, body, photos };
+
+    if (!orderItemId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Order item ID is required'
+        }
+      });
+    }
+
+    const validation = validateReview(data);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: validation.errors
+        }
+      });
+    }
+
+    const review = await createReview(req.user.id, data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you for your review',
+      data: { review: formatReview(review, { moderation: true }) }
+    });
+
+  } catch (error) {
+    if (error instanceof ReviewError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/customer/reviews/:reviewId
+ * @desc    Edit own review
+ * @access  Private
+ */
+router.put('/reviews/:reviewId', protect, requireVerification, async (req, res) => {
+  try {
+    const { rating, title, body, photos } = req.body;
+    const data = { rating: rating === undefined ? undefined : Number(rating), title, body, photos };
+
+    const validation = validateReview(data, { partial: true });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: validation.errors
+        }
+      });
+    }
+
+    const existing = await fetchReview(req.params.reviewId, { customerId: req.user.id });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Review not found'
+        }
+      });
+    }
+
+    const review = await updateReview(existing.id, toReviewFields(data));
+
+    res.json({
+      success: true,
+      message: 'Review updated',
+      data: { review: formatReview(review, { moderation: true }) }
+    });
+
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/customer/reviews/:reviewId
+ * @desc    Delete own review
+ * @access  Private
+ */
+router.delete('/reviews/:reviewId', protect, requireVerification, async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('reviews')
+      .delete()
+      .eq('id', req.params.reviewId)
+      .eq('customer_id', req.user.id);
+
+    if (error) {
+      console.error('Error deleting review:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to delete review'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/customer/wishlist
+ * @desc    Get customer wishlist
+ * @access  Private
+ */
+router.get('/wishlist', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+
+    const { data: wishlist, error } = await supabaseAdmin
+      .from('wishlist')
+      .select(`
+        *,
+        product:products (*)
+      `)
+      .eq('customer_id', id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching wishlist:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch wishlist'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { wishlist }
+    });
+
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/customer/wishlist
+ * @desc    Add item to wishlist
+ * @access  Private
+ */
+router.post('/wishlist', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { productId } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Product ID is required'
+        }
+      });
+    }
+
+    // Check if item already exists in wishlist
+    const { data: existingItem } = await supabaseAdmin
+      .from('wishlist')
+      .select('id')
+      .eq('customer_id', id)
+      .eq('product_id', productId)
+      .single();
+
+    if (existingItem) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Item already in wishlist'
+        }
+      });
+    }
+
+    const { data: wishlistItem, error } = await supabaseAdmin
+      .from('wishlist')
+      .insert([{
+        customer_id: id,
+        product_id: productId,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error adding to wishlist:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to add item to wishlist'
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added to wishlist',
+      data: { wishlistItem }
+    });
+
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/customer/wishlist/:productId
+ * @desc    Remove item from wishlist
+ * @access  Private
+ */
+router.delete('/wishlist/:productId', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { productId } = req.params;
+
+    const { error } = await supabaseAdmin
+      .from('wishlist')
+      .delete()
+      .eq('customer_id', id)
+      .eq('product_id', productId);
+
+    if (error) {
+      console.error('Error removing from wishlist:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to remove item from wishlist'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Item removed from wishlist'
+    });
+
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/customer/cart
+ * @desc    Get cart grouped by vendor, with unavailable items reported
+ * @access  Private
+ */
+router.get('/cart', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+
+    const items = await fetchCartItems(id);
+
+    res.json({
+      success: true,
+      data: { cart: buildCartSummary(items) }
+    });
+
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/customer/cart
+ * @desc    Add item to cart (adds to the quantity if already present; `variantId` for products with variants)
+ * @access  Private
+ */
+router.post('/cart', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { productId, variantId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Product ID is required'
+        }
+      });
+    }
+
+    if (!isValidQuantity(quantity)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Quantity must be a whole number between 1 and ${MAX_CART_QUANTITY}`
+        }
+      });
+    }
+
+    const { data: existingItem } = await matchVariant(
+      supabaseAdmin
+        .from('cart')
+        .select('id, quantity')
+        .eq('customer_id', id)
+        .eq('product_id', productId),
+      variantId
+    ).maybeSingle();
+
+    const newQuantity = (existingItem?.quantity || 0) + quantity;
+
+    if (newQuantity > MAX_CART_QUANTITY) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `You can add at most ${MAX_CART_QUANTITY} of a product to your cart`
+        }
+      });
+    }
+
+    const product = await fetchCartProduct(productId);
+    const variant = product && variantId ? await fetchCartVariant(productId, variantId) : null;
+
+    if (variantId && product && !variant) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Variant not found'
+        }
+      });
+    }
+
+    const reason = getUnavailableReason(product, newQuantity, variant);
+
+    if (reason) {
+      return res.status(reason === 'removed' ? 404 : 400).json({
+        success: false,
+        error: {
+          message: describeUnavailableReason(reason, product, variant),
+          reason
+        }
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('cart')
+      .upsert({
+        customer_id: id,
+        product_id: productId,
+        variant_id: variant?.id || null,
+        quantity: newQuantity,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'customer_id,product_id,variant_id' });
+
+    if (error) {
+      console.error('Error adding to cart:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to add item to cart'
+        }
+      });
+    }
+
+    const items = await fetchCartItems(id);
+
+    res.status(existingItem ? 200 : 201).json({
+      success: true,
+      message: 'Item added to cart',
+      data: { cart: buildCartSummary(items) }
+    });
+
+  } catch (error) {
+    console.error('Add to cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/customer/cart/:productId
+ * @desc    Set the quantity of a cart item (`variantId` for a variant)
+ * @access  Private
+ */
+router.put('/cart/:productId', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { productId } = req.params;
+    const { variantId } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!isValidQuantity(quantity)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Quantity must be a whole number between 1 and ${MAX_CART_QUANTITY}`
+        }
+      });
+    }
+
+    const { data: existingItem } = await matchVariant(
+      supabaseAdmin
+        .from('cart')
+        .select('id, variant_id')
+        .eq('customer_id', id)
+        .eq('product_id', productId),
+      variantId
+    ).maybeSingle();
+
+    if (!existingItem) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Item not found in cart'
+        }
+      });
+    }
+
+    const product = await fetchCartProduct(productId);
+    const variant = product && existingItem.variant_id ? await fetchCartVariant(productId, existingItem.variant_id) : null;
+    const reason = getUnavailableReason(product, quantity, variant);
+
+    if (reason) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: describeUnavailableReason(reason, product, variant),
+          reason
+        }
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('cart')
+      .update({
+        quantity,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', existingItem.id);
+
+    if (error) {
+      console.error('Error updating cart item:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to update cart item'
+        }
+      });
+    }
+
+    const items = await fetchCartItems(id);
+
+    res.json({
+      success: true,
+      message: 'Cart updated',
+      data: { cart: buildCartSummary(items) }
+    });
+
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/customer/cart/:productId
+ * @desc    Remove item from cart (one variant with `?variantId=`, else every line of the product)
+ * @access  Private
+ */
+router.delete('/cart/:productId', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { productId } = req.params;
+    const { variantId } = req.query;
+
+    let query = supabaseAdmin
+      .from('cart')
+      .delete()
+      .eq('customer_id', id)
+      .eq('product_id', productId);
+
+    if (variantId) {
+      query = query.eq('variant_id', variantId);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      console.error('Error removing from cart:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to remove item from cart'
+        }
+      });
+    }
+
+    const items = await fetchCartItems(id);
+
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      data: { cart: buildCartSummary(items) }
+    });
+
+  } catch (error) {
+    console.error('Remove from cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/customer/cart
+ * @desc    Clear the cart
+ * @access  Private
+ */
+router.delete('/cart', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+
+    const { error } = await supabaseAdmin
+      .from('cart')
+      .delete()
+      .eq('customer_id', id);
+
+    if (error) {
+      console.error('Error clearing cart:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to clear cart'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+      data: { cart: buildCartSummary([]) }
+    });
+
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * Map checkout_cart() exceptions to HTTP responses
+ */
+const CHECKOUT_ERRORS = {
+  CART_EMPTY: { status: 400, message: 'Your cart is empty' },
+  PRODUCT_UNAVAILABLE: { status: 409, message: 'A product in your cart is no longer available' },
+  INSUFFICIENT_STOCK: { status: 409, message: 'A product in your cart does not have enough stock' }
+};
+
+/**
+ * @route   POST /api/customer/checkout
+ * @desc    Turn the cart into one order per vendor
+ * @access  Private
+ */
+router.post('/checkout', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { shippingAddress, paymentMethod, productIds } = req.body;
+
+    const addressValidation = validateShippingAddress(shippingAddress);
+    if (!addressValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: addressValidation.errors
+        }
+      });
+    }
+
+    if (paymentMethod && !getProvider(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Payment method "${paymentMethod}" is not available`
+        }
+      });
+    }
+
+    if (productIds !== undefined && (!Array.isArray(productIds) || productIds.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'productIds must be a non-empty array when provided'
+        }
+      });
+    }
+
+    // Report problems up front so the customer can fix the cart
+    const items = (await fetchCartItems(id))
+      .filter(item => !productIds || productIds.includes(item.product_id));
+    const cart = buildCartSummary(items);
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: CHECKOUT_ERRORS.CART_EMPTY.message
+        }
+      });
+    }
+
+    if (cart.issues.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Some items in your cart cannot be purchased',
+          issues: cart.issues
+        }
+      });
+    }
+
+    // Stock is checked again under row locks by the database function
+    const { data: result, error } = await supabaseAdmin.rpc('checkout_cart', {
+      p_customer_id: id,
+      p_shipping_address: sanitizeShippingAddress(shippingAddress),
+      p_payment_method: paymentMethod || null,
+      p_product_ids: productIds || null
+    });
+
+    if (error) {
+      const [code, productId] = (error.message || '').split(':');
+      const known = CHECKOUT_ERRORS[code];
+
+      if (known) {
+        return res.status(known.status).json({
+          success: false,
+          error: {
+            message: known.message,
+            ...(productId && { productId })
+          }
+        });
+      }
+
+      console.error('Error during checkout:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to place order'
+        }
+      });
+    }
+
+    const { data: orders, error: ordersError } = await supabaseAdmin
+      .from('orders')
+      .select(`
+        *,
+        order_items (
+          *,
+          product:products (id, name, images)
+        )
+      `)
+      .in('id', result.order_ids)
+      .order('created_at', { ascending: true });
+
+    if (ordersError) {
+      console.error('Error fetching placed orders:', ordersError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: {
+        checkoutId: result.checkout_id,
+        orders: orders || [],
+        total: cart.total
+      }
+    });
+
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/customer/payment-methods
+ * @desc    List the payment methods currently available
+ * @access  Private
+ */
+router.get('/payment-methods', protect, (req, res) => {
+  res.json({
+    success: true,
+    data: { paymentMethods: getAvailablePaymentMethods() }
+  });
+});
+
+/**
+ * @route   POST /api/customer/orders/:orderId/pay
+ * @desc    Start paying an order
+ * @access  Private
+ */
+router.post('/orders/:orderId/pay', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { orderId } = req.params;
+    const { method, phoneNumber } = req.body;
+
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Payment method is required'
+        }
+      });
+    }
+
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .select('id, total_amount, status, payment_status')
+      .eq('id', orderId)
+      .eq('customer_id', id)
+      .single();
+
+    if (error || !order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Order not found'
+        }
+      });
+    }
+
+    if (order.payment_status === 'paid') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Order has already been paid'
+        }
+      });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Cancelled orders cannot be paid'
+        }
+      });
+    }
+
+    const payment = await initiateOrderPayment(order, {
+      method,
+      phoneNumber,
+      customer: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: payment.redirect_url
+        ? 'Complete the payment on the provider page'
+        : 'Payment initiated. Confirm it on your phone if prompted.',
+      data: { payment: formatPayment(payment) }
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Initiate payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/customer/orders/:orderId/payment
+ * @desc    Get the latest payment of an order, refreshed from the provider
+ * @access  Private
+ */
+router.get('/orders/:orderId/payment', protect, requireVerification, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { orderId } = req.params;
+
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .select('id')
+      .eq('id', orderId)
+      .eq('customer_id', id)
+      .single();
+
+    if (error || !order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Order not found'
+        }
+      });
+    }
+
+    const { data: latestPayment } = await supabaseAdmin
+      .from('payments')
+      .select('*')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (!latestPayment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'No payment found for this order'
+        }
+      });
+    }
+
+    let payment = latestPayment;
+    try {
+      payment = await refreshPaymentStatus(latestPayment);
+    } catch (refreshError) {
+      // Fall back to the last known status when the provider is unavailable
+      console.error('Error refreshing payment status:', refreshError);
+    }
+
+    res.json({
+      success: true,
+      data: { payment: formatPayment(payment) }
+    });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
     res.status(500).json({
       success: false,
       error: {
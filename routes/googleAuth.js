@@ -1,32 +1,79 @@
 const express = require('express');
 const passport = require('passport');
-const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
 
-const { supabaseAdmin } = require('../config/supabase');
-const emailService = require('../utils/email');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { mergeGuestCart } = require('../utils/cart');
+const { getClientInfo, createSession } = require('../utils/sessions');
+const { startTwoFactorLogin } = require('../utils/twoFactor');
+const { GoogleTokenError, verifyGoogleIdToken } = require('../utils/googleIdToken');
+const {
+  GoogleSignInError,
+  profileFromPassport,
+  resolveSignInRole,
+  signInWithGoogle,
+  linkGoogleIdentity,
+  unlinkGoogleIdentity,
+  createLoginCode,
+  redeemLoginCode,
+  listIdentities,
+  formatIdentity
+} = require('../utils/googleAuth');
 
 const router = express.Router();
 
+// The role and guest cart token are round-tripped through the OAuth state
+const encodeState = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+const decodeState = (state) => {
+  try {
+    return JSON.parse(Buffer.from(String(state || ''), 'base64url').toString('utf8')) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
 /**
- * Generate JWT token
+ * Public view of a customer or vendor signed in with Google
  */
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { userId, role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
-};
+const formatGoogleUser = (role, account) => (role === 'vendor'
+  ? {
+    id: account.id,
+    businessName: account.business_name,
+    businessEmail: account.business_email,
+    role: account.role,
+    verified: account.verified,
+    approved: account.approved,
+    createdAt: account.created_at
+  }
+  : {
+    id: account.id,
+    firstName: account.first_name,
+    lastName: account.last_name,
+    email: account.email,
+    profilePhoto: account.profile_photo,
+    role: account.role,
+    verified: account.verified,
+    createdAt: account.created_at
+  });
 
 /**
  * @route   GET /api/auth/google
- * @desc    Google OAuth login
+ * @desc    Google OAuth login (`role=vendor` to sign in as a vendor)
  * @access  Public
  */
-router.get('/google', passport.authenticate('google', {
-  scope: ['profile', 'email']
-}));
+router.get('/google', (req, res, next) => {
+  let role;
+  try {
+    role = resolveSignInRole(req.query.role);
+  } catch (error) {
+    return res.redirect(`${process.env.FRONTEND_URL}/login?error=${error.reason}`);
+  }
+
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    state: encodeState({ role, cartToken: req.query.cartToken || undefined })
+  })(req, res, next);
+});
 
 /**
  * @route   GET /api/auth/google/callback
@@ -36,104 +83,116 @@ router.get('/google', passport.authenticate('google', {
 router.get('/google/callback', 
   passport.authenticate('google', { session: false }),
   async (req, res) => {
-    try {
-      const { id, displayName, emails, photos } = req.user;
-      const email = emails[0].value;
-      const photo = photos[0]?.value || null;
-
-      // Check if customer already exists
-      const { data: existingCustomer } = await supabaseAdmin
-        .from('customers')
-        .select('*')
-        .eq('email', email.toLowerCase())
-        .single();
-
-      let customer;
-      let isNewUser = false;
-
-      if (existingCustomer) {
-        // Update existing customer
-        const { data: updatedCustomer, error } = await supabaseAdmin
-          .from('customers')
-          .update({
-            google_id: id,
-            profile_photo: photo,
-            last_login: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', existingCustomer.id)
-          .select()
-          .single();
-
-        if (error) {
-          console.error('Error updating customer:', error);
-          return res.redirect(`${process.env.FRONTEND_URL}/login?error=update_failed`);
-        }
+    const { role, cartToken } = decodeState(req.query.state);
+    const loginUrl = `${process.env.FRONTEND_URL}/${role === 'vendor' ? 'vendor/' : ''}login`;
 
-        customer = updatedCustomer;
-      } else {
-        // Create new customer
-        const nameParts = displayName.split(' ');
-        const firstName = nameParts[0] || '';
-        const lastName = nameParts.slice(1).join(' ') || '';
-
-        const customerData = {
-          id: uuidv4(),
-          first_name: firstName,
-          last_name: lastName,
-          email: email.toLowerCase(),
-          google_id: id,
-          profile_photo: photo,
-          role: 'customer',
-          verified: true, // Google accounts are pre-verified
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        };
-
-        const { data: newCustomer, error } = await supabaseAdmin
-          .from('customers')
-          .insert([customerData])
-          .select()
-          .single();
-
-        if (error) {
-          console.error('Error creating customer:', error);
-          return res.redirect(`${process.env.FRONTEND_URL}/login?error=creation_failed`);
+    try {
+      const signInRole = resolveSignInRole(role);
+      const { account, isNewUser } = await signInWithGoogle(profileFromPassport(req.user), signInRole);
+
+      // Vendors with two-factor authentication finish on the 2FA screen
+      if (signInRole === 'vendor') {
+        const twoFactorChallenge = await startTwoFactorLogin('vendor', account.id);
+        if (twoFactorChallenge) {
+          const twoFactorParams = twoFactorChallenge.twoFactorRequired ? 'twoFactorRequired=true' : 'twoFactorSetupRequired=true';
+          return res.redirect(`${process.env.FRONTEND_URL}/auth/callback?role=vendor&challengeToken=${twoFactorChallenge.challengeToken}&${twoFactorParams}`);
         }
+      }
 
-        customer = newCustomer;
-        isNewUser = true;
-
-        // Send welcome email for new users
+      // Merge the guest cart passed through the OAuth state
+      let cartParams = '';
+      if (signInRole === 'customer' && cartToken) {
         try {
-          await emailService.sendWelcomeEmail(email, displayName, 'customer');
-        } catch (emailError) {
-          console.error('Error sending welcome email:', emailError);
+          const cartMerge = await mergeGuestCart(account.id, cartToken);
+          if (cartMerge) {
+            cartParams = `&cartMerged=true&cartIssues=${cartMerge.issues.length}`;
+          }
+        } catch (mergeError) {
+          console.error('Error merging guest cart:', mergeError);
         }
       }
 
-      // Generate token
-      const token = generateToken(customer.id, 'customer');
-
-      // Redirect to frontend with token
-      const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?token=${token}&isNewUser=${isNewUser}`;
+      // Tokens never go in the URL: the frontend posts the code to /google/exchange
+      const code = await createLoginCode(signInRole, account.id, { isNewUser });
+      const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?role=${signInRole}&code=${code}&isNewUser=${isNewUser}${cartParams}`;
       res.redirect(redirectUrl);
 
     } catch (error) {
+      if (error instanceof GoogleSignInError) {
+        return res.redirect(`${loginUrl}?error=${error.reason}`);
+      }
+
       console.error('Google OAuth callback error:', error);
-      res.redirect(`${process.env.FRONTEND_URL}/login?error=oauth_failed`);
+      res.redirect(`${loginUrl}?error=oauth_failed`);
     }
   }
 );
 
+/**
+ * @route   POST /api/auth/google/exchange
+ * @desc    Exchange the one-time code of the OAuth redirect for a session
+ * @access  Public
+ */
+router.post('/google/exchange', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Code is required'
+        }
+      });
+    }
+
+    const { userType, account, isNewUser } = await redeemLoginCode(code);
+
+    // Open a session
+    const { token, refreshToken, expiresIn } = await createSession(userType, account.id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: isNewUser ? 'Account created successfully' : 'Login successful',
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+        user: formatGoogleUser(userType, account),
+        isNewUser
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof GoogleSignInError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.reason
+        }
+      });
+    }
+
+    console.error('Google code exchange error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 /**
  * @route   POST /api/auth/google/verify-token
- * @desc    Verify Google OAuth token (for mobile apps)
+ * @desc    Sign in with a Google ID token (for mobile apps and Google Identity Services);
+ *          `role: 'vendor'` signs in as a vendor
  * @access  Public
  */
 router.post('/google/verify-token', async (req, res) => {
   try {
-    const { token } = req.body;
+    const { token, role, cartToken } = req.body;
 
     if (!token) {
       return res.status(400).json({
@@ -144,92 +203,63 @@ router.post('/google/verify-token', async (req, res) => {
       });
     }
 
-    // Verify Google token (you would use Google's API to verify the token)
-    // For now, we'll assume the token is valid and contains user info
-    // In production, you should verify the token with Google's API
-
-    // This is a simplified version - in production, verify with Google
-    const userInfo = {
-      id: 'google_user_id',
-      email: 'user@example.com',
-      name: 'User Name',
-      picture: 'profile_picture_url'
-    };
-
-    // Check if customer exists
-    const { data: existingCustomer } = await supabaseAdmin
-      .from('customers')
-      .select('*')
-      .eq('email', userInfo.email.toLowerCase())
-      .single();
-
-    let customer;
-    let isNewUser = false;
-
-    if (existingCustomer) {
-      customer = existingCustomer;
-    } else {
-      // Create new customer
-      const nameParts = userInfo.name.split(' ');
-      const firstName = nameParts[0] || '';
-      const lastName = nameParts.slice(1).join(' ') || '';
-
-      const customerData = {
-        id: uuidv4(),
-        first_name: firstName,
-        last_name: lastName,
-        email: userInfo.email.toLowerCase(),
-        google_id: userInfo.id,
-        profile_photo: userInfo.picture,
-        role: 'customer',
-        verified: true,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-
-      const { data: newCustomer, error } = await supabaseAdmin
-        .from('customers')
-        .insert([customerData])
-        .select()
-        .single();
-
-      if (error) {
-        console.error('Error creating customer:', error);
-        return res.status(500).json({
-          success: false,
-          error: {
-            message: 'Failed to create customer account'
-          }
+    const signInRole = resolveSignInRole(role);
+
+    // Check the signature, audience, issuer and expiry of the ID token
+    const profile = await verifyGoogleIdToken(token);
+    const { account, isNewUser } = await signInWithGoogle(profile, signInRole);
+
+    // Vendors with two-factor authentication get a challenge instead of a token
+    if (signInRole === 'vendor') {
+      const twoFactorChallenge = await startTwoFactorLogin('vendor', account.id);
+      if (twoFactorChallenge) {
+        return res.json({
+          success: true,
+          message: twoFactorChallenge.twoFactorRequired
+            ? 'Enter the code from your authenticator app'
+            : 'Two-factor authentication is required for your account. Please set it up to continue.',
+          data: twoFactorChallenge
         });
       }
-
-      customer = newCustomer;
-      isNewUser = true;
     }
 
-    // Generate JWT token
-    const jwtToken = generateToken(customer.id, 'customer');
+    // Open a session
+    const { token: jwtToken, refreshToken, expiresIn } = await createSession(signInRole, account.id, getClientInfo(req));
+
+    // Merge the guest cart into the customer's cart
+    let cartMerge = null;
+    if (signInRole === 'customer' && cartToken) {
+      try {
+        cartMerge = await mergeGuestCart(account.id, cartToken);
+      } catch (mergeError) {
+        console.error('Error merging guest cart:', mergeError);
+      }
+    }
 
     res.json({
       success: true,
       message: isNewUser ? 'Account created successfully' : 'Login successful',
       data: {
         token: jwtToken,
-        user: {
-          id: customer.id,
-          firstName: customer.first_name,
-          lastName: customer.last_name,
-          email: customer.email,
-          profilePhoto: customer.profile_photo,
-          role: customer.role,
-          verified: customer.verified,
-          createdAt: customer.created_at
-        },
+        refreshToken,
+        expiresIn,
+        cartMerge,
+        user: formatGoogleUser(signInRole, account),
         isNewUser
       }
     });
 
   } catch (error) {
+    if (error instanceof GoogleTokenError || error instanceof GoogleSignInError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message,
+          ...(error.reason && { code: error.reason })
+        }
+      });
+    }
+
     console.error('Google token verification error:', error);
     res.status(500).json({
       success: false,
@@ -240,5 +270,128 @@ router.post('/google/verify-token', async (req, res) => {
   }
 });
 
-module.exports = router;
+/**
+ * @route   GET /api/auth/identities
+ * @desc    List the external accounts (e.g. Google) linked to the current account
+ * @access  Private (Customer or Vendor)
+ */
+router.get('/identities', authenticateToken, requireRole(['customer', 'vendor']), async (req, res) => {
+  try {
+    const identities = await listIdentities(req.user.role, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        identities: identities.map(formatIdentity),
+        hasPassword: Boolean(req.user.password)
+      }
+    });
+
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/google/link
+ * @desc    Link a Google account (ID token) to the current account; requires the password
+ * @access  Private (Customer or Vendor)
+ */
+router.post('/google/link', authenticateToken, requireRole(['customer', 'vendor']), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Google token and password are required'
+        }
+      });
+    }
+
+    const profile = await verifyGoogleIdToken(token);
+    const identity = await linkGoogleIdentity(req.user.role, req.user.id, profile, password);
+
+    res.json({
+      success: true,
+      message: 'Google account linked. You can now sign in with Google.',
+      data: {
+        identity: formatIdentity(identity)
+      }
+    });
 
+  } catch (error) {
+    if (error instanceof GoogleTokenError || error instanceof GoogleSignInError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message,
+          ...(error.reason && { code: error.reason })
+        }
+      });
+    }
+
+    console.error('Link Google account error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/google/link
+ * @desc    Unlink the Google account of the current account; requires the password
+ * @access  Private (Customer or Vendor)
+ */
+router.delete('/google/link', authenticateToken, requireRole(['customer', 'vendor']), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Password is required'
+        }
+      });
+    }
+
+    await unlinkGoogleIdentity(req.user.role, req.user.id, password);
+
+    res.json({
+      success: true,
+      message: 'Google account unlinked'
+    });
+
+  } catch (error) {
+    if (error instanceof GoogleSignInError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.reason
+        }
+      });
+    }
+
+    console.error('Unlink Google account error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,380 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const {
+  MAX_CART_QUANTITY,
+  isValidQuantity,
+  getUnavailableReason,
+  describeUnavailableReason,
+  fetchCartProduct,
+  fetchCartVariant,
+  matchVariant,
+  fetchGuestCartItems,
+  generateCartToken,
+  verifyCartToken,
+  createGuestCart,
+  buildCartSummary
+} = require('../utils/cart');
+
+const router = express.Router();
+
+/**
+ * Read the guest cart token sent by the client
+ */
+const getCartToken = (req) => {
+  return req.headers['x-cart-token'] || null;
+};
+
+/**
+ * Middleware to require a valid guest cart token
+ */
+const requireGuestCart = (req, res, next) => {
+  const guestCartId = verifyCartToken(getCartToken(req));
+
+  if (!guestCartId) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Valid cart token required'
+      }
+    });
+  }
+
+  req.guestCartId = guestCartId;
+  next();
+};
+
+/**
+ * @route   GET /api/cart
+ * @desc    Get guest cart grouped by vendor, with unavailable items reported
+ * @access  Public (cart token)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const guestCartId = verifyCartToken(getCartToken(req));
+    const items = guestCartId ? await fetchGuestCartItems(guestCartId) : [];
+
+    res.json({
+      success: true,
+      data: { cart: buildCartSummary(items) }
+    });
+
+  } catch (error) {
+    console.error('Get guest cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cart
+ * @desc    Add item to guest cart, creating the cart when no token is sent (`variantId` for products with variants)
+ * @access  Public (cart token)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Product ID is required'
+        }
+      });
+    }
+
+    if (!isValidQuantity(quantity)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Quantity must be a whole number between 1 and ${MAX_CART_QUANTITY}`
+        }
+      });
+    }
+
+    let guestCartId = verifyCartToken(getCartToken(req));
+    let existingItem = null;
+
+    if (guestCartId) {
+      const { data } = await matchVariant(
+        supabaseAdmin
+          .from('guest_cart_items')
+          .select('id, quantity')
+          .eq('guest_cart_id', guestCartId)
+          .eq('product_id', productId),
+        variantId
+      ).maybeSingle();
+
+      existingItem = data;
+    }
+
+    const newQuantity = (existingItem?.quantity || 0) + quantity;
+
+    if (newQuantity > MAX_CART_QUANTITY) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `You can add at most ${MAX_CART_QUANTITY} of a product to your cart`
+        }
+      });
+    }
+
+    const product = await fetchCartProduct(productId);
+    const variant = product && variantId ? await fetchCartVariant(productId, variantId) : null;
+
+    if (variantId && product && !variant) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Variant not found'
+        }
+      });
+    }
+
+    const reason = getUnavailableReason(product, newQuantity, variant);
+
+    if (reason) {
+      return res.status(reason === 'removed' ? 404 : 400).json({
+        success: false,
+        error: {
+          message: describeUnavailableReason(reason, product, variant),
+          reason
+        }
+      });
+    }
+
+    if (!guestCartId) {
+      guestCartId = await createGuestCart();
+    }
+
+    const { error } = await supabaseAdmin
+      .from('guest_cart_items')
+      .upsert({
+        guest_cart_id: guestCartId,
+        product_id: productId,
+        variant_id: variant?.id || null,
+        quantity: newQuantity,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'guest_cart_id,product_id,variant_id' });
+
+    if (error) {
+      console.error('Error adding to guest cart:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to add item to cart'
+        }
+      });
+    }
+
+    const items = await fetchGuestCartItems(guestCartId);
+
+    res.status(existingItem ? 200 : 201).json({
+      success: true,
+      message: 'Item added to cart',
+      data: {
+        cartToken: generateCartToken(guestCartId),
+        cart: buildCartSummary(items)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add to guest cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/cart/:productId
+ * @desc    Set the quantity of a guest cart item (`variantId` for a variant)
+ * @access  Public (cart token)
+ */
+router.put('/:productId', requireGuestCart, async (req, res) => {
+  try {
+    const { guestCartId } = req;
+    const { productId } = req.params;
+    const { variantId } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!isValidQuantity(quantity)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Quantity must be a whole number between 1 and ${MAX_CART_QUANTITY}`
+        }
+      });
+    }
+
+    const { data: existingItem } = await matchVariant(
+      supabaseAdmin
+        .from('guest_cart_items')
+        .select('id, variant_id')
+        .eq('guest_cart_id', guestCartId)
+        .eq('product_id', productId),
+      variantId
+    ).maybeSingle();
+
+    if (!existingItem) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Item not found in cart'
+        }
+      });
+    }
+
+    const product = await fetchCartProduct(productId);
+    const variant = product && existingItem.variant_id ? await fetchCartVariant(productId, existingItem.variant_id) : null;
+    const reason = getUnavailableReason(product, quantity, variant);
+
+    if (reason) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: describeUnavailableReason(reason, product, variant),
+          reason
+        }
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('guest_cart_items')
+      .update({
+        quantity,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', existingItem.id);
+
+    if (error) {
+      console.error('Error updating guest cart item:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to update cart item'
+        }
+      });
+    }
+
+    const items = await fetchGuestCartItems(guestCartId);
+
+    res.json({
+      success: true,
+      message: 'Cart updated',
+      data: { cart: buildCartSummary(items) }
+    });
+
+  } catch (error) {
+    console.error('Update guest cart item error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/cart/:productId
+ * @desc    Remove item from guest cart (one variant with `?variantId=`, else every line of the product)
+ * @access  Public (cart token)
+ */
+router.delete('/:productId', requireGuestCart, async (req, res) => {
+  try {
+    const { guestCartId } = req;
+    const { productId } = req.params;
+    const { variantId } = req.query;
+
+    let query = supabaseAdmin
+      .from('guest_cart_items')
+      .delete()
+      .eq('guest_cart_id', guestCartId)
+      .eq('product_id', productId);
+
+    if (variantId) {
+      query = query.eq('variant_id', variantId);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      console.error('Error removing from guest cart:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to remove item from cart'
+        }
+      });
+    }
+
+    const items = await fetchGuestCartItems(guestCartId);
+
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      data: { cart: buildCartSummary(items) }
+    });
+
+  } catch (error) {
+    console.error('Remove from guest cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/cart
+ * @desc    Clear the guest cart
+ * @access  Public (cart token)
+ */
+router.delete('/', requireGuestCart, async (req, res) => {
+  try {
+    const { guestCartId } = req;
+
+    const { error } = await supabaseAdmin
+      .from('guest_cart_items')
+      .delete()
+      .eq('guest_cart_id', guestCartId);
+
+    if (error) {
+      console.error('Error clearing guest cart:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to clear cart'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+      data: { cart: buildCartSummary([]) }
+    });
+
+  } catch (error) {
+    console.error('Clear guest cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+module.exports = router;
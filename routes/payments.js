@@ -0,0 +1,44 @@
+const express = require('express');
+const { handleWebhook } = require('../utils/payments/webhooks');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/payments/webhooks/:provider
+ * @desc    Receive a payment status notification from a provider
+ * @access  Public (provider signature)
+ */
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const { httpStatus, decision, eventId } = await handleWebhook(req.params.provider, {
+      headers: req.headers,
+      rawBody: req.rawBody || Buffer.alloc(0),
+      body: req.body
+    });
+
+    if (httpStatus >= 400) {
+      return res.status(httpStatus).json({
+        success: false,
+        error: {
+          message: decision ? `Webhook rejected: ${decision}` : 'Unknown payment provider'
+        }
+      });
+    }
+
+    res.status(httpStatus).json({
+      success: true,
+      data: { eventId, decision }
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,432 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { MAX_QUERY_LENGTH, isValidSearchQuery, searchProducts } = require('../utils/search');
+const {
+  REVIEW_SORT_OPTIONS,
+  REVIEW_FIELDS,
+  getRatingDistribution,
+  formatReview
+} = require('../utils/reviews');
+const { listProductImages, formatProductImage } = require('../utils/productImages');
+const { getVariantMatrix } = require('../utils/productVariants');
+
+const router = express.Router();
+
+/**
+ * Columns of the owning vendor exposed on public product listings
+ */
+const PUBLIC_VENDOR_FIELDS = 'id, business_name, city, country';
+
+/**
+ * Supported sort options mapped to [column, ascending]
+ */
+const SORT_OPTIONS = {
+  newest: ['created_at', false],
+  oldest: ['created_at', true],
+  price_asc: ['price', true],
+  price_desc: ['price', false],
+  rating: ['rating', false],
+  popular: ['review_count', false],
+  name: ['name', true]
+};
+
+const MAX_PAGE_SIZE = 100;
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * Base query for products that can be shown to shoppers: published
+ * (which excludes products red-marked as 'flagged') and owned by an
+ * approved vendor.
+ */
+const publicProductsQuery = (options) => {
+  return supabaseAdmin
+    .from('products')
+    .select(`
+      *,
+      vendor:vendors!inner(${PUBLIC_VENDOR_FIELDS})
+    `, options)
+    .eq('status', 'published')
+    .eq('vendor.approved', true);
+};
+
+/**
+ * Parse a boolean query string flag ('true'/'1' or 'false'/'0')
+ */
+const parseFlag = (value) => {
+  if (value === undefined) return undefined;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return null;
+};
+
+/**
+ * @route   GET /api/products
+ * @desc    Browse published products with filtering, sorting and pagination
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1, limit = 20, category, minPrice, maxPrice, vendorId,
+      featured, isNew, inStock, sort = 'newest'
+    } = req.query;
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
+    if (!pageNumber || pageNumber < 1 || !pageSize || pageSize < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Page and limit must be positive integers'
+        }
+      });
+    }
+
+    if (!SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid sort option. Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+        }
+      });
+    }
+
+    const min = minPrice !== undefined ? parseFloat(minPrice) : undefined;
+    const max = maxPrice !== undefined ? parseFloat(maxPrice) : undefined;
+
+    if (Number.isNaN(min) || Number.isNaN(max) || (min !== undefined && max !== undefined && min > max)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid price range'
+        }
+      });
+    }
+
+    const flags = {
+      featured: parseFlag(featured),
+      isNew: parseFlag(isNew),
+      inStock: parseFlag(inStock)
+    };
+
+    if (Object.values(flags).includes(null)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'featured, isNew and inStock must be true or false'
+        }
+      });
+    }
+
+    const size = Math.min(pageSize, MAX_PAGE_SIZE);
+    const offset = (pageNumber - 1) * size;
+    const [sortColumn, ascending] = SORT_OPTIONS[sort];
+
+    let query = publicProductsQuery({ count: 'exact' });
+
+    if (category) query = query.eq('category', category);
+    if (vendorId) query = query.eq('vendor_id', vendorId);
+    if (min !== undefined) query = query.gte('price', min);
+    if (max !== undefined) query = query.lte('price', max);
+    if (flags.featured !== undefined) query = query.eq('is_featured', flags.featured);
+    if (flags.isNew !== undefined) query = query.eq('is_new', flags.isNew);
+    if (flags.inStock) query = query.gt('stock', 0);
+
+    const { data: products, error, count } = await query
+      .order(sortColumn, { ascending })
+      .order('id', { ascending: true })
+      .range(offset, offset + size - 1);
+
+    if (error) {
+      console.error('Error fetching catalog:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch products'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        products,
+        pagination: {
+          page: pageNumber,
+          limit: size,
+          total: count || 0,
+          totalPages: Math.ceil((count || 0) / size)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get catalog error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/products/search
+ * @desc    Search published products by relevance
+ * @access  Public
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { q, page = 1, limit = 20, category, vendorId } = req.query;
+
+    if (!isValidSearchQuery(q)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Search query must be between 1 and ${MAX_QUERY_LENGTH} characters`
+        }
+      });
+    }
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
+    if (!pageNumber || pageNumber < 1 || !pageSize || pageSize < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Page and limit must be positive integers'
+        }
+      });
+    }
+
+    const size = Math.min(pageSize, MAX_PAGE_SIZE);
+
+    const { products, total } = await searchProducts({
+      query: q,
+      category: category || null,
+      vendorId: vendorId || null,
+      limit: size,
+      offset: (pageNumber - 1) * size,
+      select: `*, vendor:vendors(${PUBLIC_VENDOR_FIELDS})`
+    });
+
+    res.json({
+      success: true,
+      data: {
+        products,
+        pagination: {
+          page: pageNumber,
+          limit: size,
+          total,
+          totalPages: Math.ceil(total / size)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Search products error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/products/search/suggest
+ * @desc    Autocomplete suggestions for a partial search query
+ * @access  Public
+ */
+router.get('/search/suggest', async (req, res) => {
+  try {
+    const { q, limit = 5 } = req.query;
+
+    if (!isValidSearchQuery(q)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Search query must be between 1 and ${MAX_QUERY_LENGTH} characters`
+        }
+      });
+    }
+
+    const { products } = await searchProducts({
+      query: q,
+      limit: Math.min(parseInt(limit) || 5, MAX_SUGGESTIONS),
+      select: 'id, name, category, images'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        suggestions: products.map(product => ({
+          id: product.id,
+          name: product.name,
+          category: product.category,
+          image: product.images?.[0] || null
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/products/:productId
+ * @desc    Get a single published product
+ * @access  Public
+ */
+router.get('/:productId', async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const { data: product, error } = await publicProductsQuery()
+      .eq('id', productId)
+      .maybeSingle();
+
+    if (error || !product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found'
+        }
+      });
+    }
+
+    // Every size of the uploaded images, in the order of product.images
+    const [images, matrix] = await Promise.all([
+      listProductImages(productId),
+      getVariantMatrix(product)
+    ]);
+    product.gallery = images.map(formatProductImage);
+    product.options = matrix.options;
+    product.variants = matrix.variants;
+
+    res.json({
+      success: true,
+      data: { product }
+    });
+
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/products/:productId/reviews
+ * @desc    Get the visible reviews of a published product with its rating summary
+ * @access  Public
+ */
+router.get('/:productId/reviews', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { page = 1, limit = 10, sort = 'newest' } = req.query;
+
+    const pageNumber = parseInt(page);
+    const pageSize = Math.min(parseInt(limit), MAX_PAGE_SIZE);
+
+    if (!pageNumber || pageNumber < 1 || !pageSize || pageSize < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Page and limit must be positive integers'
+        }
+      });
+    }
+
+    if (!REVIEW_SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid sort option. Must be one of: ${Object.keys(REVIEW_SORT_OPTIONS).join(', ')}`
+        }
+      });
+    }
+
+    const { data: product, error: productError } = await publicProductsQuery()
+      .eq('id', productId)
+      .maybeSingle();
+
+    if (productError || !product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found'
+        }
+      });
+    }
+
+    const [column, ascending] = REVIEW_SORT_OPTIONS[sort];
+    const offset = (pageNumber - 1) * pageSize;
+
+    const [{ data: reviews, error }, distribution] = await Promise.all([
+      supabaseAdmin
+        .from('reviews')
+        .select(REVIEW_FIELDS)
+        .eq('product_id', productId)
+        .eq('hidden', false)
+        .order(column, { ascending })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + pageSize - 1),
+      getRatingDistribution(productId)
+    ]);
+
+    if (error) {
+      console.error('Error fetching reviews:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch reviews'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          rating: parseFloat(product.rating),
+          reviewCount: product.review_count,
+          distribution
+        },
+        reviews: reviews.map(review => formatReview(review)),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total: product.review_count,
+          totalPages: Math.ceil(product.review_count / pageSize)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+module.exports = router;
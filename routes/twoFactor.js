@@ -0,0 +1,369 @@
+const express = require('express');
+
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getClientInfo, createSession } = require('../utils/sessions');
+const {
+  TWO_FACTOR_USER_TYPES,
+  TwoFactorError,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus,
+  fetchChallenge,
+  recordFailedAttempt,
+  completeChallenge,
+  fetchChallengeUser
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a login challenge with a TOTP code or a recovery code
+ *          (for an 'enroll' challenge, the first code from the app)
+ * @access  Public
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Challenge token and a verification or recovery code are required'
+        }
+      });
+    }
+
+    const challenge = await fetchChallenge(challengeToken);
+    const user = await fetchChallengeUser(challenge);
+
+    let recoveryCodes = null;
+    let verified;
+
+    if (challenge.purpose === 'enroll') {
+      try {
+        recoveryCodes = await confirmTwoFactorSetup(challenge.user_type, challenge.user_id, code);
+        verified = true;
+      } catch (setupError) {
+        if (!(setupError instanceof TwoFactorError) || setupError.statusCode !== 401) {
+          throw setupError;
+        }
+        verified = false;
+      }
+    } else {
+      verified = await verifyTwoFactor(challenge.user_type, challenge.user_id, { code, recoveryCode });
+    }
+
+    if (!verified) {
+      throw await recordFailedAttempt(challenge);
+    }
+
+    if (!(await completeChallenge(challenge))) {
+      throw new TwoFactorError('This login attempt has expired, please log in again', 401);
+    }
+
+    // Open a session
+    const { token, refreshToken, expiresIn } = await createSession(challenge.user_type, user.id, getClientInfo(req));
+
+    // Update last login
+    await supabaseAdmin
+      .from(TWO_FACTOR_USER_TYPES[challenge.user_type].table)
+      .update({ last_login: new Date().toISOString() })
+      .eq('id', user.id);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+        ...(recoveryCodes && { recoveryCodes }),
+        user: {
+          id: user.id,
+          email: user[TWO_FACTOR_USER_TYPES[challenge.user_type].emailColumn],
+          role: challenge.user_type
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/challenge/setup
+ * @desc    Get the secret and QR code to enrol during a login that requires 2FA
+ * @access  Public
+ */
+router.post('/challenge/setup', async (req, res) => {
+  try {
+    const { challengeToken } = req.body;
+
+    if (!challengeToken) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Challenge token is required'
+        }
+      });
+    }
+
+    const challenge = await fetchChallenge(challengeToken);
+
+    if (challenge.purpose !== 'enroll') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Two-factor authentication is already set up for this account'
+        }
+      });
+    }
+
+    const user = await fetchChallengeUser(challenge);
+    const setup = await startTwoFactorSetup(challenge.user_type, user);
+
+    res.json({
+      success: true,
+      data: setup
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Two-factor challenge setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get the two-factor status of the current account
+ * @access  Private (Vendor or Admin)
+ */
+router.get('/', authenticateToken, requireRole(['vendor', 'admin']), async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.role, req.user.id);
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrolment: returns the secret, otpauth URI and QR code
+ * @access  Private (Vendor or Admin)
+ */
+router.post('/setup', authenticateToken, requireRole(['vendor', 'admin']), async (req, res) => {
+  try {
+    const setup = await startTwoFactorSetup(req.user.role, req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: setup
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code; returns the recovery codes once
+ * @access  Private (Vendor or Admin)
+ */
+router.post('/enable', authenticateToken, requireRole(['vendor', 'admin']), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Verification code is required'
+        }
+      });
+    }
+
+    const recoveryCodes = await confirmTwoFactorSetup(req.user.role, req.user.id, code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off (requires a fresh code)
+ * @access  Private (Vendor or Admin)
+ */
+router.post('/disable', authenticateToken, requireRole(['vendor', 'admin']), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Verification code is required'
+        }
+      });
+    }
+
+    await disableTwoFactor(req.user.role, req.user.id, code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes (requires a fresh code)
+ * @access  Private (Vendor or Admin)
+ */
+router.post('/recovery-codes', authenticateToken, requireRole(['vendor', 'admin']), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Verification code is required'
+        }
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.role, req.user.id, code);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the previous ones no longer work',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Two-factor recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,73 @@
 const express = require('express');
 const { supabaseAdmin } = require('../config/supabase');
-const { authenticateToken, protect, requireRole, requireVerification } = require('../middleware/auth');
+const { authenticateToken, protect, requireRole, requireVerification, requireApprovedVendor } = require('../middleware/auth');
+const { OrderTransitionError, getAllowedTransitions, transitionOrderStatus } = require('../utils/orders');
+const { PaymentError, cancelOrder, formatPayment } = require('../utils/payments');
+const {
+  RETURN_REQUEST_FIELDS,
+  ReturnRequestError,
+  fetchReturnRequest,
+  resolveReturnRequest,
+  formatReturnRequest
+} = require('../utils/returns');
+const {
+  MAX_BODY_LENGTH,
+  REVIEW_FIELDS,
+  updateReview,
+  fetchReview,
+  formatReview
+} = require('../utils/reviews');
+const { sanitizeString, isValidSku, validateProduct } = require('../utils/validation');
+const { singleFileUpload, multipleFileUpload } = require('../utils/uploads');
+const { StorageError } = require('../utils/storage');
+const {
+  KYC_DOCUMENT_TYPES,
+  MAX_KYC_FILE_BYTES,
+  KycError,
+  formatKycDocument,
+  getKycSummary,
+  uploadKycDocument
+} = require('../utils/kyc');
+const {
+  MAX_PRODUCT_IMAGE_BYTES,
+  MAX_PRODUCT_IMAGES,
+  ProductImageError,
+  formatProductImage,
+  listProductImages,
+  getPrimaryImages,
+  deleteProductImageFiles,
+  uploadProductImages,
+  reorderProductImages,
+  setPrimaryProductImage,
+  deleteProductImage
+} = require('../utils/productImages');
+const {
+  ProductVariantError,
+  validateVariantMatrix,
+  saveVariantMatrix,
+  getVariantMatrix
+} = require('../utils/productVariants');
+const {
+  MAX_IMPORT_FILE_BYTES,
+  ProductImportError,
+  formatImportJob,
+  startProductImport,
+  listImportJobs,
+  fetchImportJob,
+  exportProductCsv
+} = require('../utils/productImport');
+const { roundMoney } = require('../utils/cart');
+const {
+  validateTimeseriesQuery,
+  getProductSales,
+  sumSales,
+  getSalesTimeseries
+} = require('../utils/analytics');
 
 const router = express.Router();
 
+const MAX_PAGE_SIZE = 100;
+
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 router.use(requireRole(['vendor']));
@@ -190,12 +254,77 @@ router.put('/profile', protect, requireVerification, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/vendor/kyc
+ * @desc    Get the KYC documents of the vendor and their review status
+ * @access  Private (also before approval)
+ */
+router.get('/kyc', protect, async (req, res) => {
+  try {
+    const summary = await getKycSummary(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        documentTypes: KYC_DOCUMENT_TYPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get KYC status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/vendor/kyc/documents
+ * @desc    Upload a KYC document (multipart: `documentType`, `file`; PDF, JPEG or PNG)
+ * @access  Private (also before approval)
+ */
+router.post('/kyc/documents', protect, requireVerification, singleFileUpload('file', { maxBytes: MAX_KYC_FILE_BYTES }), async (req, res) => {
+  try {
+    const document = await uploadKycDocument(req.user.id, req.body.documentType, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded. It will be reviewed by our team.',
+      data: {
+        document: formatKycDocument(document)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof KycError || error instanceof StorageError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Upload KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 /**
  * @route   GET /api/vendor/dashboard
  * @desc    Get vendor dashboard data
  * @access  Private
  */
-router.get('/dashboard', protect, async (req, res) => {
+router.get('/dashboard', protect, requireApprovedVendor, async (req, res) => {
   try {
     const { id } = req.user;
 
@@ -215,118 +344,93 @@ router.get('/dashboard', protect, async (req, res) => {
       });
     }
 
+    const now = new Date();
+    const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const previousMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+
     // Get dashboard statistics
     const [
       { data: products, error: productsError },
       { data: orders, error: ordersError },
-      { data: customers, error: customersError }
+      { data: recentOrders, error: recentOrdersError },
+      productSales,
+      currentMonthSales,
+      previousMonthSales
     ] = await Promise.all([
       supabaseAdmin
         .from('products')
-        .select('id, price, stock, status, created_at')
+        .select('id, name, price, stock, status, images, rating, review_count')
         .eq('vendor_id', id),
       supabaseAdmin
         .from('orders')
-        .select('id, total_amount, status, created_at')
+        .select('id, customer_id, refunded_amount')
         .eq('vendor_id', id),
       supabaseAdmin
         .from('orders')
-        .select('customer_id')
+        .select(`
+          id,
+          total_amount,
+          status,
+          payment_status,
+          created_at,
+          customers!inner(first_name, last_name),
+          order_items(quantity)
+        `)
         .eq('vendor_id', id)
-        .not('customer_id', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(5),
+      getProductSales(id),
+      getProductSales(id, { from: currentMonthStart }),
+      getProductSales(id, { from: previousMonthStart, to: currentMonthStart })
     ]);
 
-    // Get order items after we have the orders
-    let orderItems = [];
-    if (orders && orders.length > 0) {
-      const { data: orderItemsData, error: orderItemsError } = await supabaseAdmin
-        .from('order_items')
-        .select('quantity, price, order_id')
-        .in('order_id', orders.map(o => o.id));
-      
-      if (orderItemsError) {
-        console.error('Order items fetch error:', orderItemsError);
-      } else {
-        orderItems = orderItemsData || [];
-      }
-    }
-
-    if (productsError || ordersError || customersError) {
-      console.error('Dashboard data fetch errors:', { productsError, ordersError, customersError });
+    if (productsError || ordersError || recentOrdersError) {
+      console.error('Dashboard data fetch errors:', { productsError, ordersError, recentOrdersError });
     }
 
     // Calculate statistics
+    const totals = sumSales(productSales);
     const totalProducts = products?.length || 0;
     const totalOrders = orders?.length || 0;
-    const totalSales = orders?.reduce((sum, order) => sum + (order.total_amount || 0), 0) || 0;
-    const uniqueCustomers = new Set(customers?.map(c => c.customer_id)).size || 0;
-    
-    console.log('Dashboard statistics:', {
-      vendorId: id,
-      totalProducts,
-      totalOrders,
-      totalSales,
-      uniqueCustomers,
-      productsCount: products?.length,
-      ordersCount: orders?.length,
-      customersCount: customers?.length
-    });
-    
-    // Calculate growth (compare with previous month)
-    const currentMonth = new Date();
-    const previousMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth() - 1, 1);
-    const currentMonthStart = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
-    
-    const { data: currentMonthOrders } = await supabaseAdmin
-      .from('orders')
-      .select('total_amount')
-      .eq('vendor_id', id)
-      .gte('created_at', currentMonthStart.toISOString());
-    
-    const { data: previousMonthOrders } = await supabaseAdmin
-      .from('orders')
-      .select('total_amount')
-      .eq('vendor_id', id)
-      .gte('created_at', previousMonth.toISOString())
-      .lt('created_at', currentMonthStart.toISOString());
-    
-    const currentMonthSales = currentMonthOrders?.reduce((sum, order) => sum + (order.total_amount || 0), 0) || 0;
-    const previousMonthSales = previousMonthOrders?.reduce((sum, order) => sum + (order.total_amount || 0), 0) || 0;
-    const growth = previousMonthSales > 0 ? ((currentMonthSales - previousMonthSales) / previousMonthSales) * 100 : 0;
-
-    // Get recent orders with customer details
-    const { data: recentOrders, error: recentOrdersError } = await supabaseAdmin
-      .from('orders')
-      .select(`
-        id,
-        total_amount,
-        status,
-        created_at,
-        customers!inner(first_name, last_name)
-      `)
-      .eq('vendor_id', id)
-      .order('created_at', { ascending: false })
-      .limit(5);
-
-    // Get top products
-    const { data: topProducts, error: topProductsError } = await supabaseAdmin
-      .from('products')
-      .select(`
-        id,
-        name,
-        price,
-        stock,
-        status,
-        image_url,
-        created_at
-      `)
-      .eq('vendor_id', id)
-      .order('created_at', { ascending: false })
-      .limit(5);
+    const totalRefunds = orders?.reduce((sum, order) => sum + parseFloat(order.refunded_amount || 0), 0) || 0;
+    const uniqueCustomers = new Set(orders?.map(order => order.customer_id)).size;
+
+    const currentMonthRevenue = sumSales(currentMonthSales).revenue;
+    const previousMonthRevenue = sumSales(previousMonthSales).revenue;
+    const growth = previousMonthRevenue > 0 ? ((currentMonthRevenue - previousMonthRevenue) / previousMonthRevenue) * 100 : 0;
+
+    // Top products by revenue
+    const productsById = new Map((products || []).map(product => [product.id, product]));
+    const topSales = productSales
+      .filter(sales => productsById.has(sales.productId))
+      .slice(0, 5);
+    const primaryImages = await getPrimaryImages(topSales.map(sales => sales.productId))
+      .catch(imagesError => {
+        console.error('Dashboard images fetch error:', imagesError);
+        return new Map();
+      });
+    const topProducts = topSales
+      .map(sales => {
+        const product = productsById.get(sales.productId);
+        const primaryImage = primaryImages.get(product.id);
+        return {
+          id: product.id,
+          name: product.name,
+          image: primaryImage ? formatProductImage(primaryImage).urls.thumbnail : product.images?.[0] || null,
+          price: product.price,
+          sales: sales.unitsSold,
+          revenue: sales.revenue,
+          rating: parseFloat(product.rating) || 0,
+          reviewCount: product.review_count || 0,
+          stock: product.stock
+        };
+      });
 
     const dashboardData = {
       stats: {
-        totalSales: totalSales,
+        totalSales: totals.revenue,
+        totalUnitsSold: totals.unitsSold,
+        totalRefunds: roundMoney(totalRefunds),
         totalOrders: totalOrders,
         totalProducts: totalProducts,
         totalCustomers: uniqueCustomers,
@@ -339,19 +443,10 @@ router.get('/dashboard', protect, async (req, res) => {
         date: order.created_at,
         status: order.status,
         total: order.total_amount,
-        items: 1, // This would need to be calculated from order_items
-        payment: 'Paid' // This would need to be determined from payment status
-      })) || [],
-      topProducts: topProducts?.map(product => ({
-        id: product.id,
-        name: product.name,
-        image: product.image_url || '/marketplace.jpeg',
-        price: product.price,
-        sales: 0, // This would need to be calculated from order_items
-        revenue: 0, // This would need to be calculated from order_items
-        rating: 4.5, // This would need to be calculated from reviews
-        stock: product.stock
+        items: (order.order_items || []).reduce((sum, item) => sum + item.quantity, 0),
+        payment: order.payment_status
       })) || [],
+      topProducts,
       vendor: {
         businessName: vendor.business_name,
         businessEmail: vendor.business_email,
@@ -378,12 +473,125 @@ router.get('/dashboard', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/vendor/analytics/sales
+ * @desc    Sales time series for charts (bucket=day|week|month, from, to, timezone)
+ * @access  Private
+ */
+router.get('/analytics/sales', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const validation = validateTimeseriesQuery(req.query);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: validation.errors
+        }
+      });
+    }
+
+    const { params } = validation;
+    const series = await getSalesTimeseries(id, params);
+
+    res.json({
+      success: true,
+      data: {
+        bucket: params.bucket,
+        from: params.from.toISOString(),
+        to: params.to.toISOString(),
+        timezone: params.timezone,
+        series,
+        totals: {
+          orders: series.reduce((sum, point) => sum + point.orders, 0),
+          ...sumSales(series)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get vendor sales analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vendor/analytics/products
+ * @desc    Units sold and revenue per product over an optional date range
+ * @access  Private
+ */
+router.get('/analytics/products', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'from and to must be valid dates'
+        }
+      });
+    }
+
+    const [sales, { data: products, error }] = await Promise.all([
+      getProductSales(id, { from, to }),
+      supabaseAdmin
+        .from('products')
+        .select('id, name, images, price, stock')
+        .eq('vendor_id', id)
+    ]);
+
+    if (error) {
+      console.error('Error fetching products:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch products'
+        }
+      });
+    }
+
+    const productsById = new Map(products.map(product => [product.id, product]));
+
+    res.json({
+      success: true,
+      data: {
+        products: sales.map(row => ({
+          ...row,
+          name: productsById.get(row.productId)?.name || null,
+          image: productsById.get(row.productId)?.images?.[0] || null,
+          stock: productsById.get(row.productId)?.stock ?? null
+        })),
+        totals: sumSales(sales)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get vendor product analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 /**
  * @route   GET /api/vendor/products
  * @desc    Get vendor products
  * @access  Private
  */
-router.get('/products', protect, async (req, res) => {
+router.get('/products', protect, requireApprovedVendor, async (req, res) => {
   try {
     const { id } = req.user;
     const { page = 1, limit = 10, status } = req.query;
@@ -392,7 +600,11 @@ router.get('/products', protect, async (req, res) => {
 
     let query = supabaseAdmin
       .from('products')
-      .select('*')
+      .select(`
+        *,
+        options:product_options(name, position, values),
+        variants:product_variants(id, sku, options, price, stock, position)
+      `)
       .eq('vendor_id', id)
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
@@ -438,21 +650,47 @@ router.get('/products', protect, async (req, res) => {
 
 /**
  * @route   POST /api/vendor/products
- * @desc    Create new product
+ * @desc    Create new product (optionally with `options` and `variants`)
  * @access  Private
  */
-router.post('/products', protect, async (req, res) => {
+router.post('/products', protect, requireApprovedVendor, async (req, res) => {
   try {
     const { id } = req.user;
     const {
-      name, description, price, category, images, stock, status = 'draft'
+      name, description, price, category, stock, status = 'draft', sku, options, variants
     } = req.body;
 
-    if (!name || !description || !price || !category) {
+    const productValidation = validateProduct({ name, description, price, category, stock, status, sku });
+    if (!productValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: productValidation.errors
+        }
+      });
+    }
+
+    let matrix = null;
+    if (options !== undefined || variants !== undefined) {
+      const validation = validateVariantMatrix({ options, variants });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation failed',
+            details: validation.errors
+          }
+        });
+      }
+      matrix = validation.matrix;
+    }
+
+    if (matrix?.variants.length > 0 && stock !== undefined) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Name, description, price, and category are required'
+          message: 'The stock of a product with variants is set on each variant'
         }
       });
     }
@@ -464,19 +702,29 @@ router.post('/products', protect, async (req, res) => {
       description: description.trim(),
       price: parseFloat(price),
       category,
-      images: images || [],
+      sku: sku || null,
+      images: [],
       stock: parseInt(stock) || 0,
       status,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
 
-    const { data: product, error } = await supabaseAdmin
+    const { data: created, error } = await supabaseAdmin
       .from('products')
       .insert([productData])
       .select()
       .single();
 
+    if (error?.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `SKU ${sku} is already used by another of your products`
+        }
+      });
+    }
+
     if (error) {
       console.error('Error creating product:', error);
       return res.status(500).json({
@@ -487,13 +735,44 @@ router.post('/products', protect, async (req, res) => {
       });
     }
 
+    let product = created;
+    if (matrix?.variants.length > 0) {
+      try {
+        await saveVariantMatrix(id, created.id, matrix);
+      } catch (variantError) {
+        await supabaseAdmin.from('products').delete().eq('id', created.id);
+        throw variantError;
+      }
+
+      const { data: refreshed } = await supabaseAdmin
+        .from('products')
+        .select('*')
+        .eq('id', created.id)
+        .single();
+      product = refreshed || created;
+    }
+
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
-      data: { product }
+      data: {
+        product: {
+          ...product,
+          ...await getVariantMatrix(product)
+        }
+      }
     });
 
   } catch (error) {
+    if (error instanceof ProductVariantError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
     console.error('Create product error:', error);
     res.status(500).json({
       success: false,
@@ -506,21 +785,45 @@ router.post('/products', protect, async (req, res) => {
 
 /**
  * @route   PUT /api/vendor/products/:productId
- * @desc    Update product
+ * @desc    Update product (`options` and `variants` replace the variant matrix)
  * @access  Private
  */
-router.put('/products/:productId', protect, async (req, res) => {
+router.put('/products/:productId', protect, requireApprovedVendor, async (req, res) => {
   try {
     const { id } = req.user;
     const { productId } = req.params;
     const {
-      name, description, price, category, images, stock, status
+      name, description, price, category, stock, status, sku, options, variants
     } = req.body;
 
+    if (sku !== undefined && sku !== null && !isValidSku(sku)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'SKU must be 1 to 64 letters, digits, dots, dashes or underscores'
+        }
+      });
+    }
+
+    let matrix = null;
+    if (options !== undefined || variants !== undefined) {
+      const validation = validateVariantMatrix({ options, variants });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation failed',
+            details: validation.errors
+          }
+        });
+      }
+      matrix = validation.matrix;
+    }
+
     // Check if product belongs to vendor
     const { data: existingProduct, error: checkError } = await supabaseAdmin
       .from('products')
-      .select('id')
+      .select('id, status, has_variants')
       .eq('id', productId)
       .eq('vendor_id', id)
       .single();
@@ -534,6 +837,31 @@ router.put('/products/:productId', protect, async (req, res) => {
       });
     }
 
+    // Only an admin can lift or apply a red-mark
+    if (status && status !== existingProduct.status &&
+      (existingProduct.status === 'flagged' || status === 'flagged')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'This product has been flagged by an administrator and its status cannot be changed'
+        }
+      });
+    }
+
+    const hasVariants = matrix ? matrix.variants.length > 0 : existingProduct.has_variants;
+    if (hasVariants && stock !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'The stock of a product with variants is set on each variant'
+        }
+      });
+    }
+
+    if (matrix) {
+      await saveVariantMatrix(id, productId, matrix);
+    }
+
     const updateData = {
       updated_at: new Date().toISOString()
     };
@@ -542,9 +870,9 @@ router.put('/products/:productId', protect, async (req, res) => {
     if (description) updateData.description = description.trim();
     if (price) updateData.price = parseFloat(price);
     if (category) updateData.category = category;
-    if (images) updateData.images = images;
     if (stock !== undefined) updateData.stock = parseInt(stock);
     if (status) updateData.status = status;
+    if (sku !== undefined) updateData.sku = sku;
 
     const { data: product, error } = await supabaseAdmin
       .from('products')
@@ -554,6 +882,15 @@ router.put('/products/:productId', protect, async (req, res) => {
       .select()
       .single();
 
+    if (error?.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `SKU ${sku} is already used by another of your products`
+        }
+      });
+    }
+
     if (error) {
       console.error('Error updating product:', error);
       return res.status(500).json({
@@ -567,10 +904,24 @@ router.put('/products/:productId', protect, async (req, res) => {
     res.json({
       success: true,
       message: 'Product updated successfully',
-      data: { product }
+      data: {
+        product: {
+          ...product,
+          ...await getVariantMatrix(product)
+        }
+      }
     });
 
   } catch (error) {
+    if (error instanceof ProductVariantError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
     console.error('Update product error:', error);
     res.status(500).json({
       success: false,
@@ -586,7 +937,7 @@ router.put('/products/:productId', protect, async (req, res) => {
  * @desc    Delete product
  * @access  Private
  */
-router.delete('/products/:productId', protect, async (req, res) => {
+router.delete('/products/:productId', protect, requireApprovedVendor, async (req, res) => {
   try {
     const { id } = req.user;
     const { productId } = req.params;
@@ -608,6 +959,9 @@ router.delete('/products/:productId', protect, async (req, res) => {
       });
     }
 
+    // The image rows go with the product; their files are removed afterwards
+    const images = await listProductImages(productId);
+
     const { error } = await supabaseAdmin
       .from('products')
       .delete()
@@ -624,6 +978,8 @@ router.delete('/products/:productId', protect, async (req, res) => {
       });
     }
 
+    await deleteProductImageFiles(images);
+
     res.json({
       success: true,
       message: 'Product deleted successfully'
@@ -641,20 +997,347 @@ router.delete('/products/:productId', protect, async (req, res) => {
 });
 
 /**
- * @route   GET /api/vendor/orders
- * @desc    Get vendor orders
+ * @route   POST /api/vendor/products/imports
+ * @desc    Import products from a CSV file (multipart: `file`, `dryRun`); runs in the background
  * @access  Private
  */
-router.get('/orders', protect, async (req, res) => {
+router.post('/products/imports', protect, requireApprovedVendor, singleFileUpload('file', { maxBytes: MAX_IMPORT_FILE_BYTES }), async (req, res) => {
   try {
-    const { id } = req.user;
-    const { page = 1, limit = 10, status } = req.query;
+    const dryRun = ['true', '1'].includes(String(req.body.dryRun));
+    const job = await startProductImport(req.user.id, req.file, { dryRun });
 
-    const offset = (page - 1) * limit;
+    res.status(202).json({
+      success: true,
+      message: dryRun
+        ? 'Dry run started. Poll the job to see what the import would do.'
+        : 'Import started. Poll the job to follow its progress.',
+      data: {
+        job: formatImportJob(job)
+      }
+    });
 
-    let query = supabaseAdmin
-      .from('orders')
-      .select(`
+  } catch (error) {
+    if (error instanceof ProductImportError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Start product import error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vendor/products/imports
+ * @desc    Get the vendor's product imports, newest first
+ * @access  Private
+ */
+router.get('/products/imports', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { jobs, total } = await listImportJobs(req.user.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product imports error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vendor/products/imports/:jobId
+ * @desc    Get the progress of a product import, with its errors by row once completed
+ * @access  Private
+ */
+router.get('/products/imports/:jobId', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const job = await fetchImportJob(req.user.id, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Import not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        job: formatImportJob(job)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product import error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vendor/products/export
+ * @desc    Download the vendor's catalog as a CSV file in the import format
+ * @access  Private
+ */
+router.get('/products/export', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const csv = await exportProductCsv(req.user.id);
+
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type('text/csv').send(csv);
+
+  } catch (error) {
+    console.error('Export products error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vendor/products/:productId/images
+ * @desc    Get the images of a product with the URL of each size
+ * @access  Private
+ */
+router.get('/products/:productId/images', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const { data: product, error } = await supabaseAdmin
+      .from('products')
+      .select('id')
+      .eq('id', req.params.productId)
+      .eq('vendor_id', req.user.id)
+      .maybeSingle();
+
+    if (error || !product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found or access denied'
+        }
+      });
+    }
+
+    const images = await listProductImages(product.id);
+
+    res.json({
+      success: true,
+      data: {
+        images: images.map(formatProductImage)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product images error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/vendor/products/:productId/images
+ * @desc    Upload images (multipart `images`: JPEG, PNG or WebP; resized, metadata stripped)
+ * @access  Private
+ */
+router.post('/products/:productId/images', protect, requireApprovedVendor, multipleFileUpload('images', { maxBytes: MAX_PRODUCT_IMAGE_BYTES, maxFiles: MAX_PRODUCT_IMAGES }), async (req, res) => {
+  try {
+    const images = await uploadProductImages(req.user.id, req.params.productId, req.files);
+
+    res.status(201).json({
+      success: true,
+      message: 'Images uploaded successfully',
+      data: {
+        images: images.map(formatProductImage)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ProductImageError || error instanceof StorageError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Upload product images error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vendor/products/:productId/images/order
+ * @desc    Reorder the images of a product (`imageIds`: every image id in the new order)
+ * @access  Private
+ */
+router.put('/products/:productId/images/order', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const images = await reorderProductImages(req.user.id, req.params.productId, req.body.imageIds);
+
+    res.json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: {
+        images: images.map(formatProductImage)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ProductImageError || error instanceof StorageError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Reorder product images error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vendor/products/:productId/images/:imageId/primary
+ * @desc    Make an image the primary image of the product
+ * @access  Private
+ */
+router.put('/products/:productId/images/:imageId/primary', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const images = await setPrimaryProductImage(req.user.id, req.params.productId, req.params.imageId);
+
+    res.json({
+      success: true,
+      message: 'Primary image updated successfully',
+      data: {
+        images: images.map(formatProductImage)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ProductImageError || error instanceof StorageError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Set primary product image error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/vendor/products/:productId/images/:imageId
+ * @desc    Delete an image of a product
+ * @access  Private
+ */
+router.delete('/products/:productId/images/:imageId', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const images = await deleteProductImage(req.user.id, req.params.productId, req.params.imageId);
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: {
+        images: images.map(formatProductImage)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ProductImageError || error instanceof StorageError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Delete product image error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vendor/orders
+ * @desc    Get vendor orders
+ * @access  Private
+ */
+router.get('/orders', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { page = 1, limit = 10, status } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('orders')
+      .select(`
         *,
         customer:customers (first_name, last_name, email),
         order_items (
@@ -707,14 +1390,14 @@ router.get('/orders', protect, async (req, res) => {
 
 /**
  * @route   PUT /api/vendor/orders/:orderId/status
- * @desc    Update order status
+ * @desc    Move an order to the next status of its lifecycle
  * @access  Private
  */
-router.put('/orders/:orderId/status', protect, async (req, res) => {
+router.put('/orders/:orderId/status', protect, requireApprovedVendor, async (req, res) => {
   try {
     const { id } = req.user;
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -728,7 +1411,7 @@ router.put('/orders/:orderId/status', protect, async (req, res) => {
     // Check if order belongs to vendor
     const { data: existingOrder, error: checkError } = await supabaseAdmin
       .from('orders')
-      .select('id')
+      .select('id, status')
       .eq('id', orderId)
       .eq('vendor_id', id)
       .single();
@@ -742,35 +1425,338 @@ router.put('/orders/:orderId/status', protect, async (req, res) => {
       });
     }
 
-    const { data: order, error } = await supabaseAdmin
-      .from('orders')
-      .update({
-        status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', orderId)
+    const transition = { actorType: 'vendor', actorId: id, note };
+
+    // Cancelling refunds the customer when the order was paid
+    const { order, refund } = status === 'cancelled'
+      ? await cancelOrder(existingOrder, { ...transition, refundReason: 'Order cancelled by vendor' })
+      : { order: await transitionOrderStatus(existingOrder, status, transition), refund: null };
+
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: {
+        order,
+        refund: refund && {
+          status: refund.status,
+          payment: formatPayment(refund.payment)
+        },
+        allowedTransitions: getAllowedTransitions('vendor', order.status)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Update order status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vendor/returns
+ * @desc    Get return requests for the vendor's orders
+ * @access  Private
+ */
+router.get('/returns', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { page = 1, limit = 10, status } = req.query;
+
+    const pageNumber = parseInt(page);
+    const pageSize = Math.min(parseInt(limit), MAX_PAGE_SIZE);
+
+    if (!pageNumber || pageNumber < 1 || !pageSize || pageSize < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Page and limit must be positive integers'
+        }
+      });
+    }
+
+    const offset = (pageNumber - 1) * pageSize;
+
+    let query = supabaseAdmin
+      .from('return_requests')
+      .select(RETURN_REQUEST_FIELDS)
       .eq('vendor_id', id)
-      .select()
-      .single();
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: returnRequests, error } = await query;
 
     if (error) {
-      console.error('Error updating order status:', error);
+      console.error('Error fetching return requests:', error);
       return res.status(500).json({
         success: false,
         error: {
-          message: 'Failed to update order status'
+          message: 'Failed to fetch return requests'
         }
       });
     }
 
     res.json({
       success: true,
-      message: 'Order status updated successfully',
-      data: { order }
+      data: {
+        returnRequests: returnRequests.map(formatReturnRequest),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total: returnRequests.length
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Update order status error:', error);
+    console.error('Get vendor return requests error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vendor/returns/:returnId/approve
+ * @desc    Approve a return request and refund the customer
+ * @access  Private
+ */
+router.put('/returns/:returnId/approve', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const existing = await fetchReturnRequest(req.params.returnId, { vendorId: id });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Return request not found'
+        }
+      });
+    }
+
+    const { returnRequest, refund } = await resolveReturnRequest(existing, {
+      approve: true,
+      refundAmount: req.body.refundAmount,
+      note: req.body.note,
+      actorType: 'vendor',
+      actorId: id
+    });
+
+    res.json({
+      success: true,
+      message: refund?.status === 'refunded'
+        ? 'Return approved and customer refunded'
+        : 'Return approved. The refund will be completed manually.',
+      data: {
+        returnRequest: formatReturnRequest(returnRequest),
+        refund: refund && { status: refund.status, amount: refund.amount }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReturnRequestError || error instanceof PaymentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Approve return request error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vendor/returns/:returnId/reject
+ * @desc    Reject a return request
+ * @access  Private
+ */
+router.put('/returns/:returnId/reject', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const existing = await fetchReturnRequest(req.params.returnId, { vendorId: id });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Return request not found'
+        }
+      });
+    }
+
+    const { returnRequest } = await resolveReturnRequest(existing, {
+      approve: false,
+      note: req.body.note,
+      actorType: 'vendor',
+      actorId: id
+    });
+
+    res.json({
+      success: true,
+      message: 'Return request rejected',
+      data: { returnRequest: formatReturnRequest(returnRequest) }
+    });
+
+  } catch (error) {
+    if (error instanceof ReturnRequestError || error instanceof PaymentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    console.error('Reject return request error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/vendor/reviews
+ * @desc    Get reviews of the vendor's products
+ * @access  Private
+ */
+router.get('/reviews', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const { id } = req.user;
+    const { page = 1, limit = 10, productId } = req.query;
+
+    const pageNumber = parseInt(page);
+    const pageSize = Math.min(parseInt(limit), MAX_PAGE_SIZE);
+
+    if (!pageNumber || pageNumber < 1 || !pageSize || pageSize < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Page and limit must be positive integers'
+        }
+      });
+    }
+
+    const offset = (pageNumber - 1) * pageSize;
+
+    let query = supabaseAdmin
+      .from('reviews')
+      .select(REVIEW_FIELDS)
+      .eq('vendor_id', id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (productId) {
+      query = query.eq('product_id', productId);
+    }
+
+    const { data: reviews, error } = await query;
+
+    if (error) {
+      console.error('Error fetching reviews:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch reviews'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reviews: reviews.map(review => formatReview(review, { moderation: true })),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total: reviews.length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get vendor reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/vendor/reviews/:reviewId/reply
+ * @desc    Reply to a review of one of the vendor's products
+ * @access  Private
+ */
+router.put('/reviews/:reviewId/reply', protect, requireApprovedVendor, async (req, res) => {
+  try {
+    const { reply } = req.body;
+
+    if (!reply || typeof reply !== 'string' || !reply.trim() || reply.trim().length > MAX_BODY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Reply is required and must be at most ${MAX_BODY_LENGTH} characters`
+        }
+      });
+    }
+
+    const existing = await fetchReview(req.params.reviewId, { vendorId: req.user.id });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Review not found'
+        }
+      });
+    }
+
+    const review = await updateReview(existing.id, {
+      vendor_reply: sanitizeString(reply),
+      vendor_replied_at: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Reply posted',
+      data: { review: formatReview(review, { moderation: true }) }
+    });
+
+  } catch (error) {
+    console.error('Reply to review error:', error);
     res.status(500).json({
       success: false,
       error: {
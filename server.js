@@ -8,21 +8,41 @@ const rateLimit = require('express-rate-limit');
 // Import routes
 const authRoutes = require('./routes/auth');
 const googleAuthRoutes = require('./routes/googleAuth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const customerRoutes = require('./routes/customer');
 const vendorRoutes = require('./routes/vendor');
 const adminRoutes = require('./routes/admin');
+const productRoutes = require('./routes/products');
+const guestCartRoutes = require('./routes/guestCart');
+const paymentRoutes = require('./routes/payments');
 
 // Import passport configuration
 require('./config/passport');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
+const { LocalDiskStorage, getStorage, getLocalPublicPath } = require('./utils/storage');
 
 const app = express();
 app.set('trust proxy', 1);
 // Security middleware
 app.use(helmet());
 
+// Product images in the local public bucket (Supabase Storage serves them otherwise).
+// Registered before the rate limiter: a catalog page loads many images.
+const publicStorage = getStorage('public');
+if (publicStorage instanceof LocalDiskStorage) {
+  app.use(getLocalPublicPath('public'), express.static(publicStorage.directory, {
+    immutable: true,
+    maxAge: '365d',
+    index: false,
+    setHeaders: (res) => {
+      // Images are shown by the frontend, which runs on another origin
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -30,6 +50,8 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // Provider webhooks come in bursts from a few IPs and are retried on 429
+  skip: (req) => req.path.startsWith('/api/payments/webhooks/'),
 });
 app.use(limiter);
 
@@ -41,14 +63,20 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token']
 }));
 
 // Logging middleware
 app.use(morgan('combined'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
@@ -64,9 +92,13 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/auth', googleAuthRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/customer', customerRoutes);
 app.use('/api/vendor', vendorRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/cart', guestCartRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
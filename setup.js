@@ -53,7 +53,10 @@ SUPABASE_SERVICE_ROLE_KEY=${supabaseServiceKey}
 
 # JWT Configuration
 JWT_SECRET=${jwtSecret}
-JWT_EXPIRES_IN=7d
+ACCESS_TOKEN_EXPIRES_IN=15m
+REFRESH_TOKEN_EXPIRES_DAYS=30
+TWO_FACTOR_ENCRYPTION_KEY=${generateJWTSecret()}
+OTP_SECRET=${generateJWTSecret()}
 
 # Server Configuration
 PORT=5000
@@ -62,13 +65,25 @@ NODE_ENV=development
 # Google OAuth Configuration
 GOOGLE_CLIENT_ID=${googleClientId}
 GOOGLE_CLIENT_SECRET=${googleClientSecret}
+GOOGLE_ALLOWED_CLIENT_IDS=
 
 # Email Configuration
 EMAIL_USER=${emailUser}
 EMAIL_PASS=${emailPass}
 
+# File Storage ('local' or 'supabase')
+STORAGE_DRIVER=local
+STORAGE_PRIVATE_BUCKET=private
+STORAGE_PUBLIC_BUCKET=public
+STORAGE_PUBLIC_URL=
+
 # CORS Configuration
 FRONTEND_URL=${frontendUrl}
+
+# Local payment simulator: marks orders paid without taking money
+# (development only, never offered in production)
+PAYMENT_SIMULATOR_ENABLED=false
+PAYMENT_SIMULATOR_WEBHOOK_SECRET=${generateJWTSecret()}
 `;
 
   fs.writeFileSync(envPath, envContent);
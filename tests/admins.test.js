@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PassThrough, Writable } = require('stream');
+const bcrypt = require('bcryptjs');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const emailService = require('../utils/email');
+const {
+  hasPermission,
+  validatePermissions,
+  authenticateAdmin,
+  inviteAdmin,
+  acceptAdminInvite,
+  updateAdmin
+} = require('../utils/admins');
+const { createPrompt } = require('../create-admin');
+const adminRoutes = require('../routes/admin');
+
+const superAdmin = { id: 'admin-1', name: 'Root', email: 'root@example.com', active: true, permissions: ['admin_management'] };
+
+/**
+ * A terminal the prompt can be typed into, and everything it printed
+ */
+const fakeTerminal = () => {
+  const input = new PassThrough();
+  input.isTTY = true;
+  input.setRawMode = () => input;
+
+  let printed = '';
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      printed += chunk.toString();
+      callback();
+    }
+  });
+
+  return { input, output, printed: () => printed };
+};
+
+test('create-admin does not echo the password as it is typed', async () => {
+  const terminal = fakeTerminal();
+  const prompt = createPrompt(terminal.input, terminal.output);
+
+  const email = prompt.question('Admin email: ');
+  terminal.input.write('root@example.com\r');
+  assert.equal(await email, 'root@example.com');
+
+  const password = prompt.questionHidden('Password: ');
+  terminal.input.write('S3cret-Passw0rd\r');
+  assert.equal(await password, 'S3cret-Passw0rd');
+  prompt.close();
+
+  assert.match(terminal.printed(), /root@example\.com/);
+  assert.match(terminal.printed(), /Password: /);
+  assert.equal(terminal.printed().includes('S3cret'), false);
+});
+
+test('permissions are checked by name', () => {
+  assert.equal(hasPermission({ permissions: ['finance'] }, 'finance'), true);
+  assert.equal(hasPermission({ permissions: ['finance'] }, 'audit_log'), false);
+  assert.equal(hasPermission(null, 'finance'), false);
+  assert.deepEqual(validatePermissions(['finance', 'root']), [
+    'Unknown permissions: root. Must be among: vendor_approval, vendor_management, product_moderation, customer_management, order_management, finance, audit_log, admin_management'
+  ]);
+  assert.deepEqual(validatePermissions('finance'), ['Permissions must be a list']);
+});
+
+test('authenticateAdmin refuses disabled admins and wrong passwords', async (t) => {
+  const password = await bcrypt.hash('Passw0rd!', 4);
+  let admin = { ...superAdmin, password };
+  mockSupabase(t, () => ({ data: admin }));
+
+  assert.equal((await authenticateAdmin('ROOT@example.com', 'Passw0rd!')).id, 'admin-1');
+  assert.equal(await authenticateAdmin('root@example.com', 'wrong'), null);
+  admin = { ...admin, active: false };
+  assert.equal(await authenticateAdmin('root@example.com', 'Passw0rd!'), null);
+});
+
+test('inviteAdmin emails a link and stores only the token hash', async (t) => {
+  const sent = [];
+  t.mock.method(emailService, 'sendAdminInviteEmail', async (...args) => sent.push(args));
+  const queries = mockSupabase(t, (query) => (query.is('admins', 'insert') ? { data: { ...query.values[0], id: 'admin-2' } } : {}));
+
+  await inviteAdmin({ email: 'New@Example.com', name: 'Nadia', permissions: ['finance', 'finance'] }, superAdmin);
+
+  const insert = queries.find(query => query.is('admins', 'insert')).values[0];
+  const token = new URL(sent[0][2].inviteUrl).searchParams.get('token');
+  assert.equal(insert.email, 'new@example.com');
+  assert.deepEqual(insert.permissions, ['finance']);
+  assert.equal(insert.invite_token_hash, crypto.createHash('sha256').update(token).digest('hex'));
+  assert.equal(JSON.stringify(insert).includes(token), false);
+});
+
+test('inviteAdmin refuses an admin that already accepted', async (t) => {
+  mockSupabase(t, () => ({ data: { ...superAdmin, invite_accepted_at: '2026-01-01' } }));
+
+  await assert.rejects(inviteAdmin({ email: 'root@example.com', name: 'Root' }, superAdmin), { statusCode: 409 });
+});
+
+test('acceptAdminInvite refuses an invalid or expired link', async (t) => {
+  mockSupabase(t, () => ({ data: null }));
+
+  await assert.rejects(acceptAdminInvite('nope', 'Passw0rd!'), { name: 'AdminAccountError', statusCode: 400 });
+});
+
+test('updateAdmin cannot change your own account and signs out deactivated admins', async (t) => {
+  const queries = mockSupabase(t, (query) => (query.is('admins', 'update') ? { data: { id: 'admin-2', active: false } } : {}));
+
+  await assert.rejects(updateAdmin('admin-1', { active: false }, superAdmin), { statusCode: 403 });
+  await updateAdmin('admin-2', { active: false }, superAdmin);
+
+  const revoke = queries.find(query => query.is('sessions', 'update'));
+  assert.equal(revoke.eq('user_id'), 'admin-2');
+  assert.equal(revoke.values.revoked_reason, 'admin_deactivated');
+});
+
+test('admin routes check the permission of the route', async (t) => {
+  const auditor = { ...superAdmin, id: 'admin-3', permissions: ['audit_log'] };
+  mockSupabase(t, (query) => authQueries(query, { admin: auditor }) || {});
+  const request = await startApp(t, { '/api/admin': adminRoutes });
+
+  const response = await request('PUT', '/api/admin/orders/order-1/status', {
+    headers: bearer({ role: 'admin', id: auditor.id }),
+    body: { status: 'cancelled' }
+  });
+
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error.message, 'Insufficient permissions (requires order_management)');
+});
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const { validateTimeseriesQuery, getProductSales, sumSales, getSalesTimeseries } = require('../utils/analytics');
+const vendorRoutes = require('../routes/vendor');
+
+const vendor = { id: 'vend-1', business_name: 'Shop', business_email: 'shop@example.com', approved: true, verified: true };
+
+const salesRow = (productId, unitsSold, revenue) => ({ product_id: productId, orders: '1', units_sold: String(unitsSold), revenue: String(revenue) });
+
+test('validateTimeseriesQuery defaults to daily buckets over the last 30 days', () => {
+  const { isValid, params } = validateTimeseriesQuery({});
+
+  assert.equal(isValid, true);
+  assert.equal(params.bucket, 'day');
+  assert.equal(params.timezone, 'UTC');
+  assert.equal(Math.round((params.to - params.from) / 86400000), 30);
+});
+
+test('validateTimeseriesQuery includes the whole day of a plain `to` date', () => {
+  const { params } = validateTimeseriesQuery({ from: '2026-03-01', to: '2026-03-31', bucket: 'week', timezone: 'Africa/Kinshasa' });
+
+  assert.equal(params.from.toISOString(), '2026-03-01T00:00:00.000Z');
+  assert.equal(params.to.toISOString(), '2026-04-01T00:00:00.000Z');
+});
+
+test('validateTimeseriesQuery rejects bad buckets, zones and ranges', () => {
+  assert.deepEqual(validateTimeseriesQuery({ bucket: 'hour', timezone: 'Mars/Olympus' }).errors, [
+    'Bucket must be one of: day, week, month',
+    'Invalid time zone'
+  ]);
+  assert.deepEqual(validateTimeseriesQuery({ from: '2026-03-02', to: '2026-03-01T00:00:00Z' }).errors, ['from must be before to']);
+  assert.deepEqual(validateTimeseriesQuery({ from: 'soon' }).errors, ['from and to must be valid dates']);
+  assert.match(validateTimeseriesQuery({ from: '2020-01-01', to: '2026-01-01' }).errors[0], /too long for day buckets/);
+});
+
+test('getProductSales shapes the rows, highest revenue first', async (t) => {
+  const queries = mockSupabase(t, () => ({ data: [salesRow('p1', 2, '19.99'), salesRow('p2', 1, '45.5')] }));
+
+  const sales = await getProductSales('vend-1', { from: new Date('2026-03-01T00:00:00Z') });
+
+  assert.deepEqual(sales.map(row => [row.productId, row.unitsSold, row.revenue]), [['p2', 1, 45.5], ['p1', 2, 19.99]]);
+  assert.deepEqual(queries[0].params, { p_vendor_id: 'vend-1', p_from: '2026-03-01T00:00:00.000Z', p_to: null });
+  assert.deepEqual(sumSales(sales), { unitsSold: 3, revenue: 65.49 });
+});
+
+test('getSalesTimeseries keeps bucket starts as local dates', async (t) => {
+  const queries = mockSupabase(t, () => ({
+    data: [{ bucket_start: '2026-03-02T00:00:00+01:00', orders: '3', units_sold: '4', revenue: '12.10' }]
+  }));
+  const { params } = validateTimeseriesQuery({ from: '2026-03-01', to: '2026-03-07', timezone: 'Africa/Kinshasa' });
+
+  const series = await getSalesTimeseries('vend-1', params);
+
+  assert.deepEqual(series, [{ bucketStart: '2026-03-02', orders: 3, unitsSold: 4, revenue: 12.1 }]);
+  assert.equal(queries[0].rpc, 'vendor_sales_timeseries');
+  assert.equal(queries[0].params.p_timezone, 'Africa/Kinshasa');
+});
+
+test('GET /api/vendor/analytics/sales returns the series and its totals', async (t) => {
+  mockSupabase(t, (query) => authQueries(query, { vendor }) || {
+    data: [
+      { bucket_start: '2026-03-01', orders: '1', units_sold: '2', revenue: '10.00' },
+      { bucket_start: '2026-03-02', orders: '0', units_sold: '0', revenue: '0' },
+      { bucket_start: '2026-03-03', orders: '2', units_sold: '3', revenue: '25.25' }
+    ]
+  });
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const response = await request('GET', '/api/vendor/analytics/sales?from=2026-03-01&to=2026-03-03', {
+    headers: bearer({ role: 'vendor', id: vendor.id })
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.series.length, 3);
+  assert.deepEqual(response.body.data.totals, { orders: 3, unitsSold: 5, revenue: 35.25 });
+});
+
+test('GET /api/vendor/analytics/sales validates the query', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, { vendor }) || {});
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const response = await request('GET', '/api/vendor/analytics/sales?bucket=year', {
+    headers: bearer({ role: 'vendor', id: vendor.id })
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.error.details, ['Bucket must be one of: day, week, month']);
+  assert.equal(queries.some(query => query.rpc), false);
+});
+
+test('GET /api/vendor/dashboard counts sales from order items and refunds from orders', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  mockSupabase(t, (query) => {
+    const auth = authQueries(query, { vendor });
+    if (auth) return auth;
+    if (query.is('vendors')) return { data: vendor };
+    if (query.is('products')) {
+      return { data: [{ id: 'p1', name: 'Shirt', price: '10.00', stock: 3, images: ['http://img/p1.jpg'], rating: '4.00', review_count: 2 }] };
+    }
+    if (query.is('orders') && query.has('limit')) return { data: [] };
+    if (query.is('orders')) {
+      return { data: [{ id: 'o1', customer_id: 'c1', refunded_amount: '5.00' }, { id: 'o2', customer_id: 'c1', refunded_amount: '0' }] };
+    }
+    if (query.rpc === 'vendor_product_sales' && !query.params.p_from) return { data: [salesRow('p1', 4, '40.00')] };
+    if (query.rpc === 'vendor_product_sales' && !query.params.p_to) return { data: [salesRow('p1', 3, '30.00')] };
+    if (query.rpc === 'vendor_product_sales') return { data: [salesRow('p1', 1, '10.00')] };
+    return { data: [] };
+  });
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const response = await request('GET', '/api/vendor/dashboard', {
+    headers: bearer({ role: 'vendor', id: vendor.id })
+  });
+
+  assert.equal(response.status, 200);
+  const { stats, topProducts } = response.body.data;
+  assert.equal(stats.totalSales, 40);
+  assert.equal(stats.totalUnitsSold, 4);
+  assert.equal(stats.totalRefunds, 5);
+  assert.equal(stats.totalOrders, 2);
+  assert.equal(stats.totalCustomers, 1);
+  assert.equal(stats.growth, 200);
+  assert.deepEqual(topProducts.map(product => [product.id, product.sales, product.image]), [['p1', 4, 'http://img/p1.jpg']]);
+});
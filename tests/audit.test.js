@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const { diffRecords, recordAdminAction, validateAuditFilters, buildAuditQuery, toAuditCsv } = require('../utils/audit');
+const adminRoutes = require('../routes/admin');
+
+const auditor = { id: 'admin-1', email: 'root@example.com', active: true, permissions: ['audit_log'] };
+
+const entry = {
+  id: 'entry-1', admin_id: auditor.id, admin_email: auditor.email, action: 'vendor.approve', target_type: 'vendor',
+  target_id: 'vend-1', changes: { approved: { from: false, to: true } }, reason: 'KYC checked', metadata: null,
+  ip: '10.0.0.1', user_agent: 'curl', created_at: '2026-03-01T10:00:00.000Z'
+};
+
+test('diffRecords records the changed columns only', () => {
+  const before = { id: 'vend-1', approved: false, name: 'Shop', updated_at: '2026-01-01', owner: { id: 'c1' } };
+  const after = { id: 'vend-1', approved: true, name: 'Shop', updated_at: '2026-01-02', owner: { id: 'c2' } };
+
+  assert.deepEqual(diffRecords(before, after), { approved: { from: false, to: true } });
+  assert.deepEqual(diffRecords(null, { id: 'p1' }), { id: { from: null, to: 'p1' } });
+  assert.deepEqual(diffRecords({ id: 'p1' }, null), { id: { from: 'p1', to: null } });
+});
+
+test('diffRecords skips columns a partial update leaves out and redacts secrets', () => {
+  const before = { name: 'Old', stock: 3, password: 'old-hash' };
+
+  assert.deepEqual(diffRecords(before, { name: 'New', password: 'new-hash' }), {
+    name: { from: 'Old', to: 'New' },
+    password: { from: '[redacted]', to: '[redacted]' }
+  });
+});
+
+test('recordAdminAction logs a failed write instead of throwing', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  mockSupabase(t, () => ({ error: { code: 'XX000', message: 'database down' } }));
+
+  await recordAdminAction({ user: auditor, headers: {} }, { action: 'vendor.approve', targetType: 'vendor', targetId: 'vend-1' });
+
+  assert.match(logged.mock.calls[0].arguments[0], /AUDIT LOG WRITE FAILED for vendor\.approve on vendor vend-1/);
+});
+
+test('validateAuditFilters rejects unknown targets and dates and cleans the search', () => {
+  assert.deepEqual(validateAuditFilters({ targetType: 'planet', from: 'yesterday' }).errors, [
+    'Target type must be one of: vendor, product, customer, order, return_request, review, admin, settings',
+    'from and to must be valid dates'
+  ]);
+
+  const { isValid, filters } = validateAuditFilters({ search: 'a%,b(c)*\\', from: '2026-03-01' });
+  assert.equal(isValid, true);
+  assert.equal(filters.search, 'a  b c');
+  assert.equal(filters.from.toISOString(), '2026-03-01T00:00:00.000Z');
+});
+
+test('buildAuditQuery matches a whole action family by its prefix', async (t) => {
+  const queries = mockSupabase(t);
+
+  await buildAuditQuery({ action: 'vendor' });
+  await buildAuditQuery({ action: 'vendor.approve', from: new Date('2026-03-01T00:00:00Z'), to: new Date('2026-04-01T00:00:00Z') });
+
+  assert.deepEqual(queries[0].args('like'), ['action', 'vendor.%']);
+  assert.equal(queries[1].eq('action'), 'vendor.approve');
+  assert.deepEqual(queries[1].args('gte'), ['created_at', '2026-03-01T00:00:00.000Z']);
+  assert.deepEqual(queries[1].args('lt'), ['created_at', '2026-04-01T00:00:00.000Z']);
+});
+
+test('toAuditCsv quotes every cell and neutralises formulas', () => {
+  const csv = toAuditCsv([{ ...entry, reason: '=HYPERLINK("http://evil")', user_agent: null }]);
+  const [header, row] = csv.split('\n');
+
+  assert.equal(header.split(',')[0], 'created_at');
+  assert.match(row, /"'=HYPERLINK\(""http:\/\/evil""\)"/);
+  assert.match(row, /"\{""approved"":\{""from"":false,""to"":true\}\}"/);
+  assert.equal(row.endsWith(','), true);
+});
+
+test('GET /api/admin/audit-log pages through the filtered entries', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, { admin: auditor }) ||
+    (query.is('admin_audit_log') ? { data: [entry], count: 51 } : {}));
+  const request = await startApp(t, { '/api/admin': adminRoutes });
+
+  const response = await request('GET', '/api/admin/audit-log?targetType=vendor&page=2&limit=50', {
+    headers: bearer({ role: 'admin', id: auditor.id })
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.entries[0].admin.email, auditor.email);
+  assert.deepEqual(response.body.data.pagination, { page: 2, limit: 50, total: 51, totalPages: 2 });
+  const list = queries.find(query => query.is('admin_audit_log'));
+  assert.equal(list.eq('target_type'), 'vendor');
+  assert.deepEqual(list.args('range'), [50, 99]);
+});
+
+test('GET /api/admin/audit-log needs the audit_log permission', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, { admin: { ...auditor, permissions: ['finance'] } }) || {});
+  const request = await startApp(t, { '/api/admin': adminRoutes });
+
+  const response = await request('GET', '/api/admin/audit-log', { headers: bearer({ role: 'admin', id: auditor.id }) });
+
+  assert.equal(response.status, 403);
+  assert.equal(queries.some(query => query.is('admin_audit_log')), false);
+});
+
+test('GET /api/admin/audit-log/export sends CSV and audits the export', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, { admin: auditor }) ||
+    (query.is('admin_audit_log', 'select') ? { data: [entry] } : {}));
+  const request = await startApp(t, { '/api/admin': adminRoutes });
+  const headers = bearer({ role: 'admin', id: auditor.id });
+
+  const invalid = await request('GET', '/api/admin/audit-log/export?format=xml', { headers });
+  assert.equal(invalid.status, 400);
+
+  const response = await request('GET', '/api/admin/audit-log/export', { headers });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /attachment; filename="admin-audit-log-\d{4}-\d{2}-\d{2}\.csv"/);
+  const audit = queries.find(query => query.is('admin_audit_log', 'insert')).values[0];
+  assert.equal(audit.action, 'audit_log.export');
+  assert.equal(audit.metadata.rows, 1);
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const {
+  isValidQuantity,
+  getUnavailableReason,
+  describeUnavailableReason,
+  buildCartSummary
+} = require('../utils/cart');
+const customerRoutes = require('../routes/customer');
+
+const vendor = { id: 'v1', business_name: 'Maison Kin', approved: true };
+const product = (fields = {}) => ({
+  id: 'p1', name: 'Pagne', price: '12.50', images: [], stock: 5, status: 'published',
+  vendor_id: 'v1', has_variants: false, vendor, ...fields
+});
+
+test('isValidQuantity accepts whole numbers from 1 to 99', () => {
+  assert.equal(isValidQuantity(1), true);
+  assert.equal(isValidQuantity(99), true);
+  assert.equal(isValidQuantity(0), false);
+  assert.equal(isValidQuantity(100), false);
+  assert.equal(isValidQuantity(1.5), false);
+});
+
+test('getUnavailableReason reports why a product cannot be bought', () => {
+  assert.equal(getUnavailableReason(product()), null);
+  assert.equal(getUnavailableReason(null), 'removed');
+  assert.equal(getUnavailableReason(product({ status: 'flagged' })), 'flagged');
+  assert.equal(getUnavailableReason(product({ status: 'draft' })), 'unavailable');
+  assert.equal(getUnavailableReason(product({ vendor: { ...vendor, approved: false } })), 'unavailable');
+  assert.equal(getUnavailableReason(product({ stock: 0 })), 'out_of_stock');
+  assert.equal(getUnavailableReason(product(), 6), 'insufficient_stock');
+  assert.equal(describeUnavailableReason('insufficient_stock', product()), 'Only 5 left in stock');
+});
+
+test('buildCartSummary groups lines by vendor and leaves unavailable lines out of totals', () => {
+  const summary = buildCartSummary([
+    { id: 'c1', product_id: 'p1', quantity: 2, product: product() },
+    { id: 'c2', product_id: 'p2', quantity: 1, product: product({ id: 'p2', price: '3.10' }) },
+    { id: 'c3', product_id: 'p3', quantity: 1, product: product({ id: 'p3', stock: 0 }) }
+  ]);
+
+  assert.equal(summary.vendors.length, 1);
+  assert.equal(summary.vendors[0].subtotal, 28.1);
+  assert.equal(summary.total, 28.1);
+  assert.equal(summary.itemCount, 3);
+  assert.deepEqual(summary.issues.map(issue => [issue.productId, issue.reason]), [['p3', 'out_of_stock']]);
+  assert.equal(summary.vendors[0].items[2].available, false);
+});
+
+const customer = { id: 'cust-1', email: 'a@example.com', verified: true };
+
+test('POST /api/customer/cart adds a product within its stock', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, { customer }) ||
+    (query.is('products') ? { data: product() } : { data: query.has('maybeSingle') ? null : [] }));
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/cart', {
+    headers: bearer({ role: 'customer', id: customer.id }),
+    body: { productId: 'p1', quantity: 2 }
+  });
+
+  assert.equal(response.status, 201);
+  const upsert = queries.find(query => query.is('cart', 'upsert'));
+  assert.equal(upsert.values.quantity, 2);
+  assert.equal(upsert.values.customer_id, customer.id);
+  assert.equal(upsert.values.variant_id, null);
+});
+
+test('POST /api/customer/cart refuses more than the stock, counting what is in the cart', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, { customer }) ||
+    (query.is('products') ? { data: product() } : { data: { id: 'c1', quantity: 4 } }));
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/cart', {
+    headers: bearer({ role: 'customer', id: customer.id }),
+    body: { productId: 'p1', quantity: 2 }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.reason, 'insufficient_stock');
+  assert.equal(queries.some(query => query.is('cart', 'upsert')), false);
+});
+
+test('POST /api/customer/cart requires a signed-in customer', async (t) => {
+  mockSupabase(t);
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/cart', { body: { productId: 'p1' } });
+
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const { validateShippingAddress, sanitizeShippingAddress } = require('../utils/validation');
+const customerRoutes = require('../routes/customer');
+
+const customer = { id: 'cust-1', email: 'a@example.com', verified: true };
+const shippingAddress = {
+  fullName: 'Amani Mbuyi', phone: '+243 812 345 678', addressLine1: '12 Av. Kasa-Vubu', city: 'Kinshasa', country: 'CD'
+};
+const cartLine = (productId, vendorId, stock = 5) => ({
+  id: `c-${productId}`, product_id: productId, quantity: 1,
+  product: {
+    id: productId, name: productId, price: '10.00', images: [], stock, status: 'published',
+    vendor_id: vendorId, has_variants: false, vendor: { id: vendorId, business_name: vendorId, approved: true }
+  }
+});
+
+const checkoutHandler = ({ cart, rpc }) => (query) => authQueries(query, { customer }) ||
+  (query.is('cart') ? { data: cart } : null) ||
+  (query.rpc === 'checkout_cart' ? rpc(query) : null) ||
+  (query.is('orders') ? { data: [{ id: 'o1' }, { id: 'o2' }] } : {});
+
+test('validateShippingAddress requires the delivery fields', () => {
+  assert.equal(validateShippingAddress(shippingAddress).isValid, true);
+  assert.deepEqual(validateShippingAddress({ fullName: 'A' }).errors, [
+    'Missing required address fields: phone, addressLine1, city, country'
+  ]);
+  assert.equal(validateShippingAddress(null).isValid, false);
+  assert.equal(sanitizeShippingAddress({ ...shippingAddress, fullName: '<b>A</b>' }).fullName, '&lt;b&gt;A&lt;&#x2F;b&gt;');
+});
+
+test('POST /api/customer/checkout places one order per vendor through checkout_cart()', async (t) => {
+  const queries = mockSupabase(t, checkoutHandler({
+    cart: [cartLine('p1', 'v1'), cartLine('p2', 'v2')],
+    rpc: () => ({ data: { checkout_id: 'chk-1', order_ids: ['o1', 'o2'] } })
+  }));
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/checkout', {
+    headers: bearer({ role: 'customer', id: customer.id }),
+    body: { shippingAddress }
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.checkoutId, 'chk-1');
+  assert.equal(response.body.data.orders.length, 2);
+  assert.equal(response.body.data.total, 20);
+  const rpc = queries.find(query => query.rpc === 'checkout_cart');
+  assert.equal(rpc.params.p_customer_id, customer.id);
+  assert.equal(rpc.params.p_product_ids, null);
+});
+
+test('POST /api/customer/checkout reports cart issues before placing anything', async (t) => {
+  const queries = mockSupabase(t, checkoutHandler({
+    cart: [cartLine('p1', 'v1', 0)],
+    rpc: () => ({})
+  }));
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/checkout', {
+    headers: bearer({ role: 'customer', id: customer.id }),
+    body: { shippingAddress }
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error.issues[0].reason, 'out_of_stock');
+  assert.equal(queries.some(query => query.rpc), false);
+});
+
+test('POST /api/customer/checkout maps stock lost to a concurrent order to 409', async (t) => {
+  mockSupabase(t, checkoutHandler({
+    cart: [cartLine('p1', 'v1')],
+    rpc: () => ({ error: { message: 'INSUFFICIENT_STOCK:p1' } })
+  }));
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/checkout', {
+    headers: bearer({ role: 'customer', id: customer.id }),
+    body: { shippingAddress }
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error.productId, 'p1');
+});
+
+test('POST /api/customer/checkout refuses an empty cart and an unknown payment method', async (t) => {
+  mockSupabase(t, checkoutHandler({ cart: [], rpc: () => ({}) }));
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+  const headers = bearer({ role: 'customer', id: customer.id });
+
+  const empty = await request('POST', '/api/customer/checkout', { headers, body: { shippingAddress } });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.error.message, 'Your cart is empty');
+
+  const method = await request('POST', '/api/customer/checkout', {
+    headers, body: { shippingAddress, paymentMethod: 'barter' }
+  });
+  assert.equal(method.status, 400);
+});
@@ -0,0 +1,277 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const passport = require('passport');
+const { Strategy } = require('passport-strategy');
+const { withEnv } = require('./helpers/env');
+const { mockSupabase, dbError } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const emailService = require('../utils/email');
+const { StaticJwksSource, setGoogleJwksSource } = require('../utils/googleIdToken');
+const { signInWithGoogle } = require('../utils/googleAuth');
+const googleRoutes = require('../routes/googleAuth');
+
+const customer = { id: 'cust-1', email: 'a@example.com', first_name: 'Amani', last_name: 'Mbuyi', role: 'customer', verified: true };
+const googleProfile = {
+  id: 'google-1', displayName: 'Amani Mbuyi', emails: [{ value: 'A@example.com' }], photos: [], name: { givenName: 'Amani' }
+};
+const profile = { googleId: 'google-1', email: 'a@example.com', name: 'Amani Mbuyi', givenName: 'Amani', familyName: 'Mbuyi', picture: null };
+
+// ID tokens of the link routes are checked against this local key
+const CLIENT_ID = 'web-client.apps.googleusercontent.com';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+setGoogleJwksSource(new StaticJwksSource([{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key' }]));
+
+const idToken = () => jwt.sign({ sub: 'google-1', email: 'a@example.com', email_verified: true }, privateKey, {
+  algorithm: 'RS256', keyid: 'test-key', audience: CLIENT_ID, issuer: 'https://accounts.google.com', expiresIn: '1h'
+});
+
+/**
+ * Stands in for the Google strategy: every callback signs in `profile`
+ */
+class FakeGoogleStrategy extends Strategy {
+  constructor(profile) {
+    super();
+    this.name = 'google';
+    this.profile = profile;
+  }
+
+  authenticate() {
+    this.success(this.profile);
+  }
+}
+
+const useFakeGoogle = (t, profile) => {
+  passport.use(new FakeGoogleStrategy(profile));
+  t.after(() => passport.unuse('google'));
+};
+
+/**
+ * A linked customer and the login codes issued for it
+ */
+const googleDatabase = () => {
+  const state = { codes: [], sessions: 0 };
+
+  state.handler = (query) => {
+    if (query.is('auth_identities', 'select')) return { data: { id: 'identity-1', user_id: customer.id } };
+    if (query.is('customers')) return { data: customer };
+    if (query.is('oauth_login_codes', 'insert')) {
+      state.codes.push({ ...query.values[0], used_at: null });
+      return {};
+    }
+    if (query.is('oauth_login_codes', 'update')) {
+      const code = state.codes.find(row => row.code_hash === query.eq('code_hash') && !row.used_at &&
+        new Date(row.expires_at) > new Date(query.args('gt')[1]));
+      if (!code) return { data: null };
+      code.used_at = query.values.used_at;
+      return { data: code };
+    }
+    if (query.is('sessions', 'insert')) {
+      state.sessions += 1;
+      return { data: { id: `session-${state.sessions}`, ...query.values[0] } };
+    }
+    return {};
+  };
+
+  return state;
+};
+
+test('the Google callback redirects with a one-time code, never a token', async (t) => {
+  useFakeGoogle(t, googleProfile);
+  const db = googleDatabase();
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/auth': googleRoutes });
+
+  const response = await request('GET', '/api/auth/google/callback?code=from-google');
+
+  assert.equal(response.status, 302);
+  const location = new URL(response.headers.get('location'));
+  assert.equal(location.origin + location.pathname, 'http://frontend.test/auth/callback');
+  assert.equal(location.searchParams.get('role'), 'customer');
+  assert.equal(location.searchParams.has('token'), false);
+  assert.equal(location.searchParams.has('refreshToken'), false);
+  assert.equal(db.sessions, 0);
+
+  const code = location.searchParams.get('code');
+  assert.equal(db.codes.length, 1);
+  assert.equal(db.codes[0].code_hash, crypto.createHash('sha256').update(code).digest('hex'));
+  const ttl = new Date(db.codes[0].expires_at) - Date.now();
+  assert.ok(ttl > 0 && ttl <= 60 * 1000);
+});
+
+test('POST /api/auth/google/exchange opens a session once per code', async (t) => {
+  useFakeGoogle(t, googleProfile);
+  const db = googleDatabase();
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/auth': googleRoutes });
+
+  const callback = await request('GET', '/api/auth/google/callback?code=from-google');
+  const code = new URL(callback.headers.get('location')).searchParams.get('code');
+
+  const response = await request('POST', '/api/auth/google/exchange', { body: { code } });
+  assert.equal(response.status, 200);
+  assert.ok(response.body.data.token);
+  assert.ok(response.body.data.refreshToken);
+  assert.equal(response.body.data.user.email, customer.email);
+  assert.equal(db.sessions, 1);
+
+  const replay = await request('POST', '/api/auth/google/exchange', { body: { code } });
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.error.code, 'invalid_code');
+  assert.equal(db.sessions, 1);
+});
+
+test('POST /api/auth/google/exchange refuses an expired or unknown code', async (t) => {
+  const db = googleDatabase();
+  db.codes.push({
+    user_type: 'customer', user_id: customer.id, code_hash: crypto.createHash('sha256').update('old').digest('hex'),
+    expires_at: new Date(Date.now() - 1000).toISOString(), used_at: null
+  });
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/auth': googleRoutes });
+
+  const expired = await request('POST', '/api/auth/google/exchange', { body: { code: 'old' } });
+  const unknown = await request('POST', '/api/auth/google/exchange', { body: { code: 'made-up' } });
+  const missing = await request('POST', '/api/auth/google/exchange', { body: {} });
+
+  assert.equal(expired.status, 401);
+  assert.equal(unknown.status, 401);
+  assert.equal(missing.status, 400);
+  assert.equal(db.sessions, 0);
+});
+
+test('signInWithGoogle never attaches Google to an existing account by email', async (t) => {
+  mockSupabase(t, (query) => (query.is('customers') || query.is('vendors') ? { data: customer } : {}));
+
+  await assert.rejects(signInWithGoogle(profile, 'customer'), { reason: 'link_required', statusCode: 409 });
+  await assert.rejects(signInWithGoogle(profile, 'vendor'), { reason: 'link_required', statusCode: 409 });
+});
+
+test('signInWithGoogle creates customers but not vendors', async (t) => {
+  t.mock.method(emailService, 'sendWelcomeEmail', async () => {});
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('customers', 'insert')) return { data: query.values[0] };
+    if (query.is('auth_identities', 'insert')) return { data: { id: 'identity-1', ...query.values[0] } };
+    return {};
+  });
+
+  await assert.rejects(signInWithGoogle(profile, 'vendor'), { reason: 'account_not_found', statusCode: 404 });
+  const { account, isNewUser } = await signInWithGoogle(profile, 'customer');
+
+  assert.equal(isNewUser, true);
+  assert.equal(account.verified, true);
+  const identity = queries.find(query => query.is('auth_identities', 'insert')).values[0];
+  assert.deepEqual([identity.provider, identity.provider_user_id, identity.user_id], ['google', 'google-1', account.id]);
+});
+
+test('signInWithGoogle signs in the vendor linked to the Google account', async (t) => {
+  const vendor = { id: 'vend-1', business_email: 'shop@example.com', business_name: 'Shop' };
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('auth_identities', 'select')) return { data: { id: 'identity-1', user_id: vendor.id } };
+    if (query.is('vendors')) return { data: vendor };
+    return {};
+  });
+
+  const { account } = await signInWithGoogle(profile, 'vendor');
+
+  assert.equal(account.id, vendor.id);
+  assert.equal(queries.find(query => query.is('auth_identities', 'select')).eq('user_type'), 'vendor');
+});
+
+/**
+ * A signed-in customer with a password and its linked identities
+ */
+const linkingDatabase = async ({ identities = [], password = 'Passw0rd!', linkedElsewhere = false } = {}) => {
+  const account = { ...customer, password: password && await bcrypt.hash(password, 4) };
+  const state = { identities, account };
+
+  state.handler = (query) => authQueries(query, { customer: account }) || (() => {
+    if (query.is('customers')) return { data: account };
+    if (query.is('auth_identities', 'select')) return { data: state.identities };
+    if (query.is('auth_identities', 'insert')) {
+      if (linkedElsewhere) return { error: dbError('23505', 'duplicate key') };
+      const identity = { id: 'identity-1', created_at: '2026-03-01', ...query.values[0] };
+      state.identities.push(identity);
+      return { data: identity };
+    }
+    if (query.is('auth_identities', 'delete')) {
+      const removed = state.identities;
+      state.identities = [];
+      return { data: removed };
+    }
+    return {};
+  })();
+
+  return state;
+};
+
+test('POST /api/auth/google/link needs the password of the account', async (t) => {
+  withEnv(t, { GOOGLE_CLIENT_ID: CLIENT_ID });
+  const db = await linkingDatabase();
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/auth': googleRoutes });
+  const headers = bearer({ role: 'customer', id: customer.id });
+
+  const wrong = await request('POST', '/api/auth/google/link', { headers, body: { token: idToken(), password: 'guess' } });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.error.code, 'invalid_password');
+  assert.equal(db.identities.length, 0);
+
+  const response = await request('POST', '/api/auth/google/link', { headers, body: { token: idToken(), password: 'Passw0rd!' } });
+  assert.equal(response.status, 200);
+  assert.deepEqual([response.body.data.identity.provider, response.body.data.identity.email], ['google', 'a@example.com']);
+  assert.equal(db.identities[0].user_id, customer.id);
+});
+
+test('POST /api/auth/google/link refuses a second Google account and one linked elsewhere', async (t) => {
+  withEnv(t, { GOOGLE_CLIENT_ID: CLIENT_ID });
+  const request = await startApp(t, { '/api/auth': googleRoutes });
+  const headers = bearer({ role: 'customer', id: customer.id });
+  const body = { token: idToken(), password: 'Passw0rd!' };
+
+  const linked = await linkingDatabase({ identities: [{ id: 'identity-0', provider: 'google', provider_user_id: 'google-0' }] });
+  mockSupabase(t, linked.handler);
+  const second = await request('POST', '/api/auth/google/link', { headers, body });
+
+  assert.equal(second.status, 409);
+  assert.equal(second.body.error.code, 'already_linked');
+  assert.equal(linked.identities.length, 1);
+
+  mockSupabase(t, (await linkingDatabase({ linkedElsewhere: true })).handler);
+  const elsewhere = await request('POST', '/api/auth/google/link', { headers, body });
+
+  assert.equal(elsewhere.status, 409);
+  assert.equal(elsewhere.body.error.message, 'This Google account is already linked to another account');
+});
+
+test('DELETE /api/auth/google/link unlinks Google for accounts with a password', async (t) => {
+  const db = await linkingDatabase({ identities: [{ id: 'identity-1', provider: 'google', provider_user_id: 'google-1' }] });
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/auth': googleRoutes });
+  const headers = bearer({ role: 'customer', id: customer.id });
+
+  const response = await request('DELETE', '/api/auth/google/link', { headers, body: { password: 'Passw0rd!' } });
+  assert.equal(response.status, 200);
+  assert.equal(db.identities.length, 0);
+
+  const again = await request('DELETE', '/api/auth/google/link', { headers, body: { password: 'Passw0rd!' } });
+  assert.equal(again.status, 404);
+  assert.equal(again.body.error.code, 'not_linked');
+});
+
+test('DELETE /api/auth/google/link keeps Google for accounts without a password', async (t) => {
+  const db = await linkingDatabase({ identities: [{ id: 'identity-1', provider: 'google' }], password: null });
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/auth': googleRoutes });
+
+  const response = await request('DELETE', '/api/auth/google/link', {
+    headers: bearer({ role: 'customer', id: customer.id }),
+    body: { password: 'anything' }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, 'password_required');
+  assert.equal(db.identities.length, 1);
+});
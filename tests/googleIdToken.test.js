@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { withEnv } = require('./helpers/env');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp } = require('./helpers/app');
+const {
+  GoogleTokenError,
+  RemoteJwksSource,
+  StaticJwksSource,
+  setGoogleJwksSource,
+  verifyGoogleIdToken
+} = require('../utils/googleIdToken');
+const googleRoutes = require('../routes/googleAuth');
+
+const CLIENT_ID = 'web-client.apps.googleusercontent.com';
+
+/**
+ * A signing key pair and its public JWK
+ */
+const signingKey = (kid) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } };
+};
+
+const googleKey = signingKey('google-key-1');
+const keys = new StaticJwksSource([googleKey.jwk]);
+setGoogleJwksSource(keys);
+
+/**
+ * An ID token as Google would sign it; `claims` and `options` override the defaults
+ */
+const idToken = (claims = {}, { key = googleKey, ...options } = {}) => jwt.sign({
+  sub: 'google-1',
+  email: 'Amani@Example.com',
+  email_verified: true,
+  name: 'Amani Mbuyi',
+  given_name: 'Amani',
+  family_name: 'Mbuyi',
+  ...claims
+}, key.privateKey, {
+  algorithm: 'RS256',
+  keyid: key.kid,
+  audience: CLIENT_ID,
+  issuer: 'https://accounts.google.com',
+  expiresIn: '1h',
+  ...options
+});
+
+const verify = (token) => verifyGoogleIdToken(token, { audience: [CLIENT_ID] });
+
+test('verifyGoogleIdToken returns the profile of a valid token', async () => {
+  const profile = await verify(idToken());
+
+  assert.deepEqual(profile, {
+    googleId: 'google-1',
+    email: 'amani@example.com',
+    name: 'Amani Mbuyi',
+    givenName: 'Amani',
+    familyName: 'Mbuyi',
+    picture: null
+  });
+  assert.equal((await verify(idToken({}, { issuer: 'accounts.google.com' }))).googleId, 'google-1');
+});
+
+test('verifyGoogleIdToken refuses other audiences, issuers and expired tokens', async () => {
+  await assert.rejects(verify(idToken({}, { audience: 'someone-else' })), { message: 'Invalid Google ID token' });
+  await assert.rejects(verify(idToken({}, { issuer: 'https://evil.example.com' })), { message: 'Invalid Google ID token' });
+  await assert.rejects(verify(idToken({ iat: Math.floor(Date.now() / 1000) - 2 * 3600 })), {
+    name: 'GoogleTokenError',
+    message: 'Google ID token has expired'
+  });
+});
+
+test('verifyGoogleIdToken refuses forged and unsigned tokens', async () => {
+  const forger = signingKey(googleKey.kid);
+  const hmac = jwt.sign({ sub: 'google-1', email: 'a@example.com' }, 'secret', { algorithm: 'HS256', keyid: googleKey.kid });
+
+  await assert.rejects(verify(idToken({}, { key: forger })), { message: 'Invalid Google ID token' });
+  await assert.rejects(verify(hmac), { message: 'Unsupported Google ID token algorithm' });
+  await assert.rejects(verify('not-a-token'), { message: 'Malformed Google ID token' });
+});
+
+test('verifyGoogleIdToken requires a verified email', async () => {
+  await assert.rejects(verify(idToken({ email_verified: false })), (error) => {
+    assert.ok(error instanceof GoogleTokenError);
+    assert.equal(error.statusCode, 403);
+    return true;
+  });
+});
+
+test('verifyGoogleIdToken refetches the keys once for an unknown key ID', async () => {
+  const rotated = signingKey('google-key-2');
+  const calls = [];
+  const source = {
+    getKeys: async ({ forceRefresh = false } = {}) => {
+      calls.push(forceRefresh);
+      return forceRefresh ? [googleKey.jwk, rotated.jwk] : [googleKey.jwk];
+    }
+  };
+
+  const profile = await verifyGoogleIdToken(idToken({}, { key: rotated }), { source, audience: [CLIENT_ID] });
+  assert.equal(profile.googleId, 'google-1');
+  assert.deepEqual(calls, [false, true]);
+
+  await assert.rejects(verifyGoogleIdToken(idToken({}, { key: signingKey('unknown') }), { source, audience: [CLIENT_ID] }), {
+    message: 'Google ID token is signed with an unknown key'
+  });
+});
+
+test('RemoteJwksSource caches the keys for the max-age Google sends', async (t) => {
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ keys: [googleKey.jwk] }), {
+    headers: { 'Cache-Control': 'public, max-age=600' }
+  }));
+  const source = new RemoteJwksSource('http://jwks.test/certs');
+
+  const [first, second] = await Promise.all([source.getKeys(), source.getKeys()]);
+  assert.deepEqual(first, [googleKey.jwk]);
+  assert.equal(second, first);
+  assert.equal(fetchMock.mock.callCount(), 1);
+  assert.ok(Math.abs(source.expiresAt - source.fetchedAt - 600 * 1000) < 5);
+
+  // A forced refresh right after a fetch is not worth another request
+  await source.getKeys({ forceRefresh: true });
+  assert.equal(fetchMock.mock.callCount(), 1);
+});
+
+test('RemoteJwksSource keeps the last keys while Google is unreachable', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(globalThis, 'fetch', async () => new Response('down', { status: 503 }));
+  const source = new RemoteJwksSource('http://jwks.test/certs');
+  // Keys fetched earlier, now stale
+  source.keys = [googleKey.jwk];
+
+  assert.deepEqual(await source.getKeys(), [googleKey.jwk]);
+
+  source.keys = null;
+  await assert.rejects(source.getKeys(), /status 503/);
+});
+
+test('POST /api/auth/google/verify-token signs in the linked customer', async (t) => {
+  withEnv(t, { GOOGLE_CLIENT_ID: CLIENT_ID });
+  const customer = { id: 'cust-1', email: 'amani@example.com', first_name: 'Amani', last_name: 'Mbuyi', role: 'customer' };
+  mockSupabase(t, (query) => {
+    if (query.is('auth_identities', 'select')) return { data: { id: 'identity-1', user_id: customer.id } };
+    if (query.is('customers')) return { data: customer };
+    if (query.is('sessions', 'insert')) return { data: { id: 'session-1', ...query.values[0] } };
+    return {};
+  });
+  const request = await startApp(t, { '/api/auth': googleRoutes });
+
+  const response = await request('POST', '/api/auth/google/verify-token', { body: { token: idToken() } });
+  const forged = await request('POST', '/api/auth/google/verify-token', { body: { token: idToken({}, { key: signingKey(googleKey.kid) }) } });
+
+  assert.equal(response.status, 200);
+  assert.ok(response.body.data.token);
+  assert.equal(response.body.data.user.email, customer.email);
+  assert.equal(response.body.data.isNewUser, false);
+  assert.equal(forged.status, 401);
+  assert.equal(forged.body.data, undefined);
+});
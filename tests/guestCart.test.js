@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp } = require('./helpers/app');
+const { generateCartToken, verifyCartToken, mergeGuestCart } = require('../utils/cart');
+const guestCartRoutes = require('../routes/guestCart');
+
+const product = (id, stock, fields = {}) => ({
+  id, name: id, price: '5.00', images: [], stock, status: 'published', vendor_id: 'v1', has_variants: false,
+  vendor: { id: 'v1', business_name: 'V', approved: true }, ...fields
+});
+
+test('cart tokens identify a guest cart and nothing else', () => {
+  const token = generateCartToken('gc-1');
+
+  assert.equal(verifyCartToken(token), 'gc-1');
+  assert.equal(verifyCartToken(jwt.sign({ userId: 'u1', role: 'customer' }, process.env.JWT_SECRET)), null);
+  assert.equal(verifyCartToken(jwt.sign({ cartId: 'gc-1', type: 'guest_cart' }, 'another-secret')), null);
+  assert.equal(verifyCartToken(null), null);
+});
+
+test('mergeGuestCart adds quantities, caps them at the stock and deletes the guest cart', async (t) => {
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('guest_cart_items')) {
+      return {
+        data: [
+          { product_id: 'p1', variant_id: null, quantity: 3, product: product('p1', 4) },
+          { product_id: 'p2', variant_id: null, quantity: 1, product: product('p2', 9) },
+          { product_id: 'p3', variant_id: null, quantity: 1, product: product('p3', 9, { status: 'draft' }) }
+        ]
+      };
+    }
+    if (query.is('cart', 'select')) {
+      return { data: [{ product_id: 'p1', variant_id: null, quantity: 2, product: product('p1', 4) }] };
+    }
+    return {};
+  });
+
+  const result = await mergeGuestCart('cust-1', generateCartToken('gc-1'));
+
+  assert.deepEqual(result.merged, [
+    { productId: 'p1', variantId: null, quantity: 4 },
+    { productId: 'p2', variantId: null, quantity: 1 }
+  ]);
+  assert.deepEqual(result.issues.map(issue => [issue.productId, issue.reason]), [
+    ['p1', 'quantity_adjusted'],
+    ['p3', 'unavailable']
+  ]);
+  const upsert = queries.find(query => query.is('cart', 'upsert'));
+  assert.deepEqual(upsert.args('upsert')[1], { onConflict: 'customer_id,product_id,variant_id' });
+  assert.equal(queries.find(query => query.is('guest_carts', 'delete')).eq('id'), 'gc-1');
+});
+
+test('mergeGuestCart ignores an invalid token', async (t) => {
+  const queries = mockSupabase(t);
+
+  assert.equal(await mergeGuestCart('cust-1', 'not-a-token'), null);
+  assert.equal(queries.length, 0);
+});
+
+test('POST /api/cart creates a guest cart and returns its token', async (t) => {
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('products')) return { data: product('p1', 5) };
+    if (query.is('guest_carts', 'insert')) return { data: { id: 'gc-new' } };
+    if (query.is('guest_cart_items', 'select')) return { data: [] };
+    return {};
+  });
+  const request = await startApp(t, { '/api/cart': guestCartRoutes });
+
+  const response = await request('POST', '/api/cart', { body: { productId: 'p1', quantity: 2 } });
+
+  assert.equal(response.status, 201);
+  assert.equal(verifyCartToken(response.body.data.cartToken), 'gc-new');
+  assert.equal(queries.find(query => query.is('guest_cart_items', 'upsert')).values.guest_cart_id, 'gc-new');
+});
+
+test('PUT /api/cart/:productId requires a cart token', async (t) => {
+  mockSupabase(t);
+  const request = await startApp(t, { '/api/cart': guestCartRoutes });
+
+  const response = await request('PUT', '/api/cart/p1', { body: { quantity: 1 } });
+
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,85 @@
+require('./env');
+const { once } = require('events');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Run routers in an app listening on a free port for the length of a test
+ * Resolves to request(method, path, { body, headers }) which resolves to
+ * { status, headers, body } (body is parsed when it is JSON).
+ */
+const startApp = async (t, mounts) => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  for (const [path, router] of Object.entries(mounts)) {
+    app.use(path, router);
+  }
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return async (method, path, { body, headers = {} } = {}) => {
+    const isForm = body instanceof FormData;
+    const response = await fetch(`${base}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined && !isForm && { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      body: body === undefined || isForm ? body : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    let parsed = text;
+    if ((response.headers.get('content-type') || '').includes('application/json')) {
+      parsed = JSON.parse(text);
+    }
+
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+};
+
+/**
+ * Authorization header of an access token for a session `sid`
+ */
+const bearer = ({ role, id, sid = 'session-1' }) => {
+  const subject = role === 'admin' ? { adminId: id } : { userId: id };
+  const token = jwt.sign({ ...subject, role, sid }, process.env.JWT_SECRET, { expiresIn: '15m' });
+  return { Authorization: `Bearer ${token}` };
+};
+
+const USER_TABLES = { customers: 'customer', vendors: 'vendor', admins: 'admin' };
+
+/**
+ * Answer the queries of the auth middleware: the session is active and
+ * `users` (by role) are the accounts. Returns undefined for other queries
+ * so handlers can chain it: authQueries(query, users) || ...
+ */
+const authQueries = (query, users) => {
+  if (query.is('sessions', 'select') && query.has('maybeSingle')) {
+    return { data: { id: query.eq('id') } };
+  }
+
+  const role = USER_TABLES[query.table];
+  const user = role && users[role];
+  if (user && query.action === 'select' && query.has('single') && query.eq('id') === user.id &&
+    String(query.args('select')?.[0]).trim() === '*') {
+    return { data: user };
+  }
+
+  return undefined;
+};
+
+module.exports = {
+  startApp,
+  bearer,
+  authQueries
+};
@@ -0,0 +1,36 @@
+/**
+ * Environment for the test suite
+ * Required before anything else: config/supabase throws without these and
+ * no test may reach a real service.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_ANON_KEY = 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.FRONTEND_URL = 'http://frontend.test';
+process.env.STORAGE_DRIVER = 'local';
+
+/**
+ * Set environment variables for the length of a test (undefined unsets)
+ */
+const withEnv = (t, vars) => {
+  const saved = {};
+  for (const [name, value] of Object.entries(vars)) {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+};
+
+module.exports = {
+  withEnv
+};
@@ -0,0 +1,119 @@
+require('./env');
+const { supabaseAdmin } = require('../../config/supabase');
+
+/**
+ * Stand-in for the supabaseAdmin client
+ * mockSupabase(t, handler) sends every query a test makes to
+ * handler(query), which returns (or resolves to) { data, error, count };
+ * returning nothing answers { data: null, error: null }. Queries are
+ * recorded in order so tests can check what was written.
+ */
+
+const MUTATIONS = ['insert', 'update', 'upsert', 'delete'];
+
+/**
+ * One query as built by the code under test
+ */
+class Query {
+  constructor(table, rpc = null, params = null) {
+    this.table = table;
+    this.rpc = rpc;
+    this.params = params;
+    this.ops = [];
+  }
+
+  /**
+   * insert, update, upsert, delete, select or rpc
+   */
+  get action() {
+    if (this.rpc) return 'rpc';
+    const mutation = this.ops.find(([name]) => MUTATIONS.includes(name));
+    return mutation ? mutation[0] : 'select';
+  }
+
+  /**
+   * Row(s) given to insert, update or upsert
+   */
+  get values() {
+    const mutation = this.ops.find(([name]) => MUTATIONS.includes(name));
+    return mutation ? mutation[1][0] : undefined;
+  }
+
+  /**
+   * Arguments of the first call of a builder method, or undefined
+   */
+  args(name) {
+    const op = this.ops.find(([opName]) => opName === name);
+    return op ? op[1] : undefined;
+  }
+
+  has(name) {
+    return this.ops.some(([opName]) => opName === name);
+  }
+
+  /**
+   * Value of an .eq() filter on a column, or undefined
+   */
+  eq(column) {
+    const op = this.ops.find(([name, args]) => name === 'eq' && args[0] === column);
+    return op ? op[1][1] : undefined;
+  }
+
+  is(table, action) {
+    return this.table === table && (!action || this.action === action);
+  }
+}
+
+const builder = (query, handler) => {
+  let result;
+  const run = () => {
+    if (!result) {
+      result = Promise.resolve()
+        .then(() => handler(query))
+        .then(answer => ({ data: null, error: null, ...answer }));
+    }
+    return result;
+  };
+
+  const proxy = new Proxy({}, {
+    get: (target, name) => {
+      if (name === 'then') {
+        return (resolve, reject) => run().then(resolve, reject);
+      }
+      return (...args) => {
+        query.ops.push([name, args]);
+        return proxy;
+      };
+    }
+  });
+  return proxy;
+};
+
+const mockSupabase = (t, handler = () => {}) => {
+  const queries = [];
+
+  t.mock.method(supabaseAdmin, 'from', (table) => {
+    const query = new Query(table);
+    queries.push(query);
+    return builder(query, handler);
+  });
+
+  t.mock.method(supabaseAdmin, 'rpc', (name, params) => {
+    const query = new Query(null, name, params);
+    queries.push(query);
+    return builder(query, handler);
+  });
+
+  return queries;
+};
+
+/**
+ * A PostgREST error as the client reports it
+ */
+const dbError = (code = 'XX000', message = 'database error') => ({ code, message });
+
+module.exports = {
+  Query,
+  mockSupabase,
+  dbError
+};
@@ -0,0 +1,181 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const emailService = require('../utils/email');
+const { LocalDiskStorage, setStorage } = require('../utils/storage');
+const { getKycSummary, uploadKycDocument, reviewKycDocument } = require('../utils/kyc');
+const adminRoutes = require('../routes/admin');
+const vendorRoutes = require('../routes/vendor');
+
+const vendor = { id: 'vend-1', business_name: 'Shop', business_email: 'shop@example.com', verified: true, approved: false };
+const admin = { id: 'admin-1', email: 'root@example.com', active: true, permissions: ['vendor_approval', 'vendor_management'] };
+
+const PDF = Buffer.from('%PDF-1.4\n% test document\n');
+
+const kycDocument = (documentType, status, extra = {}) => ({
+  id: `doc-${documentType}`, vendor_id: vendor.id, document_type: documentType, status,
+  storage_key: `kyc/${vendor.id}/doc-${documentType}.pdf`, file_name: `${documentType}.pdf`, ...extra
+});
+
+const allDocuments = (status) => ['business_registration', 'government_id', 'proof_of_address']
+  .map(type => kycDocument(type, status));
+
+/**
+ * Private bucket in a temporary directory for the length of a test
+ */
+const usePrivateStorage = async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'kyc-test-'));
+  setStorage('private', new LocalDiskStorage('private', { root }));
+  t.after(() => fs.rm(root, { recursive: true, force: true }));
+  return path.join(root, 'private');
+};
+
+test('getKycSummary reports what is missing, rejected or accepted', async (t) => {
+  let documents = [];
+  mockSupabase(t, () => ({ data: documents }));
+
+  assert.deepEqual((await getKycSummary(vendor.id)).missing, ['business_registration', 'government_id', 'proof_of_address']);
+  assert.equal((await getKycSummary(vendor.id)).status, 'incomplete');
+
+  documents = allDocuments('pending');
+  assert.equal((await getKycSummary(vendor.id)).status, 'pending_review');
+
+  documents = [...allDocuments('accepted').slice(1), kycDocument('business_registration', 'rejected')];
+  assert.equal((await getKycSummary(vendor.id)).status, 'action_required');
+
+  documents = allDocuments('accepted');
+  const summary = await getKycSummary(vendor.id);
+  assert.deepEqual([summary.status, summary.complete], ['verified', true]);
+});
+
+test('uploadKycDocument checks the file content, not its name', async (t) => {
+  await usePrivateStorage(t);
+  const queries = mockSupabase(t, () => ({ data: [] }));
+
+  const file = { buffer: Buffer.from('just some text, not a pdf'), originalname: 'id.pdf', size: 25 };
+
+  await assert.rejects(uploadKycDocument(vendor.id, 'government_id', file), { name: 'KycError', statusCode: 415 });
+  await assert.rejects(uploadKycDocument(vendor.id, 'selfie', { ...file, buffer: PDF }), { statusCode: 400 });
+  assert.equal(queries.some(query => query.action === 'insert'), false);
+});
+
+test('uploadKycDocument stores the file privately and supersedes a pending one', async (t) => {
+  const directory = await usePrivateStorage(t);
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('vendor_kyc_documents', 'select')) return { data: [kycDocument('government_id', 'pending')] };
+    if (query.is('vendor_kyc_documents', 'insert')) return { data: query.values[0] };
+    return {};
+  });
+
+  const document = await uploadKycDocument(vendor.id, 'government_id', { buffer: PDF, originalname: 'passport.pdf', size: PDF.length });
+
+  assert.equal(document.status, 'pending');
+  assert.equal(document.mime_type, 'application/pdf');
+  assert.deepEqual(await fs.readFile(path.join(directory, document.storage_key)), PDF);
+  const superseded = queries.find(query => query.is('vendor_kyc_documents', 'update'));
+  assert.equal(superseded.eq('id'), 'doc-government_id');
+  assert.equal(superseded.values.status, 'superseded');
+});
+
+test('uploadKycDocument does not replace an accepted document', async (t) => {
+  await usePrivateStorage(t);
+  mockSupabase(t, () => ({ data: [kycDocument('government_id', 'accepted')] }));
+
+  await assert.rejects(uploadKycDocument(vendor.id, 'government_id', { buffer: PDF, size: PDF.length }), { statusCode: 409 });
+});
+
+test('reviewKycDocument needs a reason to reject and emails it to the vendor', async (t) => {
+  const sent = t.mock.method(emailService, 'sendKycDocumentRejectedEmail', async () => {});
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('vendor_kyc_documents', 'select')) return { data: kycDocument('proof_of_address', 'pending') };
+    if (query.is('vendor_kyc_documents', 'update')) return { data: kycDocument('proof_of_address', 'rejected', query.values) };
+    if (query.is('vendors')) return { data: vendor };
+    return {};
+  });
+
+  await assert.rejects(reviewKycDocument(vendor.id, 'doc-proof_of_address', { status: 'rejected' }, admin), { statusCode: 400 });
+  const { after } = await reviewKycDocument(vendor.id, 'doc-proof_of_address', { status: 'rejected', reason: 'Older than 3 months' }, admin);
+
+  assert.equal(after.rejection_reason, 'Older than 3 months');
+  assert.equal(queries.find(query => query.is('vendor_kyc_documents', 'update')).eq('status'), 'pending');
+  assert.deepEqual(sent.mock.calls[0].arguments, ['shop@example.com', 'Shop', {
+    documentLabel: 'Proof of business address',
+    reason: 'Older than 3 months'
+  }]);
+});
+
+test('reviewKycDocument only reviews pending documents', async (t) => {
+  mockSupabase(t, () => ({ data: kycDocument('government_id', 'accepted') }));
+
+  await assert.rejects(reviewKycDocument(vendor.id, 'doc-government_id', { status: 'rejected', reason: 'Blurry' }, admin), {
+    statusCode: 409,
+    message: 'Document is accepted, only pending documents can be reviewed'
+  });
+});
+
+test('PUT /api/admin/vendors/:vendorId/approve waits for every document to be accepted', async (t) => {
+  let documents = [...allDocuments('accepted').slice(1), kycDocument('business_registration', 'pending')];
+  t.mock.method(emailService, 'sendVendorApprovalEmail', async () => {});
+  const queries = mockSupabase(t, (query) => authQueries(query, { admin }) || (() => {
+    if (query.is('vendors', 'select')) return { data: vendor };
+    if (query.is('vendors', 'update')) return { data: { ...vendor, ...query.values } };
+    if (query.is('vendor_kyc_documents')) return { data: documents };
+    return {};
+  })());
+  const request = await startApp(t, { '/api/admin': adminRoutes });
+  const headers = bearer({ role: 'admin', id: admin.id });
+
+  const refused = await request('PUT', '/api/admin/vendors/vend-1/approve', { headers, body: {} });
+  assert.equal(refused.status, 409);
+  assert.deepEqual(refused.body.error.details.pending, ['business_registration']);
+  assert.equal(queries.some(query => query.is('vendors', 'update')), false);
+
+  documents = allDocuments('accepted');
+  const approved = await request('PUT', '/api/admin/vendors/vend-1/approve', { headers, body: {} });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.data.vendor.approved, true);
+});
+
+test('PUT /api/admin/vendors/:vendorId cannot approve a vendor', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, { admin }) || (() => {
+    if (query.is('vendors', 'select')) return { data: vendor };
+    if (query.is('vendors', 'update')) return { data: { ...vendor, ...query.values } };
+    return {};
+  })());
+  const request = await startApp(t, { '/api/admin': adminRoutes });
+
+  const response = await request('PUT', '/api/admin/vendors/vend-1', {
+    headers: bearer({ role: 'admin', id: admin.id }),
+    body: { business_name: 'Shop & Co', approved: true }
+  });
+
+  assert.equal(response.status, 200);
+  const update = queries.find(query => query.is('vendors', 'update')).values;
+  assert.equal(update.business_name, 'Shop & Co');
+  assert.equal('approved' in update, false);
+  assert.equal(response.body.data.vendor.approved, false);
+});
+
+test('POST /api/vendor/kyc/documents accepts uploads before approval', async (t) => {
+  await usePrivateStorage(t);
+  mockSupabase(t, (query) => authQueries(query, { vendor }) || (() => {
+    if (query.is('vendor_kyc_documents', 'select')) return { data: [] };
+    if (query.is('vendor_kyc_documents', 'insert')) return { data: { ...query.values[0], created_at: '2026-03-01' } };
+    return {};
+  })());
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const body = new FormData();
+  body.append('documentType', 'business_registration');
+  body.append('file', new Blob([PDF], { type: 'application/pdf' }), 'registration.pdf');
+  const response = await request('POST', '/api/vendor/kyc/documents', { headers: bearer({ role: 'vendor', id: vendor.id }), body });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.document.documentType, 'business_registration');
+  assert.equal(response.body.data.document.fileName, 'registration.pdf');
+  assert.equal(response.body.data.document.status, 'pending');
+});
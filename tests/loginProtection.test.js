@@ -0,0 +1,133 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp } = require('./helpers/app');
+const emailService = require('../utils/email');
+const {
+  LoginThrottleError,
+  LoginAttemptStore,
+  MemoryLoginAttemptStore,
+  setLoginAttemptStore,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLoginLockout,
+  unlockLogin
+} = require('../utils/loginProtection');
+const authRoutes = require('../routes/auth');
+
+const customer = { id: 'cust-1', email: 'a@example.com', first_name: 'Amani', verified: true };
+
+beforeEach(() => {
+  setLoginAttemptStore(new MemoryLoginAttemptStore());
+});
+
+/**
+ * Fail `count` logins one after the other
+ */
+const failLogins = async (count, email = customer.email, ip = '10.0.0.1') => {
+  for (let i = 0; i < count; i++) {
+    await recordLoginFailure(await reserveLoginAttempt('customer', email, ip));
+  }
+};
+
+test('setLoginAttemptStore only takes a LoginAttemptStore', async () => {
+  assert.throws(() => setLoginAttemptStore({ get() {}, set() {} }), /must extend LoginAttemptStore/);
+  await assert.rejects(new LoginAttemptStore().increment('key', 1, 60), /increment is not implemented/);
+});
+
+test('MemoryLoginAttemptStore counts and forgets counters', async () => {
+  const store = new MemoryLoginAttemptStore();
+
+  assert.equal(await store.increment('key', 1, 60), 1);
+  assert.equal(await store.increment('key', 1, 60), 2);
+  assert.equal(await store.increment('key', -1, 60), 1);
+  assert.equal(await store.get('key'), 1);
+  await store.increment('gone', 1, 0);
+  assert.equal(await store.get('gone'), null);
+});
+
+test('the first failures are free, then each one delays the next attempt', async () => {
+  await failLogins(3);
+  await reserveLoginAttempt('customer', customer.email, '10.0.0.1').then(recordLoginFailure);
+
+  await assert.rejects(reserveLoginAttempt('customer', customer.email, '10.0.0.2'), (error) => {
+    assert.ok(error instanceof LoginThrottleError);
+    assert.equal(error.retryAfter, 1);
+    assert.equal(error.message, 'Too many failed login attempts. Try again in 1 second.');
+    return true;
+  });
+});
+
+test('parallel attempts cannot get past the lock threshold', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const results = await Promise.allSettled(
+    Array.from({ length: 25 }, (_, i) => reserveLoginAttempt('customer', customer.email, `10.0.1.${i}`))
+  );
+
+  const allowed = results.filter(result => result.status === 'fulfilled');
+  const refused = results.filter(result => result.status === 'rejected');
+  assert.equal(allowed.length, 10);
+  assert.equal(refused.length, 15);
+  assert.match(refused[0].reason.message, /This account is temporarily locked/);
+  assert.deepEqual(allowed.map(result => result.value.accountAttempts).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+});
+
+test('the tenth failure locks the account and emails its owner once', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const sent = t.mock.method(emailService, 'sendAccountLockedEmail', async () => {});
+  mockSupabase(t, () => ({ data: customer }));
+
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+
+  // Each attempt waits out the delay set by the previous failure
+  for (let i = 0; i < 10; i++) {
+    await failLogins(1);
+    now += 61 * 1000;
+  }
+
+  assert.equal(sent.mock.callCount(), 1);
+  assert.equal(sent.mock.calls[0].arguments[0], customer.email);
+  assert.match(warn.mock.calls[0].arguments[0], /Login locked for customer a@example\.com after 10 failed attempts/);
+  const lockout = await getLoginLockout('customer', customer.email);
+  assert.equal(lockout.locked, true);
+  assert.equal(lockout.failures, 10);
+  await assert.rejects(reserveLoginAttempt('customer', 'A@example.com', '10.0.3.1'), { statusCode: 429, retryAfter: 15 * 60 - 61 });
+
+  await unlockLogin('customer', customer.email);
+  assert.equal(await getLoginLockout('customer', customer.email), null);
+  await reserveLoginAttempt('customer', customer.email, '10.0.3.1');
+});
+
+test('a successful login clears the account count and gives the attempt back to the IP', async () => {
+  await failLogins(2);
+  const attempt = await reserveLoginAttempt('customer', customer.email, '10.0.0.1');
+  assert.deepEqual([attempt.accountAttempts, attempt.clientAttempts], [3, 3]);
+
+  await recordLoginSuccess(attempt);
+
+  assert.equal(await getLoginLockout('customer', customer.email), null);
+  const next = await reserveLoginAttempt('customer', 'b@example.com', '10.0.0.1');
+  assert.equal(next.clientAttempts, 3);
+});
+
+test('POST /api/auth/customer/login checks at most ten passwords when guessed in parallel', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(emailService, 'sendAccountLockedEmail', async () => {});
+  const password = await bcrypt.hash('Passw0rd!', 4);
+  mockSupabase(t, (query) => (query.is('customers') ? { data: { ...customer, password } } : {}));
+  const compare = t.mock.method(bcrypt, 'compare');
+  const request = await startApp(t, { '/api/auth': authRoutes });
+
+  const responses = await Promise.all(Array.from({ length: 15 }, (_, i) =>
+    request('POST', '/api/auth/customer/login', { body: { email: customer.email, password: `guess-${i}` } })
+  ));
+
+  const checked = responses.filter(response => response.status === 401).length;
+  assert.ok(checked <= 10);
+  assert.equal(compare.mock.callCount(), checked);
+  assert.equal(responses.filter(response => response.status === 429).length, 15 - checked);
+  assert.ok(responses.find(response => response.status === 429).headers.get('retry-after'));
+});
@@ -0,0 +1,320 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { withEnv } = require('./helpers/env');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const {
+  CUSTOMER_CANCELLABLE_STATUSES,
+  canTransition,
+  getAllowedTransitions,
+  transitionOrderStatus
+} = require('../utils/orders');
+const { applyPaymentStatus, cancelOrder, getProvider } = require('../utils/payments');
+const customerRoutes = require('../routes/customer');
+const vendorRoutes = require('../routes/vendor');
+const adminRoutes = require('../routes/admin');
+
+const customer = { id: 'cust-1', email: 'a@example.com', verified: true };
+const vendor = { id: 'vend-1', business_email: 'shop@example.com', approved: true };
+const admin = { id: 'admin-1', email: 'root@example.com', active: true, permissions: ['order_management'] };
+
+/**
+ * One order and its payment, updated by the queries the code makes
+ */
+const orderDatabase = ({ status = 'confirmed', paymentStatus = 'paid', provider = 'simulator' } = {}) => {
+  const state = {
+    order: { id: 'order-1', status, payment_status: paymentStatus, customer_id: customer.id, vendor_id: vendor.id },
+    payment: {
+      id: 'pay-1', order_id: 'order-1', provider, amount: '30.00', refunded_amount: '0',
+      currency: 'USD', status: paymentStatus === 'paid' ? 'paid' : 'pending', provider_reference: 'SIM-1'
+    }
+  };
+
+  state.handler = (query) => authQueries(query, { customer, vendor, admin }) || answer(query);
+
+  const answer = (query) => {
+    if (query.rpc === 'transition_order_status') {
+      if (query.params.p_from_status !== state.order.status) return { data: false };
+      state.order = { ...state.order, status: query.params.p_to_status };
+      return { data: true };
+    }
+    if (query.rpc === 'record_payment_refund') {
+      state.payment = { ...state.payment, status: 'refunded', refunded_amount: String(query.params.p_amount) };
+      state.order = { ...state.order, payment_status: 'refunded' };
+      return { data: null };
+    }
+    if (query.is('orders', 'update')) {
+      // Conditional updates only change an order in the expected payment state
+      const expected = query.eq('payment_status');
+      const [inColumn, allowed] = query.args('in') || [];
+      const [neqColumn, excluded] = query.args('neq') || [];
+      const current = state.order.payment_status;
+      if ((expected !== undefined && current !== expected) ||
+        (inColumn === 'payment_status' && !allowed.includes(current)) ||
+        (neqColumn === 'payment_status' && current === excluded)) {
+        return { data: null };
+      }
+      state.order = { ...state.order, ...query.values };
+      return { data: state.order };
+    }
+    if (query.is('payments', 'update')) {
+      state.payment = { ...state.payment, ...query.values };
+      return { data: state.payment };
+    }
+    if (query.is('orders', 'select')) return { data: state.order };
+    if (query.is('payments', 'select')) {
+      const wanted = query.eq('status');
+      return { data: !wanted || state.payment.status === wanted ? state.payment : null };
+    }
+    if (query.is('order_status_history', 'select')) return { data: [] };
+    return {};
+  };
+
+  return state;
+};
+
+test('each actor has its own transitions', () => {
+  assert.equal(canTransition('customer', 'processing', 'cancelled'), true);
+  assert.equal(canTransition('customer', 'shipped', 'cancelled'), false);
+  assert.equal(canTransition('vendor', 'shipped', 'delivered'), true);
+  assert.equal(canTransition('vendor', 'delivered', 'refunded'), false);
+  assert.equal(canTransition('system', 'cancelled', 'refunded'), true);
+  assert.deepEqual(getAllowedTransitions('vendor', 'pending'), ['confirmed', 'cancelled']);
+  assert.deepEqual(getAllowedTransitions('unknown', 'pending'), []);
+  assert.deepEqual(CUSTOMER_CANCELLABLE_STATUSES, ['pending', 'confirmed', 'processing']);
+});
+
+test('transitionOrderStatus refuses unknown, impossible and forbidden moves', async (t) => {
+  const queries = mockSupabase(t);
+  const order = { id: 'order-1', status: 'shipped' };
+
+  await assert.rejects(transitionOrderStatus(order, 'banana', { actorType: 'admin' }), { statusCode: 400 });
+  await assert.rejects(transitionOrderStatus(order, 'cancelled', { actorType: 'admin' }), { statusCode: 409 });
+  await assert.rejects(transitionOrderStatus(order, 'delivered', { actorType: 'customer' }), { statusCode: 403 });
+  assert.equal(queries.length, 0);
+});
+
+test('transitionOrderStatus fails when the order changed since it was read', async (t) => {
+  const db = orderDatabase({ status: 'processing' });
+  mockSupabase(t, db.handler);
+
+  await assert.rejects(
+    transitionOrderStatus({ id: 'order-1', status: 'confirmed' }, 'processing', { actorType: 'vendor' }),
+    { name: 'OrderTransitionError', statusCode: 409 }
+  );
+  assert.equal(db.order.status, 'processing');
+});
+
+test('cancelOrder leaves an unpaid order without a refund', async (t) => {
+  const db = orderDatabase({ paymentStatus: 'pending' });
+  const queries = mockSupabase(t, db.handler);
+
+  const { order, refund } = await cancelOrder({ id: 'order-1', status: 'confirmed' }, { actorType: 'vendor', actorId: vendor.id });
+
+  assert.equal(order.status, 'cancelled');
+  assert.equal(refund, null);
+  assert.equal(queries.some(query => query.rpc === 'record_payment_refund'), false);
+});
+
+test('cancelOrder refunds a paid order and marks it refunded', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const db = orderDatabase();
+  const queries = mockSupabase(t, db.handler);
+
+  const { order, refund } = await cancelOrder({ id: 'order-1', status: 'confirmed' }, { actorType: 'admin', actorId: admin.id });
+
+  assert.equal(refund.status, 'refunded');
+  assert.equal(refund.amount, 30);
+  assert.equal(order.status, 'refunded');
+  const transitions = queries.filter(query => query.rpc === 'transition_order_status').map(query => query.params);
+  assert.deepEqual(transitions.map(params => [params.p_to_status, params.p_actor_type]), [
+    ['cancelled', 'admin'],
+    ['refunded', 'system']
+  ]);
+});
+
+test('cancelOrder leaves the refund pending when the provider cannot refund', async (t) => {
+  withEnv(t, { MPESA_API_KEY: undefined });
+  const db = orderDatabase({ status: 'pending', provider: 'mpesa' });
+  mockSupabase(t, db.handler);
+  t.mock.method(console, 'warn', () => {});
+
+  const { order, refund } = await cancelOrder({ id: 'order-1', status: 'pending' }, { actorType: 'customer', actorId: customer.id });
+
+  assert.equal(refund.status, 'refund_pending');
+  assert.equal(order.status, 'cancelled');
+  assert.equal(db.order.payment_status, 'refund_pending');
+});
+
+test('a payment settling after its order was cancelled is refunded', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const db = orderDatabase({ status: 'cancelled', paymentStatus: 'pending' });
+  const queries = mockSupabase(t, db.handler);
+
+  const payment = await applyPaymentStatus(db.payment, { status: 'paid' });
+
+  assert.equal(payment.status, 'refunded');
+  assert.equal(db.order.status, 'refunded');
+  assert.equal(queries.find(query => query.rpc === 'record_payment_refund').params.p_amount, 30);
+  assert.equal(queries.some(query => query.rpc === 'transition_order_status' && query.params.p_to_status === 'confirmed'), false);
+});
+
+test('a late payment on a cancelled order waits for a manual refund when the provider cannot refund', async (t) => {
+  withEnv(t, { MPESA_API_KEY: undefined });
+  const db = orderDatabase({ status: 'cancelled', paymentStatus: 'pending', provider: 'mpesa' });
+  mockSupabase(t, db.handler);
+  t.mock.method(console, 'warn', () => {});
+
+  const payment = await applyPaymentStatus(db.payment, { status: 'paid' });
+
+  assert.equal(payment.status, 'paid');
+  assert.equal(db.order.status, 'cancelled');
+  assert.equal(db.order.payment_status, 'refund_pending');
+});
+
+test('a cancellation racing a late payment asks the provider for one refund', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const db = orderDatabase({ status: 'confirmed', paymentStatus: 'pending' });
+  const refundPayment = t.mock.method(getProvider('simulator'), 'refundPayment');
+
+  // The cancellation reads the order back only once the payment has marked it
+  // paid, so both see a cancelled, paid order and both try to refund it
+  let markedPaid;
+  const paid = new Promise(resolve => { markedPaid = resolve; });
+  const queries = mockSupabase(t, async (query) => {
+    if (query.is('orders', 'select') && db.order.payment_status !== 'paid' && db.order.status === 'cancelled') {
+      await paid;
+    }
+    const answer = db.handler(query);
+    if (query.is('orders', 'update') && query.values.payment_status === 'paid') markedPaid();
+    return answer;
+  });
+
+  const [cancelled, payment] = await Promise.all([
+    cancelOrder({ id: 'order-1', status: 'confirmed' }, { actorType: 'customer', actorId: customer.id }),
+    applyPaymentStatus(db.payment, { status: 'paid' })
+  ]);
+
+  assert.equal(refundPayment.mock.callCount(), 1);
+  assert.equal(queries.filter(query => query.rpc === 'record_payment_refund').length, 1);
+  assert.equal(queries.filter(query => query.is('orders', 'update') && query.values.payment_status === 'refund_pending').length, 2);
+  // Whichever path claimed the refund reports it; the other leaves it alone
+  assert.equal(Number(cancelled.refund !== null) + Number(payment.status === 'refunded'), 1);
+  assert.equal(db.order.status, 'refunded');
+  assert.equal(db.order.payment_status, 'refunded');
+});
+
+test('a late failed attempt does not overwrite the refund state of an order', async (t) => {
+  for (const paymentStatus of ['refunded', 'partially_refunded', 'refund_pending', 'paid']) {
+    const db = orderDatabase({ status: 'delivered', paymentStatus });
+    db.payment = { ...db.payment, id: 'pay-2', status: 'pending' };
+    mockSupabase(t, db.handler);
+
+    await applyPaymentStatus(db.payment, { status: 'failed', failureReason: 'Cancelled by the customer' });
+
+    assert.equal(db.order.payment_status, paymentStatus);
+  }
+});
+
+test('a second attempt settling after the first was refunded is refunded too', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const db = orderDatabase({ status: 'refunded', paymentStatus: 'refunded' });
+  db.payment = { ...db.payment, id: 'pay-2', status: 'pending' };
+  const queries = mockSupabase(t, db.handler);
+
+  const payment = await applyPaymentStatus(db.payment, { status: 'paid' });
+
+  assert.equal(payment.status, 'refunded');
+  assert.equal(db.order.payment_status, 'refunded');
+  assert.equal(queries.find(query => query.rpc === 'record_payment_refund').params.p_payment_id, 'pay-2');
+});
+
+test('a payment settling on a pending order still confirms it', async (t) => {
+  const db = orderDatabase({ status: 'pending', paymentStatus: 'pending' });
+  const queries = mockSupabase(t, db.handler);
+
+  await applyPaymentStatus(db.payment, { status: 'paid' });
+
+  assert.equal(db.order.status, 'confirmed');
+  assert.equal(queries.some(query => query.rpc === 'record_payment_refund'), false);
+});
+
+test('PUT /api/vendor/orders/:orderId/status refunds a paid order the vendor cancels', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const db = orderDatabase({ status: 'processing' });
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const response = await request('PUT', '/api/vendor/orders/order-1/status', {
+    headers: bearer({ role: 'vendor', id: vendor.id }),
+    body: { status: 'cancelled', note: 'Out of stock' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.order.status, 'refunded');
+  assert.equal(response.body.data.refund.status, 'refunded');
+  assert.equal(db.payment.status, 'refunded');
+});
+
+test('PUT /api/vendor/orders/:orderId/status moves other statuses without refunding', async (t) => {
+  const db = orderDatabase({ status: 'confirmed' });
+  const queries = mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const response = await request('PUT', '/api/vendor/orders/order-1/status', {
+    headers: bearer({ role: 'vendor', id: vendor.id }),
+    body: { status: 'processing' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.order.status, 'processing');
+  assert.equal(response.body.data.refund, null);
+  assert.equal(queries.some(query => query.is('payments')), false);
+});
+
+test('PUT /api/admin/orders/:orderId/status refunds a paid order the admin cancels', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const db = orderDatabase({ status: 'pending' });
+  const queries = mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/admin': adminRoutes });
+
+  const response = await request('PUT', '/api/admin/orders/order-1/status', {
+    headers: bearer({ role: 'admin', id: admin.id }),
+    body: { status: 'cancelled', note: 'Fraud check' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.order.status, 'refunded');
+  assert.equal(response.body.data.refund.status, 'refunded');
+  const audit = queries.find(query => query.is('admin_audit_log', 'insert'));
+  assert.equal(audit.values[0].action, 'order.status_change');
+});
+
+test('POST /api/customer/orders/:orderId/cancel refunds a paid order', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const db = orderDatabase({ status: 'confirmed' });
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/orders/order-1/cancel', {
+    headers: bearer({ role: 'customer', id: customer.id }),
+    body: { reason: 'Changed my mind' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.order.status, 'refunded');
+  assert.equal(response.body.data.refund.status, 'refunded');
+});
+
+test('POST /api/customer/orders/:orderId/cancel refuses a shipped order', async (t) => {
+  const db = orderDatabase({ status: 'shipped' });
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/orders/order-1/cancel', {
+    headers: bearer({ role: 'customer', id: customer.id })
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(db.order.status, 'shipped');
+});
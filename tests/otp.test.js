@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp } = require('./helpers/app');
+const emailService = require('../utils/email');
+const { generateOTP, isValidOTP, createOTP, issueOTP, verifyOTP } = require('../utils/otp');
+const authRoutes = require('../routes/auth');
+
+const customer = { id: 'cust-1', email: 'a@example.com', first_name: 'Amani', last_name: 'Mbuyi', verified: false };
+
+/**
+ * A customer holding a fresh code, and that code
+ */
+const withCode = (overrides = {}) => {
+  const { otp, fields } = createOTP(customer.id, 'verification');
+  return { otp, account: { ...customer, ...fields, ...overrides } };
+};
+
+test('generateOTP gives six digits', () => {
+  for (let i = 0; i < 50; i++) {
+    assert.equal(isValidOTP(generateOTP()), true);
+  }
+  assert.equal(isValidOTP('12345a'), false);
+});
+
+test('createOTP stores a keyed hash bound to the account, never the code', () => {
+  const { otp, fields } = createOTP(customer.id, 'verification');
+  const other = createOTP('cust-2', 'verification');
+
+  assert.match(fields.otp, /^[0-9a-f]{64}$/);
+  assert.equal(fields.otp.includes(otp), false);
+  assert.notEqual(fields.otp, other.fields.otp);
+  assert.equal(fields.otp_attempts, 0);
+  assert.throws(() => createOTP(customer.id, 'password_reset'), /Unknown OTP purpose/);
+});
+
+test('verifyOTP counts the attempt before comparing the code', async (t) => {
+  const queries = mockSupabase(t, () => ({ data: { id: customer.id } }));
+  const { otp, account } = withCode({ otp_attempts: 2 });
+
+  await verifyOTP('customers', account, otp, 'verification');
+
+  assert.deepEqual(queries[0].values, { otp_attempts: 3 });
+  assert.equal(queries[0].eq('otp_attempts'), 2);
+});
+
+test('verifyOTP reports the attempts left and locks the code at the limit', async (t) => {
+  mockSupabase(t, () => ({ data: { id: customer.id } }));
+  const wrong = (otp) => (otp === '000000' ? '111111' : '000000');
+
+  let { otp, account } = withCode({ otp_attempts: 3 });
+  await assert.rejects(verifyOTP('customers', account, wrong(otp), 'verification'), { message: 'Invalid OTP (1 attempts left)' });
+
+  ({ otp, account } = withCode({ otp_attempts: 4 }));
+  await assert.rejects(verifyOTP('customers', account, wrong(otp), 'verification'), { statusCode: 429 });
+
+  ({ otp, account } = withCode({ otp_attempts: 5 }));
+  await assert.rejects(verifyOTP('customers', account, otp, 'verification'), { statusCode: 429 });
+});
+
+test('verifyOTP refuses an expired code, one for another purpose, and a concurrent guess', async (t) => {
+  mockSupabase(t, () => ({ data: null }));
+
+  const expired = withCode({ otp_expiry: new Date(Date.now() - 1000).toISOString() });
+  await assert.rejects(verifyOTP('customers', expired.account, expired.otp, 'verification'), { message: 'OTP has expired. Please request a new one.' });
+
+  const otherPurpose = withCode({ otp_purpose: 'login' });
+  await assert.rejects(verifyOTP('customers', otherPurpose.account, otherPurpose.otp, 'verification'), { statusCode: 400 });
+
+  const raced = withCode();
+  await assert.rejects(verifyOTP('customers', raced.account, raced.otp, 'verification'), { statusCode: 409 });
+});
+
+test('issueOTP honours the resend cooldown', async (t) => {
+  const queries = mockSupabase(t, () => ({ data: { id: customer.id } }));
+
+  await assert.rejects(issueOTP('customers', { ...customer, otp_sent_at: new Date().toISOString() }, 'verification'), {
+    statusCode: 429,
+    message: /^Please wait \d+ seconds/
+  });
+  assert.equal(queries.length, 0);
+
+  const sentAt = new Date(Date.now() - 61000).toISOString();
+  const otp = await issueOTP('customers', { ...customer, otp_sent_at: sentAt }, 'verification');
+
+  assert.equal(isValidOTP(otp), true);
+  assert.equal(queries[0].eq('otp_sent_at'), sentAt);
+  assert.notEqual(queries[0].values.otp, otp);
+});
+
+test('POST /api/auth/customer/verify-otp verifies the account and clears the code', async (t) => {
+  t.mock.method(emailService, 'sendWelcomeEmail', async () => {});
+  const { otp, account } = withCode();
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('customers', 'select')) return { data: account };
+    if (query.is('customers', 'update')) return { data: { id: customer.id } };
+    return {};
+  });
+  const request = await startApp(t, { '/api/auth': authRoutes });
+
+  const response = await request('POST', '/api/auth/customer/verify-otp', { body: { email: customer.email, otp } });
+
+  assert.equal(response.status, 200);
+  const update = queries.filter(query => query.is('customers', 'update')).pop().values;
+  assert.equal(update.verified, true);
+  assert.equal(update.otp, null);
+  assert.equal(update.otp_attempts, 0);
+});
+
+test('POST /api/auth/customer/verify-otp rejects a wrong code without verifying', async (t) => {
+  const { otp, account } = withCode();
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('customers', 'select')) return { data: account };
+    if (query.is('customers', 'update')) return { data: { id: customer.id } };
+    return {};
+  });
+  const request = await startApp(t, { '/api/auth': authRoutes });
+
+  const response = await request('POST', '/api/auth/customer/verify-otp', {
+    body: { email: customer.email, otp: otp === '000000' ? '111111' : '000000' }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.message, 'Invalid OTP (4 attempts left)');
+  assert.equal(queries.some(query => query.is('customers', 'update') && query.values.verified), false);
+});
@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp } = require('./helpers/app');
+const emailService = require('../utils/email');
+const { requestPasswordReset, resetPassword } = require('../utils/passwordReset');
+const authRoutes = require('../routes/auth');
+
+const customer = { id: 'cust-1', email: 'a@example.com', first_name: 'Amani', password: 'hash' };
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+test('requestPasswordReset emails a link and stores only the token hash', async (t) => {
+  const sent = [];
+  t.mock.method(emailService, 'sendPasswordResetEmail', async (...args) => sent.push(args));
+  const queries = mockSupabase(t, (query) => (query.is('customers') ? { data: customer } : {}));
+
+  await requestPasswordReset('customer', 'A@Example.com', { ip: '10.0.0.1' });
+
+  assert.equal(queries[0].eq('email'), 'a@example.com');
+  const [to, name, { resetUrl, hasPassword }] = sent[0];
+  assert.deepEqual([to, name, hasPassword], ['a@example.com', 'Amani', true]);
+  const token = new URL(resetUrl).searchParams.get('token');
+  assert.equal(resetUrl.startsWith('http://frontend.test/reset-password?token='), true);
+  const insert = queries.find(query => query.is('password_reset_tokens', 'insert')).values[0];
+  assert.equal(insert.token_hash, sha256(token));
+  assert.equal(JSON.stringify(insert).includes(token), false);
+  assert.equal(insert.requested_ip, '10.0.0.1');
+});
+
+test('requestPasswordReset does nothing for an unknown email or during the cooldown', async (t) => {
+  const send = t.mock.method(emailService, 'sendPasswordResetEmail', async () => {});
+
+  let queries = mockSupabase(t);
+  await requestPasswordReset('customer', 'nobody@example.com');
+  assert.equal(queries.length, 1);
+
+  queries = mockSupabase(t, (query) => {
+    if (query.is('customers')) return { data: customer };
+    if (query.is('password_reset_tokens', 'select')) return { data: { created_at: new Date().toISOString() } };
+    return {};
+  });
+  await requestPasswordReset('customer', customer.email);
+  assert.equal(queries.some(query => query.is('password_reset_tokens', 'insert')), false);
+  assert.equal(send.mock.callCount(), 0);
+});
+
+test('resetPassword claims the token once, then revokes every session', async (t) => {
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('password_reset_tokens', 'update')) return { data: { user_id: customer.id } };
+    if (query.is('sessions', 'update')) return { data: [{ id: 's1' }, { id: 's2' }] };
+    return {};
+  });
+
+  await resetPassword('customer', 'the-token', 'N3w-passw0rd!');
+
+  const claim = queries[0];
+  assert.equal(claim.eq('token_hash'), sha256('the-token'));
+  assert.deepEqual(claim.args('is'), ['used_at', null]);
+  const update = queries.find(query => query.is('customers', 'update')).values;
+  assert.notEqual(update.password, 'N3w-passw0rd!');
+  assert.equal(update.verified, true);
+  assert.equal(queries.find(query => query.is('sessions', 'update')).values.revoked_reason, 'password_reset');
+});
+
+test('resetPassword refuses a used or expired token', async (t) => {
+  const queries = mockSupabase(t, () => ({ data: null }));
+
+  await assert.rejects(resetPassword('vendor', 'old', 'N3w-passw0rd!'), { name: 'PasswordResetError', statusCode: 400 });
+  assert.equal(queries.some(query => query.is('vendors')), false);
+});
+
+test('POST /api/auth/customer/forgot-password answers before the account is looked up', async (t) => {
+  let releaseLookup;
+  const lookup = new Promise(resolve => {
+    releaseLookup = resolve;
+  });
+  const send = t.mock.method(emailService, 'sendPasswordResetEmail', async () => {});
+  mockSupabase(t, async (query) => {
+    if (query.is('customers')) {
+      await lookup;
+      return { data: customer };
+    }
+    return {};
+  });
+  const request = await startApp(t, { '/api/auth': authRoutes });
+
+  const response = await request('POST', '/api/auth/customer/forgot-password', { body: { email: customer.email } });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.message, 'If an account exists for this email, a password reset link has been sent');
+  assert.equal(send.mock.callCount(), 0);
+
+  releaseLookup();
+  await new Promise(resolve => setImmediate(resolve));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(send.mock.callCount(), 1);
+});
+
+test('POST /api/auth/vendor/forgot-password logs a failed reset instead of reporting it', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  mockSupabase(t, () => ({ error: { code: 'XX000', message: 'database down' } }));
+  const request = await startApp(t, { '/api/auth': authRoutes });
+
+  const response = await request('POST', '/api/auth/vendor/forgot-password', { body: { email: 'shop@example.com' } });
+
+  assert.equal(response.status, 200);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(logged.mock.calls[0].arguments[0], 'Vendor forgot password error:');
+});
+
+test('POST /api/auth/customer/forgot-password requires an email', async (t) => {
+  mockSupabase(t);
+  const request = await startApp(t, { '/api/auth': authRoutes });
+
+  const response = await request('POST', '/api/auth/customer/forgot-password', { body: {} });
+
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { withEnv } = require('./helpers/env');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp } = require('./helpers/app');
+const paymentRoutes = require('../routes/payments');
+
+const SECRET = 'whsec-test';
+const payment = {
+  id: 'pay-1', order_id: 'order-1', provider: 'simulator', provider_reference: 'SIM-1',
+  amount: '25.00', currency: 'USD', status: 'pending'
+};
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(JSON.stringify(body)).digest('hex');
+
+/**
+ * Webhook tables backed by an array so redeliveries see earlier events
+ */
+const webhookDatabase = (current = payment) => {
+  const events = [];
+  const handler = (query) => {
+    if (query.is('payments', 'select')) {
+      return { data: query.eq('provider_reference') === current.provider_reference ? current : null };
+    }
+    if (query.is('payments', 'update')) return { data: { ...current, ...query.values } };
+    if (query.is('payment_webhook_events', 'insert')) {
+      const [row] = query.values;
+      if (row.event_id && events.some(event => event.event_id === row.event_id)) {
+        return { error: { code: '23505', message: 'duplicate key' } };
+      }
+      const event = { id: `evt-${events.length + 1}`, delivery_count: 1, ...row };
+      events.push(event);
+      return { data: event };
+    }
+    if (query.is('payment_webhook_events', 'select')) {
+      return { data: events.find(event => event.event_id === query.eq('event_id')) };
+    }
+    if (query.is('payment_webhook_events', 'update')) {
+      Object.assign(events.find(event => event.id === query.eq('id')) || {}, query.values);
+      return {};
+    }
+    if (query.is('orders', 'select')) return { data: { id: 'order-1', status: 'cancelled' } };
+    return {};
+  };
+  return { events, handler };
+};
+
+const postWebhook = (request, body, signature) => request('POST', '/api/payments/webhooks/simulator', {
+  body,
+  headers: signature === undefined ? {} : { 'X-Simulator-Signature': signature }
+});
+
+test('simulator webhooks are refused while PAYMENT_SIMULATOR_WEBHOOK_SECRET is unset', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true', PAYMENT_SIMULATOR_WEBHOOK_SECRET: undefined });
+  const { events, handler } = webhookDatabase();
+  const queries = mockSupabase(t, handler);
+  const request = await startApp(t, { '/api/payments': paymentRoutes });
+  const body = { eventId: 'e1', providerReference: 'SIM-1', status: 'paid' };
+
+  // Signed with the secret earlier versions fell back to
+  const response = await postWebhook(request, body, sign(body, 'simulator-webhook-secret'));
+
+  assert.equal(response.status, 401);
+  assert.equal(events[0].decision, 'invalid_signature');
+  assert.equal(queries.some(query => query.is('payments', 'update')), false);
+});
+
+test('a simulator webhook with a bad signature is refused', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true', PAYMENT_SIMULATOR_WEBHOOK_SECRET: SECRET });
+  const { handler } = webhookDatabase();
+  const queries = mockSupabase(t, handler);
+  const request = await startApp(t, { '/api/payments': paymentRoutes });
+  const body = { eventId: 'e1', providerReference: 'SIM-1', status: 'paid' };
+
+  assert.equal((await postWebhook(request, body, sign(body, 'guess'))).status, 401);
+  assert.equal((await postWebhook(request, body)).status, 401);
+  assert.equal(queries.some(query => query.is('payments', 'update')), false);
+});
+
+test('a signed webhook is applied once; its redelivery is a duplicate', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true', PAYMENT_SIMULATOR_WEBHOOK_SECRET: SECRET });
+  const { events, handler } = webhookDatabase();
+  const queries = mockSupabase(t, handler);
+  const request = await startApp(t, { '/api/payments': paymentRoutes });
+  const body = { eventId: 'e1', providerReference: 'SIM-1', status: 'processing' };
+
+  const first = await postWebhook(request, body, sign(body));
+  const second = await postWebhook(request, body, sign(body));
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.data.decision, 'applied');
+  assert.equal(second.body.data.decision, 'duplicate');
+  assert.equal(events[0].decision, 'applied');
+  assert.equal(queries.filter(query => query.is('payments', 'update')).length, 1);
+});
+
+test('a webhook cannot move a final payment backwards', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true', PAYMENT_SIMULATOR_WEBHOOK_SECRET: SECRET });
+  const { handler } = webhookDatabase({ ...payment, status: 'failed' });
+  const queries = mockSupabase(t, handler);
+  const request = await startApp(t, { '/api/payments': paymentRoutes });
+  const body = { eventId: 'e2', providerReference: 'SIM-1', status: 'pending' };
+
+  const response = await postWebhook(request, body, sign(body));
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.decision, 'ignored_backward');
+  assert.equal(queries.some(query => query.is('payments', 'update')), false);
+});
+
+test('an event for an unknown payment is acknowledged without changes', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true', PAYMENT_SIMULATOR_WEBHOOK_SECRET: SECRET });
+  const { handler } = webhookDatabase();
+  mockSupabase(t, handler);
+  const request = await startApp(t, { '/api/payments': paymentRoutes });
+  const body = { eventId: 'e3', providerReference: 'SIM-404', status: 'paid' };
+
+  const response = await postWebhook(request, body, sign(body));
+
+  assert.equal(response.status, 202);
+  assert.equal(response.body.data.decision, 'unknown_payment');
+});
+
+test('webhooks of providers that are not configured are not found', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: undefined });
+  mockSupabase(t);
+  const request = await startApp(t, { '/api/payments': paymentRoutes });
+
+  const response = await postWebhook(request, { eventId: 'e1' }, 'x');
+
+  assert.equal(response.status, 404);
+});
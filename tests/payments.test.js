@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { withEnv } = require('./helpers/env');
+const { mockSupabase } = require('./helpers/supabase');
+const SimulatorProvider = require('../utils/payments/simulator');
+const { normalizeMsisdn } = require('../utils/payments/provider');
+const {
+  getProvider,
+  getAvailablePaymentMethods,
+  toOrderPaymentStatus,
+  initiateOrderPayment,
+  refreshPaymentStatus
+} = require('../utils/payments');
+
+const order = { id: 'a1b2c3d4-0000-4000-8000-000000000001', total_amount: '25.00', status: 'pending' };
+const customer = { email: 'a@example.com', first_name: 'Amani', last_name: 'Mbuyi' };
+
+test('the simulator is off unless PAYMENT_SIMULATOR_ENABLED=true', (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: undefined, NODE_ENV: 'development' });
+
+  assert.equal(getProvider('simulator'), null);
+  assert.equal(getAvailablePaymentMethods().some(method => method.method === 'simulator'), false);
+});
+
+test('the simulator can be enabled outside production', (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true', NODE_ENV: 'development' });
+
+  assert.ok(getProvider('simulator'));
+  assert.ok(getAvailablePaymentMethods().some(method => method.method === 'simulator'));
+});
+
+test('the simulator is never offered in production', (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true', NODE_ENV: 'production' });
+
+  assert.equal(new SimulatorProvider().isConfigured(), false);
+  assert.equal(getProvider('simulator'), null);
+});
+
+test('providers without their credentials are not offered', (t) => {
+  withEnv(t, { MPESA_API_KEY: undefined, FLUTTERWAVE_SECRET_KEY: undefined });
+
+  assert.equal(getProvider('mpesa'), null);
+  assert.equal(getProvider('card'), null);
+  assert.equal(getProvider('unknown'), null);
+});
+
+test('normalizeMsisdn and toOrderPaymentStatus', () => {
+  assert.equal(normalizeMsisdn('+243 81 234 5678'), '243812345678');
+  assert.equal(toOrderPaymentStatus('paid'), 'paid');
+  assert.equal(toOrderPaymentStatus('cancelled'), 'failed');
+  assert.equal(toOrderPaymentStatus('processing'), 'pending');
+});
+
+test('the simulator picks the outcome from the phone number', async () => {
+  const simulator = new SimulatorProvider();
+
+  const paid = await simulator.initiatePayment({ phoneNumber: '+243810000009', amount: 5 });
+  const failed = await simulator.initiatePayment({ phoneNumber: '+243810000001', amount: 5 });
+  const pending = await simulator.initiatePayment({ phoneNumber: '+243810000002', amount: 5 });
+
+  assert.equal((await simulator.getPaymentStatus(paid)).status, 'paid');
+  assert.equal((await simulator.getPaymentStatus(failed)).status, 'failed');
+  assert.equal((await simulator.getPaymentStatus(pending)).status, 'pending');
+});
+
+test('initiateOrderPayment refuses a method that is not available', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: undefined });
+  const queries = mockSupabase(t);
+
+  await assert.rejects(
+    initiateOrderPayment(order, { method: 'simulator', customer }),
+    { name: 'PaymentError', statusCode: 400 }
+  );
+  assert.equal(queries.length, 0);
+});
+
+test('a simulated payment is recorded, then confirms the order once paid', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const payment = { id: 'pay-1', order_id: order.id, provider: 'simulator', amount: '25.00', currency: 'USD', status: 'pending' };
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('payments', 'insert')) return { data: payment };
+    if (query.is('payments', 'update')) return { data: { ...payment, ...query.values } };
+    if (query.is('orders', 'select')) return { data: { id: order.id, status: 'pending' } };
+    if (query.rpc === 'transition_order_status') return { data: true };
+    return {};
+  });
+
+  const started = await initiateOrderPayment(order, { method: 'simulator', phoneNumber: '+243810000009', customer });
+  assert.equal(started.status, 'pending');
+  assert.match(started.provider_reference, /^SIM-/);
+  assert.equal(queries.find(query => query.is('payments', 'insert')).values[0].amount, '25.00');
+
+  const paid = await refreshPaymentStatus(started);
+  assert.equal(paid.status, 'paid');
+  const orderUpdate = queries.filter(query => query.is('orders', 'update')).pop();
+  assert.equal(orderUpdate.values.payment_status, 'paid');
+  const transition = queries.find(query => query.rpc === 'transition_order_status');
+  assert.equal(transition.params.p_to_status, 'confirmed');
+  assert.equal(transition.params.p_actor_type, 'system');
+});
@@ -0,0 +1,160 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const { LocalDiskStorage, setStorage } = require('../utils/storage');
+const {
+  processProductImage,
+  uploadProductImages,
+  reorderProductImages,
+  deleteProductImage
+} = require('../utils/productImages');
+const vendorRoutes = require('../routes/vendor');
+
+const vendor = { id: 'vend-1', business_email: 'shop@example.com', verified: true, approved: true };
+const CDN = 'http://cdn.test/public';
+const LINKED_URL = 'https://images.example.com/shirt.jpg';
+
+/**
+ * A photo as a phone would take it: landscape pixels, EXIF saying "rotate 90°"
+ */
+const phonePhoto = (width = 400, height = 200) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 30, b: 30 } }
+}).jpeg().withMetadata({ orientation: 6, exif: { IFD0: { Copyright: 'GPS and owner details' } } }).toBuffer();
+
+/**
+ * Public bucket in a temporary directory for the length of a test
+ */
+const usePublicStorage = async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'images-test-'));
+  setStorage('public', new LocalDiskStorage('public', { root, publicUrl: CDN }));
+  t.after(() => fs.rm(root, { recursive: true, force: true }));
+  return path.join(root, 'public');
+};
+
+/**
+ * A vendor's product, its image rows and products.images
+ */
+const imageDatabase = ({ images = [], productImages = [] } = {}) => {
+  const state = { rows: productImages, images };
+
+  state.handler = (query) => authQueries(query, { vendor }) || (() => {
+    if (query.is('products', 'select') && query.has('maybeSingle')) return { data: { id: 'p1' } };
+    if (query.is('products', 'select')) return { data: { id: 'p1', images: state.images } };
+    if (query.is('products', 'update')) {
+      state.images = query.values.images;
+      return {};
+    }
+    if (query.is('product_images', 'select')) {
+      const rows = [...state.rows].sort((a, b) => Number(b.is_primary) - Number(a.is_primary) || a.position - b.position);
+      return { data: rows };
+    }
+    if (query.is('product_images', 'insert')) {
+      state.rows.push(...query.values);
+      return {};
+    }
+    if (query.is('product_images', 'update')) {
+      const row = state.rows.find(image => image.id === query.eq('id'));
+      if (row) Object.assign(row, query.values);
+      return {};
+    }
+    if (query.is('product_images', 'delete')) {
+      const row = state.rows.find(image => image.id === query.eq('id'));
+      state.rows = state.rows.filter(image => image !== row);
+      return { data: row || null };
+    }
+    return {};
+  })();
+
+  return state;
+};
+
+const imageRow = (id, position, isPrimary = false) => ({
+  id, product_id: 'p1', position, is_primary: isPrimary, storage_prefix: `products/p1/${id}`, width: 10, height: 10
+});
+
+test('processProductImage turns photos upright and strips their metadata', async () => {
+  const { width, height, sizes } = await processProductImage(await phonePhoto());
+
+  assert.deepEqual([width, height], [200, 400]);
+  const large = await sharp(sizes.large).metadata();
+  assert.equal(large.format, 'webp');
+  assert.equal(large.orientation, undefined);
+  assert.equal(large.exif, undefined);
+  const thumbnail = await sharp(sizes.thumbnail).metadata();
+  assert.deepEqual([thumbnail.width, thumbnail.height], [100, 200]);
+});
+
+test('processProductImage refuses files that are not images', async () => {
+  await assert.rejects(processProductImage(Buffer.from('%PDF-1.4 not an image')), { name: 'ProductImageError', statusCode: 415 });
+  await assert.rejects(processProductImage(Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.alloc(64)])), { statusCode: 400 });
+});
+
+test('uploadProductImages stores every size and makes the first image primary', async (t) => {
+  const directory = await usePublicStorage(t);
+  const db = imageDatabase();
+  mockSupabase(t, db.handler);
+
+  const images = await uploadProductImages(vendor.id, 'p1', [{ buffer: await phonePhoto(), size: 1000 }, { buffer: await phonePhoto(), size: 1000 }]);
+
+  assert.deepEqual(images.map(image => [image.position, image.is_primary]), [[0, true], [1, false]]);
+  const files = await fs.readdir(path.join(directory, images[0].storage_prefix));
+  assert.deepEqual(files.sort(), ['large.webp', 'medium.webp', 'thumbnail.webp']);
+  assert.deepEqual(db.images, images.map(image => `${CDN}/${image.storage_prefix}/large.webp`));
+});
+
+test('uploads keep the image URLs a product already linked to', async (t) => {
+  await usePublicStorage(t);
+  const db = imageDatabase({ images: [LINKED_URL] });
+  mockSupabase(t, db.handler);
+
+  const [uploaded] = await uploadProductImages(vendor.id, 'p1', [{ buffer: await phonePhoto(), size: 1000 }]);
+  assert.deepEqual(db.images, [`${CDN}/${uploaded.storage_prefix}/large.webp`, LINKED_URL]);
+
+  await deleteProductImage(vendor.id, 'p1', uploaded.id);
+  assert.deepEqual(db.images, [LINKED_URL]);
+});
+
+test('reorderProductImages needs every image exactly once', async (t) => {
+  await usePublicStorage(t);
+  const db = imageDatabase({ productImages: [imageRow('a', 0, true), imageRow('b', 1)] });
+  mockSupabase(t, db.handler);
+
+  await assert.rejects(reorderProductImages(vendor.id, 'p1', ['b']), { statusCode: 400 });
+  await assert.rejects(reorderProductImages(vendor.id, 'p1', ['b', 'b']), { statusCode: 400 });
+  await reorderProductImages(vendor.id, 'p1', ['b', 'a']);
+
+  assert.deepEqual(db.rows.map(row => [row.id, row.position]), [['a', 1], ['b', 0]]);
+});
+
+test('deleting the primary image promotes the next one', async (t) => {
+  await usePublicStorage(t);
+  const db = imageDatabase({ productImages: [imageRow('a', 0, true), imageRow('b', 2), imageRow('c', 1)] });
+  mockSupabase(t, db.handler);
+
+  await deleteProductImage(vendor.id, 'p1', 'a');
+
+  assert.equal(db.rows.find(row => row.id === 'c').is_primary, true);
+  assert.deepEqual(db.images, [`${CDN}/products/p1/c/large.webp`, `${CDN}/products/p1/b/large.webp`]);
+});
+
+test('POST /api/vendor/products/:productId/images uploads a multipart batch', async (t) => {
+  await usePublicStorage(t);
+  const db = imageDatabase();
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const body = new FormData();
+  body.append('images', new Blob([await phonePhoto()], { type: 'image/jpeg' }), 'photo.jpg');
+  const response = await request('POST', '/api/vendor/products/p1/images', { headers: bearer({ role: 'vendor', id: vendor.id }), body });
+
+  assert.equal(response.status, 201);
+  const [image] = response.body.data.images;
+  assert.equal(image.isPrimary, true);
+  assert.deepEqual(Object.keys(image.urls), ['thumbnail', 'medium', 'large']);
+  assert.equal(image.urls.large, db.images[0]);
+});
@@ -0,0 +1,250 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSupabase, dbError } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const {
+  parseProductCsv,
+  groupProductRows,
+  startProductImport,
+  exportProductCsv
+} = require('../utils/productImport');
+const vendorRoutes = require('../routes/vendor');
+
+const vendor = { id: 'vend-1', business_email: 'shop@example.com', verified: true, approved: true };
+
+const csv = (...lines) => Buffer.from(lines.join('\n'));
+const HEADER = 'product_sku,name,description,category,price,stock,variant_sku,option1_name,option1_value';
+
+/**
+ * Parse and group lines written under HEADER
+ */
+const group = (...lines) => groupProductRows(parseProductCsv(csv(HEADER, ...lines)));
+const errorsOf = (productGroup) => Object.fromEntries(productGroup.errors);
+
+/**
+ * A vendor catalog for import jobs: `products` and `variants` already stored
+ */
+const importDatabase = ({ products = [], variants = [], insertError = null } = {}) => (query) =>
+  authQueries(query, { vendor }) || (() => {
+    if (query.is('product_import_jobs', 'insert')) return { data: { id: 'job-1', ...query.values[0] }, error: insertError };
+    if (query.is('products', 'select')) return { data: products };
+    if (query.is('product_variants', 'select')) return { data: variants };
+    if (query.is('products', 'insert')) return { data: { id: `new-${query.values[0].sku}` } };
+    return {};
+  })();
+
+/**
+ * Wait for the background job to write its final state
+ */
+const waitForJob = async (queries) => {
+  for (let i = 0; i < 200; i++) {
+    const done = queries.find(query => query.is('product_import_jobs', 'update') && query.eq('id') === 'job-1' &&
+      ['completed', 'failed'].includes(query.values.status));
+    if (done) return done.values;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error('The import job did not finish');
+};
+
+test('parseProductCsv reads rows by column name and numbers them as a spreadsheet does', () => {
+  const rows = parseProductCsv(csv(
+    '\uFEFFProduct_SKU,Name,Description,Category,Price',
+    'MUG-1,"\'=Mug",Stoneware,Kitchen,9.5',
+    '',
+    'MUG-2,"Mug, large",Stoneware,Kitchen,12'
+  ));
+
+  assert.deepEqual(rows.map(({ row, values }) => [row, values.product_sku, values.name, values.stock]), [
+    [2, 'MUG-1', '=Mug', ''],
+    [3, 'MUG-2', 'Mug, large', '']
+  ]);
+});
+
+test('parseProductCsv refuses files it cannot import', () => {
+  assert.throws(() => parseProductCsv(csv('product_sku,name,description,category,price,colour', 'A,B,C,D,1,red')), {
+    name: 'ProductImportError',
+    message: /^Unknown columns: colour\./
+  });
+  assert.throws(() => parseProductCsv(csv('product_sku,name', 'A,B')), { message: 'Missing columns: description, category, price' });
+  assert.throws(() => parseProductCsv(csv(HEADER)), { message: 'The file has no products' });
+  assert.throws(() => parseProductCsv(csv(HEADER, 'A,"unclosed')), { message: /^The file is not valid CSV/ });
+});
+
+test('groupProductRows builds the variant matrix of a product from its rows', () => {
+  const [shirt, mug] = group(
+    'SHIRT,Shirt,Cotton,Clothing,20,3,SHIRT-S,Size,S',
+    'SHIRT,,,,,5,SHIRT-M,,M',
+    'MUG,Mug,Stoneware,Kitchen,9.5,4,,,'
+  );
+
+  assert.deepEqual(errorsOf(shirt), {});
+  assert.deepEqual(shirt.matrix.options, [{ name: 'Size', values: ['S', 'M'] }]);
+  assert.deepEqual(shirt.matrix.variants.map(variant => [variant.sku, variant.options.Size, variant.stock]), [
+    ['SHIRT-S', 'S', 3],
+    ['SHIRT-M', 'M', 5]
+  ]);
+  assert.equal(mug.matrix, null);
+  assert.equal(mug.stock, 4);
+});
+
+test('groupProductRows reports each problem on its row', () => {
+  const [shirt, mug, cup, noSku] = group(
+    'SHIRT,Shirt,Cotton,Clothing,20,3,SHIRT-S,Size,S',
+    'SHIRT,Polo,,,,5,SHIRT-S,,S',
+    'MUG,Mug,Stoneware,Kitchen,9.5,4,,,',
+    'MUG,Mug,Stoneware,Kitchen,9.5,4,,,',
+    'CUP,Cup,Stoneware,Kitchen,5,1,SHIRT-S,Size,S',
+    ',Plate,Stoneware,Kitchen,5,1,,,'
+  );
+
+  assert.deepEqual(errorsOf(shirt), {
+    3: [
+      'name differs from row 2; leave it blank or repeat it',
+      'SKU SHIRT-S is used by more than one variant',
+      'More than one variant has the options S'
+    ]
+  });
+  assert.deepEqual(errorsOf(mug), {
+    5: ['product_sku MUG is already used by row 4; only products with options take several rows']
+  });
+  assert.deepEqual(errorsOf(cup), { 6: ['variant_sku SHIRT-S is already used by row 2'] });
+  assert.deepEqual(errorsOf(noSku), { 7: ['product_sku is required'] });
+});
+
+test('a dry run reports what would be created or updated without saving', async (t) => {
+  const queries = mockSupabase(t, importDatabase({ products: [{ id: 'p-mug', sku: 'MUG', status: 'published', has_variants: false }] }));
+
+  const job = await startProductImport(vendor.id, {
+    buffer: csv(HEADER, 'MUG,Mug,Stoneware,Kitchen,9.5,4,,,', 'BOWL,Bowl,Stoneware,Kitchen,7,2,,,', 'PLATE,Plate,,Kitchen,5,1,,,'),
+    originalname: 'catalog.csv'
+  }, { dryRun: true });
+  assert.deepEqual([job.status, job.dry_run, job.total_rows, job.file_name], ['queued', true, 3, 'catalog.csv']);
+
+  const result = await waitForJob(queries);
+
+  assert.deepEqual([result.created_count, result.updated_count, result.failed_count], [1, 1, 1]);
+  assert.deepEqual(result.results.map(({ productSku, action }) => [productSku, action]), [
+    ['MUG', 'update'], ['BOWL', 'create'], ['PLATE', 'failed']
+  ]);
+  assert.deepEqual(result.errors, [{ row: 4, productSku: 'PLATE', messages: ['Missing required fields: description'] }]);
+  assert.equal(queries.some(query => query.is('products') && query.action !== 'select'), false);
+  assert.equal(queries.some(query => query.rpc), false);
+});
+
+test('an import creates and updates products, skipping those with errors', async (t) => {
+  const queries = mockSupabase(t, importDatabase({
+    products: [
+      { id: 'p-mug', sku: 'MUG', status: 'published', has_variants: true },
+      { id: 'p-vase', sku: 'VASE', status: 'flagged', has_variants: false }
+    ],
+    variants: [{ product_id: 'p-other', sku: 'TAKEN-S' }]
+  }));
+
+  await startProductImport(vendor.id, {
+    buffer: csv(
+      'product_sku,name,description,category,price,status,stock,variant_sku,option1_name,option1_value',
+      'MUG,Mug,Stoneware,Kitchen,9.5,,4,,,',
+      'SHIRT,Shirt,Cotton,Clothing,20,published,3,SHIRT-S,Size,S',
+      'VASE,Vase,Glass,Home,15,published,1,,,',
+      'TOTE,Tote,Canvas,Bags,8,,2,TAKEN-S,Colour,Red'
+    )
+  });
+  const result = await waitForJob(queries);
+
+  assert.deepEqual(result.results.map(({ productSku, action, productId }) => [productSku, action, productId]), [
+    ['MUG', 'updated', 'p-mug'],
+    ['SHIRT', 'created', 'new-SHIRT'],
+    ['VASE', 'failed', 'p-vase'],
+    ['TOTE', 'failed', null]
+  ]);
+  assert.deepEqual(result.errors.map(({ row, messages }) => [row, messages]), [
+    [4, ['This product has been flagged by an administrator and its status cannot be changed']],
+    [5, ['SKU TAKEN-S is already used by another of your products']]
+  ]);
+
+  // MUG had variants and is now listed without: its matrix is emptied
+  const saved = queries.filter(query => query.rpc === 'save_product_variants').map(query => query.params);
+  assert.deepEqual(saved.map(params => [params.p_product_id, params.p_variants.length]), [['p-mug', 0], ['new-SHIRT', 1]]);
+  const mug = queries.find(query => query.is('products', 'update'));
+  assert.equal(mug.eq('id'), 'p-mug');
+  assert.equal(mug.values.stock, 4);
+  assert.equal('status' in mug.values, false);
+  const shirt = queries.find(query => query.is('products', 'insert')).values[0];
+  assert.deepEqual([shirt.sku, shirt.status, shirt.vendor_id], ['SHIRT', 'published', vendor.id]);
+});
+
+test('startProductImport allows one running import per vendor', async (t) => {
+  mockSupabase(t, importDatabase({ insertError: dbError('23505', 'duplicate key') }));
+
+  await assert.rejects(startProductImport(vendor.id, { buffer: csv(HEADER, 'MUG,Mug,Stoneware,Kitchen,9.5,4,,,') }), {
+    statusCode: 409,
+    message: 'Another import is still running. Wait for it to finish.'
+  });
+  await assert.rejects(startProductImport(vendor.id, undefined), { message: 'A CSV file is required' });
+});
+
+test('exportProductCsv writes a file the import reads back, with formulas quoted', async (t) => {
+  mockSupabase(t, () => ({
+    data: [
+      { sku: 'MUG', name: '=HYPERLINK("http://evil.test")', description: 'Stoneware', category: 'Kitchen', price: '9.5', status: 'published', stock: 4, has_variants: false },
+      {
+        sku: 'SHIRT', name: 'Shirt', description: 'Cotton', category: 'Clothing', price: 20, status: 'draft', stock: 0, has_variants: true,
+        options: [{ name: 'Size', position: 0, values: ['S', 'M'] }],
+        variants: [
+          { sku: 'SHIRT-M', options: { Size: 'M' }, price: null, stock: 5, position: 1 },
+          { sku: 'SHIRT-S', options: { Size: 'S' }, price: '22', stock: 3, position: 0 }
+        ]
+      }
+    ]
+  }));
+
+  const exported = await exportProductCsv(vendor.id);
+
+  assert.match(exported, /^product_sku,name,description,category,price,status,stock,variant_sku,variant_price,option1_name/);
+  assert.ok(exported.includes('MUG,"\'=HYPERLINK(""http://evil.test"")",Stoneware,Kitchen,9.50,published,4'));
+
+  const [mug, shirt] = groupProductRows(parseProductCsv(Buffer.from(exported)));
+  assert.equal(mug.product.name, '=HYPERLINK("http://evil.test")');
+  assert.deepEqual(errorsOf(shirt), {});
+  assert.deepEqual(shirt.matrix.variants.map(variant => [variant.sku, variant.price, variant.stock]), [
+    ['SHIRT-S', 22, 3],
+    ['SHIRT-M', null, 5]
+  ]);
+});
+
+test('POST /api/vendor/products/imports reports format problems straight away', async (t) => {
+  mockSupabase(t, importDatabase());
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const body = new FormData();
+  body.append('file', new Blob(['name,price\nMug,9.5\n'], { type: 'text/csv' }), 'products.csv');
+  const response = await request('POST', '/api/vendor/products/imports', { headers: bearer({ role: 'vendor', id: vendor.id }), body });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.message, 'Missing columns: product_sku, description, category');
+});
+
+test('POST /api/vendor/products/imports queues a job', async (t) => {
+  const queries = mockSupabase(t, importDatabase());
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const body = new FormData();
+  body.append('dryRun', 'true');
+  body.append('file', new Blob([`${HEADER}\nMUG,Mug,Stoneware,Kitchen,9.5,4,,,\n`], { type: 'text/csv' }), 'products.csv');
+  const response = await request('POST', '/api/vendor/products/imports', { headers: bearer({ role: 'vendor', id: vendor.id }), body });
+
+  assert.equal(response.status, 202);
+  assert.deepEqual([response.body.data.job.id, response.body.data.job.dryRun], ['job-1', true]);
+  assert.equal((await waitForJob(queries)).created_count, 1);
+});
+
+test('GET /api/vendor/products/export downloads the catalog', async (t) => {
+  mockSupabase(t, (query) => authQueries(query, { vendor }) || { data: [] });
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const response = await request('GET', '/api/vendor/products/export', { headers: bearer({ role: 'vendor', id: vendor.id }) });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /^attachment; filename="products-\d{4}-\d{2}-\d{2}\.csv"$/);
+});
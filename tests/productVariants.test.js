@@ -0,0 +1,222 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSupabase, dbError } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const {
+  validateVariantMatrix,
+  saveVariantMatrix,
+  getVariantMatrix
+} = require('../utils/productVariants');
+const { getUnavailableReason, describeUnavailableReason } = require('../utils/cart');
+const vendorRoutes = require('../routes/vendor');
+const customerRoutes = require('../routes/customer');
+
+const vendor = { id: 'vend-1', business_email: 'shop@example.com', verified: true, approved: true };
+const customer = { id: 'cust-1', email: 'a@example.com', verified: true };
+
+const IMAGE_1 = '0b7c3f52-8d3e-4a39-9f0a-5a8f4c6c2d11';
+const IMAGE_2 = '6f1e0a4b-2c5d-4e7f-8a9b-0c1d2e3f4a5b';
+
+const sizes = { name: 'Size', values: ['S', 'M'] };
+const colours = { name: 'Colour', values: ['Red', 'Blue'] };
+
+const shirt = (fields = {}) => ({
+  id: 'p1', name: 'Shirt', price: '20.00', images: [], stock: 7, status: 'published',
+  vendor_id: vendor.id, has_variants: true, vendor, ...fields
+});
+
+test('validateVariantMatrix cleans a valid matrix', () => {
+  const { isValid, matrix } = validateVariantMatrix({
+    options: [{ name: ' Size ', values: [' S', 'M '] }, colours],
+    variants: [
+      { sku: ' SHIRT-S-RED ', options: { Size: 'S', Colour: 'Red' }, price: '24.999', stock: 3, imageIds: [IMAGE_1] },
+      { sku: 'SHIRT-M-BLUE', options: { Size: 'M', Colour: 'Blue' } }
+    ]
+  });
+
+  assert.equal(isValid, true);
+  assert.deepEqual(matrix.options, [sizes, colours]);
+  assert.deepEqual(matrix.variants, [
+    { sku: 'SHIRT-S-RED', options: { Size: 'S', Colour: 'Red' }, price: 25, stock: 3, imageIds: [IMAGE_1] },
+    { sku: 'SHIRT-M-BLUE', options: { Size: 'M', Colour: 'Blue' }, price: null, stock: 0 }
+  ]);
+});
+
+test('validateVariantMatrix says which variant each problem is about', () => {
+  const { isValid, errors, variantErrors } = validateVariantMatrix({
+    options: [sizes],
+    variants: [
+      { sku: 'SHIRT-S', options: { Size: 'S' }, imageIds: [IMAGE_1] },
+      { sku: 'SHIRT-S', options: { Size: 'S' }, imageIds: [IMAGE_1] },
+      { sku: 'SHIRT-XL', options: { Size: 'XL', Fit: 'Slim' }, price: -1, stock: 1.5 }
+    ]
+  });
+
+  assert.equal(isValid, false);
+  assert.deepEqual(variantErrors[0], []);
+  assert.deepEqual(variantErrors[1], [
+    'SKU SHIRT-S is used by more than one variant',
+    'More than one variant has the options S',
+    `Image ${IMAGE_1} is given to more than one variant`
+  ]);
+  assert.deepEqual(variantErrors[2], [
+    'Size must be one of: S, M',
+    'options has names that are not declared on the product',
+    'price must be a positive number',
+    'stock must be a whole number of at least 0'
+  ]);
+  assert.ok(errors.includes('variants[2]: Size must be one of: S, M'));
+});
+
+test('validateVariantMatrix checks the options and how they go with the variants', () => {
+  assert.deepEqual(validateVariantMatrix({ options: [sizes] }).errors, ['options and variants must be sent together']);
+  assert.deepEqual(validateVariantMatrix({ options: [], variants: [] }), {
+    isValid: true, errors: [], matrix: { options: [], variants: [] }, variantErrors: []
+  });
+
+  assert.deepEqual(validateVariantMatrix({ options: [sizes], variants: [] }).errors, [
+    'A product with options needs at least one variant, and variants need options'
+  ]);
+  assert.equal(validateVariantMatrix({ options: [sizes, { name: 'size', values: ['L'] }], variants: [] }).errors[0],
+    'Option "size" is listed twice');
+  assert.deepEqual(validateVariantMatrix({ options: [{ name: 'Size', values: ['S', 'S'] }], variants: [] }).errors, [
+    'Option "Size" has duplicate values'
+  ]);
+  assert.match(validateVariantMatrix({ options: [sizes, colours, sizes, colours], variants: [] }).errors[0], /at most 3 option types/);
+});
+
+test('saveVariantMatrix only gives a variant images of its own product', async (t) => {
+  const queries = mockSupabase(t, (query) => (query.is('product_images') ? { data: [{ id: IMAGE_1 }] } : {}));
+  const matrix = {
+    options: [sizes],
+    variants: [
+      { sku: 'SHIRT-S', options: { Size: 'S' }, price: null, stock: 1, imageIds: [IMAGE_1] },
+      { sku: 'SHIRT-M', options: { Size: 'M' }, price: null, stock: 1, imageIds: [IMAGE_2] }
+    ]
+  };
+
+  await assert.rejects(saveVariantMatrix(vendor.id, 'p1', matrix), { name: 'ProductVariantError', statusCode: 400 });
+  assert.equal(queries[0].eq('product_id'), 'p1');
+  assert.equal(queries.some(query => query.rpc), false);
+});
+
+test('saveVariantMatrix replaces the matrix in one call and maps its errors', async (t) => {
+  const matrix = { options: [sizes], variants: [{ sku: 'SHIRT-S', options: { Size: 'S' }, price: null, stock: 1 }] };
+
+  let error = null;
+  const queries = mockSupabase(t, () => ({ error }));
+
+  await saveVariantMatrix(vendor.id, 'p1', matrix);
+  assert.equal(queries[0].rpc, 'save_product_variants');
+  assert.deepEqual(queries[0].params, { p_product_id: 'p1', p_vendor_id: vendor.id, p_options: matrix.options, p_variants: matrix.variants });
+
+  error = dbError('P0001', 'SKU_TAKEN:SHIRT-S');
+  await assert.rejects(saveVariantMatrix(vendor.id, 'p1', matrix), {
+    statusCode: 409,
+    message: 'SKU SHIRT-S is already used by another of your products'
+  });
+
+  error = dbError('P0001', 'PRODUCT_NOT_FOUND');
+  await assert.rejects(saveVariantMatrix(vendor.id, 'p1', matrix), { statusCode: 404 });
+});
+
+test('getVariantMatrix falls back to the product price and lists each variant\'s images', async (t) => {
+  mockSupabase(t, (query) => {
+    if (query.is('product_options')) return { data: [{ name: 'Size', position: 0, values: ['S', 'M'] }] };
+    if (query.is('product_variants')) {
+      return {
+        data: [
+          { id: 'var-s', sku: 'SHIRT-S', options: { Size: 'S' }, price: '24.00', stock: 2 },
+          { id: 'var-m', sku: 'SHIRT-M', options: { Size: 'M' }, price: null, stock: 0 }
+        ]
+      };
+    }
+    return { data: [{ id: IMAGE_1, variant_id: 'var-m', position: 0, is_primary: false, storage_prefix: `products/p1/${IMAGE_1}` }] };
+  });
+
+  const { options, variants } = await getVariantMatrix(shirt());
+
+  assert.deepEqual(options, [sizes]);
+  assert.deepEqual(variants.map(variant => [variant.sku, variant.price, variant.priceOverride, variant.images.length]), [
+    ['SHIRT-S', 24, 24, 0],
+    ['SHIRT-M', 20, null, 1]
+  ]);
+  assert.deepEqual(await getVariantMatrix(shirt({ has_variants: false })), { options: [], variants: [] });
+});
+
+test('a product with variants is bought one variant at a time, within its stock', () => {
+  const variant = { id: 'var-s', stock: 2 };
+
+  assert.equal(getUnavailableReason(shirt()), 'variant_required');
+  assert.equal(getUnavailableReason(shirt(), 2, variant), null);
+  assert.equal(getUnavailableReason(shirt(), 3, variant), 'insufficient_stock');
+  assert.equal(describeUnavailableReason('insufficient_stock', shirt(), variant), 'Only 2 left in stock');
+  assert.equal(getUnavailableReason(shirt(), 1, { ...variant, stock: 0 }), 'out_of_stock');
+});
+
+test('POST /api/customer/cart adds a variant and refuses one of another product', async (t) => {
+  let variant = { id: 'var-s', product_id: 'p1', sku: 'SHIRT-S', options: { Size: 'S' }, price: null, stock: 2 };
+  const queries = mockSupabase(t, (query) => authQueries(query, { customer }) || (() => {
+    if (query.is('products')) return { data: shirt() };
+    if (query.is('product_variants')) return { data: variant };
+    return { data: query.has('maybeSingle') ? null : [] };
+  })());
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+  const headers = bearer({ role: 'customer', id: customer.id });
+
+  const withoutVariant = await request('POST', '/api/customer/cart', { headers, body: { productId: 'p1' } });
+  assert.equal(withoutVariant.status, 400);
+  assert.equal(withoutVariant.body.error.reason, 'variant_required');
+
+  const added = await request('POST', '/api/customer/cart', { headers, body: { productId: 'p1', variantId: 'var-s', quantity: 2 } });
+  assert.equal(added.status, 201);
+  const upsert = queries.find(query => query.is('cart', 'upsert'));
+  assert.equal(upsert.values.variant_id, 'var-s');
+  assert.equal(queries.find(query => query.is('product_variants')).eq('product_id'), 'p1');
+
+  variant = null;
+  const unknown = await request('POST', '/api/customer/cart', { headers, body: { productId: 'p1', variantId: 'var-other' } });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error.message, 'Variant not found');
+});
+
+test('POST /api/vendor/products validates the matrix and keeps stock on the variants', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, { vendor }) || {});
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+  const headers = bearer({ role: 'vendor', id: vendor.id });
+  const body = { name: 'Shirt', description: 'Cotton shirt', price: 20, category: 'Clothing' };
+
+  const invalid = await request('POST', '/api/vendor/products', { headers, body: { ...body, options: [sizes], variants: [] } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.error.details, ['A product with options needs at least one variant, and variants need options']);
+
+  const withStock = await request('POST', '/api/vendor/products', {
+    headers,
+    body: { ...body, stock: 5, options: [sizes], variants: [{ sku: 'SHIRT-S', options: { Size: 'S' } }] }
+  });
+  assert.equal(withStock.status, 400);
+  assert.equal(withStock.body.error.message, 'The stock of a product with variants is set on each variant');
+  assert.equal(queries.some(query => query.is('products', 'insert')), false);
+});
+
+test('POST /api/vendor/products removes the product when its variants cannot be saved', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, { vendor }) || (() => {
+    if (query.is('products', 'insert')) return { data: { ...query.values[0] } };
+    if (query.rpc === 'save_product_variants') return { error: dbError('P0001', 'SKU_TAKEN:SHIRT-S') };
+    return {};
+  })());
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const response = await request('POST', '/api/vendor/products', {
+    headers: bearer({ role: 'vendor', id: vendor.id }),
+    body: {
+      name: 'Shirt', description: 'Cotton shirt', price: 20, category: 'Clothing',
+      options: [sizes], variants: [{ sku: 'SHIRT-S', options: { Size: 'S' }, stock: 4 }]
+    }
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error.message, 'SKU SHIRT-S is already used by another of your products');
+  const created = queries.find(query => query.is('products', 'insert')).values[0];
+  assert.equal(queries.find(query => query.is('products', 'delete')).eq('id'), created.id);
+});
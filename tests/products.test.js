@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp } = require('./helpers/app');
+const productRoutes = require('../routes/products');
+
+test('GET /api/products only lists published products of approved vendors', async (t) => {
+  const queries = mockSupabase(t, () => ({ data: [{ id: 'p1' }], count: 1 }));
+  const request = await startApp(t, { '/api/products': productRoutes });
+
+  const response = await request('GET', '/api/products');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.products, [{ id: 'p1' }]);
+  assert.deepEqual(response.body.data.pagination, { page: 1, limit: 20, total: 1, totalPages: 1 });
+  assert.equal(queries[0].eq('status'), 'published');
+  assert.equal(queries[0].eq('vendor.approved'), true);
+});
+
+test('GET /api/products applies filters, sort and page', async (t) => {
+  const queries = mockSupabase(t, () => ({ data: [], count: 45 }));
+  const request = await startApp(t, { '/api/products': productRoutes });
+
+  const response = await request('GET',
+    '/api/products?category=Shoes&minPrice=10&maxPrice=50&inStock=true&sort=price_asc&page=3&limit=20');
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.pagination.totalPages, 3);
+  const [query] = queries;
+  assert.equal(query.eq('category'), 'Shoes');
+  assert.deepEqual(query.args('gte'), ['price', 10]);
+  assert.deepEqual(query.args('lte'), ['price', 50]);
+  assert.deepEqual(query.args('gt'), ['stock', 0]);
+  assert.deepEqual(query.args('order'), ['price', { ascending: true }]);
+  assert.deepEqual(query.args('range'), [40, 59]);
+});
+
+test('GET /api/products caps the page size', async (t) => {
+  const queries = mockSupabase(t, () => ({ data: [], count: 0 }));
+  const request = await startApp(t, { '/api/products': productRoutes });
+
+  const response = await request('GET', '/api/products?limit=1000');
+
+  assert.equal(response.body.data.pagination.limit, 100);
+  assert.deepEqual(queries[0].args('range'), [0, 99]);
+});
+
+test('GET /api/products rejects invalid parameters', async (t) => {
+  mockSupabase(t);
+  const request = await startApp(t, { '/api/products': productRoutes });
+
+  for (const search of ['page=0', 'limit=abc', 'sort=random', 'minPrice=20&maxPrice=10', 'minPrice=cheap', 'featured=yes']) {
+    const response = await request('GET', `/api/products?${search}`);
+    assert.equal(response.status, 400, search);
+    assert.equal(response.body.success, false);
+  }
+});
+
+test('GET /api/products/:productId answers 404 for products that are not public', async (t) => {
+  mockSupabase(t, () => ({ data: null }));
+  const request = await startApp(t, { '/api/products': productRoutes });
+
+  const response = await request('GET', '/api/products/3f1b6c1e-0000-4000-8000-000000000000');
+
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error.message, 'Product not found');
+});
@@ -0,0 +1,234 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { withEnv } = require('./helpers/env');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const { validateReturnRequest, resolveReturnRequest, settleReturnRefund } = require('../utils/returns');
+const adminRoutes = require('../routes/admin');
+const customerRoutes = require('../routes/customer');
+const vendorRoutes = require('../routes/vendor');
+
+const admin = { id: 'admin-1', email: 'root@example.com', active: true, permissions: ['finance'] };
+const customer = { id: 'cust-1', email: 'a@example.com', verified: true };
+const vendor = { id: 'vend-1', business_email: 'shop@example.com', verified: true, approved: true };
+
+/**
+ * A return request of one item priced 20 on an order paid 30, updated by
+ * the queries the code makes. `refundedBeforeRefund` is what the payment
+ * shows as refunded by the time the refund runs (another refund landing
+ * in between).
+ */
+const returnDatabase = ({ status = 'requested', provider = 'simulator', paid = true, refundedBeforeRefund = null } = {}) => {
+  const state = {
+    request: {
+      id: 'ret-1', order_id: 'order-1', status, quantity: 1,
+      refund_amount: status === 'refund_pending' ? '20.00' : null,
+      resolution_note: null, resolved_by_type: null, resolved_by_id: null, resolved_at: null,
+      order_item: { id: 'item-1', price: '20.00' },
+      order: { id: 'order-1', status: 'delivered', total_amount: '30.00', refunded_amount: '0', payment_status: 'paid' }
+    },
+    payment: {
+      id: 'pay-1', order_id: 'order-1', provider, amount: '30.00', refunded_amount: '0',
+      currency: 'USD', status: paid ? 'paid' : 'failed', provider_reference: 'SIM-1'
+    },
+    paymentReads: 0
+  };
+
+  state.handler = (query) => authQueries(query, { admin }) || answer(query);
+
+  const answer = (query) => {
+    if (query.is('return_requests', 'update')) {
+      if (query.eq('status') !== state.request.status) return { data: null };
+      state.request = { ...state.request, ...query.values };
+      return { data: state.request };
+    }
+    if (query.is('return_requests', 'select')) return { data: state.request };
+    if (query.is('payments', 'select') && query.eq('status') === 'paid') {
+      state.paymentReads += 1;
+      if (state.paymentReads > 1 && refundedBeforeRefund !== null) {
+        state.payment = { ...state.payment, refunded_amount: refundedBeforeRefund };
+      }
+      return { data: state.payment.status === 'paid' ? state.payment : null };
+    }
+    if (query.is('payments', 'select')) return { data: state.payment };
+    if (query.rpc === 'record_payment_refund') {
+      const refunded = parseFloat(state.payment.refunded_amount) + query.params.p_amount;
+      state.payment = {
+        ...state.payment,
+        refunded_amount: String(refunded),
+        refund_reference: query.params.p_reference,
+        status: refunded >= 30 ? 'refunded' : 'paid'
+      };
+      return { data: { refunded_amount: refunded } };
+    }
+    return {};
+  };
+
+  return state;
+};
+
+const approve = (state, extra = {}) => resolveReturnRequest(state.request, {
+  approve: true, actorType: 'vendor', actorId: 'vend-1', ...extra
+});
+
+test('validateReturnRequest checks the item, quantity, reason and photos', () => {
+  assert.equal(validateReturnRequest({ orderItemId: 'i', quantity: 1, reason: 'Arrived broken in two' }).isValid, true);
+  assert.deepEqual(validateReturnRequest({ quantity: 0, reason: 'short', photos: ['nope'] }).errors, [
+    'Order item ID is required',
+    'Quantity must be a positive whole number',
+    'Please describe the reason for the return (at least 10 characters)',
+    'Invalid photo URL'
+  ]);
+});
+
+test('approving a return refunds it through the provider', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const db = returnDatabase();
+  mockSupabase(t, db.handler);
+
+  const { returnRequest, refund } = await approve(db);
+
+  assert.equal(refund.status, 'refunded');
+  assert.equal(returnRequest.status, 'refunded');
+  assert.equal(returnRequest.refund_amount, 20);
+  assert.equal(db.payment.refunded_amount, '20');
+});
+
+test('a return is not claimed when the order has no paid payment', async (t) => {
+  const db = returnDatabase({ paid: false });
+  const queries = mockSupabase(t, db.handler);
+
+  await assert.rejects(approve(db), { name: 'ReturnRequestError', statusCode: 409 });
+  assert.equal(db.request.status, 'requested');
+  assert.equal(queries.some(query => query.is('return_requests', 'update')), false);
+});
+
+test('a return is not claimed for more than the payment has left', async (t) => {
+  const db = returnDatabase();
+  db.payment.refunded_amount = '15';
+  const queries = mockSupabase(t, db.handler);
+
+  await assert.rejects(approve(db), { statusCode: 409, message: /Only 15 of this payment/ });
+  assert.equal(queries.some(query => query.is('return_requests', 'update')), false);
+});
+
+test('a return goes back to its status when the refund is refused', async (t) => {
+  withEnv(t, { PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const db = returnDatabase({ refundedBeforeRefund: '25' });
+  mockSupabase(t, db.handler);
+
+  await assert.rejects(approve(db), { name: 'PaymentError', statusCode: 400 });
+  assert.equal(db.request.status, 'requested');
+  assert.equal(db.request.refund_amount, null);
+  assert.equal(db.request.resolved_by_type, null);
+});
+
+test('a refund the provider cannot make stays pending, then is retried', async (t) => {
+  withEnv(t, { MPESA_API_KEY: undefined, PAYMENT_SIMULATOR_ENABLED: 'true' });
+  const db = returnDatabase({ provider: 'mpesa' });
+  mockSupabase(t, db.handler);
+  t.mock.method(console, 'warn', () => {});
+
+  const pending = await approve(db);
+  assert.equal(pending.refund.status, 'refund_pending');
+  assert.equal(db.request.status, 'refund_pending');
+
+  const stillPending = await settleReturnRefund(db.request);
+  assert.equal(stillPending.refund.status, 'refund_pending');
+  assert.equal(db.request.status, 'refund_pending');
+
+  db.payment.provider = 'simulator';
+  const retried = await settleReturnRefund(db.request);
+  assert.equal(retried.refund.status, 'refunded');
+  assert.equal(db.request.status, 'refunded');
+});
+
+test('a pending refund made by hand is recorded against the payment', async (t) => {
+  const db = returnDatabase({ status: 'refund_pending', provider: 'orange_money' });
+  const queries = mockSupabase(t, db.handler);
+
+  const { returnRequest, refund } = await settleReturnRefund(db.request, { reference: 'BANK-42' });
+
+  assert.equal(refund.status, 'refunded');
+  assert.equal(returnRequest.status, 'refunded');
+  assert.equal(returnRequest.refund_reference, 'BANK-42');
+  const recorded = queries.find(query => query.rpc === 'record_payment_refund').params;
+  assert.equal(recorded.p_amount, 20);
+  assert.deepEqual(recorded.p_raw, { manual: true });
+});
+
+test('a refund made by hand is refused when the payment has nothing left', async (t) => {
+  const db = returnDatabase({ status: 'refund_pending', provider: 'orange_money' });
+  db.payment = { ...db.payment, status: 'refunded', refunded_amount: '30.00' };
+  const queries = mockSupabase(t, db.handler);
+
+  await assert.rejects(settleReturnRefund(db.request, { reference: 'BANK-42' }), {
+    name: 'ReturnRequestError',
+    statusCode: 409
+  });
+  assert.equal(db.request.status, 'refund_pending');
+  assert.equal(db.request.refund_reference, undefined);
+  assert.equal(queries.some(query => query.rpc === 'record_payment_refund' || query.is('return_requests', 'update')), false);
+});
+
+test('only pending refunds can be settled', async (t) => {
+  const db = returnDatabase({ status: 'requested' });
+  mockSupabase(t, db.handler);
+
+  await assert.rejects(settleReturnRefund(db.request), { statusCode: 409 });
+});
+
+test('POST /api/admin/returns/:returnId/refund records a manual refund', async (t) => {
+  const db = returnDatabase({ status: 'refund_pending', provider: 'orange_money' });
+  const queries = mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/admin': adminRoutes });
+
+  const response = await request('POST', '/api/admin/returns/ret-1/refund', {
+    headers: bearer({ role: 'admin', id: admin.id }),
+    body: { reference: 'BANK-42', note: 'Paid back by bank transfer' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.returnRequest.status, 'refunded');
+  const audit = queries.find(query => query.is('admin_audit_log', 'insert'));
+  assert.equal(audit.values[0].action, 'return_request.manual_refund');
+});
+
+test('POST /api/admin/returns/:returnId/refund rejects an empty reference', async (t) => {
+  const db = returnDatabase({ status: 'refund_pending' });
+  mockSupabase(t, db.handler);
+  const request = await startApp(t, { '/api/admin': adminRoutes });
+
+  const response = await request('POST', '/api/admin/returns/ret-1/refund', {
+    headers: bearer({ role: 'admin', id: admin.id }),
+    body: { reference: ' ' }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(db.request.status, 'refund_pending');
+});
+
+test('return lists read page and limit as numbers and cap the page size', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, { admin, customer, vendor }) || { data: [], count: 0 });
+  const request = await startApp(t, { '/api/admin': adminRoutes, '/api/customer': customerRoutes, '/api/vendor': vendorRoutes });
+  const lists = [
+    ['/api/admin/returns', bearer({ role: 'admin', id: admin.id })],
+    ['/api/customer/returns', bearer({ role: 'customer', id: customer.id })],
+    ['/api/vendor/returns', bearer({ role: 'vendor', id: vendor.id })]
+  ];
+
+  for (const [path, headers] of lists) {
+    const second = await request('GET', `${path}?page=2&limit=20`, { headers });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.data.pagination.page, 2);
+    assert.deepEqual(queries.filter(query => query.is('return_requests')).pop().args('range'), [20, 39]);
+
+    const capped = await request('GET', `${path}?limit=5000`, { headers });
+    assert.equal(capped.body.data.pagination.limit, 100);
+    assert.deepEqual(queries.filter(query => query.is('return_requests')).pop().args('range'), [0, 99]);
+
+    const invalid = await request('GET', `${path}?page=0&limit=abc`, { headers });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.message, 'Page and limit must be positive integers');
+  }
+});
@@ -0,0 +1,179 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSupabase, dbError } = require('./helpers/supabase');
+const { startApp, bearer, authQueries } = require('./helpers/app');
+const { validateReview, toReviewFields, formatReview } = require('../utils/reviews');
+const customerRoutes = require('../routes/customer');
+const vendorRoutes = require('../routes/vendor');
+const adminRoutes = require('../routes/admin');
+const productRoutes = require('../routes/products');
+
+const customer = { id: 'cust-1', email: 'a@example.com', verified: true };
+const vendor = { id: 'vend-1', business_email: 'shop@example.com', approved: true };
+const admin = { id: 'admin-1', email: 'root@example.com', active: true, permissions: ['product_moderation'] };
+const users = { customer, vendor, admin };
+
+const review = {
+  id: 'rev-1', product_id: 'p1', rating: 4, title: 'Good', body: 'Fits well', photos: [],
+  hidden: false, customer: { first_name: 'Amani', last_name: 'Mbuyi' }, vendor_id: vendor.id
+};
+
+const orderItem = (status) => ({
+  id: 'item-1', product_id: 'p1', order: { customer_id: customer.id, vendor_id: vendor.id, status }
+});
+
+test('validateReview checks the rating, text lengths and photos', () => {
+  assert.equal(validateReview({ rating: 5 }).isValid, true);
+  assert.deepEqual(validateReview({ rating: 6, photos: ['not a url'] }).errors, [
+    'Rating must be a whole number between 1 and 5',
+    'Invalid photo URL'
+  ]);
+  assert.equal(validateReview({ title: 'Only the title' }, { partial: true }).isValid, true);
+  assert.equal(validateReview({ body: 'x'.repeat(2001) }, { partial: true }).isValid, false);
+});
+
+test('toReviewFields keeps the fields sent and escapes text', () => {
+  assert.deepEqual(toReviewFields({ rating: 3, title: '<b>Ok</b>' }), { rating: 3, title: '&lt;b&gt;Ok&lt;&#x2F;b&gt;' });
+  assert.deepEqual(toReviewFields({ body: '' }), { body: null });
+});
+
+test('formatReview shows the reviewer by first name and initial', () => {
+  const shown = formatReview({ ...review, vendor_reply: 'Thanks!', vendor_replied_at: '2026-01-02' });
+
+  assert.equal(shown.author, 'Amani M.');
+  assert.deepEqual(shown.vendorReply, { body: 'Thanks!', repliedAt: '2026-01-02' });
+  assert.equal('hidden' in shown, false);
+  assert.equal(formatReview(review, { moderation: true }).hidden, false);
+});
+
+test('POST /api/customer/reviews reviews a delivered item', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, users) ||
+    (query.is('order_items') ? { data: orderItem('delivered') } : null) ||
+    (query.is('reviews', 'insert') ? { data: { ...review, ...query.values[0] } } : {}));
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/reviews', {
+    headers: bearer({ role: 'customer', id: customer.id }),
+    body: { orderItemId: 'item-1', rating: 5, title: 'Great' }
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.review.rating, 5);
+  const insert = queries.find(query => query.is('reviews', 'insert')).values[0];
+  assert.equal(insert.vendor_id, vendor.id);
+  assert.equal(insert.customer_id, customer.id);
+  assert.equal(queries.find(query => query.is('order_items')).eq('order.customer_id'), customer.id);
+});
+
+test('POST /api/customer/reviews waits for delivery', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, users) ||
+    (query.is('order_items') ? { data: orderItem('shipped') } : {}));
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/reviews', {
+    headers: bearer({ role: 'customer', id: customer.id }),
+    body: { orderItemId: 'item-1', rating: 5 }
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(queries.some(query => query.is('reviews', 'insert')), false);
+});
+
+test('POST /api/customer/reviews allows one review per item', async (t) => {
+  mockSupabase(t, (query) => authQueries(query, users) ||
+    (query.is('order_items') ? { data: orderItem('completed') } : null) ||
+    (query.is('reviews', 'insert') ? { error: dbError('23505', 'duplicate key') } : {}));
+  const request = await startApp(t, { '/api/customer': customerRoutes });
+
+  const response = await request('POST', '/api/customer/reviews', {
+    headers: bearer({ role: 'customer', id: customer.id }),
+    body: { orderItemId: 'item-1', rating: 2 }
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error.message, 'You have already reviewed this item');
+});
+
+test('GET /api/products/:productId/reviews lists visible reviews with the rating summary', async (t) => {
+  const queries = mockSupabase(t, (query) => {
+    if (query.is('products')) return { data: { id: 'p1', rating: '4.50', review_count: 2 } };
+    if (query.is('reviews') && query.has('range')) return { data: [review] };
+    if (query.is('reviews')) return { data: [{ rating: 4 }, { rating: 5 }] };
+    return {};
+  });
+  const request = await startApp(t, { '/api/products': productRoutes });
+
+  const response = await request('GET', '/api/products/p1/reviews?sort=highest');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.summary, { rating: 4.5, reviewCount: 2, distribution: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 } });
+  assert.equal(response.body.data.reviews[0].author, 'Amani M.');
+  const list = queries.find(query => query.is('reviews') && query.has('range'));
+  assert.equal(list.eq('hidden'), false);
+  assert.deepEqual(list.args('order'), ['rating', { ascending: false }]);
+});
+
+test('GET /api/products/:productId/reviews rejects an unknown sort', async (t) => {
+  mockSupabase(t);
+  const request = await startApp(t, { '/api/products': productRoutes });
+
+  const response = await request('GET', '/api/products/p1/reviews?sort=random');
+
+  assert.equal(response.status, 400);
+});
+
+test('PUT /api/vendor/reviews/:reviewId/reply only answers reviews of the vendor', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, users) ||
+    (query.is('reviews', 'select') ? { data: null } : {}));
+  const request = await startApp(t, { '/api/vendor': vendorRoutes });
+
+  const response = await request('PUT', '/api/vendor/reviews/rev-1/reply', {
+    headers: bearer({ role: 'vendor', id: vendor.id }),
+    body: { reply: 'Thank you' }
+  });
+
+  assert.equal(response.status, 404);
+  assert.equal(queries.find(query => query.is('reviews', 'select')).eq('vendor_id'), vendor.id);
+  assert.equal(queries.some(query => query.is('reviews', 'update')), false);
+});
+
+test('PUT /api/admin/reviews/:reviewId/hide needs a reason and is audited', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, users) ||
+    (query.is('reviews', 'select') ? { data: review } : null) ||
+    (query.is('reviews', 'update') ? { data: { ...review, ...query.values } } : {}));
+  const request = await startApp(t, { '/api/admin': adminRoutes });
+  const headers = bearer({ role: 'admin', id: admin.id });
+
+  const missing = await request('PUT', '/api/admin/reviews/rev-1/hide', { headers, body: {} });
+  assert.equal(missing.status, 400);
+
+  const response = await request('PUT', '/api/admin/reviews/rev-1/hide', { headers, body: { reason: 'Spam' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.review.hidden, true);
+  assert.equal(response.body.data.review.hiddenReason, 'Spam');
+  assert.equal(queries.find(query => query.is('admin_audit_log', 'insert')).values[0].action, 'review.hide');
+});
+
+test('review lists read page and limit as numbers and cap the page size', async (t) => {
+  const queries = mockSupabase(t, (query) => authQueries(query, users) || { data: [], count: 0 });
+  const request = await startApp(t, { '/api/admin': adminRoutes, '/api/vendor': vendorRoutes });
+  const lists = [
+    ['/api/admin/reviews', bearer({ role: 'admin', id: admin.id })],
+    ['/api/vendor/reviews', bearer({ role: 'vendor', id: vendor.id })]
+  ];
+
+  for (const [path, headers] of lists) {
+    const second = await request('GET', `${path}?page=2&limit=20`, { headers });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.data.pagination.page, 2);
+    assert.deepEqual(queries.filter(query => query.is('reviews')).pop().args('range'), [20, 39]);
+
+    const capped = await request('GET', `${path}?limit=5000`, { headers });
+    assert.equal(capped.body.data.pagination.limit, 100);
+    assert.deepEqual(queries.filter(query => query.is('reviews')).pop().args('range'), [0, 99]);
+
+    const invalid = await request('GET', `${path}?page=abc`, { headers });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.message, 'Page and limit must be positive integers');
+  }
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockSupabase, dbError } = require('./helpers/supabase');
+const { startApp } = require('./helpers/app');
+const { isValidSearchQuery, searchProducts } = require('../utils/search');
+const productRoutes = require('../routes/products');
+
+test('isValidSearchQuery accepts 1 to 100 characters', () => {
+  assert.equal(isValidSearchQuery('chaussure'), true);
+  assert.equal(isValidSearchQuery('   '), false);
+  assert.equal(isValidSearchQuery(undefined), false);
+  assert.equal(isValidSearchQuery('x'.repeat(101)), false);
+});
+
+test('searchProducts keeps the relevance order of search_products()', async (t) => {
+  const queries = mockSupabase(t, (query) => {
+    if (query.rpc === 'search_products') {
+      return {
+        data: [
+          { product_id: 'b', rank: 0.9, total_count: 3 },
+          { product_id: 'a', rank: 0.5, total_count: 3 },
+          { product_id: 'gone', rank: 0.1, total_count: 3 }
+        ]
+      };
+    }
+    return { data: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }] };
+  });
+
+  const result = await searchProducts({ query: '  Cafe ', category: 'Food', limit: 2 });
+
+  assert.deepEqual(result, {
+    products: [{ id: 'b', name: 'B', relevance: 0.9 }, { id: 'a', name: 'A', relevance: 0.5 }],
+    total: 3
+  });
+  assert.equal(queries[0].params.p_query, 'Cafe');
+  assert.equal(queries[0].params.p_published_only, true);
+  assert.equal(queries[0].params.p_category, 'Food');
+  assert.deepEqual(queries[1].args('in'), ['id', ['b', 'a', 'gone']]);
+});
+
+test('searchProducts does not fetch products when nothing matches', async (t) => {
+  const queries = mockSupabase(t, () => ({ data: [] }));
+
+  assert.deepEqual(await searchProducts({ query: 'zzz' }), { products: [], total: 0 });
+  assert.equal(queries.length, 1);
+});
+
+test('searchProducts throws database errors', async (t) => {
+  mockSupabase(t, () => ({ error: dbError() }));
+
+  await assert.rejects(searchProducts({ query: 'x' }), { message: 'database error' });
+});
+
+test('GET /api/products/search/suggest returns names and first images', async (t) => {
+  mockSupabase(t, (query) => (query.rpc
+    ? { data: [{ product_id: 'a', rank: 1, total_count: 1 }] }
+    : { data: [{ id: 'a', name: 'Pagne', category: 'Tissus', images: ['https://img/a.webp'] }] }));
+  const request = await startApp(t, { '/api/products': productRoutes });
+
+  const response = await request('GET', '/api/products/search/suggest?q=pag');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.suggestions, [
+    { id: 'a', name: 'Pagne', category: 'Tissus', image: 'https://img/a.webp' }
+  ]);
+});
+
+test('GET /api/products/search rejects an empty query', async (t) => {
+  mockSupabase(t);
+  const request = await startApp(t, { '/api/products': productRoutes });
+
+  const response = await request('GET', '/api/products/search?q=');
+
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,204 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { mockSupabase } = require('./helpers/supabase');
+const { startApp } = require('./helpers/app');
+const {
+  base32Encode,
+  base32Decode,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+} = require('../utils/totp');
+const {
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifyTwoFactor,
+  disableTwoFactor
+} = require('../utils/twoFactor');
+const twoFactorRoutes = require('../routes/twoFactor');
+
+const admin = { id: 'admin-1', email: 'root@example.com', active: true, permissions: [] };
+
+// RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * An admin's two_factor_auth row, recovery codes and login challenges
+ */
+const twoFactorDatabase = () => {
+  const state = { row: null, recoveryCodes: [], challenges: [], sessions: 0 };
+
+  state.handler = (query) => {
+    if (query.is('platform_settings')) return { data: null };
+    if (query.is('admins')) return { data: admin };
+    if (query.is('two_factor_auth', 'select')) return { data: state.row };
+    if (query.is('two_factor_auth', 'upsert')) {
+      state.row = { id: 'tfa-1', enabled_at: null, last_used_step: null, ...state.row, ...query.values };
+      return {};
+    }
+    if (query.is('two_factor_auth', 'update')) {
+      const expected = query.has('is') ? null : query.eq('last_used_step');
+      if ('last_used_step' in query.values && !('enabled_at' in query.values) && state.row.last_used_step !== expected) {
+        return { data: null };
+      }
+      state.row = { ...state.row, ...query.values };
+      return { data: { id: state.row.id } };
+    }
+    if (query.is('two_factor_auth', 'delete')) {
+      state.row = null;
+      return {};
+    }
+    if (query.is('two_factor_recovery_codes', 'delete')) {
+      state.recoveryCodes = [];
+      return {};
+    }
+    if (query.is('two_factor_recovery_codes', 'insert')) {
+      state.recoveryCodes.push(...query.values.map(code => ({ ...code, used_at: null })));
+      return {};
+    }
+    if (query.is('two_factor_recovery_codes', 'update')) {
+      const code = state.recoveryCodes.find(row => row.code_hash === query.eq('code_hash') && !row.used_at);
+      if (!code) return { data: null };
+      code.used_at = query.values.used_at;
+      return { data: { id: 'code' } };
+    }
+    if (query.is('two_factor_challenges', 'select')) {
+      const challenge = state.challenges.find(row => row.token_hash === query.eq('token_hash'));
+      return { data: challenge ? { ...challenge } : null };
+    }
+    if (query.is('two_factor_challenges', 'update')) {
+      const challenge = state.challenges.find(row => row.id === query.eq('id'));
+      if (query.has('is') && challenge.completed_at) return { data: null };
+      Object.assign(challenge, query.values);
+      return { data: { id: challenge.id } };
+    }
+    if (query.is('sessions', 'insert')) {
+      state.sessions += 1;
+      return { data: { id: `session-${state.sessions}`, ...query.values[0] } };
+    }
+    return {};
+  };
+
+  return state;
+};
+
+/**
+ * Enrol the admin a step ago, so the current code has not been used yet
+ */
+const enrol = async (db) => {
+  const { secret } = await startTwoFactorSetup('admin', admin);
+  const recoveryCodes = await confirmTwoFactorSetup('admin', admin.id, generateCode(secret));
+  db.row.last_used_step -= 1;
+  return { secret, recoveryCodes };
+};
+
+test('generateCode matches the RFC 6238 SHA-1 test vectors', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(generateCode(RFC_SECRET, getTimeStep(59 * 1000)), '287082');
+  assert.equal(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000)), '081804');
+  assert.equal(generateCode(RFC_SECRET, getTimeStep(2000000000 * 1000)), '279037');
+});
+
+test('base32 round-trips and ignores case, spaces and padding', () => {
+  const bytes = crypto.randomBytes(20);
+
+  assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+  assert.deepEqual(base32Decode('gezd gnbv===='), base32Decode('GEZDGNBV'));
+  assert.throws(() => base32Decode('GEZ1'), /Invalid base32 secret/);
+});
+
+test('verifyCode accepts one step of drift and returns the matching step', () => {
+  const timestamp = 1111111109 * 1000;
+  const step = getTimeStep(timestamp);
+
+  assert.equal(verifyCode(RFC_SECRET, '081 804', { timestamp }), step);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { timestamp }), step - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { timestamp }), null);
+  assert.equal(verifyCode(RFC_SECRET, '12345', { timestamp }), null);
+  assert.equal(verifyCode(RFC_SECRET, undefined, { timestamp }), null);
+});
+
+test('buildOtpauthUri labels the account with the issuer', () => {
+  const uri = new URL(buildOtpauthUri(RFC_SECRET, { issuer: 'WENZE TII NDAKU', accountName: 'root@example.com' }));
+
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/WENZE TII NDAKU:root@example.com');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
+
+test('enrolment stores the secret encrypted and only hashes of the recovery codes', async (t) => {
+  const db = twoFactorDatabase();
+  mockSupabase(t, db.handler);
+
+  const setup = await startTwoFactorSetup('admin', admin);
+  assert.match(setup.qrCode, /^data:image\/png;base64,/);
+  assert.equal(db.row.pending_secret_encrypted.includes(setup.secret), false);
+
+  await assert.rejects(confirmTwoFactorSetup('admin', admin.id, '000000'), { name: 'TwoFactorError', statusCode: 401 });
+  const recoveryCodes = await confirmTwoFactorSetup('admin', admin.id, generateCode(setup.secret));
+
+  assert.equal(recoveryCodes.length, 10);
+  assert.ok(db.row.enabled_at);
+  assert.equal(db.row.pending_secret_encrypted, null);
+  assert.deepEqual(db.recoveryCodes.map(code => code.code_hash), recoveryCodes.map(code => sha256(code.replace('-', ''))));
+  await assert.rejects(startTwoFactorSetup('admin', admin), { statusCode: 409 });
+});
+
+test('verifyTwoFactor accepts each TOTP code and recovery code once', async (t) => {
+  const db = twoFactorDatabase();
+  mockSupabase(t, db.handler);
+  const { secret, recoveryCodes } = await enrol(db);
+
+  const code = generateCode(secret);
+  assert.equal(await verifyTwoFactor('admin', admin.id, { code }), true);
+  assert.equal(await verifyTwoFactor('admin', admin.id, { code }), false);
+
+  const recoveryCode = recoveryCodes[0].toUpperCase();
+  assert.equal(await verifyTwoFactor('admin', admin.id, { recoveryCode }), true);
+  assert.equal(await verifyTwoFactor('admin', admin.id, { recoveryCode }), false);
+});
+
+test('disableTwoFactor needs a fresh code and removes the recovery codes', async (t) => {
+  const db = twoFactorDatabase();
+  mockSupabase(t, db.handler);
+  const { secret } = await enrol(db);
+
+  await assert.rejects(disableTwoFactor('admin', admin.id, '000000'), { statusCode: 401 });
+  await disableTwoFactor('admin', admin.id, generateCode(secret));
+
+  assert.equal(db.row, null);
+  assert.deepEqual(db.recoveryCodes, []);
+});
+
+test('POST /api/auth/2fa/verify counts wrong codes, then opens a session once', async (t) => {
+  const db = twoFactorDatabase();
+  mockSupabase(t, db.handler);
+  const { secret } = await enrol(db);
+  db.challenges.push({
+    id: 'challenge-1', user_type: 'admin', user_id: admin.id, purpose: 'verify', attempts: 0,
+    token_hash: sha256('challenge-token'), expires_at: new Date(Date.now() + 60000).toISOString(), completed_at: null
+  });
+  const request = await startApp(t, { '/api/auth/2fa': twoFactorRoutes });
+
+  const wrong = await request('POST', '/api/auth/2fa/verify', { body: { challengeToken: 'challenge-token', code: '000000' } });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.error.message, 'Invalid verification code (4 attempts left)');
+  assert.equal(db.challenges[0].attempts, 1);
+
+  const body = { challengeToken: 'challenge-token', code: generateCode(secret) };
+  const response = await request('POST', '/api/auth/2fa/verify', { body });
+  assert.equal(response.status, 200);
+  assert.ok(response.body.data.token);
+  assert.equal(response.body.data.user.role, 'admin');
+
+  const replay = await request('POST', '/api/auth/2fa/verify', { body });
+  assert.equal(replay.status, 401);
+  assert.equal(db.sessions, 1);
+});
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { supabaseAdmin } = require('../config/supabase');
+const { isValidEmail, sanitizeString } = require('./validation');
+const emailService = require('./email');
+const { revokeAllSessions } = require('./sessions');
+
+/**
+ * Admin accounts
+ * Admins are invited by an admin holding 'admin_management' and set their
+ * own password from the emailed link. Each admin holds a list of
+ * permissions that requirePermission checks per route.
+ */
+
+/**
+ * Permissions an admin can hold
+ */
+const ADMIN_PERMISSIONS = {
+  vendor_approval: 'Review, approve and reject vendor applications',
+  vendor_management: 'Edit and delete vendor accounts',
+  product_moderation: 'Edit, flag and delete products and moderate reviews',
+  customer_management: 'View and delete customer accounts',
+  order_management: 'Change the status of any order',
+  finance: 'Resolve returns and issue refunds',
+  audit_log: 'Browse and export the admin audit log',
+  admin_management: 'Invite admins and manage their permissions'
+};
+
+const INVITE_EXPIRES_HOURS = 72;
+const BCRYPT_ROUNDS = 12;
+
+/**
+ * Error raised when an admin account cannot be created or changed
+ */
+class AdminAccountError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AdminAccountError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Whether an admin ({ permissions }) holds a permission
+ */
+const hasPermission = (admin, permission) => {
+  return Array.isArray(admin?.permissions) && admin.permissions.includes(permission);
+};
+
+/**
+ * Validate a list of permission names
+ */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return ['Permissions must be a list'];
+  }
+
+  const unknown = permissions.filter(permission => !ADMIN_PERMISSIONS[permission]);
+  return unknown.length
+    ? [`Unknown permissions: ${unknown.join(', ')}. Must be among: ${Object.keys(ADMIN_PERMISSIONS).join(', ')}`]
+    : [];
+};
+
+/**
+ * Find an admin by email
+ */
+const findAdminByEmail = async (email) => {
+  const { data: admin, error } = await supabaseAdmin
+    .from('admins')
+    .select('*')
+    .eq('email', email.toLowerCase())
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return admin;
+};
+
+/**
+ * Fetch an admin by ID
+ */
+const fetchAdmin = async (adminId) => {
+  const { data: admin, error } = await supabaseAdmin
+    .from('admins')
+    .select('*')
+    .eq('id', adminId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return admin;
+};
+
+/**
+ * Check admin credentials; resolves to the admin or null
+ */
+const authenticateAdmin = async (email, password) => {
+  const admin = await findAdminByEmail(email);
+
+  if (!admin || !admin.active || !admin.password) {
+    return null;
+  }
+
+  const isPasswordValid = await bcrypt.compare(password, admin.password);
+  return isPasswordValid ? admin : null;
+};
+
+/**
+ * Invite an admin, or send a fresh link to an invite not yet accepted
+ */
+const inviteAdmin = async ({ email, name, permissions = [] }, invitedBy) => {
+  const errors = [];
+
+  if (!email || !isValidEmail(email)) {
+    errors.push('A valid email is required');
+  }
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    errors.push('Name is required');
+  }
+
+  errors.push(...validatePermissions(permissions));
+
+  if (errors.length > 0) {
+    throw new AdminAccountError(errors.join('. '));
+  }
+
+  const existing = await findAdminByEmail(email);
+
+  if (existing?.invite_accepted_at) {
+    throw new AdminAccountError('An admin with this email already exists', 409);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const fields = {
+    email: email.toLowerCase(),
+    name: sanitizeString(name),
+    permissions: [...new Set(permissions)],
+    invited_by: invitedBy.id,
+    invite_token_hash: hashToken(token),
+    invite_expires_at: new Date(Date.now() + INVITE_EXPIRES_HOURS * 60 * 60 * 1000).toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  const query = existing
+    ? supabaseAdmin.from('admins').update(fields).eq('id', existing.id)
+    : supabaseAdmin.from('admins').insert([fields]);
+
+  const { data: admin, error } = await query.select().single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new AdminAccountError('An admin with this email already exists', 409);
+    }
+    throw error;
+  }
+
+  await emailService.sendAdminInviteEmail(admin.email, admin.name, {
+    invitedByName: invitedBy.name,
+    inviteUrl: `${process.env.FRONTEND_URL}/admin/accept-invite?token=${token}`,
+    expiresInHours: INVITE_EXPIRES_HOURS
+  });
+
+  return admin;
+};
+
+/**
+ * Accept an invite by choosing a password
+ */
+const acceptAdminInvite = async (token, password) => {
+  const now = new Date().toISOString();
+  const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+  // Clearing the hash in the same update makes the link single-use
+  const { data: admin, error } = await supabaseAdmin
+    .from('admins')
+    .update({
+      password: hashedPassword,
+      password_changed_at: now,
+      invite_token_hash: null,
+      invite_expires_at: null,
+      invite_accepted_at: now,
+      updated_at: now
+    })
+    .eq('invite_token_hash', hashToken(String(token)))
+    .gt('invite_expires_at', now)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!admin) {
+    throw new AdminAccountError('This invite link is invalid or has expired. Please ask for a new one.');
+  }
+
+  return admin;
+};
+
+/**
+ * Change the permissions or active state of another admin
+ * Admins cannot change their own account, so nobody locks everyone out.
+ */
+const updateAdmin = async (adminId, { permissions, active }, actor) => {
+  if (adminId === actor.id) {
+    throw new AdminAccountError('You cannot change your own permissions or status', 403);
+  }
+
+  const fields = {};
+
+  if (permissions !== undefined) {
+    const errors = validatePermissions(permissions);
+    if (errors.length > 0) {
+      throw new AdminAccountError(errors.join('. '));
+    }
+    fields.permissions = [...new Set(permissions)];
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw new AdminAccountError('Active must be true or false');
+    }
+    fields.active = active;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw new AdminAccountError('Nothing to update');
+  }
+
+  const { data: admin, error } = await supabaseAdmin
+    .from('admins')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', adminId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!admin) {
+    throw new AdminAccountError('Admin not found', 404);
+  }
+
+  if (active === false) {
+    await revokeAllSessions('admin', admin.id, 'admin_deactivated');
+  }
+
+  return admin;
+};
+
+/**
+ * Public view of an admin row
+ */
+const formatAdmin = (admin) => ({
+  id: admin.id,
+  email: admin.email,
+  name: admin.name,
+  role: 'admin',
+  permissions: admin.permissions || [],
+  active: admin.active,
+  status: admin.invite_accepted_at ? 'active' : 'invited',
+  invitedBy: admin.invited_by,
+  inviteExpiresAt: admin.invite_expires_at,
+  lastLogin: admin.last_login,
+  createdAt: admin.created_at
+});
+
+module.exports = {
+  ADMIN_PERMISSIONS,
+  BCRYPT_ROUNDS,
+  AdminAccountError,
+  hasPermission,
+  validatePermissions,
+  findAdminByEmail,
+  fetchAdmin,
+  authenticateAdmin,
+  inviteAdmin,
+  acceptAdminInvite,
+  updateAdmin,
+  formatAdmin
+};
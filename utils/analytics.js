@@ -0,0 +1,133 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { roundMoney } = require('./cart');
+
+/**
+ * Vendor sales analytics
+ * Aggregations run in the database (vendor_product_sales and
+ * vendor_sales_timeseries); these helpers validate the inputs and shape
+ * the rows.
+ */
+
+const ANALYTICS_BUCKETS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUCKET_DAYS = { day: 1, week: 7, month: 28 };
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check an IANA time zone name (e.g. Africa/Kinshasa)
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate time-series query parameters
+ * `to` is exclusive, except for a plain date which includes that whole day.
+ * Defaults to daily buckets over the last DEFAULT_RANGE_DAYS days in UTC.
+ */
+const validateTimeseriesQuery = ({ bucket = 'day', from, to, timezone = 'UTC' }) => {
+  const errors = [];
+
+  if (!ANALYTICS_BUCKETS.includes(bucket)) {
+    errors.push(`Bucket must be one of: ${ANALYTICS_BUCKETS.join(', ')}`);
+  }
+
+  if (!isValidTimezone(timezone)) {
+    errors.push('Invalid time zone');
+  }
+
+  let toDate = to ? new Date(to) : new Date();
+  if (to && DATE_ONLY.test(to)) {
+    toDate = new Date(toDate.getTime() + DAY_MS);
+  }
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+    errors.push('from and to must be valid dates');
+  } else if (fromDate >= toDate) {
+    errors.push('from must be before to');
+  } else if (BUCKET_DAYS[bucket] && (toDate - fromDate) / DAY_MS / BUCKET_DAYS[bucket] > MAX_BUCKETS) {
+    errors.push(`Date range is too long for ${bucket} buckets (at most ${MAX_BUCKETS} buckets)`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    params: { bucket, from: fromDate, to: toDate, timezone }
+  };
+};
+
+/**
+ * Units sold and revenue per product of a vendor, highest revenue first
+ */
+const getProductSales = async (vendorId, { from = null, to = null } = {}) => {
+  const { data: rows, error } = await supabaseAdmin.rpc('vendor_product_sales', {
+    p_vendor_id: vendorId,
+    p_from: from ? from.toISOString() : null,
+    p_to: to ? to.toISOString() : null
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return (rows || [])
+    .map(row => ({
+      productId: row.product_id,
+      orders: Number(row.orders),
+      unitsSold: Number(row.units_sold),
+      revenue: roundMoney(parseFloat(row.revenue))
+    }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+/**
+ * Sum of product sales rows
+ */
+const sumSales = (sales) => {
+  return sales.reduce((totals, row) => ({
+    unitsSold: totals.unitsSold + row.unitsSold,
+    revenue: roundMoney(totals.revenue + row.revenue)
+  }), { unitsSold: 0, revenue: 0 });
+};
+
+/**
+ * Sales of a vendor per time bucket, with empty buckets included
+ */
+const getSalesTimeseries = async (vendorId, { bucket, from, to, timezone }) => {
+  const { data: rows, error } = await supabaseAdmin.rpc('vendor_sales_timeseries', {
+    p_vendor_id: vendorId,
+    p_bucket: bucket,
+    p_from: from.toISOString(),
+    p_to: to.toISOString(),
+    p_timezone: timezone
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return (rows || []).map(row => ({
+    // Bucket starts are local dates in the requested time zone
+    bucketStart: String(row.bucket_start).slice(0, 10),
+    orders: Number(row.orders),
+    unitsSold: Number(row.units_sold),
+    revenue: roundMoney(parseFloat(row.revenue))
+  }));
+};
+
+module.exports = {
+  ANALYTICS_BUCKETS,
+  validateTimeseriesQuery,
+  getProductSales,
+  sumSales,
+  getSalesTimeseries
+};
@@ -0,0 +1,186 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { sanitizeString } = require('./validation');
+
+/**
+ * Admin audit log
+ * Every admin mutation appends an entry with the admin, the target, a
+ * before/after diff, the reason given and the request origin. The table
+ * is append-only: a database trigger rejects updates and deletes.
+ */
+
+const AUDIT_TARGET_TYPES = ['vendor', 'product', 'customer', 'order', 'return_request', 'review', 'admin', 'settings'];
+
+const MAX_EXPORT_ROWS = 10000;
+const MAX_REASON_LENGTH = 1000;
+
+// Columns never copied into the log
+const REDACTED_FIELDS = ['password', 'otp', 'otp_expiry', 'invite_token_hash'];
+
+// Columns whose change alone is not worth recording
+const IGNORED_FIELDS = ['updated_at'];
+
+const isEmbedded = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Column-level diff of two rows: { column: { from, to } }
+ * A missing `before` records a creation, a missing `after` a deletion.
+ * Embedded relations (e.g. product.vendor) are left out.
+ */
+const diffRecords = (before, after) => {
+  const changes = {};
+  const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const column of columns) {
+    if (IGNORED_FIELDS.includes(column)) continue;
+
+    const from = before ? before[column] : undefined;
+    const to = after ? after[column] : undefined;
+
+    if (isEmbedded(from) || isEmbedded(to)) continue;
+    // A partial `after` (e.g. an update payload) says nothing about other columns
+    if (before && after && !(column in after)) continue;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[column] = REDACTED_FIELDS.includes(column)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  }
+
+  return changes;
+};
+
+/**
+ * Append an audit entry for the admin making `req`
+ *
+ * Called after the mutation succeeded. A failure to write the entry is
+ * logged rather than reported, since the change itself already happened.
+ */
+const recordAdminAction = async (req, { action, targetType, targetId, before = null, after = null, reason = null, metadata = null }) => {
+  const entry = {
+    admin_id: req.user.id,
+    admin_email: req.user.email,
+    action,
+    target_type: targetType,
+    target_id: targetId ? String(targetId) : null,
+    changes: diffRecords(before, after),
+    reason: reason ? sanitizeString(String(reason)).slice(0, MAX_REASON_LENGTH) : null,
+    metadata,
+    ip: req.ip || null,
+    user_agent: (req.headers['user-agent'] || '').slice(0, 500) || null
+  };
+
+  const { error } = await supabaseAdmin
+    .from('admin_audit_log')
+    .insert([entry]);
+
+  if (error) {
+    console.error(`AUDIT LOG WRITE FAILED for ${action} on ${targetType} ${entry.target_id}:`, error, entry);
+  }
+};
+
+/**
+ * Validate audit log filters from a query string
+ */
+const validateAuditFilters = ({ adminId, action, targetType, targetId, from, to, search }) => {
+  const errors = [];
+
+  if (targetType && !AUDIT_TARGET_TYPES.includes(targetType)) {
+    errors.push(`Target type must be one of: ${AUDIT_TARGET_TYPES.join(', ')}`);
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+
+  if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+    errors.push('from and to must be valid dates');
+  }
+
+  // Characters that would change the meaning of the PostgREST filter
+  const cleanSearch = search ? String(search).replace(/[%,()*\\]/g, ' ').trim().slice(0, 100) : null;
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    filters: {
+      adminId: adminId || null,
+      action: action || null,
+      targetType: targetType || null,
+      targetId: targetId || null,
+      from: fromDate,
+      to: toDate,
+      search: cleanSearch || null
+    }
+  };
+};
+
+/**
+ * Query of audit entries matching filters, newest first
+ */
+const buildAuditQuery = (filters, { count = false } = {}) => {
+  let query = supabaseAdmin
+    .from('admin_audit_log')
+    .select('*', count ? { count: 'exact' } : undefined)
+    .order('created_at', { ascending: false });
+
+  if (filters.adminId) query = query.eq('admin_id', filters.adminId);
+  if (filters.action) {
+    // "vendor" matches every vendor.* action
+    query = filters.action.includes('.')
+      ? query.eq('action', filters.action)
+      : query.like('action', `${filters.action}.%`);
+  }
+  if (filters.targetType) query = query.eq('target_type', filters.targetType);
+  if (filters.targetId) query = query.eq('target_id', filters.targetId);
+  if (filters.from) query = query.gte('created_at', filters.from.toISOString());
+  if (filters.to) query = query.lt('created_at', filters.to.toISOString());
+  if (filters.search) {
+    query = query.or(`reason.ilike.%${filters.search}%,admin_email.ilike.%${filters.search}%,target_id.ilike.%${filters.search}%`);
+  }
+
+  return query;
+};
+
+/**
+ * Public view of an audit entry
+ */
+const formatAuditEntry = (entry) => ({
+  id: entry.id,
+  admin: { id: entry.admin_id, email: entry.admin_email },
+  action: entry.action,
+  targetType: entry.target_type,
+  targetId: entry.target_id,
+  changes: entry.changes || {},
+  reason: entry.reason,
+  metadata: entry.metadata,
+  ip: entry.ip,
+  userAgent: entry.user_agent,
+  createdAt: entry.created_at
+});
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Quote every cell and neutralise spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Audit entries as CSV text
+ */
+const toAuditCsv = (entries) => {
+  const header = ['created_at', 'admin_id', 'admin_email', 'action', 'target_type', 'target_id', 'reason', 'changes', 'metadata', 'ip', 'user_agent'];
+  const rows = entries.map(entry => header.map(column => csvCell(entry[column])).join(','));
+  return [header.join(','), ...rows].join('\n');
+};
+
+module.exports = {
+  AUDIT_TARGET_TYPES,
+  MAX_EXPORT_ROWS,
+  diffRecords,
+  recordAdminAction,
+  validateAuditFilters,
+  buildAuditQuery,
+  formatAuditEntry,
+  toAuditCsv
+};
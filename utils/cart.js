@@ -0,0 +1,389 @@
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('../config/supabase');
+const { productImageUrl } = require('./productImages');
+
+/**
+ * Shopping cart utility functions
+ */
+
+const MAX_CART_QUANTITY = 99;
+const GUEST_CART_TTL_DAYS = 30;
+
+/**
+ * Product columns needed to price a cart line and check availability
+ */
+const CART_PRODUCT_FIELDS = `
+  id, name, price, images, stock, status, vendor_id, has_variants,
+  vendor:vendors(id, business_name, approved)
+`;
+
+/**
+ * Variant columns needed to price a cart line and check availability
+ */
+const CART_VARIANT_FIELDS = 'id, product_id, sku, options, price, stock';
+
+/**
+ * Validate a cart quantity (positive integer up to MAX_CART_QUANTITY)
+ */
+const isValidQuantity = (quantity) => {
+  return Number.isInteger(quantity) && quantity >= 1 && quantity <= MAX_CART_QUANTITY;
+};
+
+/**
+ * Round a money amount to two decimals
+ */
+const roundMoney = (amount) => {
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Get the reason a product cannot be bought in the given quantity,
+ * or null when it can
+ * Products with variants are bought as one of them, whose stock counts.
+ */
+const getUnavailableReason = (product, quantity = 1, variant = null) => {
+  if (!product) return 'removed';
+  if (product.status === 'flagged') return 'flagged';
+  if (product.status !== 'published' || !product.vendor?.approved) return 'unavailable';
+  if (product.has_variants && !variant) return 'variant_required';
+
+  const stock = variant ? variant.stock : product.stock;
+  if (stock <= 0) return 'out_of_stock';
+  if (quantity > stock) return 'insufficient_stock';
+  return null;
+};
+
+/**
+ * Human readable message for an unavailable reason
+ */
+const describeUnavailableReason = (reason, product, variant = null) => {
+  switch (reason) {
+    case 'removed':
+      return 'Product no longer exists';
+    case 'flagged':
+      return 'Product has been withdrawn from sale';
+    case 'unavailable':
+      return 'Product is not available for purchase';
+    case 'out_of_stock':
+      return 'Product is out of stock';
+    case 'variant_required':
+      return 'Choose one of the options of this product';
+    case 'insufficient_stock':
+      return `Only ${variant ? variant.stock : product.stock} left in stock`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Fetch a product with the fields needed for cart checks
+ */
+const fetchCartProduct = async (productId) => {
+  const { data: product, error } = await supabaseAdmin
+    .from('products')
+    .select(CART_PRODUCT_FIELDS)
+    .eq('id', productId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return product;
+};
+
+/**
+ * Fetch a variant of a product with the fields needed for cart checks,
+ * or null when the product has no such variant
+ */
+const fetchCartVariant = async (productId, variantId) => {
+  const { data: variant, error } = await supabaseAdmin
+    .from('product_variants')
+    .select(CART_VARIANT_FIELDS)
+    .eq('id', variantId)
+    .eq('product_id', productId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return variant;
+};
+
+/**
+ * Restrict a query on a cart table to the lines of one variant, or to the
+ * line without variant when variantId is empty
+ */
+const matchVariant = (query, variantId) => {
+  return variantId ? query.eq('variant_id', variantId) : query.is('variant_id', null);
+};
+
+/**
+ * Fetch cart rows with their products and variants from a cart table
+ */
+const fetchItems = async (table, ownerColumn, ownerId) => {
+  const { data: items, error } = await supabaseAdmin
+    .from(table)
+    .select(`
+      id, product_id, variant_id, quantity, created_at, updated_at,
+      product:products(${CART_PRODUCT_FIELDS}),
+      variant:product_variants(${CART_VARIANT_FIELDS}, images:product_images(storage_prefix, position))
+    `)
+    .eq(ownerColumn, ownerId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return items || [];
+};
+
+/**
+ * Fetch the raw cart rows of a customer with their products
+ */
+const fetchCartItems = (customerId) => {
+  return fetchItems('cart', 'customer_id', customerId);
+};
+
+/**
+ * Fetch the raw rows of a guest cart with their products
+ */
+const fetchGuestCartItems = (guestCartId) => {
+  return fetchItems('guest_cart_items', 'guest_cart_id', guestCartId);
+};
+
+/**
+ * Sign a token identifying a guest cart
+ */
+const generateCartToken = (guestCartId) => {
+  return jwt.sign(
+    { cartId: guestCartId, type: 'guest_cart' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${GUEST_CART_TTL_DAYS}d` }
+  );
+};
+
+/**
+ * Verify a guest cart token, returning the cart id or null when invalid
+ */
+const verifyCartToken = (token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'guest_cart' ? decoded.cartId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create a new, empty guest cart and return its id
+ */
+const createGuestCart = async () => {
+  const { data: guestCart, error } = await supabaseAdmin
+    .from('guest_carts')
+    .insert([{
+      expires_at: new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return guestCart.id;
+};
+
+/**
+ * Image shown for a cart line: the variant's first image, else the product's
+ */
+const getLineImage = (product, variant) => {
+  const [variantImage] = [...(variant?.images || [])].sort((a, b) => a.position - b.position);
+  if (variantImage) {
+    return productImageUrl(variantImage, 'large');
+  }
+  return product?.images?.[0] || null;
+};
+
+/**
+ * Build a cart summary from cart rows: lines grouped by vendor with line
+ * totals, and the lines that can no longer be bought reported as issues.
+ * Unavailable lines are excluded from subtotals.
+ */
+const buildCartSummary = (items) => {
+  const vendors = new Map();
+  const issues = [];
+  let itemCount = 0;
+  let total = 0;
+
+  for (const item of items) {
+    const { product, variant } = item;
+    const reason = getUnavailableReason(product, item.quantity, variant);
+    const price = variant?.price ?? product?.price;
+    const unitPrice = price ? parseFloat(price) : 0;
+    const lineTotal = roundMoney(unitPrice * item.quantity);
+
+    const line = {
+      id: item.id,
+      productId: item.product_id,
+      variantId: item.variant_id || null,
+      name: product?.name || null,
+      sku: variant?.sku || null,
+      options: variant?.options || null,
+      image: getLineImage(product, variant),
+      unitPrice,
+      quantity: item.quantity,
+      lineTotal,
+      stock: (variant || product)?.stock ?? 0,
+      available: !reason,
+      issue: reason
+    };
+
+    if (reason) {
+      issues.push({
+        productId: item.product_id,
+        variantId: line.variantId,
+        name: line.name,
+        reason,
+        message: describeUnavailableReason(reason, product, variant)
+      });
+    }
+
+    const vendorId = product?.vendor_id || 'unknown';
+    if (!vendors.has(vendorId)) {
+      vendors.set(vendorId, {
+        vendorId: product?.vendor_id || null,
+        businessName: product?.vendor?.business_name || null,
+        items: [],
+        subtotal: 0
+      });
+    }
+
+    const group = vendors.get(vendorId);
+    group.items.push(line);
+
+    if (!reason) {
+      group.subtotal = roundMoney(group.subtotal + lineTotal);
+      itemCount += item.quantity;
+      total = roundMoney(total + lineTotal);
+    }
+  }
+
+  return {
+    vendors: Array.from(vendors.values()),
+    itemCount,
+    total,
+    issues
+  };
+};
+
+/**
+ * Merge a guest cart into a customer's cart and delete the guest cart.
+ *
+ * Quantities of products (or variants) present in both carts are added
+ * together, then capped at the available stock and MAX_CART_QUANTITY.
+ * Products that can no longer be bought are left out. Both cases are
+ * reported as issues.
+ * Returns null when the token does not identify a guest cart.
+ */
+const mergeGuestCart = async (customerId, cartToken) => {
+  const guestCartId = verifyCartToken(cartToken);
+  if (!guestCartId) return null;
+
+  const [guestItems, customerItems] = await Promise.all([
+    fetchGuestCartItems(guestCartId),
+    fetchCartItems(customerId)
+  ]);
+
+  const lineKey = (item) => `${item.product_id}:${item.variant_id || ''}`;
+  const currentQuantities = new Map(customerItems.map(item => [lineKey(item), item.quantity]));
+  const rows = [];
+  const merged = [];
+  const issues = [];
+
+  for (const item of guestItems) {
+    const { product, variant } = item;
+    const variantId = item.variant_id || null;
+    const reason = getUnavailableReason(product, 1, variant);
+
+    if (reason) {
+      issues.push({
+        productId: item.product_id,
+        variantId,
+        name: product?.name || null,
+        reason,
+        message: describeUnavailableReason(reason, product, variant)
+      });
+      continue;
+    }
+
+    const requested = (currentQuantities.get(lineKey(item)) || 0) + item.quantity;
+    const quantity = Math.min(requested, (variant || product).stock, MAX_CART_QUANTITY);
+
+    if (quantity < requested) {
+      issues.push({
+        productId: item.product_id,
+        variantId,
+        name: product.name,
+        reason: 'quantity_adjusted',
+        message: `Quantity reduced from ${requested} to ${quantity}`
+      });
+    }
+
+    rows.push({
+      customer_id: customerId,
+      product_id: item.product_id,
+      variant_id: variantId,
+      quantity,
+      updated_at: new Date().toISOString()
+    });
+    merged.push({ productId: item.product_id, variantId, quantity });
+  }
+
+  if (rows.length > 0) {
+    const { error } = await supabaseAdmin
+      .from('cart')
+      .upsert(rows, { onConflict: 'customer_id,product_id,variant_id' });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  // Items are removed with the cart (ON DELETE CASCADE)
+  const { error: deleteError } = await supabaseAdmin
+    .from('guest_carts')
+    .delete()
+    .eq('id', guestCartId);
+
+  if (deleteError) {
+    console.error('Error deleting merged guest cart:', deleteError);
+  }
+
+  return { merged, issues };
+};
+
+module.exports = {
+  MAX_CART_QUANTITY,
+  GUEST_CART_TTL_DAYS,
+  CART_PRODUCT_FIELDS,
+  CART_VARIANT_FIELDS,
+  isValidQuantity,
+  roundMoney,
+  getUnavailableReason,
+  describeUnavailableReason,
+  fetchCartProduct,
+  fetchCartVariant,
+  matchVariant,
+  fetchCartItems,
+  fetchGuestCartItems,
+  generateCartToken,
+  verifyCartToken,
+  createGuestCart,
+  buildCartSummary,
+  mergeGuestCart
+};
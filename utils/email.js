@@ -272,6 +272,344 @@ class EmailService {
       throw new Error('Failed to send vendor rejection email');
     }
   }
+
+  /**
+   * Send order cancellation email to the vendor
+   */
+  async sendOrderCancelledEmail(email, businessName, { orderId, items, reason, refundStatus }) {
+    try {
+      const orderNumber = orderId.slice(0, 8).toUpperCase();
+      const subject = `Order ${orderNumber} Cancelled - WENZE TII NDAKU`;
+
+      const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #1e3a8a 0%, #ea580c 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">WENZE TII NDAKU</h1>
+            <p style="color: white; margin: 5px 0 0 0;">Premium Marketplace</p>
+          </div>
+          
+          <div style="padding: 30px; background: #f8fafc;">
+            <h2 style="color: #1e3a8a; margin-bottom: 20px;">Order Cancelled</h2>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              Dear ${businessName},
+            </p>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              The customer has cancelled order <strong>${orderNumber}</strong>. Please do not prepare or ship it. The stock of the items below has been returned to your inventory.
+            </p>
+            
+            <ul style="color: #374151; font-size: 16px; line-height: 1.6;">
+              ${items.map(item => `<li>${item.quantity} × ${item.name}</li>`).join('')}
+            </ul>
+            
+            ${reason ? `
+            <div style="background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; padding: 15px; margin: 20px 0;">
+              <h4 style="color: #dc2626; margin-top: 0;">Reason:</h4>
+              <p style="color: #7f1d1d; margin: 0;">${reason}</p>
+            </div>
+            ` : ''}
+            
+            ${refundStatus ? `
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              ${refundStatus === 'refunded'
+                ? 'The payment for this order has been refunded to the customer.'
+                : 'The payment for this order will be refunded to the customer by our team.'}
+            </p>
+            ` : ''}
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/vendor/orders" 
+                 style="background: linear-gradient(135deg, #1e3a8a 0%, #ea580c 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                View Orders
+              </a>
+            </div>
+          </div>
+          
+          <div style="background: #1f2937; padding: 20px; text-align: center;">
+            <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+              © 2025 WENZE TII NDAKU. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `;
+
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject,
+        html
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error('Error sending order cancelled email:', error);
+      throw new Error('Failed to send order cancelled email');
+    }
+  }
+
+  /**
+   * Send password reset email
+   * Accounts without a password (Google sign-in) are offered to set one.
+   */
+  async sendPasswordResetEmail(email, name, { resetUrl, expiresInMinutes, hasPassword }) {
+    try {
+      const subject = hasPassword
+        ? 'Reset Your WENZE TII NDAKU Password'
+        : 'Set a Password for Your WENZE TII NDAKU Account';
+
+      const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #1e3a8a 0%, #ea580c 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">WENZE TII NDAKU</h1>
+            <p style="color: white; margin: 5px 0 0 0;">Premium Marketplace</p>
+          </div>
+          
+          <div style="padding: 30px; background: #f8fafc;">
+            <h2 style="color: #1e3a8a; margin-bottom: 20px;">${hasPassword ? 'Reset Your Password' : 'Set a Password'}</h2>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              Hello ${name},
+            </p>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              ${hasPassword
+                ? 'We received a request to reset the password of your account. Click the button below to choose a new password:'
+                : 'You signed up with Google, so your account has no password yet. Click the button below to set one and sign in with your email as well:'}
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${resetUrl}" 
+                 style="background: linear-gradient(135deg, #1e3a8a 0%, #ea580c 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                ${hasPassword ? 'Reset Password' : 'Set Password'}
+              </a>
+            </div>
+            
+            <p style="color: #6b7280; font-size: 14px;">
+              This link is valid for ${expiresInMinutes} minutes and can be used once. Setting a new password signs you out on all devices.
+            </p>
+            
+            <p style="color: #6b7280; font-size: 14px; margin-top: 30px;">
+              If you didn't request this, please ignore this email. Your password will not change.
+            </p>
+          </div>
+          
+          <div style="background: #1f2937; padding: 20px; text-align: center;">
+            <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+              © 2025 WENZE TII NDAKU. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `;
+
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject,
+        html
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+      throw new Error('Failed to send password reset email');
+    }
+  }
+
+  /**
+   * Send admin invitation email
+   */
+  async sendAdminInviteEmail(email, name, { invitedByName, inviteUrl, expiresInHours }) {
+    try {
+      const subject = 'You Have Been Invited to Administer WENZE TII NDAKU';
+
+      const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #1e3a8a 0%, #ea580c 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">WENZE TII NDAKU</h1>
+            <p style="color: white; margin: 5px 0 0 0;">Premium Marketplace</p>
+          </div>
+          
+          <div style="padding: 30px; background: #f8fafc;">
+            <h2 style="color: #1e3a8a; margin-bottom: 20px;">Admin Invitation</h2>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              Hello ${name},
+            </p>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              ${invitedByName || 'An administrator'} has invited you to join the WENZE TII NDAKU admin team. Click the button below to choose your password and activate your account:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${inviteUrl}" 
+                 style="background: linear-gradient(135deg, #1e3a8a 0%, #ea580c 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                Accept Invitation
+              </a>
+            </div>
+            
+            <p style="color: #6b7280; font-size: 14px;">
+              This invitation is valid for ${expiresInHours} hours and can be used once.
+            </p>
+            
+            <p style="color: #6b7280; font-size: 14px; margin-top: 30px;">
+              If you were not expecting this invitation, please ignore this email.
+            </p>
+          </div>
+          
+          <div style="background: #1f2937; padding: 20px; text-align: center;">
+            <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+              © 2025 WENZE TII NDAKU. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `;
+
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject,
+        html
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error('Error sending admin invite email:', error);
+      throw new Error('Failed to send admin invite email');
+    }
+  }
+
+  /**
+   * Send account locked notification email
+   */
+  async sendAccountLockedEmail(email, name, { lockedMinutes, resetUrl }) {
+    try {
+      const subject = 'Your WENZE TII NDAKU Account Has Been Temporarily Locked';
+
+      const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #1e3a8a 0%, #ea580c 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">WENZE TII NDAKU</h1>
+            <p style="color: white; margin: 5px 0 0 0;">Premium Marketplace</p>
+          </div>
+          
+          <div style="padding: 30px; background: #f8fafc;">
+            <h2 style="color: #1e3a8a; margin-bottom: 20px;">Account Temporarily Locked</h2>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              Hello ${name},
+            </p>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              We noticed several failed attempts to sign in to your account, so we have blocked new sign-ins for the next ${lockedMinutes} minutes. Devices where you are already signed in are not affected.
+            </p>
+            
+            ${resetUrl ? `
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              If these attempts were not yours, someone may know or be guessing your password. We recommend choosing a new one:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${resetUrl}" 
+                 style="background: linear-gradient(135deg, #1e3a8a 0%, #ea580c 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                Reset Password
+              </a>
+            </div>
+            ` : `
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              If these attempts were not yours, please tell another administrator right away.
+            </p>
+            `}
+            
+            <p style="color: #6b7280; font-size: 14px; margin-top: 30px;">
+              If it was you, wait until the lock expires and try again, or contact support to unlock your account sooner.
+            </p>
+          </div>
+          
+          <div style="background: #1f2937; padding: 20px; text-align: center;">
+            <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+              © 2025 WENZE TII NDAKU. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `;
+
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject,
+        html
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error('Error sending account locked email:', error);
+      throw new Error('Failed to send account locked email');
+    }
+  }
+
+  /**
+   * Send KYC document rejection email
+   */
+  async sendKycDocumentRejectedEmail(email, businessName, { documentLabel, reason }) {
+    try {
+      const subject = 'Action Required: Please Upload a New Verification Document';
+
+      const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #1e3a8a 0%, #ea580c 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">WENZE TII NDAKU</h1>
+            <p style="color: white; margin: 5px 0 0 0;">Premium Marketplace</p>
+          </div>
+          
+          <div style="padding: 30px; background: #f8fafc;">
+            <h2 style="color: #1e3a8a; margin-bottom: 20px;">Verification Document Not Accepted</h2>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              Dear ${businessName},
+            </p>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              Our team reviewed the <strong>${documentLabel}</strong> you uploaded and could not accept it.
+            </p>
+            
+            <div style="background: #fef2f2; border-left: 4px solid #ef4444; padding: 15px; margin: 20px 0;">
+              <p style="color: #374151; font-size: 14px; margin: 0;">
+                <strong>Reason:</strong> ${reason}
+              </p>
+            </div>
+            
+            <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+              Please sign in to your vendor dashboard and upload a new document. Your application will continue once all documents are accepted.
+            </p>
+          </div>
+          
+          <div style="background: #1f2937; padding: 20px; text-align: center;">
+            <p style="color: #9ca3af; font-size: 12px; margin: 0;">
+              © 2025 WENZE TII NDAKU. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `;
+
+      const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject,
+        html
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      return true;
+    } catch (error) {
+      console.error('Error sending KYC rejection email:', error);
+      throw new Error('Failed to send KYC rejection email');
+    }
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../config/supabase');
+const emailService = require('./email');
+
+/**
+ * Sign-in with Google for customers and vendors
+ * Shared by the OAuth redirect flow (passport) and the ID token flow
+ * (POST /api/auth/google/verify-token). Both hand over a verified Google
+ * profile: { googleId, email, name, givenName, familyName, picture }.
+ *
+ * Linked external accounts live in auth_identities (provider, provider
+ * user ID, account), so one account can later hold identities from other
+ * providers. Google never gets attached to an existing account on its own:
+ * an account registered with a password has to link Google explicitly,
+ * proving the password, before it can sign in with it.
+ */
+
+const GOOGLE_PROVIDER = 'google';
+
+// The OAuth redirect hands the frontend a login code valid this long
+const LOGIN_CODE_TTL_SECONDS = 60;
+
+const GOOGLE_SIGN_IN_ROLES = {
+  customer: { table: 'customers', emailColumn: 'email' },
+  vendor: { table: 'vendors', emailColumn: 'business_email' }
+};
+
+/**
+ * Error raised when a Google sign-in, link or unlink is refused; `reason`
+ * is the error code the OAuth redirect passes to the frontend
+ */
+class GoogleSignInError extends Error {
+  constructor(message, reason, statusCode = 400) {
+    super(message);
+    this.name = 'GoogleSignInError';
+    this.reason = reason;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Google profile from a passport profile
+ */
+const profileFromPassport = ({ id, displayName, emails, photos, name }) => ({
+  googleId: id,
+  email: emails[0].value.toLowerCase(),
+  name: displayName || '',
+  givenName: name?.givenName || null,
+  familyName: name?.familyName || null,
+  picture: photos?.[0]?.value || null
+});
+
+/**
+ * Role asked for at sign-in; customer unless 'vendor' is given
+ */
+const resolveSignInRole = (role) => {
+  if (role === undefined || role === null || role === '') {
+    return 'customer';
+  }
+
+  if (!GOOGLE_SIGN_IN_ROLES[role]) {
+    throw new GoogleSignInError(`Role must be one of: ${Object.keys(GOOGLE_SIGN_IN_ROLES).join(', ')}`, 'invalid_role');
+  }
+
+  return role;
+};
+
+const fetchAccount = async (userType, filter) => {
+  const config = GOOGLE_SIGN_IN_ROLES[userType];
+  let query = supabaseAdmin.from(config.table).select('*');
+
+  query = filter.id
+    ? query.eq('id', filter.id)
+    : query.eq(config.emailColumn, filter.email.toLowerCase());
+
+  const { data: account, error } = await query.maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return account;
+};
+
+/**
+ * Identity of an external account linked to a customer or vendor
+ */
+const findIdentity = async (provider, providerUserId, userType) => {
+  const { data: identity, error } = await supabaseAdmin
+    .from('auth_identities')
+    .select('*')
+    .eq('provider', provider)
+    .eq('provider_user_id', providerUserId)
+    .eq('user_type', userType)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return identity;
+};
+
+/**
+ * Identities linked to an account
+ */
+const listIdentities = async (userType, userId) => {
+  const { data: identities, error } = await supabaseAdmin
+    .from('auth_identities')
+    .select('*')
+    .eq('user_type', userType)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return identities || [];
+};
+
+/**
+ * Public view of an identity
+ */
+const formatIdentity = (identity) => ({
+  id: identity.id,
+  provider: identity.provider,
+  email: identity.email,
+  linkedAt: identity.created_at,
+  lastUsedAt: identity.last_used_at
+});
+
+const insertIdentity = async (userType, userId, profile) => {
+  const { data: identity, error } = await supabaseAdmin
+    .from('auth_identities')
+    .insert([{
+      provider: GOOGLE_PROVIDER,
+      provider_user_id: profile.googleId,
+      user_type: userType,
+      user_id: userId,
+      email: profile.email,
+      last_used_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new GoogleSignInError('This Google account is already linked to another account', 'already_linked', 409);
+    }
+    throw error;
+  }
+
+  return identity;
+};
+
+/**
+ * Create a customer from a Google profile (no other customer uses its email)
+ */
+const createGoogleCustomer = async (profile) => {
+  const nameParts = profile.name.split(' ');
+  const customerData = {
+    id: uuidv4(),
+    first_name: profile.givenName || nameParts[0] || '',
+    last_name: profile.familyName || nameParts.slice(1).join(' ') || '',
+    email: profile.email,
+    profile_photo: profile.picture,
+    role: 'customer',
+    verified: true, // Google accounts are pre-verified
+    last_login: new Date().toISOString(),
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  const { data: customer, error } = await supabaseAdmin
+    .from('customers')
+    .insert([customerData])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating customer:', error);
+    throw new GoogleSignInError('Failed to create customer account', 'creation_failed', 500);
+  }
+
+  await insertIdentity('customer', customer.id, profile);
+
+  // Send welcome email for new users
+  try {
+    await emailService.sendWelcomeEmail(profile.email, profile.name || customer.first_name, 'customer');
+  } catch (emailError) {
+    console.error('Error sending welcome email:', emailError);
+  }
+
+  return customer;
+};
+
+/**
+ * Sign in as the customer or vendor linked to a Google profile
+ * A customer is created when nobody uses the email yet. Resolves to
+ * { account, isNewUser }; refusals throw a GoogleSignInError.
+ */
+const signInWithGoogle = async (profile, role) => {
+  const config = GOOGLE_SIGN_IN_ROLES[role];
+  let identity = await findIdentity(GOOGLE_PROVIDER, profile.googleId, role);
+  const account = identity ? await fetchAccount(role, { id: identity.user_id }) : null;
+
+  // The account was deleted since it was linked
+  if (identity && !account) {
+    await supabaseAdmin.from('auth_identities').delete().eq('id', identity.id);
+    identity = null;
+  }
+
+  if (!identity) {
+    const existing = await fetchAccount(role, { email: profile.email });
+
+    if (existing) {
+      throw new GoogleSignInError(
+        `A ${role} account with this email already exists. Sign in with your password and link your Google account from your account settings.`,
+        'link_required',
+        409
+      );
+    }
+
+    if (role === 'vendor') {
+      throw new GoogleSignInError(
+        'No vendor account is linked to this Google account. Register as a vendor first, then link Google from your account settings.',
+        'account_not_found',
+        404
+      );
+    }
+
+    return { account: await createGoogleCustomer(profile), isNewUser: true };
+  }
+
+  const now = new Date().toISOString();
+
+  await supabaseAdmin
+    .from('auth_identities')
+    .update({ email: profile.email, last_used_at: now })
+    .eq('id', identity.id);
+
+  const { data: updated, error } = await supabaseAdmin
+    .from(config.table)
+    .update({
+      last_login: now,
+      ...(role === 'customer' && !account.profile_photo && profile.picture && { profile_photo: profile.picture })
+    })
+    .eq('id', account.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Error updating ${role}:`, error);
+    throw new GoogleSignInError(`Failed to update ${role} account`, 'update_failed', 500);
+  }
+
+  return { account: updated, isNewUser: false };
+};
+
+/**
+ * Check the password of an account; linking and unlinking require it
+ */
+const assertPassword = async (account, password) => {
+  if (!account.password) {
+    throw new GoogleSignInError('Set a password for your account first', 'password_required');
+  }
+
+  if (!password || !(await bcrypt.compare(String(password), account.password))) {
+    throw new GoogleSignInError('Incorrect password', 'invalid_password', 401);
+  }
+};
+
+/**
+ * Link a Google profile to a signed-in customer or vendor
+ */
+const linkGoogleIdentity = async (userType, userId, profile, password) => {
+  const account = await fetchAccount(userType, { id: userId });
+  await assertPassword(account, password);
+
+  const linked = (await listIdentities(userType, userId))
+    .find(identity => identity.provider === GOOGLE_PROVIDER);
+
+  if (linked) {
+    if (linked.provider_user_id === profile.googleId) {
+      return linked;
+    }
+    throw new GoogleSignInError('Another Google account is already linked. Unlink it first.', 'already_linked', 409);
+  }
+
+  return insertIdentity(userType, userId, profile);
+};
+
+/**
+ * Remove the Google identity of a signed-in customer or vendor
+ * The password is required, so the account keeps a way to sign in.
+ */
+const unlinkGoogleIdentity = async (userType, userId, password) => {
+  const account = await fetchAccount(userType, { id: userId });
+  await assertPassword(account, password);
+
+  const { data: removed, error } = await supabaseAdmin
+    .from('auth_identities')
+    .delete()
+    .eq('provider', GOOGLE_PROVIDER)
+    .eq('user_type', userType)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!removed || removed.length === 0) {
+    throw new GoogleSignInError('No Google account is linked', 'not_linked', 404);
+  }
+};
+
+const hashLoginCode = (code) => {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+};
+
+/**
+ * Issue the single-use code the OAuth redirect carries instead of tokens
+ *
+ * URLs end up in browser history, referrers and proxy logs, so the frontend
+ * posts the code back to exchange it for a session. Only its hash is stored.
+ */
+const createLoginCode = async (userType, userId, { isNewUser = false } = {}) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  const { error } = await supabaseAdmin
+    .from('oauth_login_codes')
+    .insert([{
+      user_type: userType,
+      user_id: userId,
+      code_hash: hashLoginCode(code),
+      is_new_user: isNewUser,
+      expires_at: new Date(Date.now() + LOGIN_CODE_TTL_SECONDS * 1000).toISOString()
+    }]);
+
+  if (error) {
+    throw error;
+  }
+
+  return code;
+};
+
+/**
+ * Claim a login code; it works once and only until it expires
+ * Resolves to { userType, account, isNewUser }.
+ */
+const redeemLoginCode = async (code) => {
+  const now = new Date().toISOString();
+
+  const { data: claimed, error } = await supabaseAdmin
+    .from('oauth_login_codes')
+    .update({ used_at: now })
+    .eq('code_hash', hashLoginCode(code))
+    .is('used_at', null)
+    .gt('expires_at', now)
+    .select('user_type, user_id, is_new_user')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!claimed) {
+    throw new GoogleSignInError('This sign-in link is invalid or has expired. Please sign in again.', 'invalid_code', 401);
+  }
+
+  const account = await fetchAccount(claimed.user_type, { id: claimed.user_id });
+  if (!account) {
+    throw new GoogleSignInError('Account not found', 'account_not_found', 401);
+  }
+
+  return { userType: claimed.user_type, account, isNewUser: claimed.is_new_user };
+};
+
+module.exports = {
+  GOOGLE_PROVIDER,
+  GOOGLE_SIGN_IN_ROLES,
+  GoogleSignInError,
+  profileFromPassport,
+  resolveSignInRole,
+  listIdentities,
+  formatIdentity,
+  signInWithGoogle,
+  linkGoogleIdentity,
+  unlinkGoogleIdentity,
+  createLoginCode,
+  redeemLoginCode
+};
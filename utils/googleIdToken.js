@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Google ID token verification
+ * Used by clients (mobile apps, Google Identity Services) that sign in with
+ * Google themselves and post the resulting ID token. The signature is
+ * checked against Google's published keys (JWKS), then the audience,
+ * issuer and expiry.
+ *
+ * Keys come from a JWKS source: an object whose getKeys({ forceRefresh })
+ * resolves to a list of JWKs. The default fetches and caches Google's keys;
+ * setGoogleJwksSource swaps in another (e.g. a local key set in tests).
+ */
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+const DEFAULT_CACHE_SECONDS = 60 * 60;
+const MIN_REFRESH_INTERVAL_SECONDS = 30;
+const FETCH_TIMEOUT_MS = 5000;
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+/**
+ * Error raised when an ID token is not accepted
+ */
+class GoogleTokenError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'GoogleTokenError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * JWKS fetched over HTTP and cached for as long as the response's
+ * Cache-Control max-age allows. An unknown key ID forces a refetch (Google
+ * rotates its keys), at most once per MIN_REFRESH_INTERVAL_SECONDS.
+ */
+class RemoteJwksSource {
+  constructor(url = GOOGLE_JWKS_URL) {
+    this.url = url;
+    this.keys = null;
+    this.expiresAt = 0;
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  async getKeys({ forceRefresh = false } = {}) {
+    const now = Date.now();
+    const fresh = this.keys && now < this.expiresAt;
+    const recentlyFetched = now - this.fetchedAt < MIN_REFRESH_INTERVAL_SECONDS * 1000;
+
+    if (fresh && (!forceRefresh || recentlyFetched)) {
+      return this.keys;
+    }
+
+    // Concurrent callers share one request
+    if (!this.pending) {
+      this.pending = this.fetchKeys().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    try {
+      return await this.pending;
+    } catch (error) {
+      // Keep verifying with the last known keys while Google is unreachable
+      if (this.keys) {
+        console.error('Error refreshing Google signing keys:', error);
+        return this.keys;
+      }
+      throw error;
+    }
+  }
+
+  async fetchKeys() {
+    const response = await fetch(this.url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+
+    if (!response.ok) {
+      throw new Error(`Google signing keys request failed with status ${response.status}`);
+    }
+
+    const { keys } = await response.json();
+    if (!Array.isArray(keys)) {
+      throw new Error('Google signing keys response has no keys');
+    }
+
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+
+    this.keys = keys;
+    this.fetchedAt = Date.now();
+    this.expiresAt = this.fetchedAt + (maxAge ? Number(maxAge[1]) : DEFAULT_CACHE_SECONDS) * 1000;
+
+    return keys;
+  }
+}
+
+/**
+ * Fixed key set, e.g. one generated locally for tests
+ */
+class StaticJwksSource {
+  constructor(keys) {
+    this.keys = keys;
+  }
+
+  async getKeys() {
+    return this.keys;
+  }
+}
+
+let jwksSource = new RemoteJwksSource();
+
+/**
+ * Replace the source of the keys ID tokens are checked against
+ */
+const setGoogleJwksSource = (source) => {
+  if (!source || typeof source.getKeys !== 'function') {
+    throw new Error('A JWKS source must implement getKeys()');
+  }
+  jwksSource = source;
+};
+
+/**
+ * Client IDs an ID token may be issued to: the web client plus any
+ * mobile clients listed in GOOGLE_ALLOWED_CLIENT_IDS (comma separated)
+ */
+const getAllowedAudiences = () => {
+  return [process.env.GOOGLE_CLIENT_ID, ...(process.env.GOOGLE_ALLOWED_CLIENT_IDS || '').split(',')]
+    .map(clientId => (clientId || '').trim())
+    .filter(Boolean);
+};
+
+const findKey = async (source, kid) => {
+  let keys = await source.getKeys();
+  let jwk = keys.find(key => key.kid === kid);
+
+  if (!jwk) {
+    keys = await source.getKeys({ forceRefresh: true });
+    jwk = keys.find(key => key.kid === kid);
+  }
+
+  return jwk || null;
+};
+
+/**
+ * Verify a Google ID token and return the profile it asserts:
+ * { googleId, email, name, givenName, familyName, picture }
+ * Throws a GoogleTokenError when the token is not accepted.
+ */
+const verifyGoogleIdToken = async (idToken, { source = jwksSource, audience = getAllowedAudiences() } = {}) => {
+  if (audience.length === 0) {
+    throw new Error('GOOGLE_CLIENT_ID is not configured');
+  }
+
+  const decoded = typeof idToken === 'string' ? jwt.decode(idToken, { complete: true }) : null;
+
+  if (!decoded || !decoded.header.kid) {
+    throw new GoogleTokenError('Malformed Google ID token');
+  }
+
+  if (decoded.header.alg !== 'RS256') {
+    throw new GoogleTokenError('Unsupported Google ID token algorithm');
+  }
+
+  const jwk = await findKey(source, decoded.header.kid);
+  if (!jwk) {
+    throw new GoogleTokenError('Google ID token is signed with an unknown key');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: ['RS256'],
+      audience,
+      issuer: GOOGLE_ISSUERS,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    throw new GoogleTokenError(error.name === 'TokenExpiredError'
+      ? 'Google ID token has expired'
+      : 'Invalid Google ID token');
+  }
+
+  if (!payload.sub || !payload.email) {
+    throw new GoogleTokenError('Google ID token has no account or email');
+  }
+
+  if (payload.email_verified !== true && payload.email_verified !== 'true') {
+    throw new GoogleTokenError('Your Google email address is not verified', 403);
+  }
+
+  return {
+    googleId: payload.sub,
+    email: payload.email.toLowerCase(),
+    name: payload.name || [payload.given_name, payload.family_name].filter(Boolean).join(' '),
+    givenName: payload.given_name || null,
+    familyName: payload.family_name || null,
+    picture: payload.picture || null
+  };
+};
+
+module.exports = {
+  GOOGLE_JWKS_URL,
+  GoogleTokenError,
+  RemoteJwksSource,
+  StaticJwksSource,
+  setGoogleJwksSource,
+  verifyGoogleIdToken
+};
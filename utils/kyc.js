@@ -0,0 +1,298 @@
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../config/supabase');
+const { getStorage } = require('./storage');
+const { sniffFileType } = require('./uploads');
+const { sanitizeString } = require('./validation');
+const emailService = require('./email');
+
+/**
+ * Vendor KYC (know your customer) documents
+ * A vendor uploads one document of each KYC_DOCUMENT_TYPES; admins accept
+ * or reject each with a reason, and a vendor can only be approved once all
+ * of them are accepted. Files go to the private storage bucket and are
+ * only served to admins. A new upload of a type replaces a document still
+ * pending review (it is kept as 'superseded').
+ */
+
+const KYC_DOCUMENT_TYPES = {
+  business_registration: 'Business registration certificate',
+  government_id: 'Government-issued ID of the owner',
+  proof_of_address: 'Proof of business address'
+};
+
+const KYC_FILE_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_KYC_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_REASON_LENGTH = 1000;
+
+/**
+ * Error raised when a KYC document cannot be uploaded or reviewed
+ */
+class KycError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'KycError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Public view of a KYC document row
+ */
+const formatKycDocument = (document) => ({
+  id: document.id,
+  documentType: document.document_type,
+  label: KYC_DOCUMENT_TYPES[document.document_type],
+  status: document.status,
+  fileName: document.file_name,
+  mimeType: document.mime_type,
+  sizeBytes: document.size_bytes,
+  rejectionReason: document.rejection_reason,
+  reviewedBy: document.reviewed_by,
+  reviewedAt: document.reviewed_at,
+  uploadedAt: document.created_at
+});
+
+/**
+ * Documents of a vendor that are not superseded, newest first
+ */
+const fetchKycDocuments = async (vendorId) => {
+  const { data: documents, error } = await supabaseAdmin
+    .from('vendor_kyc_documents')
+    .select('*')
+    .eq('vendor_id', vendorId)
+    .neq('status', 'superseded')
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return documents || [];
+};
+
+/**
+ * KYC state of a vendor:
+ * { status, complete, missing, documents: { type: document | null } }
+ * status is 'verified' when every document is accepted, 'action_required'
+ * when one was rejected, 'incomplete' while one is missing and
+ * 'pending_review' otherwise.
+ */
+const getKycSummary = async (vendorId) => {
+  const rows = await fetchKycDocuments(vendorId);
+  const documents = {};
+
+  for (const type of Object.keys(KYC_DOCUMENT_TYPES)) {
+    const current = rows.find(row => row.document_type === type);
+    documents[type] = current ? formatKycDocument(current) : null;
+  }
+
+  const current = Object.values(documents);
+  const missing = Object.keys(documents).filter(type => !documents[type]);
+  const complete = current.every(document => document?.status === 'accepted');
+
+  let status = 'pending_review';
+  if (complete) status = 'verified';
+  else if (current.some(document => document?.status === 'rejected')) status = 'action_required';
+  else if (missing.length > 0) status = 'incomplete';
+
+  return { status, complete, missing, documents };
+};
+
+/**
+ * Store an uploaded file (multer file object) as a vendor's document
+ */
+const uploadKycDocument = async (vendorId, documentType, file) => {
+  if (!KYC_DOCUMENT_TYPES[documentType]) {
+    throw new KycError(`Document type must be one of: ${Object.keys(KYC_DOCUMENT_TYPES).join(', ')}`);
+  }
+
+  if (!file) {
+    throw new KycError('A file is required');
+  }
+
+  const fileType = sniffFileType(file.buffer);
+  if (!fileType || !KYC_FILE_TYPES.includes(fileType.mimeType)) {
+    throw new KycError('Documents must be PDF, JPEG or PNG files', 415);
+  }
+
+  const current = (await fetchKycDocuments(vendorId)).find(row => row.document_type === documentType);
+  if (current?.status === 'accepted') {
+    throw new KycError('This document has already been accepted. Contact support to replace it.', 409);
+  }
+
+  const id = uuidv4();
+  const storageKey = `kyc/${vendorId}/${id}.${fileType.extension}`;
+  const storage = getStorage('private');
+
+  await storage.put(storageKey, file.buffer, { contentType: fileType.mimeType });
+
+  const { data: document, error } = await supabaseAdmin
+    .from('vendor_kyc_documents')
+    .insert([{
+      id,
+      vendor_id: vendorId,
+      document_type: documentType,
+      status: 'pending',
+      storage_key: storageKey,
+      file_name: sanitizeString(String(file.originalname || `${documentType}.${fileType.extension}`)).slice(0, 255),
+      mime_type: fileType.mimeType,
+      size_bytes: file.size
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    await storage.delete(storageKey).catch(deleteError => console.error('Error removing orphaned KYC file:', deleteError));
+    throw error;
+  }
+
+  // The new upload replaces a document still waiting for review
+  if (current?.status === 'pending') {
+    await supabaseAdmin
+      .from('vendor_kyc_documents')
+      .update({ status: 'superseded', updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .eq('status', 'pending');
+  }
+
+  return document;
+};
+
+/**
+ * Fetch a document of a vendor, or null
+ */
+const fetchKycDocument = async (vendorId, documentId) => {
+  const { data: document, error } = await supabaseAdmin
+    .from('vendor_kyc_documents')
+    .select('*')
+    .eq('id', documentId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return document;
+};
+
+/**
+ * Read the file of a document; resolves to a Buffer
+ */
+const readKycDocumentFile = (document) => {
+  return getStorage('private').get(document.storage_key);
+};
+
+/**
+ * Accept or reject a pending document
+ * Resolves to { before, after }; rejections email the vendor the reason.
+ */
+const reviewKycDocument = async (vendorId, documentId, { status, reason }, admin) => {
+  if (!['accepted', 'rejected'].includes(status)) {
+    throw new KycError('Status must be accepted or rejected');
+  }
+
+  const cleanReason = reason ? sanitizeString(String(reason)).slice(0, MAX_REASON_LENGTH) : null;
+  if (status === 'rejected' && !cleanReason) {
+    throw new KycError('A reason is required to reject a document');
+  }
+
+  const before = await fetchKycDocument(vendorId, documentId);
+  if (!before) {
+    throw new KycError('Document not found', 404);
+  }
+
+  if (before.status !== 'pending') {
+    throw new KycError(`Document is ${before.status}, only pending documents can be reviewed`, 409);
+  }
+
+  const { data: after, error } = await supabaseAdmin
+    .from('vendor_kyc_documents')
+    .update({
+      status,
+      rejection_reason: status === 'rejected' ? cleanReason : null,
+      reviewed_by: admin.id,
+      reviewed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', documentId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!after) {
+    throw new KycError('Document was reviewed or replaced in the meantime', 409);
+  }
+
+  if (status === 'rejected') {
+    try {
+      const { data: vendor } = await supabaseAdmin
+        .from('vendors')
+        .select('business_email, business_name')
+        .eq('id', vendorId)
+        .single();
+
+      await emailService.sendKycDocumentRejectedEmail(vendor.business_email, vendor.business_name, {
+        documentLabel: KYC_DOCUMENT_TYPES[after.document_type],
+        reason: cleanReason
+      });
+    } catch (emailError) {
+      console.error('Error sending KYC rejection email:', emailError);
+    }
+  }
+
+  return { before, after };
+};
+
+/**
+ * Documents waiting for review, oldest first, with their vendor
+ */
+const listKycReviewQueue = async ({ page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  const { data: documents, error, count } = await supabaseAdmin
+    .from('vendor_kyc_documents')
+    .select(`
+      *,
+      vendor:vendors(id, business_name, business_email, approved)
+    `, { count: 'exact' })
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    documents: (documents || []).map(document => ({
+      ...formatKycDocument(document),
+      vendor: document.vendor
+        ? {
+          id: document.vendor.id,
+          businessName: document.vendor.business_name,
+          businessEmail: document.vendor.business_email,
+          approved: document.vendor.approved
+        }
+        : null
+    })),
+    total: count || 0
+  };
+};
+
+module.exports = {
+  KYC_DOCUMENT_TYPES,
+  MAX_KYC_FILE_BYTES,
+  KycError,
+  formatKycDocument,
+  getKycSummary,
+  uploadKycDocument,
+  fetchKycDocument,
+  readKycDocumentFile,
+  reviewKycDocument,
+  listKycReviewQueue
+};
@@ -0,0 +1,339 @@
+const { supabaseAdmin } = require('../config/supabase');
+const emailService = require('./email');
+
+/**
+ * Brute-force protection for the login endpoints
+ * Login attempts are counted per account (user type + email, whether or not
+ * the account exists) and per client IP. An attempt is counted before the
+ * password is checked, so parallel guesses cannot all get past the limit
+ * before the first failure is recorded. Past a few free failures every
+ * failure makes the next attempt wait longer; past the lock threshold the
+ * account or IP is locked for a while and the account owner is emailed.
+ * A successful login clears the account's count and gives back the IP's.
+ *
+ * Counts live in a LoginAttemptStore. The default keeps them in process
+ * memory, so they reset on restart and are not shared between instances;
+ * setLoginAttemptStore swaps in a shared store (e.g. Redis).
+ */
+
+const LOGIN_USER_TYPES = {
+  customer: { table: 'customers', emailColumn: 'email', nameColumn: 'first_name' },
+  vendor: { table: 'vendors', emailColumn: 'business_email', nameColumn: 'business_name' },
+  admin: { table: 'admins', emailColumn: 'email', nameColumn: 'name' }
+};
+
+const POLICIES = {
+  account: { freeAttempts: 3, maxDelaySeconds: 60, lockAfter: 10, lockMinutes: 15, windowMinutes: 15 },
+  ip: { freeAttempts: 10, maxDelaySeconds: 60, lockAfter: 50, lockMinutes: 60, windowMinutes: 60 }
+};
+
+/**
+ * Error raised when a login attempt is refused before checking the password
+ */
+class LoginThrottleError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'LoginThrottleError';
+    this.statusCode = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Interface of a login attempt store
+ * Holds attempt counters (numbers) and holds (plain objects); a store
+ * forgets a value once its TTL passed.
+ */
+class LoginAttemptStore {
+  /**
+   * Resolves to the value under `key`, or null
+   */
+  async get() {
+    throw new Error('LoginAttemptStore.get is not implemented');
+  }
+
+  /**
+   * Store `record` under `key` for `ttlSeconds`
+   */
+  async set() {
+    throw new Error('LoginAttemptStore.set is not implemented');
+  }
+
+  /**
+   * Add `amount` to the counter under `key` (missing counts as 0), keep it
+   * for `ttlSeconds` from now and resolve to the new value. Must be atomic:
+   * concurrent calls each see a different value (e.g. Redis INCRBY + EXPIRE
+   * in a MULTI).
+   */
+  async increment() {
+    throw new Error('LoginAttemptStore.increment is not implemented');
+  }
+
+  /**
+   * Forget the value under `key`
+   */
+  async delete() {
+    throw new Error('LoginAttemptStore.delete is not implemented');
+  }
+}
+
+/**
+ * In-process store; expired values are dropped when read and swept
+ * periodically
+ */
+class MemoryLoginAttemptStore extends LoginAttemptStore {
+  constructor({ sweepIntervalMs = 5 * 60 * 1000 } = {}) {
+    super();
+    this.records = new Map();
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  entry(key) {
+    const entry = this.records.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this.entry(key);
+    if (!entry) return null;
+    return typeof entry.record === 'object' ? { ...entry.record } : entry.record;
+  }
+
+  async set(key, record, ttlSeconds) {
+    this.records.set(key, { record: { ...record }, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  // Read and write happen without yielding, so calls cannot interleave
+  async increment(key, amount, ttlSeconds) {
+    const entry = this.entry(key);
+    const value = (entry ? entry.record : 0) + amount;
+    this.records.set(key, { record: value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return value;
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.records) {
+      if (entry.expiresAt <= now) this.records.delete(key);
+    }
+  }
+}
+
+let store = new MemoryLoginAttemptStore();
+
+/**
+ * Replace the store holding login attempt counts
+ */
+const setLoginAttemptStore = (newStore) => {
+  if (!(newStore instanceof LoginAttemptStore)) {
+    throw new Error('Login attempt store must extend LoginAttemptStore');
+  }
+  store = newStore;
+};
+
+const accountKey = (userType, email) => `login:account:${userType}:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip || 'unknown'}`;
+
+// Lock or delay set after a failure: { nextAttemptAt, lockedUntil }
+const holdKey = (key) => `${key}:hold`;
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+const formatWait = (seconds) => {
+  if (seconds >= 120) return `${Math.ceil(seconds / 60)} minutes`;
+  return seconds === 1 ? '1 second' : `${seconds} seconds`;
+};
+
+/**
+ * Hold to set after the failure of the `attempts`-th attempt, or null
+ */
+const holdAfterFailure = (attempts, policy) => {
+  const now = Date.now();
+
+  if (attempts >= policy.lockAfter) {
+    return { nextAttemptAt: null, lockedUntil: now + policy.lockMinutes * 60 * 1000 };
+  }
+
+  if (attempts > policy.freeAttempts) {
+    // 1s, 2s, 4s, ... up to maxDelaySeconds
+    const delay = Math.min(2 ** (attempts - policy.freeAttempts - 1), policy.maxDelaySeconds);
+    return { nextAttemptAt: now + delay * 1000, lockedUntil: null };
+  }
+
+  return null;
+};
+
+const holdTtl = (hold) => secondsUntil(hold.lockedUntil || hold.nextAttemptAt);
+
+const lockedAccountError = (wait) => new LoginThrottleError(
+  `This account is temporarily locked after too many failed login attempts. Try again in ${formatWait(wait)} or reset your password.`,
+  wait
+);
+
+const lockedIpError = (wait) => new LoginThrottleError(
+  `Too many failed login attempts from your network. Try again in ${formatWait(wait)}.`,
+  wait
+);
+
+/**
+ * Count a login attempt before the password is checked
+ * Throws a LoginThrottleError carrying the seconds to wait while the account
+ * or IP is locked or cooling down, or when concurrent attempts already used
+ * up the allowance. Resolves to the attempt to pass to recordLoginFailure or
+ * recordLoginSuccess.
+ */
+const reserveLoginAttempt = async (userType, email, ip) => {
+  const aKey = accountKey(userType, email);
+  const iKey = ipKey(ip);
+  const [accountHold, clientHold] = await Promise.all([
+    store.get(holdKey(aKey)),
+    store.get(holdKey(iKey))
+  ]);
+  const now = Date.now();
+
+  if (accountHold?.lockedUntil > now) {
+    throw lockedAccountError(secondsUntil(accountHold.lockedUntil));
+  }
+
+  if (clientHold?.lockedUntil > now) {
+    throw lockedIpError(secondsUntil(clientHold.lockedUntil));
+  }
+
+  const nextAttemptAt = Math.max(accountHold?.nextAttemptAt || 0, clientHold?.nextAttemptAt || 0);
+  if (nextAttemptAt > now) {
+    const wait = secondsUntil(nextAttemptAt);
+    throw new LoginThrottleError(`Too many failed login attempts. Try again in ${formatWait(wait)}.`, wait);
+  }
+
+  const [accountAttempts, clientAttempts] = await Promise.all([
+    store.increment(aKey, 1, POLICIES.account.windowMinutes * 60),
+    store.increment(iKey, 1, POLICIES.ip.windowMinutes * 60)
+  ]);
+
+  // Attempts that passed the checks above alongside the one reaching the lock
+  if (accountAttempts > POLICIES.account.lockAfter) {
+    throw lockedAccountError(POLICIES.account.lockMinutes * 60);
+  }
+
+  if (clientAttempts > POLICIES.ip.lockAfter) {
+    throw lockedIpError(POLICIES.ip.lockMinutes * 60);
+  }
+
+  return { userType, email, ip, accountAttempts, clientAttempts };
+};
+
+/**
+ * Email the owner of a newly locked account, if the account exists
+ */
+const notifyAccountLocked = async (userType, email) => {
+  const config = LOGIN_USER_TYPES[userType];
+
+  const { data: account, error } = await supabaseAdmin
+    .from(config.table)
+    .select(`id, ${config.emailColumn}, ${config.nameColumn}`)
+    .eq(config.emailColumn, email.toLowerCase())
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!account) {
+    return;
+  }
+
+  await emailService.sendAccountLockedEmail(account[config.emailColumn], account[config.nameColumn], {
+    lockedMinutes: POLICIES.account.lockMinutes,
+    resetUrl: userType === 'admin' ? null : `${process.env.FRONTEND_URL}/${userType === 'vendor' ? 'vendor/' : ''}forgot-password`
+  });
+};
+
+/**
+ * Delay or lock further attempts after a failed login (unknown email or
+ * wrong password)
+ */
+const recordLoginFailure = async ({ userType, email, ip, accountAttempts, clientAttempts }) => {
+  const aKey = accountKey(userType, email);
+  const iKey = ipKey(ip);
+  const accountHold = holdAfterFailure(accountAttempts, POLICIES.account);
+  const clientHold = holdAfterFailure(clientAttempts, POLICIES.ip);
+
+  await Promise.all([
+    accountHold && store.set(holdKey(aKey), accountHold, holdTtl(accountHold)),
+    clientHold && store.set(holdKey(iKey), clientHold, holdTtl(clientHold))
+  ]);
+
+  // Counts are unique per attempt, so only one failure announces the lock
+  if (accountAttempts === POLICIES.account.lockAfter) {
+    console.warn(`Login locked for ${userType} ${email} after ${accountAttempts} failed attempts (last from ${ip})`);
+    try {
+      await notifyAccountLocked(userType, email);
+    } catch (notifyError) {
+      console.error('Error sending account locked email:', notifyError);
+    }
+  }
+
+  if (clientAttempts === POLICIES.ip.lockAfter) {
+    console.warn(`Login locked for IP ${ip} after ${clientAttempts} failed attempts`);
+  }
+};
+
+/**
+ * Clear the account's count after a successful login and give the attempt
+ * back to the IP
+ */
+const recordLoginSuccess = async ({ userType, email, ip }) => {
+  const aKey = accountKey(userType, email);
+
+  await Promise.all([
+    store.delete(aKey),
+    store.delete(holdKey(aKey)),
+    store.increment(ipKey(ip), -1, POLICIES.ip.windowMinutes * 60)
+  ]);
+};
+
+/**
+ * Lock state of an account: { failures, lockedUntil, nextAttemptAt } or null
+ */
+const getLoginLockout = async (userType, email) => {
+  const key = accountKey(userType, email);
+  const [attempts, hold] = await Promise.all([store.get(key), store.get(holdKey(key))]);
+  if (!attempts && !hold) return null;
+
+  return {
+    failures: Number(attempts) || 0,
+    locked: hold?.lockedUntil > Date.now(),
+    lockedUntil: hold?.lockedUntil ? new Date(hold.lockedUntil).toISOString() : null,
+    nextAttemptAt: hold?.nextAttemptAt ? new Date(hold.nextAttemptAt).toISOString() : null
+  };
+};
+
+/**
+ * Lift the lock (and attempt count) of an account
+ */
+const unlockLogin = async (userType, email) => {
+  const key = accountKey(userType, email);
+  await Promise.all([store.delete(key), store.delete(holdKey(key))]);
+};
+
+module.exports = {
+  LOGIN_USER_TYPES,
+  LoginThrottleError,
+  LoginAttemptStore,
+  MemoryLoginAttemptStore,
+  setLoginAttemptStore,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLoginLockout,
+  unlockLogin
+};
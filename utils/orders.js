@@ -0,0 +1,172 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { sanitizeString } = require('./validation');
+
+/**
+ * Order lifecycle
+ * The order state machine, the transitions each actor may perform and the
+ * status history that records every change.
+ */
+
+const ORDER_STATUSES = [
+  'pending', 'confirmed', 'processing', 'shipped',
+  'delivered', 'completed', 'cancelled', 'refunded'
+];
+
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Every transition the lifecycle allows, whoever performs it
+ */
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['completed', 'refunded'],
+  completed: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+/**
+ * Transitions each actor type may perform (a subset of ORDER_TRANSITIONS)
+ * system covers payment confirmation and refunds issued by the platform.
+ */
+const ROLE_TRANSITIONS = {
+  customer: {
+    pending: ['cancelled'],
+    confirmed: ['cancelled'],
+    processing: ['cancelled'],
+    delivered: ['completed']
+  },
+  vendor: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered']
+  },
+  admin: ORDER_TRANSITIONS,
+  system: {
+    pending: ['confirmed'],
+    delivered: ['completed', 'refunded'],
+    completed: ['refunded'],
+    cancelled: ['refunded']
+  }
+};
+
+/**
+ * Error raised when an order cannot move to the requested status
+ */
+class OrderTransitionError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether an actor type may move an order between two statuses
+ */
+const canTransition = (actorType, fromStatus, toStatus) => {
+  const allowed = ROLE_TRANSITIONS[actorType]?.[fromStatus] || [];
+  return allowed.includes(toStatus);
+};
+
+/**
+ * Statuses an actor type may move an order to from its current status
+ */
+const getAllowedTransitions = (actorType, fromStatus) => {
+  return ROLE_TRANSITIONS[actorType]?.[fromStatus] || [];
+};
+
+/**
+ * Move an order ({ id, status }) to a new status and record it in the history
+ *
+ * The update only applies if the order is still in the status it was read
+ * with, so two concurrent changes cannot both succeed. Returns the updated
+ * order; throws OrderTransitionError when the transition is refused.
+ */
+const transitionOrderStatus = async (order, toStatus, { actorType, actorId = null, note = null }) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw new OrderTransitionError(`Invalid order status. Must be one of: ${ORDER_STATUSES.join(', ')}`, 400);
+  }
+
+  if (!(ORDER_TRANSITIONS[order.status] || []).includes(toStatus)) {
+    throw new OrderTransitionError(`Cannot move an order from ${order.status} to ${toStatus}`);
+  }
+
+  if (!canTransition(actorType, order.status, toStatus)) {
+    throw new OrderTransitionError(`A ${actorType} cannot move an order from ${order.status} to ${toStatus}`, 403);
+  }
+
+  const { data: transitioned, error } = await supabaseAdmin.rpc('transition_order_status', {
+    p_order_id: order.id,
+    p_from_status: order.status,
+    p_to_status: toStatus,
+    p_actor_type: actorType,
+    p_actor_id: actorId ? String(actorId) : null,
+    p_note: note ? sanitizeString(String(note)).slice(0, MAX_NOTE_LENGTH) : null
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  if (!transitioned) {
+    throw new OrderTransitionError('Order status has changed, please reload the order and try again');
+  }
+
+  const { data: updatedOrder, error: fetchError } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('id', order.id)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return updatedOrder;
+};
+
+/**
+ * Statuses from which a customer may still cancel (nothing shipped yet)
+ */
+const CUSTOMER_CANCELLABLE_STATUSES = Object.keys(ROLE_TRANSITIONS.customer)
+  .filter(status => ROLE_TRANSITIONS.customer[status].includes('cancelled'));
+
+/**
+ * Status history of an order, oldest first
+ */
+const fetchOrderTimeline = async (orderId) => {
+  const { data: history, error } = await supabaseAdmin
+    .from('order_status_history')
+    .select('from_status, to_status, actor_type, note, created_at')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return (history || []).map(entry => ({
+    status: entry.to_status,
+    previousStatus: entry.from_status,
+    actor: entry.actor_type,
+    note: entry.note,
+    createdAt: entry.created_at
+  }));
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  ROLE_TRANSITIONS,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  OrderTransitionError,
+  canTransition,
+  getAllowedTransitions,
+  transitionOrderStatus,
+  fetchOrderTimeline
+};
@@ -1,12 +1,43 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+
 /**
  * OTP utility functions
+ * Codes come from a CSPRNG and only an HMAC of them is stored, bound to
+ * the account and the purpose the code was issued for. Each code allows
+ * OTP_MAX_ATTEMPTS guesses, and a new one can only be requested once
+ * OTP_RESEND_COOLDOWN_SECONDS have passed since the last.
  */
 
+const OTP_PURPOSES = ['verification'];
+const OTP_TTL_MINUTES = 5;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+
+// Update that discards the current code of an account
+const CLEARED_OTP_FIELDS = {
+  otp: null,
+  otp_purpose: null,
+  otp_expiry: null,
+  otp_attempts: 0
+};
+
+/**
+ * Error raised when an OTP cannot be issued or is not accepted
+ */
+class OTPError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OTPError';
+    this.statusCode = statusCode;
+  }
+}
+
 /**
  * Generate a 6-digit OTP
  */
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
 };
 
 /**
@@ -20,7 +51,7 @@ const isOTPExpired = (otpExpiry) => {
  * Generate OTP expiry time (5 minutes from now)
  */
 const generateOTPExpiry = () => {
-  return Date.now() + (5 * 60 * 1000); // 5 minutes
+  return Date.now() + (OTP_TTL_MINUTES * 60 * 1000);
 };
 
 /**
@@ -30,10 +61,136 @@ const isValidOTP = (otp) => {
   return /^\d{6}$/.test(otp);
 };
 
+/**
+ * Keyed hash of a code; a 6-digit space is too small for a plain hash
+ */
+const hashOTP = (otp, accountId, purpose) => {
+  return crypto.createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${purpose}:${accountId}:${otp}`)
+    .digest('hex');
+};
+
+/**
+ * New code for an account: { otp, fields } where `fields` are the columns
+ * to store (the code itself is only ever emailed)
+ */
+const createOTP = (accountId, purpose) => {
+  if (!OTP_PURPOSES.includes(purpose)) {
+    throw new Error(`Unknown OTP purpose: ${purpose}`);
+  }
+
+  const otp = generateOTP();
+
+  return {
+    otp,
+    fields: {
+      otp: hashOTP(otp, accountId, purpose),
+      otp_purpose: purpose,
+      otp_expiry: new Date(generateOTPExpiry()).toISOString(),
+      otp_attempts: 0,
+      otp_sent_at: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Replace the code of an account (row of `table`), honouring the resend
+ * cooldown. Resolves to the new code.
+ */
+const issueOTP = async (table, account, purpose) => {
+  if (account.otp_sent_at) {
+    const elapsed = (Date.now() - new Date(account.otp_sent_at).getTime()) / 1000;
+    if (elapsed < OTP_RESEND_COOLDOWN_SECONDS) {
+      const wait = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed);
+      throw new OTPError(`Please wait ${wait} seconds before requesting a new code`, 429);
+    }
+  }
+
+  const { otp, fields } = createOTP(account.id, purpose);
+
+  // Only one of two simultaneous requests gets through
+  let query = supabaseAdmin
+    .from(table)
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', account.id);
+
+  query = account.otp_sent_at
+    ? query.eq('otp_sent_at', account.otp_sent_at)
+    : query.is('otp_sent_at', null);
+
+  const { data: updated, error } = await query.select('id').maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!updated) {
+    throw new OTPError(`Please wait ${OTP_RESEND_COOLDOWN_SECONDS} seconds before requesting a new code`, 429);
+  }
+
+  return otp;
+};
+
+/**
+ * Check a code entered for an account (row of `table`)
+ * Every guess is counted before it is compared, so concurrent requests
+ * cannot get past the attempt limit. Throws an OTPError when the code is
+ * not accepted; the caller clears it (CLEARED_OTP_FIELDS) once used.
+ */
+const verifyOTP = async (table, account, otp, purpose) => {
+  // A code issued for another flow is treated as no code at all
+  if (!account.otp || account.otp_purpose !== purpose) {
+    throw new OTPError('No valid OTP for this account. Please request a new one.');
+  }
+
+  const attempts = account.otp_attempts || 0;
+
+  if (attempts >= OTP_MAX_ATTEMPTS) {
+    throw new OTPError('Too many incorrect attempts. Please request a new OTP.', 429);
+  }
+
+  if (isOTPExpired(new Date(account.otp_expiry).getTime())) {
+    throw new OTPError('OTP has expired. Please request a new one.');
+  }
+
+  const { data: counted, error } = await supabaseAdmin
+    .from(table)
+    .update({ otp_attempts: attempts + 1 })
+    .eq('id', account.id)
+    .eq('otp_attempts', attempts)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!counted) {
+    throw new OTPError('Another verification attempt is in progress, please try again', 409);
+  }
+
+  const expected = Buffer.from(account.otp);
+  const actual = Buffer.from(hashOTP(String(otp), account.id, purpose));
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    const remaining = OTP_MAX_ATTEMPTS - attempts - 1;
+    throw remaining > 0
+      ? new OTPError(`Invalid OTP (${remaining} attempts left)`)
+      : new OTPError('Too many incorrect attempts. Please request a new OTP.', 429);
+  }
+};
+
 module.exports = {
+  OTP_PURPOSES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  CLEARED_OTP_FIELDS,
+  OTPError,
   generateOTP,
   isOTPExpired,
   generateOTPExpiry,
-  isValidOTP
+  isValidOTP,
+  createOTP,
+  issueOTP,
+  verifyOTP
 };
-
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { supabaseAdmin } = require('../config/supabase');
+const emailService = require('./email');
+const { revokeAllSessions } = require('./sessions');
+const { CLEARED_OTP_FIELDS } = require('./otp');
+
+/**
+ * Password reset
+ * Reset links carry a random token; only its SHA-256 hash is stored. A token
+ * can be used once, expires after RESET_TOKEN_TTL_MINUTES and a successful
+ * reset revokes every session of the user. Users who signed up with Google
+ * get the same link to set a first password.
+ */
+
+const RESET_TOKEN_TTL_MINUTES = 30;
+
+// A new link is not sent while the previous one is younger than this
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const USER_TYPES = {
+  customer: {
+    table: 'customers',
+    emailColumn: 'email',
+    nameColumn: 'first_name',
+    bcryptRounds: 8
+  },
+  vendor: {
+    table: 'vendors',
+    emailColumn: 'business_email',
+    nameColumn: 'business_name',
+    bcryptRounds: 12
+  }
+};
+
+/**
+ * Error raised when a password reset cannot be completed
+ */
+class PasswordResetError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Frontend page the reset link points to
+ */
+const buildResetUrl = (userType, token) => {
+  const path = userType === 'vendor' ? '/vendor/reset-password' : '/reset-password';
+  return `${process.env.FRONTEND_URL}${path}?token=${token}`;
+};
+
+/**
+ * Email a reset link if the address belongs to an account
+ *
+ * Resolves the same way whether or not the account exists so callers can
+ * answer with a generic message.
+ */
+const requestPasswordReset = async (userType, email, { ip = null } = {}) => {
+  const config = USER_TYPES[userType];
+
+  const { data: user, error } = await supabaseAdmin
+    .from(config.table)
+    .select(`id, password, ${config.emailColumn}, ${config.nameColumn}`)
+    .eq(config.emailColumn, email.toLowerCase())
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!user) {
+    return;
+  }
+
+  const { data: latest } = await supabaseAdmin
+    .from('password_reset_tokens')
+    .select('created_at')
+    .eq('user_type', userType)
+    .eq('user_id', user.id)
+    .is('used_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latest && Date.now() - new Date(latest.created_at).getTime() < RESEND_COOLDOWN_SECONDS * 1000) {
+    return;
+  }
+
+  // Only the newest link works
+  await supabaseAdmin
+    .from('password_reset_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_type', userType)
+    .eq('user_id', user.id)
+    .is('used_at', null);
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const { error: insertError } = await supabaseAdmin
+    .from('password_reset_tokens')
+    .insert([{
+      user_type: userType,
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+      requested_ip: ip
+    }]);
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  await emailService.sendPasswordResetEmail(user[config.emailColumn], user[config.nameColumn], {
+    resetUrl: buildResetUrl(userType, token),
+    expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+    hasPassword: Boolean(user.password)
+  });
+};
+
+/**
+ * Set a new password with a reset token
+ *
+ * The token is claimed before the password changes so it cannot be used
+ * twice, even by concurrent requests.
+ */
+const resetPassword = async (userType, token, newPassword) => {
+  const config = USER_TYPES[userType];
+  const now = new Date();
+
+  const { data: claimed, error } = await supabaseAdmin
+    .from('password_reset_tokens')
+    .update({ used_at: now.toISOString() })
+    .eq('token_hash', hashToken(String(token)))
+    .eq('user_type', userType)
+    .is('used_at', null)
+    .gt('expires_at', now.toISOString())
+    .select('user_id')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!claimed) {
+    throw new PasswordResetError('This reset link is invalid or has expired. Please request a new one.');
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, config.bcryptRounds);
+
+  // Following the emailed link proves the address, so the account is verified too
+  const { error: updateError } = await supabaseAdmin
+    .from(config.table)
+    .update({
+      password: hashedPassword,
+      password_changed_at: now.toISOString(),
+      verified: true,
+      ...CLEARED_OTP_FIELDS
+    })
+    .eq('id', claimed.user_id);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  await revokeAllSessions(userType, claimed.user_id, 'password_reset');
+};
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  PasswordResetError,
+  requestPasswordReset,
+  resetPassword
+};
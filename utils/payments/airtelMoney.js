@@ -0,0 +1,186 @@
+const { PaymentProvider, PaymentError, normalizeMsisdn, safeCompare, hmacSha256 } = require('./provider');
+
+/**
+ * Map Airtel Money transaction statuses to payment statuses
+ */
+const STATUS_MAP = {
+  TS: 'paid',
+  TF: 'failed',
+  TA: 'processing',
+  TIP: 'processing',
+  TE: 'failed'
+};
+
+/**
+ * Airtel Money (DRC) adapter for the Airtel Africa collection API
+ */
+class AirtelMoneyProvider extends PaymentProvider {
+  constructor() {
+    super('airtel_money', { requiresPhoneNumber: true });
+    this.baseUrl = process.env.AIRTEL_MONEY_BASE_URL || 'https://openapiuat.airtel.africa';
+    this.accessToken = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.AIRTEL_MONEY_CLIENT_ID && process.env.AIRTEL_MONEY_CLIENT_SECRET);
+  }
+
+  /**
+   * Get a (cached) OAuth access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && this.accessToken.expiresAt > Date.now()) {
+      return this.accessToken.value;
+    }
+
+    const data = await this.request(`${this.baseUrl}/auth/oauth2/token`, {
+      body: {
+        client_id: process.env.AIRTEL_MONEY_CLIENT_ID,
+        client_secret: process.env.AIRTEL_MONEY_CLIENT_SECRET,
+        grant_type: 'client_credentials'
+      }
+    });
+
+    this.accessToken = {
+      value: data.access_token,
+      // Refresh a minute early
+      expiresAt: Date.now() + ((data.expires_in || 180) - 60) * 1000
+    };
+    return this.accessToken.value;
+  }
+
+  async authHeaders(currency) {
+    return {
+      Authorization: `Bearer ${await this.getAccessToken()}`,
+      'X-Country': 'CD',
+      'X-Currency': currency
+    };
+  }
+
+  async initiatePayment(payment) {
+    const msisdn = normalizeMsisdn(payment.phoneNumber);
+    if (!msisdn) {
+      throw new PaymentError('A valid Airtel Money phone number is required', { provider: this.name, statusCode: 400 });
+    }
+
+    const data = await this.request(`${this.baseUrl}/merchant/v1/payments/`, {
+      headers: await this.authHeaders(payment.currency),
+      body: {
+        reference: payment.description,
+        subscriber: {
+          country: 'CD',
+          currency: payment.currency,
+          // Airtel expects the number without the country code
+          msisdn: msisdn.slice(3)
+        },
+        transaction: {
+          amount: payment.amount,
+          country: 'CD',
+          currency: payment.currency,
+          id: payment.id
+        }
+      }
+    });
+
+    if (!data.status?.success) {
+      throw new PaymentError(data.status?.message || 'Airtel Money rejected the payment', {
+        provider: this.name,
+        statusCode: 400,
+        details: data
+      });
+    }
+
+    // The customer confirms the push prompt on their phone; the result arrives later
+    return {
+      providerReference: payment.id,
+      status: 'processing',
+      redirectUrl: null,
+      raw: data
+    };
+  }
+
+  supportsRefunds() {
+    return true;
+  }
+
+  async refundPayment(payment, { amount }) {
+    // The refund API reverses the whole transaction
+    if (amount < payment.amount) {
+      throw new PaymentError('Airtel Money does not support partial refunds', { provider: this.name, statusCode: 400 });
+    }
+
+    // Refunds are made on the Airtel Money transaction id, not our reference
+    const status = await this.request(`${this.baseUrl}/standard/v1/payments/${payment.providerReference}`, {
+      method: 'GET',
+      headers: await this.authHeaders(payment.currency)
+    });
+
+    const airtelMoneyId = status.data?.transaction?.airtel_money_id;
+    if (!airtelMoneyId) {
+      throw new PaymentError('Airtel Money transaction not found for refund', { provider: this.name, details: status });
+    }
+
+    const data = await this.request(`${this.baseUrl}/standard/v1/payments/refund`, {
+      headers: await this.authHeaders(payment.currency),
+      body: {
+        transaction: { airtel_money_id: airtelMoneyId }
+      }
+    });
+
+    if (!data.status?.success) {
+      throw new PaymentError(data.status?.message || 'Airtel Money refund failed', { provider: this.name, details: data });
+    }
+
+    return {
+      refundReference: data.data?.transaction?.airtel_money_id || airtelMoneyId,
+      raw: data
+    };
+  }
+
+  supportsWebhooks() {
+    return Boolean(process.env.AIRTEL_MONEY_CALLBACK_SECRET);
+  }
+
+  parseWebhook(body) {
+    const transaction = body?.transaction;
+    if (!transaction?.id || !transaction?.status_code) {
+      throw new PaymentError('Invalid Airtel Money callback', { provider: this.name, statusCode: 400 });
+    }
+
+    const status = STATUS_MAP[transaction.status_code] || 'pending';
+
+    return {
+      eventId: `${transaction.id}:${transaction.status_code}`,
+      // Our payment id was sent as the transaction id
+      providerReference: transaction.id,
+      status,
+      failureReason: status === 'failed' ? transaction.message || null : null
+    };
+  }
+
+  /**
+   * Authenticated callbacks carry a base64 HMAC-SHA256 of the body in X-Signature
+   */
+  verifyWebhook({ headers, rawBody }) {
+    const expected = hmacSha256(process.env.AIRTEL_MONEY_CALLBACK_SECRET, rawBody, 'base64');
+    return safeCompare(headers['x-signature'], expected);
+  }
+
+  async getPaymentStatus(payment) {
+    const data = await this.request(`${this.baseUrl}/standard/v1/payments/${payment.providerReference}`, {
+      method: 'GET',
+      headers: await this.authHeaders(payment.currency)
+    });
+
+    const transaction = data.data?.transaction || {};
+    const status = STATUS_MAP[transaction.status] || 'pending';
+
+    return {
+      status,
+      failureReason: status === 'failed' ? transaction.message || null : null,
+      raw: data
+    };
+  }
+}
+
+module.exports = AirtelMoneyProvider;
@@ -0,0 +1,153 @@
+const { PaymentProvider, PaymentError, safeCompare } = require('./provider');
+
+/**
+ * Map Flutterwave transaction statuses to payment statuses
+ */
+const STATUS_MAP = {
+  successful: 'paid',
+  pending: 'processing',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Card payments through the Flutterwave hosted checkout
+ */
+class CardProvider extends PaymentProvider {
+  constructor() {
+    super('card');
+    this.baseUrl = process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3';
+  }
+
+  isConfigured() {
+    return Boolean(process.env.FLUTTERWAVE_SECRET_KEY);
+  }
+
+  authHeaders() {
+    return { Authorization: `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}` };
+  }
+
+  async initiatePayment(payment) {
+    const data = await this.request(`${this.baseUrl}/payments`, {
+      headers: this.authHeaders(),
+      body: {
+        tx_ref: payment.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        redirect_url: `${process.env.FRONTEND_URL}/orders/${payment.orderId}?payment=return`,
+        payment_options: 'card',
+        customer: {
+          email: payment.customerEmail,
+          name: payment.customerName
+        },
+        customizations: {
+          title: 'WENZE TII NDAKU',
+          description: payment.description
+        }
+      }
+    });
+
+    if (data.status !== 'success' || !data.data?.link) {
+      throw new PaymentError(data.message || 'Card checkout could not be created', {
+        provider: this.name,
+        details: data
+      });
+    }
+
+    return {
+      // Flutterwave transactions are looked up by our own reference
+      providerReference: payment.id,
+      status: 'pending',
+      redirectUrl: data.data.link,
+      raw: data
+    };
+  }
+
+  supportsRefunds() {
+    return true;
+  }
+
+  async refundPayment(payment, { amount }) {
+    // Refunds are made on the Flutterwave transaction id, not our reference
+    const verification = await this.request(`${this.baseUrl}/transactions/verify_by_reference?tx_ref=${encodeURIComponent(payment.providerReference)}`, {
+      method: 'GET',
+      headers: this.authHeaders()
+    });
+
+    const data = await this.request(`${this.baseUrl}/transactions/${verification.data.id}/refund`, {
+      headers: this.authHeaders(),
+      body: { amount }
+    });
+
+    if (data.status !== 'success') {
+      throw new PaymentError(data.message || 'Card refund failed', { provider: this.name, details: data });
+    }
+
+    return {
+      refundReference: String(data.data?.id),
+      raw: data
+    };
+  }
+
+  supportsWebhooks() {
+    return Boolean(process.env.FLUTTERWAVE_WEBHOOK_HASH);
+  }
+
+  parseWebhook(body) {
+    const transaction = body?.data;
+    if (!transaction?.id || !transaction?.tx_ref) {
+      throw new PaymentError('Invalid Flutterwave webhook', { provider: this.name, statusCode: 400 });
+    }
+
+    const status = STATUS_MAP[transaction.status] || 'pending';
+
+    return {
+      eventId: `${body.event}:${transaction.id}:${transaction.status}`,
+      providerReference: transaction.tx_ref,
+      status,
+      failureReason: status === 'failed' ? transaction.processor_response || 'Card payment failed' : null,
+      amount: Number(transaction.amount),
+      currency: transaction.currency
+    };
+  }
+
+  /**
+   * Flutterwave sends the secret hash configured on the dashboard in verif-hash
+   */
+  verifyWebhook({ headers }) {
+    return safeCompare(headers['verif-hash'], process.env.FLUTTERWAVE_WEBHOOK_HASH);
+  }
+
+  async getPaymentStatus(payment) {
+    let data;
+
+    try {
+      data = await this.request(`${this.baseUrl}/transactions/verify_by_reference?tx_ref=${encodeURIComponent(payment.providerReference)}`, {
+        method: 'GET',
+        headers: this.authHeaders()
+      });
+    } catch (error) {
+      // No transaction yet: the customer has not completed the checkout
+      if (error instanceof PaymentError && error.details?.message === 'No transaction was found for this id') {
+        return { status: 'pending', failureReason: null, raw: error.details };
+      }
+      throw error;
+    }
+
+    const transaction = data.data || {};
+    let status = STATUS_MAP[transaction.status] || 'pending';
+
+    // Never trust a successful status for a different amount or currency
+    if (status === 'paid' && (Number(transaction.amount) < payment.amount || transaction.currency !== payment.currency)) {
+      status = 'failed';
+    }
+
+    return {
+      status,
+      failureReason: status === 'failed' ? transaction.processor_response || 'Card payment failed' : null,
+      raw: data
+    };
+  }
+}
+
+module.exports = CardProvider;
@@ -0,0 +1,513 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const { OrderTransitionError, transitionOrderStatus } = require('../orders');
+const { roundMoney } = require('../cart');
+const { PAYMENT_STATUSES, PaymentError } = require('./provider');
+const SimulatorProvider = require('./simulator');
+const MpesaProvider = require('./mpesa');
+const AirtelMoneyProvider = require('./airtelMoney');
+const OrangeMoneyProvider = require('./orangeMoney');
+const CardProvider = require('./card');
+
+/**
+ * Payment service
+ * Registry of provider adapters plus the logic that keeps the payments
+ * table and orders.payment_status in sync with them.
+ */
+
+const providers = new Map();
+
+/**
+ * Register a provider adapter under its name
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+[
+  new MpesaProvider(),
+  new AirtelMoneyProvider(),
+  new OrangeMoneyProvider(),
+  new CardProvider(),
+  new SimulatorProvider()
+].forEach(registerProvider);
+
+/**
+ * Terminal payment statuses; a payment never leaves them
+ */
+const FINAL_PAYMENT_STATUSES = ['paid', 'failed', 'cancelled', 'refunded'];
+
+/**
+ * Get a configured provider by name, or null
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  return provider && provider.isConfigured() ? provider : null;
+};
+
+/**
+ * Names of the payment methods currently available
+ */
+const getAvailablePaymentMethods = () => {
+  return Array.from(providers.values())
+    .filter(provider => provider.isConfigured())
+    .map(provider => ({
+      method: provider.name,
+      requiresPhoneNumber: provider.requiresPhoneNumber
+    }));
+};
+
+/**
+ * orders.payment_status value for a payment status
+ */
+const toOrderPaymentStatus = (status) => {
+  if (status === 'paid') return 'paid';
+  if (status === 'refunded') return 'refunded';
+  if (status === 'failed' || status === 'cancelled') return 'failed';
+  return 'pending';
+};
+
+/**
+ * Shape a payments row for the adapters
+ */
+const toProviderPayment = (payment, extra = {}) => ({
+  id: payment.id,
+  orderId: payment.order_id,
+  amount: parseFloat(payment.amount),
+  currency: payment.currency,
+  phoneNumber: payment.phone_number,
+  providerReference: payment.provider_reference,
+  ...extra
+});
+
+/**
+ * Record a new payment status on the payment and its order
+ */
+const applyPaymentStatus = async (payment, { status, failureReason = null, raw = null }) => {
+  if (!PAYMENT_STATUSES.includes(status)) {
+    throw new PaymentError(`Unknown payment status: ${status}`, { provider: payment.provider, statusCode: 500 });
+  }
+
+  if (status === payment.status) {
+    return payment;
+  }
+
+  const { data: updatedPayment, error } = await supabaseAdmin
+    .from('payments')
+    .update({
+      status,
+      failure_reason: failureReason,
+      ...(raw && { raw_response: raw }),
+      ...(status === 'paid' && { paid_at: new Date().toISOString() }),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', payment.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const { error: orderError } = await supabaseAdmin
+    .from('orders')
+    .update({
+      payment_method: payment.provider,
+      payment_status: toOrderPaymentStatus(status),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', payment.order_id)
+    // Only an order still waiting on a payment changes: a late failure of
+    // another attempt must not undo a payment or a refund. A payment settling
+    // after an earlier one was refunded reopens the order so it is refunded too
+    .in('payment_status', status === 'paid' ? ['pending', 'failed', 'refunded'] : ['pending', 'failed']);
+
+  if (orderError) {
+    throw orderError;
+  }
+
+  // A paid order is confirmed, unless it has already moved on
+  if (status === 'paid') {
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select('id, status')
+      .eq('id', payment.order_id)
+      .single();
+
+    // A payment still in flight when the order was cancelled is given back
+    if (['cancelled', 'refunded'].includes(order?.status)) {
+      const { refund } = await refundCancelledOrder(order, 'Payment received after the order was cancelled');
+      return refund?.status === 'refunded' ? refund.payment : updatedPayment;
+    }
+
+    if (order?.status === 'pending') {
+      try {
+        await transitionOrderStatus(order, 'confirmed', {
+          actorType: 'system',
+          note: `Payment received (${payment.provider})`
+        });
+      } catch (transitionError) {
+        if (!(transitionError instanceof OrderTransitionError)) {
+          throw transitionError;
+        }
+      }
+    }
+  }
+
+  return updatedPayment;
+};
+
+/**
+ * Start paying an order with the given method
+ * Re-uses a payment already in flight for the same order and method.
+ */
+const initiateOrderPayment = async (order, { method, phoneNumber, customer }) => {
+  const provider = getProvider(method);
+  if (!provider) {
+    throw new PaymentError(`Payment method "${method}" is not available`, { provider: method, statusCode: 400 });
+  }
+
+  if (provider.requiresPhoneNumber && !phoneNumber) {
+    throw new PaymentError('Phone number is required for mobile money payments', { provider: method, statusCode: 400 });
+  }
+
+  const { data: inFlight } = await supabaseAdmin
+    .from('payments')
+    .select('*')
+    .eq('order_id', order.id)
+    .eq('provider', method)
+    .in('status', ['pending', 'processing'])
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (inFlight) {
+    return inFlight;
+  }
+
+  const { data: payment, error } = await supabaseAdmin
+    .from('payments')
+    .insert([{
+      order_id: order.id,
+      provider: method,
+      amount: order.total_amount,
+      currency: process.env.PAYMENT_CURRENCY || 'USD',
+      phone_number: phoneNumber || null,
+      status: 'pending'
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await provider.initiatePayment(toProviderPayment(payment, {
+      description: `Order ${order.id.slice(0, 8).toUpperCase()}`,
+      customerEmail: customer.email,
+      customerName: [customer.first_name, customer.last_name].filter(Boolean).join(' ')
+    }));
+  } catch (providerError) {
+    await applyPaymentStatus(payment, {
+      status: 'failed',
+      failureReason: providerError.message,
+      raw: providerError.details || null
+    });
+    throw providerError;
+  }
+
+  const { data: startedPayment, error: updateError } = await supabaseAdmin
+    .from('payments')
+    .update({
+      provider_reference: result.providerReference,
+      redirect_url: result.redirectUrl || null,
+      webhook_token: result.webhookToken || null,
+      raw_response: result.raw || null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', payment.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  await supabaseAdmin
+    .from('orders')
+    .update({ payment_method: method, updated_at: new Date().toISOString() })
+    .eq('id', order.id);
+
+  return applyPaymentStatus(startedPayment, { status: result.status });
+};
+
+/**
+ * Ask the provider for the latest status of an unfinished payment
+ */
+const refreshPaymentStatus = async (payment) => {
+  if (!['pending', 'processing'].includes(payment.status) || !payment.provider_reference) {
+    return payment;
+  }
+
+  const provider = getProvider(payment.provider);
+  if (!provider) {
+    return payment;
+  }
+
+  const result = await provider.getPaymentStatus(toProviderPayment(payment));
+  return applyPaymentStatus(payment, result);
+};
+
+/**
+ * The paid payment of an order and how much of it can still be refunded,
+ * or null when the order has no paid payment
+ */
+const fetchRefundablePayment = async (order) => {
+  // Partially refunded payments stay 'paid' until fully refunded
+  const { data: payment, error } = await supabaseAdmin
+    .from('payments')
+    .select('*')
+    .eq('order_id', order.id)
+    .eq('status', 'paid')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!payment) {
+    return null;
+  }
+
+  return {
+    payment,
+    refundable: roundMoney(parseFloat(payment.amount) - parseFloat(payment.refunded_amount || 0))
+  };
+};
+
+/**
+ * Refund amount to use for a payment; throws a PaymentError when out of range
+ */
+const checkRefundAmount = ({ payment, refundable }, amount) => {
+  const refundAmount = amount === null ? refundable : roundMoney(amount);
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw new PaymentError(`Refund amount must be between 0 and ${refundable} ${payment.currency}`, {
+      provider: payment.provider,
+      statusCode: 400
+    });
+  }
+
+  return refundAmount;
+};
+
+/**
+ * Add a refund made through the provider (or by hand) to the payment and
+ * order totals
+ */
+const recordRefund = async (payment, amount, { refundReference = null, raw = null }) => {
+  // Payment and order refund totals are updated together under a row lock
+  const { error: recordError } = await supabaseAdmin.rpc('record_payment_refund', {
+    p_payment_id: payment.id,
+    p_amount: amount,
+    p_reference: refundReference,
+    p_raw: raw
+  });
+
+  if (recordError) {
+    throw recordError;
+  }
+
+  const { data: refundedPayment, error: fetchError } = await supabaseAdmin
+    .from('payments')
+    .select('*')
+    .eq('id', payment.id)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  return {
+    status: 'refunded',
+    amount,
+    payment: refundedPayment,
+    refundReference,
+    reason: null
+  };
+};
+
+/**
+ * Refund the paid payment of an order through its provider, in full or in
+ * part (`amount`, defaults to everything not refunded yet)
+ *
+ * Returns null when the order has no paid payment. When the provider cannot
+ * refund automatically (no refund API, or the call fails) the order is left
+ * with payment_status 'refund_pending' for the team to refund by hand.
+ * Resolves to { status: 'refunded' | 'refund_pending', amount, payment,
+ * refundReference, reason }.
+ */
+const refundOrderPayment = async (order, { amount = null, reason = null } = {}) => {
+  const refundable = await fetchRefundablePayment(order);
+
+  if (!refundable) {
+    return null;
+  }
+
+  const { payment } = refundable;
+  const refundAmount = checkRefundAmount(refundable, amount);
+
+  const provider = getProvider(payment.provider);
+  let result = null;
+  let failureReason = null;
+
+  if (!provider || !provider.supportsRefunds()) {
+    failureReason = `${payment.provider} refunds must be made manually`;
+  } else {
+    try {
+      result = await provider.refundPayment(toProviderPayment(payment), { amount: refundAmount, reason });
+    } catch (refundError) {
+      console.error(`Refund of payment ${payment.id} failed:`, refundError);
+      failureReason = refundError.message;
+    }
+  }
+
+  if (!result) {
+    await supabaseAdmin
+      .from('orders')
+      .update({ payment_status: 'refund_pending', updated_at: new Date().toISOString() })
+      .eq('id', payment.order_id);
+
+    return { status: 'refund_pending', amount: refundAmount, payment, refundReference: null, reason: failureReason };
+  }
+
+  return recordRefund(payment, refundAmount, {
+    refundReference: result.refundReference || null,
+    raw: result.raw || null
+  });
+};
+
+/**
+ * Record a refund the team made outside the provider (`reference` of the
+ * transfer) against the paid payment of an order
+ *
+ * Returns null when the order has no paid payment left; otherwise resolves
+ * like refundOrderPayment.
+ */
+const recordManualRefund = async (order, { amount = null, reference }) => {
+  const refundable = await fetchRefundablePayment(order);
+
+  if (!refundable) {
+    return null;
+  }
+
+  const refundAmount = checkRefundAmount(refundable, amount);
+
+  return recordRefund(refundable.payment, refundAmount, {
+    refundReference: reference,
+    raw: { manual: true }
+  });
+};
+
+/**
+ * Cancel an order ({ id, status }) on behalf of any actor, refunding it when
+ * it was paid
+ *
+ * Stock is restored by the database in the same transaction as the status
+ * change. A refunded order moves on to 'refunded'; a refund the provider
+ * cannot make leaves the order 'refund_pending' for the team. Resolves to
+ * { order, refund } where refund is the refundOrderPayment result, or null
+ * when there is nothing to refund or a settling payment already claimed it.
+ */
+const cancelOrder = async (order, { actorType, actorId = null, note = null, refundReason = 'Order cancelled' }) => {
+  const cancelledOrder = await transitionOrderStatus(order, 'cancelled', { actorType, actorId, note });
+
+  // Read after the status change, so a payment settling meanwhile is seen.
+  // One settling later is refunded by applyPaymentStatus.
+  if (cancelledOrder.payment_status !== 'paid') {
+    return { order: cancelledOrder, refund: null };
+  }
+
+  return refundCancelledOrder(cancelledOrder, refundReason);
+};
+
+/**
+ * Refund the paid payment of a cancelled (or already refunded) order and
+ * move a cancelled one on to 'refunded'
+ *
+ * The cancellation and a payment settling at the same time can both get
+ * here, so the refund is claimed first by moving orders.payment_status from
+ * 'paid' to 'refund_pending': only the caller making that change asks the
+ * provider, the other resolves with refund null.
+ */
+const refundCancelledOrder = async (order, reason) => {
+  const { data: claimed, error: claimError } = await supabaseAdmin
+    .from('orders')
+    .update({ payment_status: 'refund_pending', updated_at: new Date().toISOString() })
+    .eq('id', order.id)
+    .eq('payment_status', 'paid')
+    .select('id')
+    .maybeSingle();
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (!claimed) {
+    return { order, refund: null };
+  }
+
+  const refund = await refundOrderPayment(order, { reason });
+
+  if (refund?.status === 'refunded' && order.status === 'cancelled') {
+    const refundedOrder = await transitionOrderStatus(order, 'refunded', {
+      actorType: 'system',
+      note: `Payment refunded (${refund.payment.provider})`
+    });
+    return { order: refundedOrder, refund };
+  }
+
+  if (refund?.status === 'refund_pending') {
+    console.warn(`Order ${order.id} cancelled but needs a manual refund: ${refund.reason}`);
+  }
+
+  return { order, refund };
+};
+
+/**
+ * Public view of a payments row
+ */
+const formatPayment = (payment) => ({
+  id: payment.id,
+  orderId: payment.order_id,
+  method: payment.provider,
+  amount: parseFloat(payment.amount),
+  currency: payment.currency,
+  status: payment.status,
+  redirectUrl: payment.redirect_url,
+  failureReason: payment.failure_reason,
+  paidAt: payment.paid_at,
+  refundedAmount: parseFloat(payment.refunded_amount || 0),
+  refundedAt: payment.refunded_at || null,
+  createdAt: payment.created_at
+});
+
+module.exports = {
+  FINAL_PAYMENT_STATUSES,
+  PaymentError,
+  registerProvider,
+  getProvider,
+  getAvailablePaymentMethods,
+  toOrderPaymentStatus,
+  applyPaymentStatus,
+  initiateOrderPayment,
+  refreshPaymentStatus,
+  fetchRefundablePayment,
+  refundOrderPayment,
+  recordManualRefund,
+  cancelOrder,
+  formatPayment
+};
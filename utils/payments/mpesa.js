@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { PaymentProvider, PaymentError, normalizeMsisdn } = require('./provider');
+
+const SESSION_TTL_MS = 55 * 60 * 1000;
+
+/**
+ * Map M-Pesa transaction statuses to payment statuses
+ */
+const STATUS_MAP = {
+  Completed: 'paid',
+  Pending: 'pending',
+  Processing: 'processing',
+  Failed: 'failed',
+  Cancelled: 'cancelled',
+  Expired: 'failed',
+  Declined: 'failed'
+};
+
+/**
+ * Vodacom M-Pesa (DRC) adapter for the M-Pesa OpenAPI
+ */
+class MpesaProvider extends PaymentProvider {
+  constructor() {
+    super('mpesa', { requiresPhoneNumber: true });
+    this.baseUrl = process.env.MPESA_BASE_URL || 'https://openapi.m-pesa.com/sandbox';
+    this.market = process.env.MPESA_MARKET || 'vodacomDRC';
+    this.session = null;
+  }
+
+  isConfigured() {
+    return Boolean(
+      process.env.MPESA_API_KEY &&
+      process.env.MPESA_PUBLIC_KEY &&
+      process.env.MPESA_SERVICE_PROVIDER_CODE
+    );
+  }
+
+  /**
+   * Encrypt a value with the M-Pesa public key to build a bearer token
+   */
+  encrypt(value) {
+    const publicKey = `-----BEGIN PUBLIC KEY-----\n${process.env.MPESA_PUBLIC_KEY}\n-----END PUBLIC KEY-----`;
+    return crypto.publicEncrypt(
+      { key: publicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+      Buffer.from(value)
+    ).toString('base64');
+  }
+
+  /**
+   * Get a (cached) session id to authorise API calls
+   */
+  async getSessionId() {
+    if (this.session && this.session.expiresAt > Date.now()) {
+      return this.session.id;
+    }
+
+    const data = await this.request(`${this.baseUrl}/ipg/v2/${this.market}/getSession/`, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${this.encrypt(process.env.MPESA_API_KEY)}`,
+        Origin: '*'
+      }
+    });
+
+    if (!data.output_SessionID) {
+      throw new PaymentError('M-Pesa session could not be created', { provider: this.name, details: data });
+    }
+
+    this.session = { id: data.output_SessionID, expiresAt: Date.now() + SESSION_TTL_MS };
+    return this.session.id;
+  }
+
+  async authHeaders() {
+    return {
+      Authorization: `Bearer ${this.encrypt(await this.getSessionId())}`,
+      Origin: '*'
+    };
+  }
+
+  async initiatePayment(payment) {
+    const msisdn = normalizeMsisdn(payment.phoneNumber);
+    if (!msisdn) {
+      throw new PaymentError('A valid M-Pesa phone number is required', { provider: this.name, statusCode: 400 });
+    }
+
+    const data = await this.request(`${this.baseUrl}/ipg/v2/${this.market}/c2bPayment/singleStage/`, {
+      headers: await this.authHeaders(),
+      body: {
+        input_Amount: payment.amount.toFixed(2),
+        input_Country: 'DRC',
+        input_Currency: payment.currency,
+        input_CustomerMSISDN: msisdn,
+        input_ServiceProviderCode: process.env.MPESA_SERVICE_PROVIDER_CODE,
+        input_ThirdPartyConversationID: uuidv4().replace(/-/g, ''),
+        input_TransactionReference: payment.id.replace(/-/g, '').slice(0, 20),
+        input_PurchasedItemsDesc: payment.description
+      }
+    });
+
+    // The single stage C2B call only returns once the customer has answered the USSD prompt
+    return {
+      providerReference: data.output_TransactionID || data.output_ConversationID,
+      status: data.output_ResponseCode === 'INS-0' ? 'paid' : 'failed',
+      redirectUrl: null,
+      raw: data
+    };
+  }
+
+  supportsRefunds() {
+    return true;
+  }
+
+  async refundPayment(payment, { amount }) {
+    const data = await this.request(`${this.baseUrl}/ipg/v2/${this.market}/reversal/`, {
+      method: 'PUT',
+      headers: await this.authHeaders(),
+      body: {
+        input_ReversalAmount: amount.toFixed(2),
+        input_Country: 'DRC',
+        input_ServiceProviderCode: process.env.MPESA_SERVICE_PROVIDER_CODE,
+        input_ThirdPartyConversationID: uuidv4().replace(/-/g, ''),
+        input_TransactionID: payment.providerReference
+      }
+    });
+
+    if (data.output_ResponseCode !== 'INS-0') {
+      throw new PaymentError(data.output_ResponseDesc || 'M-Pesa reversal failed', { provider: this.name, details: data });
+    }
+
+    return {
+      refundReference: data.output_TransactionID,
+      raw: data
+    };
+  }
+
+  async getPaymentStatus(payment) {
+    const query = new URLSearchParams({
+      input_QueryReference: payment.providerReference,
+      input_ServiceProviderCode: process.env.MPESA_SERVICE_PROVIDER_CODE,
+      input_ThirdPartyConversationID: uuidv4().replace(/-/g, ''),
+      input_Country: 'DRC'
+    });
+
+    const data = await this.request(`${this.baseUrl}/ipg/v2/${this.market}/queryTransactionStatus/?${query}`, {
+      method: 'GET',
+      headers: await this.authHeaders()
+    });
+
+    const status = STATUS_MAP[data.output_ResponseTransactionStatus] || 'pending';
+
+    return {
+      status,
+      failureReason: status === 'failed' ? data.output_ResponseDesc : null,
+      raw: data
+    };
+  }
+}
+
+module.exports = MpesaProvider;
@@ -0,0 +1,127 @@
+const { PaymentProvider, PaymentError, safeCompare } = require('./provider');
+
+/**
+ * Map Orange Money web payment statuses to payment statuses
+ */
+const STATUS_MAP = {
+  INITIATED: 'pending',
+  PENDING: 'processing',
+  SUCCESS: 'paid',
+  FAILED: 'failed',
+  EXPIRED: 'failed'
+};
+
+/**
+ * Orange Money (DRC) adapter for the Orange Money Web Payment API
+ * The customer is redirected to an Orange hosted page to confirm.
+ */
+class OrangeMoneyProvider extends PaymentProvider {
+  constructor() {
+    super('orange_money');
+    this.baseUrl = process.env.ORANGE_MONEY_BASE_URL || 'https://api.orange.com';
+    this.accessToken = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.ORANGE_MONEY_CLIENT_ID && process.env.ORANGE_MONEY_CLIENT_SECRET && process.env.ORANGE_MONEY_MERCHANT_KEY);
+  }
+
+  /**
+   * Get a (cached) OAuth access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && this.accessToken.expiresAt > Date.now()) {
+      return this.accessToken.value;
+    }
+
+    const credentials = Buffer.from(
+      `${process.env.ORANGE_MONEY_CLIENT_ID}:${process.env.ORANGE_MONEY_CLIENT_SECRET}`
+    ).toString('base64');
+
+    const data = await this.request(`${this.baseUrl}/oauth/v3/token`, {
+      headers: { Authorization: `Basic ${credentials}` },
+      form: { grant_type: 'client_credentials' }
+    });
+
+    this.accessToken = {
+      value: data.access_token,
+      expiresAt: Date.now() + ((data.expires_in || 3600) - 60) * 1000
+    };
+    return this.accessToken.value;
+  }
+
+  async initiatePayment(payment) {
+    const data = await this.request(`${this.baseUrl}/orange-money-webpay/cd/v1/webpayment`, {
+      headers: { Authorization: `Bearer ${await this.getAccessToken()}` },
+      body: {
+        merchant_key: process.env.ORANGE_MONEY_MERCHANT_KEY,
+        currency: payment.currency,
+        order_id: payment.id,
+        amount: payment.amount,
+        return_url: `${process.env.FRONTEND_URL}/orders/${payment.orderId}?payment=return`,
+        cancel_url: `${process.env.FRONTEND_URL}/orders/${payment.orderId}?payment=cancel`,
+        notif_url: process.env.ORANGE_MONEY_NOTIFY_URL,
+        lang: 'fr',
+        reference: payment.description
+      }
+    });
+
+    if (!data.payment_url) {
+      throw new PaymentError('Orange Money did not return a payment page', { provider: this.name, details: data });
+    }
+
+    return {
+      // The pay token is needed, with the order id and amount, to query the status
+      providerReference: data.pay_token,
+      status: 'pending',
+      redirectUrl: data.payment_url,
+      // Echoed back in notifications, which is how they are authenticated
+      webhookToken: data.notif_token,
+      raw: data
+    };
+  }
+
+  supportsWebhooks() {
+    return Boolean(process.env.ORANGE_MONEY_NOTIFY_URL);
+  }
+
+  parseWebhook(body) {
+    if (!body?.notif_token || !body?.status) {
+      throw new PaymentError('Invalid Orange Money notification', { provider: this.name, statusCode: 400 });
+    }
+
+    const status = STATUS_MAP[body.status] || 'pending';
+
+    return {
+      eventId: `${body.notif_token}:${body.status}`,
+      webhookToken: body.notif_token,
+      status,
+      failureReason: status === 'failed' ? `Orange Money payment ${String(body.status).toLowerCase()}` : null
+    };
+  }
+
+  verifyWebhook({ body }, payment) {
+    return Boolean(payment) && safeCompare(body.notif_token, payment.webhook_token);
+  }
+
+  async getPaymentStatus(payment) {
+    const data = await this.request(`${this.baseUrl}/orange-money-webpay/cd/v1/transactionstatus`, {
+      headers: { Authorization: `Bearer ${await this.getAccessToken()}` },
+      body: {
+        order_id: payment.id,
+        amount: payment.amount,
+        pay_token: payment.providerReference
+      }
+    });
+
+    const status = STATUS_MAP[data.status] || 'pending';
+
+    return {
+      status,
+      failureReason: status === 'failed' ? `Orange Money payment ${String(data.status).toLowerCase()}` : null,
+      raw: data
+    };
+  }
+}
+
+module.exports = OrangeMoneyProvider;
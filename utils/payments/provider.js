@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+
+/**
+ * Base class for payment provider adapters
+ *
+ * Every adapter normalises provider specific statuses to one of
+ * PAYMENT_STATUSES so the rest of the application never has to know
+ * which provider processed a payment.
+ */
+
+const PAYMENT_STATUSES = ['pending', 'processing', 'paid', 'failed', 'cancelled', 'refunded'];
+
+/**
+ * Error raised by payment providers
+ */
+class PaymentError extends Error {
+  constructor(message, { provider, statusCode = 502, details } = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.provider = provider;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class PaymentProvider {
+  constructor(name, { requiresPhoneNumber = false } = {}) {
+    this.name = name;
+    this.requiresPhoneNumber = requiresPhoneNumber;
+  }
+
+  /**
+   * Whether the provider has the configuration it needs
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Start a payment
+   * Resolves to { providerReference, status, redirectUrl, raw }
+   */
+  async initiatePayment() {
+    throw new PaymentError(`${this.name} does not support payments`, { provider: this.name, statusCode: 400 });
+  }
+
+  /**
+   * Fetch the current status of a payment
+   * Resolves to { status, failureReason, raw }
+   */
+  async getPaymentStatus() {
+    throw new PaymentError(`${this.name} does not support status checks`, { provider: this.name, statusCode: 400 });
+  }
+
+  /**
+   * Whether paid payments can be refunded through the provider API
+   */
+  supportsRefunds() {
+    return false;
+  }
+
+  /**
+   * Refund a paid payment, fully or partially ({ amount, reason })
+   * Resolves to { refundReference, raw }; fails with a PaymentError.
+   */
+  async refundPayment() {
+    throw new PaymentError(`${this.name} does not support refunds`, { provider: this.name, statusCode: 501 });
+  }
+
+  /**
+   * Whether the provider sends webhooks this adapter can handle
+   */
+  supportsWebhooks() {
+    return false;
+  }
+
+  /**
+   * Extract the event from a webhook body
+   * Returns { eventId, providerReference, webhookToken, status, failureReason }
+   * where the payment is identified by providerReference or webhookToken.
+   */
+  parseWebhook() {
+    throw new PaymentError(`${this.name} does not support webhooks`, { provider: this.name, statusCode: 404 });
+  }
+
+  /**
+   * Check the authenticity of a webhook request ({ headers, rawBody, body })
+   * `payment` is the payment the event refers to, or null when unknown.
+   */
+  verifyWebhook() {
+    return false;
+  }
+
+  /**
+   * Call a provider JSON API and fail with a PaymentError on HTTP errors
+   */
+  async request(url, { method = 'POST', headers = {}, body, form } = {}) {
+    let response;
+
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(form !== undefined && { 'Content-Type': 'application/x-www-form-urlencoded' }),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : form !== undefined ? new URLSearchParams(form).toString() : undefined
+      });
+    } catch (error) {
+      throw new PaymentError(`${this.name} is unreachable`, { provider: this.name, details: error.message });
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (error) {
+      data = { raw: text };
+    }
+
+    if (!response.ok) {
+      throw new PaymentError(`${this.name} request failed with status ${response.status}`, {
+        provider: this.name,
+        details: data
+      });
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Normalise a Congolese phone number to international format without '+'
+ * (e.g. 0812345678 -> 243812345678). Returns null when invalid.
+ */
+const normalizeMsisdn = (phoneNumber) => {
+  if (!phoneNumber) return null;
+
+  let digits = String(phoneNumber).replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (digits.startsWith('0')) digits = `243${digits.slice(1)}`;
+  if (digits.length === 9) digits = `243${digits}`;
+
+  return /^243\d{9}$/.test(digits) ? digits : null;
+};
+
+/**
+ * Constant time string comparison
+ */
+const safeCompare = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * HMAC-SHA256 of a payload
+ */
+const hmacSha256 = (secret, payload, encoding = 'hex') => {
+  return crypto.createHmac('sha256', secret).update(payload).digest(encoding);
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  PaymentError,
+  PaymentProvider,
+  normalizeMsisdn,
+  safeCompare,
+  hmacSha256
+};
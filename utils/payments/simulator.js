@@ -0,0 +1,135 @@
+const { v4: uuidv4 } = require('uuid');
+const { PaymentProvider, PaymentError, normalizeMsisdn, safeCompare, hmacSha256 } = require('./provider');
+
+/**
+ * Local payment simulator
+ *
+ * Lets the whole payment flow run without a real provider. It is only
+ * offered with PAYMENT_SIMULATOR_ENABLED=true outside production. The
+ * outcome is chosen by the last digits of the phone number, like test card
+ * numbers:
+ *   ...0001  payment fails
+ *   ...0002  payment stays pending
+ *   anything else succeeds on the first status check
+ * setPaymentStatus() can force a status from tests, and signWebhook()
+ * signs a webhook body the way the simulator "provider" would.
+ */
+class SimulatorProvider extends PaymentProvider {
+  constructor() {
+    super('simulator');
+    this.payments = new Map();
+  }
+
+  // Off unless asked for, and never in production: it marks orders paid
+  // without taking any money
+  isConfigured() {
+    return process.env.PAYMENT_SIMULATOR_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+  }
+
+  async initiatePayment(payment) {
+    const msisdn = normalizeMsisdn(payment.phoneNumber) || '';
+    let outcome = 'paid';
+    if (msisdn.endsWith('0001')) outcome = 'failed';
+    if (msisdn.endsWith('0002')) outcome = 'pending';
+
+    const providerReference = `SIM-${uuidv4()}`;
+    this.payments.set(providerReference, {
+      status: 'pending',
+      outcome,
+      amount: payment.amount,
+      currency: payment.currency
+    });
+
+    return {
+      providerReference,
+      status: 'pending',
+      redirectUrl: null,
+      raw: { providerReference, outcome }
+    };
+  }
+
+  async getPaymentStatus(payment) {
+    const simulated = this.payments.get(payment.providerReference);
+
+    if (!simulated) {
+      throw new PaymentError('Unknown simulated payment', { provider: this.name, statusCode: 404 });
+    }
+
+    // The simulated customer "approves" the payment before the first check
+    if (simulated.status === 'pending') {
+      simulated.status = simulated.outcome;
+    }
+
+    return {
+      status: simulated.status,
+      failureReason: simulated.status === 'failed' ? 'Simulated payment declined' : null,
+      raw: { ...simulated }
+    };
+  }
+
+  supportsRefunds() {
+    return true;
+  }
+
+  async refundPayment(payment, { amount }) {
+    const simulated = this.payments.get(payment.providerReference);
+    if (simulated && amount >= payment.amount) {
+      simulated.status = 'refunded';
+    }
+
+    return {
+      refundReference: `SIM-REFUND-${uuidv4()}`,
+      raw: { simulated: true, refunded: amount }
+    };
+  }
+
+  supportsWebhooks() {
+    return true;
+  }
+
+  parseWebhook(body) {
+    if (!body?.eventId || !body?.providerReference || !body?.status) {
+      throw new PaymentError('Invalid simulator webhook', { provider: this.name, statusCode: 400 });
+    }
+
+    return {
+      eventId: body.eventId,
+      providerReference: body.providerReference,
+      status: body.status,
+      failureReason: body.failureReason || null
+    };
+  }
+
+  // Without a secret of our own, no webhook can prove where it came from
+  verifyWebhook({ headers, rawBody }) {
+    if (!process.env.PAYMENT_SIMULATOR_WEBHOOK_SECRET) {
+      return false;
+    }
+    return safeCompare(headers['x-simulator-signature'], this.signWebhook(rawBody));
+  }
+
+  /**
+   * Signature expected in the X-Simulator-Signature header for a raw body
+   */
+  signWebhook(rawBody) {
+    const secret = process.env.PAYMENT_SIMULATOR_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new PaymentError('PAYMENT_SIMULATOR_WEBHOOK_SECRET is not set', { provider: this.name, statusCode: 500 });
+    }
+    return hmacSha256(secret, rawBody);
+  }
+
+  /**
+   * Force the status of a simulated payment
+   */
+  setPaymentStatus(providerReference, status) {
+    const simulated = this.payments.get(providerReference);
+    if (!simulated) return false;
+
+    simulated.status = status;
+    simulated.outcome = status;
+    return true;
+  }
+}
+
+module.exports = SimulatorProvider;
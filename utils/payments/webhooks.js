@@ -0,0 +1,240 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const { FINAL_PAYMENT_STATUSES, getProvider, applyPaymentStatus } = require('./index');
+
+/**
+ * Payment webhook processing
+ * Every delivery is recorded in payment_webhook_events together with the
+ * decision taken, so disputes can be traced back to what the provider sent.
+ */
+
+// Order in which a payment moves; final statuses share the last step
+const STATUS_RANK = {
+  pending: 0,
+  processing: 1,
+  paid: 2,
+  failed: 2,
+  cancelled: 2,
+  refunded: 3
+};
+
+// Decisions after which a redelivery of the same event is a duplicate
+const SETTLED_DECISIONS = [
+  'applied', 'no_change', 'ignored_backward', 'amount_mismatch', 'unknown_payment'
+];
+
+/**
+ * HTTP status returned to the provider for each decision
+ */
+const DECISION_HTTP_STATUS = {
+  applied: 200,
+  duplicate: 200,
+  no_change: 200,
+  ignored_backward: 200,
+  amount_mismatch: 200,
+  unknown_payment: 202,
+  invalid_signature: 401,
+  invalid_payload: 400,
+  error: 500
+};
+
+/**
+ * Find the payment a webhook event refers to
+ */
+const findPayment = async (providerName, event) => {
+  const column = event.providerReference ? 'provider_reference' : 'webhook_token';
+  const value = event.providerReference || event.webhookToken;
+
+  if (!value) return null;
+
+  const { data: payment, error } = await supabaseAdmin
+    .from('payments')
+    .select('*')
+    .eq('provider', providerName)
+    .eq(column, String(value))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return payment;
+};
+
+/**
+ * Insert an event row; returns { event } or { existing } when the provider
+ * event was already recorded
+ */
+const recordEvent = async (fields) => {
+  const { data: event, error } = await supabaseAdmin
+    .from('payment_webhook_events')
+    .insert([fields])
+    .select()
+    .single();
+
+  if (!error) {
+    return { event };
+  }
+
+  if (error.code !== '23505') {
+    throw error;
+  }
+
+  const { data: existing, error: fetchError } = await supabaseAdmin
+    .from('payment_webhook_events')
+    .select('*')
+    .eq('provider', fields.provider)
+    .eq('event_id', fields.event_id)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  await supabaseAdmin
+    .from('payment_webhook_events')
+    .update({
+      delivery_count: existing.delivery_count + 1,
+      last_received_at: new Date().toISOString()
+    })
+    .eq('id', existing.id);
+
+  return { existing };
+};
+
+/**
+ * Store the decision taken for an event
+ */
+const recordDecision = async (event, decision, reason = null) => {
+  const { error } = await supabaseAdmin
+    .from('payment_webhook_events')
+    .update({
+      decision,
+      decision_reason: reason,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', event.id);
+
+  if (error) {
+    console.error('Error recording payment webhook decision:', error);
+  }
+};
+
+/**
+ * Decide what a verified event does to its payment
+ * Returns { decision, reason, apply }
+ */
+const decide = (payment, event) => {
+  if (!payment) {
+    return { decision: 'unknown_payment', reason: 'No payment matches the event reference' };
+  }
+
+  if (event.status === payment.status) {
+    return { decision: 'no_change', reason: `Payment is already ${payment.status}` };
+  }
+
+  if (FINAL_PAYMENT_STATUSES.includes(payment.status) || STATUS_RANK[event.status] < STATUS_RANK[payment.status]) {
+    return {
+      decision: 'ignored_backward',
+      reason: `Payment is ${payment.status}, refusing to move it to ${event.status}`
+    };
+  }
+
+  if (event.status === 'paid' && event.amount !== undefined &&
+      (event.amount < parseFloat(payment.amount) || (event.currency && event.currency !== payment.currency))) {
+    return {
+      decision: 'amount_mismatch',
+      reason: `Paid ${event.amount} ${event.currency || ''} for a payment of ${payment.amount} ${payment.currency}`.replace(/\s+/g, ' ')
+    };
+  }
+
+  return { decision: 'applied', apply: true };
+};
+
+/**
+ * Process a webhook delivery ({ headers, rawBody, body }) for a provider
+ * Returns { httpStatus, decision, eventId }
+ */
+const handleWebhook = async (providerName, request) => {
+  const provider = getProvider(providerName);
+
+  if (!provider || !provider.supportsWebhooks()) {
+    console.warn(`Payment webhook for unsupported provider "${providerName}" ignored`);
+    return { httpStatus: 404, decision: null, eventId: null };
+  }
+
+  let parsed;
+  try {
+    parsed = provider.parseWebhook(request.body);
+  } catch (parseError) {
+    await recordEvent({
+      provider: providerName,
+      payload: request.body || null,
+      decision: 'invalid_payload',
+      decision_reason: parseError.message,
+      processed_at: new Date().toISOString()
+    });
+    console.warn(`Payment webhook ${providerName}: invalid_payload (${parseError.message})`);
+    return { httpStatus: DECISION_HTTP_STATUS.invalid_payload, decision: 'invalid_payload', eventId: null };
+  }
+
+  const payment = await findPayment(providerName, parsed);
+  const signatureValid = provider.verifyWebhook(request, payment) === true;
+
+  if (!signatureValid) {
+    // Not keyed by event_id, so a forged event cannot shadow the real one
+    await recordEvent({
+      provider: providerName,
+      payment_id: payment?.id || null,
+      order_id: payment?.order_id || null,
+      status: parsed.status,
+      payload: request.body,
+      decision: 'invalid_signature',
+      decision_reason: `Claimed event ${parsed.eventId}`,
+      processed_at: new Date().toISOString()
+    });
+    console.warn(`Payment webhook ${providerName} ${parsed.eventId}: invalid_signature`);
+    return { httpStatus: DECISION_HTTP_STATUS.invalid_signature, decision: 'invalid_signature', eventId: parsed.eventId };
+  }
+
+  const { event: newEvent, existing } = await recordEvent({
+    provider: providerName,
+    event_id: parsed.eventId,
+    payment_id: payment?.id || null,
+    order_id: payment?.order_id || null,
+    status: parsed.status,
+    signature_valid: true,
+    payload: request.body
+  });
+
+  if (existing && SETTLED_DECISIONS.includes(existing.decision)) {
+    console.log(`Payment webhook ${providerName} ${parsed.eventId}: duplicate (was ${existing.decision})`);
+    return { httpStatus: DECISION_HTTP_STATUS.duplicate, decision: 'duplicate', eventId: parsed.eventId };
+  }
+
+  // A redelivery of an event that failed or never finished is processed again
+  const event = newEvent || existing;
+  const { decision, reason, apply } = decide(payment, parsed);
+
+  if (apply) {
+    try {
+      await applyPaymentStatus(payment, {
+        status: parsed.status,
+        failureReason: parsed.failureReason || null,
+        raw: request.body
+      });
+    } catch (applyError) {
+      console.error(`Payment webhook ${providerName} ${parsed.eventId}: error`, applyError);
+      await recordDecision(event, 'error', applyError.message);
+      return { httpStatus: DECISION_HTTP_STATUS.error, decision: 'error', eventId: parsed.eventId };
+    }
+  }
+
+  await recordDecision(event, decision, reason);
+  console.log(`Payment webhook ${providerName} ${parsed.eventId}: ${decision}${reason ? ` (${reason})` : ''}`);
+
+  return { httpStatus: DECISION_HTTP_STATUS[decision], decision, eventId: parsed.eventId };
+};
+
+module.exports = {
+  handleWebhook
+};
@@ -0,0 +1,393 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../config/supabase');
+const { getStorage } = require('./storage');
+const { sniffFileType } = require('./uploads');
+
+/**
+ * Product images
+ * Vendors upload JPEG, PNG or WebP files. Each one is decoded, turned
+ * upright from its EXIF orientation and re-encoded without any metadata
+ * (EXIF, GPS, ICC) into one WebP file per PRODUCT_IMAGE_SIZES entry, stored
+ * in the public bucket under products/<productId>/<imageId>/<size>.webp.
+ * The original file is not kept.
+ *
+ * products.images mirrors the large size, primary image first then by
+ * position, so everything reading images[0] shows the primary image. Image
+ * URLs a product had before uploads existed stay listed after them.
+ */
+
+// Longest side of each size, in pixels (smaller images are not enlarged)
+const PRODUCT_IMAGE_SIZES = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200
+};
+
+const PRODUCT_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_PRODUCT_IMAGE_BYTES = 8 * 1024 * 1024;
+const MAX_PRODUCT_IMAGES = 10;
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const WEBP_QUALITY = 82;
+
+/**
+ * Error raised when product images cannot be uploaded or changed
+ */
+class ProductImageError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProductImageError';
+    this.statusCode = statusCode;
+  }
+}
+
+const sizeKey = (image, size) => `${image.storage_prefix}/${size}.webp`;
+
+/**
+ * Public URL of one size of an image row
+ */
+const productImageUrl = (image, size) => getStorage('public').getPublicUrl(sizeKey(image, size));
+
+/**
+ * Public view of a product image row, with the URL of each size
+ */
+const formatProductImage = (image) => {
+  const urls = {};
+  for (const size of Object.keys(PRODUCT_IMAGE_SIZES)) {
+    urls[size] = productImageUrl(image, size);
+  }
+
+  return {
+    id: image.id,
+    position: image.position,
+    isPrimary: image.is_primary,
+    variantId: image.variant_id || null,
+    width: image.width,
+    height: image.height,
+    urls,
+    createdAt: image.created_at
+  };
+};
+
+/**
+ * Images of a product, primary first then by position
+ */
+const listProductImages = async (productId) => {
+  const { data: images, error } = await supabaseAdmin
+    .from('product_images')
+    .select('*')
+    .eq('product_id', productId)
+    .order('is_primary', { ascending: false })
+    .order('position', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return images || [];
+};
+
+/**
+ * Primary images of several products: Map of productId => image row
+ */
+const getPrimaryImages = async (productIds) => {
+  if (productIds.length === 0) {
+    return new Map();
+  }
+
+  const { data: images, error } = await supabaseAdmin
+    .from('product_images')
+    .select('*')
+    .in('product_id', productIds)
+    .eq('is_primary', true);
+
+  if (error) {
+    throw error;
+  }
+
+  return new Map((images || []).map(image => [image.product_id, image]));
+};
+
+/**
+ * Check that a product belongs to the vendor
+ */
+const assertVendorProduct = async (vendorId, productId) => {
+  const { data: product, error } = await supabaseAdmin
+    .from('products')
+    .select('id')
+    .eq('id', productId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!product) {
+    throw new ProductImageError('Product not found or access denied', 404);
+  }
+};
+
+/**
+ * Copy the large size URLs to products.images, in display order
+ * URLs that are not files uploaded for the product (linked before uploads
+ * existed, or set by an admin) are kept after them.
+ */
+const syncProductImages = async (productId) => {
+  const images = await listProductImages(productId);
+
+  const { data: product, error: fetchError } = await supabaseAdmin
+    .from('products')
+    .select('images')
+    .eq('id', productId)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  const uploadedPrefix = getStorage('public').getPublicUrl(`products/${productId}/`);
+  const linked = (product.images || []).filter(url => !String(url).startsWith(uploadedPrefix));
+
+  const { error } = await supabaseAdmin
+    .from('products')
+    .update({
+      images: [...images.map(image => productImageUrl(image, 'large')), ...linked],
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', productId);
+
+  if (error) {
+    throw error;
+  }
+
+  return images;
+};
+
+/**
+ * Decode an uploaded file and render each of its sizes
+ * Resolves to { width, height, sizes: { size: Buffer } } where width and
+ * height are those of the large size.
+ */
+const processProductImage = async (buffer) => {
+  const fileType = sniffFileType(buffer);
+  if (!fileType || !PRODUCT_IMAGE_TYPES.includes(fileType.mimeType)) {
+    throw new ProductImageError('Images must be JPEG, PNG or WebP files', 415);
+  }
+
+  // rotate() with no angle applies the EXIF orientation; the output keeps
+  // no metadata since withMetadata() is never called
+  const source = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+
+  try {
+    const sizes = {};
+    let largeInfo;
+    for (const [size, maxSide] of Object.entries(PRODUCT_IMAGE_SIZES)) {
+      const { data, info } = await source
+        .clone()
+        .resize({ width: maxSide, height: maxSide, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+
+      sizes[size] = data;
+      if (size === 'large') largeInfo = info;
+    }
+
+    return { width: largeInfo.width, height: largeInfo.height, sizes };
+  } catch (error) {
+    throw new ProductImageError('The image could not be read. It may be corrupted or too large.');
+  }
+};
+
+/**
+ * Remove the stored files of images (failures are only logged)
+ */
+const deleteProductImageFiles = async (images) => {
+  const storage = getStorage('public');
+
+  await Promise.all(images.flatMap(image => Object.keys(PRODUCT_IMAGE_SIZES).map(size =>
+    storage.delete(sizeKey(image, size))
+      .catch(error => console.error('Error removing product image file:', error))
+  )));
+};
+
+/**
+ * Add uploaded files (multer file objects) to a vendor's product
+ * Every file is processed before anything is stored, so one bad file
+ * rejects the whole upload. The first image of a product becomes primary.
+ * Resolves to the images of the product after the upload.
+ */
+const uploadProductImages = async (vendorId, productId, files) => {
+  await assertVendorProduct(vendorId, productId);
+
+  if (!files || files.length === 0) {
+    throw new ProductImageError('At least one image is required');
+  }
+
+  const existing = await listProductImages(productId);
+  if (existing.length + files.length > MAX_PRODUCT_IMAGES) {
+    throw new ProductImageError(
+      `A product can have at most ${MAX_PRODUCT_IMAGES} images (it has ${existing.length})`,
+      409
+    );
+  }
+
+  const processed = [];
+  for (const file of files) {
+    processed.push(await processProductImage(file.buffer));
+  }
+
+  const storage = getStorage('public');
+  const nextPosition = existing.reduce((max, image) => Math.max(max, image.position + 1), 0);
+  const rows = processed.map((image, index) => ({
+    id: uuidv4(),
+    product_id: productId,
+    position: nextPosition + index,
+    is_primary: existing.length === 0 && index === 0,
+    width: image.width,
+    height: image.height,
+    size_bytes: files[index].size
+  }));
+  rows.forEach(row => {
+    row.storage_prefix = `products/${productId}/${row.id}`;
+  });
+
+  try {
+    await Promise.all(rows.flatMap((row, index) => Object.entries(processed[index].sizes).map(([size, buffer]) =>
+      storage.put(sizeKey(row, size), buffer, { contentType: 'image/webp', cacheControl: '31536000' })
+    )));
+
+    const { error } = await supabaseAdmin
+      .from('product_images')
+      .insert(rows);
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    await deleteProductImageFiles(rows);
+    throw error;
+  }
+
+  return syncProductImages(productId);
+};
+
+/**
+ * Set the order of a product's images from a list of all their ids
+ */
+const reorderProductImages = async (vendorId, productId, imageIds) => {
+  await assertVendorProduct(vendorId, productId);
+
+  const images = await listProductImages(productId);
+  const known = new Set(images.map(image => image.id));
+
+  if (!Array.isArray(imageIds) || imageIds.length !== images.length ||
+    new Set(imageIds).size !== imageIds.length || !imageIds.every(id => known.has(id))) {
+    throw new ProductImageError('imageIds must list every image of the product exactly once');
+  }
+
+  const results = await Promise.all(imageIds.map((id, position) => supabaseAdmin
+    .from('product_images')
+    .update({ position, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('product_id', productId)
+  ));
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    throw failed.error;
+  }
+
+  return syncProductImages(productId);
+};
+
+/**
+ * Make an image the primary image of its product
+ */
+const setPrimaryProductImage = async (vendorId, productId, imageId) => {
+  await assertVendorProduct(vendorId, productId);
+
+  const images = await listProductImages(productId);
+  if (!images.some(image => image.id === imageId)) {
+    throw new ProductImageError('Image not found', 404);
+  }
+
+  // Clear the current primary first: a product has at most one
+  const { error: clearError } = await supabaseAdmin
+    .from('product_images')
+    .update({ is_primary: false, updated_at: new Date().toISOString() })
+    .eq('product_id', productId)
+    .eq('is_primary', true)
+    .neq('id', imageId);
+
+  if (clearError) {
+    throw clearError;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('product_images')
+    .update({ is_primary: true, updated_at: new Date().toISOString() })
+    .eq('id', imageId)
+    .eq('product_id', productId);
+
+  if (error) {
+    throw error;
+  }
+
+  return syncProductImages(productId);
+};
+
+/**
+ * Delete an image and its files
+ * When it was the primary image, the next one by position takes over.
+ */
+const deleteProductImage = async (vendorId, productId, imageId) => {
+  await assertVendorProduct(vendorId, productId);
+
+  const { data: image, error } = await supabaseAdmin
+    .from('product_images')
+    .delete()
+    .eq('id', imageId)
+    .eq('product_id', productId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!image) {
+    throw new ProductImageError('Image not found', 404);
+  }
+
+  await deleteProductImageFiles([image]);
+
+  if (image.is_primary) {
+    const [next] = (await listProductImages(productId)).sort((a, b) => a.position - b.position);
+    if (next) {
+      await supabaseAdmin
+        .from('product_images')
+        .update({ is_primary: true, updated_at: new Date().toISOString() })
+        .eq('id', next.id);
+    }
+  }
+
+  return syncProductImages(productId);
+};
+
+module.exports = {
+  PRODUCT_IMAGE_SIZES,
+  MAX_PRODUCT_IMAGE_BYTES,
+  MAX_PRODUCT_IMAGES,
+  ProductImageError,
+  productImageUrl,
+  formatProductImage,
+  listProductImages,
+  getPrimaryImages,
+  processProductImage,
+  deleteProductImageFiles,
+  uploadProductImages,
+  reorderProductImages,
+  setPrimaryProductImage,
+  deleteProductImage
+};
@@ -0,0 +1,680 @@
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../config/supabase');
+const { sanitizeString, validateProduct } = require('./validation');
+const {
+  MAX_OPTIONS,
+  ProductVariantError,
+  validateVariantMatrix,
+  saveVariantMatrix
+} = require('./productVariants');
+
+/**
+ * CSV product import and export
+ * A vendor's catalog as CSV_COLUMNS, one row per product or, for products
+ * with variants, one row per variant. Rows are grouped by product_sku and
+ * matched to products by their SKU: unknown ones are created, the others
+ * updated (a file replaces the options and variants of the products it
+ * lists, but leaves their images alone). Product fields come from the first
+ * row of a product; its other rows leave them blank or repeat them.
+ *
+ * Imports run as product_import_jobs in the background. Every row is
+ * checked first; products with an error are skipped and reported by row,
+ * the others are saved. A dry run only reports what would happen.
+ */
+
+const CSV_COLUMNS = [
+  'product_sku', 'name', 'description', 'category', 'price', 'status', 'stock',
+  'variant_sku', 'variant_price',
+  'option1_name', 'option1_value', 'option2_name', 'option2_value', 'option3_name', 'option3_value'
+];
+
+const REQUIRED_COLUMNS = ['product_sku', 'name', 'description', 'category', 'price'];
+const PRODUCT_FIELDS = ['name', 'description', 'category', 'price', 'status'];
+const VARIANT_FIELDS = ['variant_sku', 'variant_price', 'option1_name', 'option1_value',
+  'option2_name', 'option2_value', 'option3_name', 'option3_value'];
+
+const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 5000;
+const PROGRESS_EVERY = 25;
+const EXPORT_PAGE_SIZE = 500;
+
+// A job that has not moved for this long was cut off by a restart
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Error raised when an import cannot be started
+ */
+class ProductImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProductImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Public view of an import job row
+ */
+const formatImportJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  dryRun: job.dry_run,
+  fileName: job.file_name,
+  totalRows: job.total_rows,
+  totalProducts: job.total_products,
+  processedProducts: job.processed_products,
+  created: job.created_count,
+  updated: job.updated_count,
+  failed: job.failed_count,
+  errors: job.errors,
+  results: job.results,
+  failureReason: job.failure_reason,
+  startedAt: job.started_at,
+  finishedAt: job.finished_at,
+  createdAt: job.created_at
+});
+
+/**
+ * Read a CSV file into [{ row, values: { column: string } }]
+ * `row` is the line of the record in a spreadsheet (the header is row 1).
+ */
+const parseProductCsv = (buffer) => {
+  let records;
+  try {
+    records = parse(buffer, { bom: true, skip_empty_lines: true, trim: true });
+  } catch (error) {
+    throw new ProductImportError(`The file is not valid CSV: ${error.message}`);
+  }
+
+  const [header = [], ...lines] = records;
+  const columns = header.map(column => column.toLowerCase());
+
+  const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new ProductImportError(`Unknown columns: ${unknown.join(', ')}. Columns are: ${CSV_COLUMNS.join(', ')}`);
+  }
+
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new ProductImportError(`Missing columns: ${missing.join(', ')}`);
+  }
+
+  if (new Set(columns).size !== columns.length) {
+    throw new ProductImportError('A column is listed twice');
+  }
+
+  if (lines.length === 0) {
+    throw new ProductImportError('The file has no products');
+  }
+
+  if (lines.length > MAX_IMPORT_ROWS) {
+    throw new ProductImportError(`A file can have at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return lines.map((line, index) => {
+    const values = {};
+    for (const column of CSV_COLUMNS) {
+      const position = columns.indexOf(column);
+      const value = position === -1 ? '' : line[position];
+      // Undo the quote the export puts before formula-like text
+      values[column] = value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+    }
+    return { row: index + 2, values };
+  });
+};
+
+/**
+ * Check the rows of one product; returns { product, stock, matrix, errors }
+ * where errors is a Map of row => messages. matrix is null for a product
+ * without variants.
+ */
+const checkProductRows = (productSku, rows) => {
+  const errors = new Map();
+  const addError = (row, message) => {
+    errors.set(row, [...(errors.get(row) || []), message]);
+  };
+
+  const [first, ...others] = rows;
+  const fields = first.values;
+
+  for (const { row, values } of others) {
+    for (const field of PRODUCT_FIELDS) {
+      if (values[field] && values[field] !== fields[field]) {
+        addError(row, `${field} differs from row ${first.row}; leave it blank or repeat it`);
+      }
+    }
+  }
+
+  const product = {
+    sku: productSku,
+    name: fields.name,
+    description: fields.description,
+    category: fields.category,
+    price: fields.price,
+    status: fields.status
+  };
+
+  const hasVariants = rows.some(({ values }) => VARIANT_FIELDS.some(field => values[field]));
+
+  // 'flagged' is checked against the stored product later
+  const validation = validateProduct({
+    ...product,
+    stock: hasVariants ? undefined : fields.stock,
+    status: ['', 'flagged'].includes(fields.status) ? undefined : fields.status
+  });
+  validation.errors.forEach(message => addError(first.row, message));
+
+  if (!hasVariants) {
+    others.forEach(({ row }) => addError(
+      row,
+      `product_sku ${productSku} is already used by row ${first.row}; only products with options take several rows`
+    ));
+    return { product, stock: Number(fields.stock || 0), matrix: null, errors };
+  }
+
+  // Option names are given on the first row; other rows leave them blank or repeat them
+  const options = [];
+  for (let number = 1; number <= MAX_OPTIONS; number += 1) {
+    const name = fields[`option${number}_name`];
+    if (name) {
+      options.push({ number, name, values: [] });
+    }
+    for (const { row, values } of others) {
+      if (values[`option${number}_name`] && values[`option${number}_name`] !== name) {
+        addError(row, `option${number}_name differs from row ${first.row}; leave it blank or repeat it`);
+      }
+    }
+  }
+
+  const variants = rows.map(({ row, values }) => {
+    const selected = {};
+    for (let number = 1; number <= MAX_OPTIONS; number += 1) {
+      const value = values[`option${number}_value`];
+      const option = options.find(candidate => candidate.number === number);
+      if (!option) {
+        if (value) addError(row, `option${number}_value needs an option${number}_name on row ${first.row}`);
+        continue;
+      }
+      if (value && !option.values.includes(value)) {
+        option.values.push(value);
+      }
+      selected[option.name] = value;
+    }
+
+    return {
+      sku: values.variant_sku,
+      options: selected,
+      price: values.variant_price || null,
+      stock: values.stock || 0
+    };
+  });
+
+  const matrixValidation = validateVariantMatrix({
+    options: options.map(({ name, values }) => ({ name, values })),
+    variants
+  });
+  matrixValidation.variantErrors.forEach((messages, index) => {
+    messages.forEach(message => addError(rows[index].row, message));
+  });
+  matrixValidation.errors
+    .filter(message => !/^variants\[\d+\]: /.test(message))
+    .forEach(message => addError(first.row, message));
+
+  return { product, stock: 0, matrix: matrixValidation.matrix, errors };
+};
+
+/**
+ * Group parsed rows by product and check each group on its own
+ * Resolves to [{ productSku, rows, product, stock, matrix, errors }].
+ */
+const groupProductRows = (rows) => {
+  const bySku = new Map();
+  const groups = [];
+
+  for (const line of rows) {
+    const productSku = line.values.product_sku;
+    if (!productSku) {
+      groups.push({ productSku: null, rows: [line], errors: new Map([[line.row, ['product_sku is required']]]) });
+      continue;
+    }
+    if (!bySku.has(productSku)) {
+      bySku.set(productSku, []);
+    }
+    bySku.get(productSku).push(line);
+  }
+
+  for (const [productSku, lines] of bySku) {
+    groups.push({ productSku, rows: lines, ...checkProductRows(productSku, lines) });
+  }
+
+  // A variant SKU can only be used once in the vendor's catalog
+  const variantRows = new Map();
+  for (const group of groups) {
+    group.rows.forEach(({ row, values }) => {
+      const sku = values.variant_sku;
+      if (!sku || !group.matrix) return;
+      if (variantRows.has(sku) && variantRows.get(sku).group !== group) {
+        group.errors.set(row, [
+          ...(group.errors.get(row) || []),
+          `variant_sku ${sku} is already used by row ${variantRows.get(sku).row}`
+        ]);
+      } else if (!variantRows.has(sku)) {
+        variantRows.set(sku, { group, row });
+      }
+    });
+  }
+
+  return groups.sort((a, b) => a.rows[0].row - b.rows[0].row);
+};
+
+/**
+ * Rows of the vendor's products and variants with the given SKUs,
+ * fetched in chunks so long lists stay within URL limits
+ */
+const fetchBySku = async (table, columns, vendorId, skus) => {
+  const found = [];
+  for (let start = 0; start < skus.length; start += 200) {
+    const { data, error } = await supabaseAdmin
+      .from(table)
+      .select(columns)
+      .eq('vendor_id', vendorId)
+      .in('sku', skus.slice(start, start + 200));
+
+    if (error) {
+      throw error;
+    }
+    found.push(...(data || []));
+  }
+  return found;
+};
+
+/**
+ * Match groups to the vendor's products and add the errors that depend on
+ * what is stored: flagged products and variant SKUs of other products
+ */
+const matchExistingProducts = async (vendorId, groups) => {
+  const valid = groups.filter(group => group.productSku);
+
+  const products = await fetchBySku(
+    'products', 'id, sku, status, has_variants', vendorId, valid.map(group => group.productSku)
+  );
+  const variants = await fetchBySku(
+    'product_variants', 'product_id, sku', vendorId,
+    valid.flatMap(group => (group.matrix ? group.matrix.variants.map(variant => variant.sku) : []))
+  );
+
+  for (const group of valid) {
+    group.existing = products.find(product => product.sku === group.productSku) || null;
+    const first = group.rows[0];
+    const addError = (row, message) => group.errors.set(row, [...(group.errors.get(row) || []), message]);
+
+    const status = first.values.status;
+    if (group.existing?.status === 'flagged' && status && status !== 'flagged') {
+      addError(first.row, 'This product has been flagged by an administrator and its status cannot be changed');
+    } else if (status === 'flagged' && group.existing?.status !== 'flagged') {
+      addError(first.row, 'Status must be draft or published');
+    }
+
+    for (const [index, variant] of (group.matrix?.variants || []).entries()) {
+      const owner = variants.find(candidate => candidate.sku === variant.sku);
+      if (owner && owner.product_id !== group.existing?.id) {
+        addError(group.rows[index].row, `SKU ${variant.sku} is already used by another of your products`);
+      }
+    }
+  }
+};
+
+/**
+ * Create or update the product of a checked group; resolves to its id
+ */
+const saveProductGroup = async (vendorId, group) => {
+  const { product, existing, matrix } = group;
+  const fields = {
+    name: product.name.trim(),
+    description: product.description.trim(),
+    price: parseFloat(product.price),
+    category: product.category,
+    ...(!matrix && { stock: group.stock }),
+    updated_at: new Date().toISOString()
+  };
+
+  if (!existing) {
+    const { data: created, error } = await supabaseAdmin
+      .from('products')
+      .insert([{
+        ...fields,
+        id: uuidv4(),
+        vendor_id: vendorId,
+        sku: product.sku,
+        images: [],
+        stock: group.stock,
+        status: product.status || 'draft',
+        created_at: new Date().toISOString()
+      }])
+      .select('id')
+      .single();
+
+    if (error?.code === '23505') {
+      throw new ProductVariantError(`SKU ${product.sku} is already used by another of your products`, 409);
+    }
+    if (error) {
+      throw error;
+    }
+
+    if (matrix) {
+      try {
+        await saveVariantMatrix(vendorId, created.id, matrix);
+      } catch (variantError) {
+        await supabaseAdmin.from('products').delete().eq('id', created.id);
+        throw variantError;
+      }
+    }
+
+    return created.id;
+  }
+
+  // Products that had variants and are now listed without go back to one stock
+  if (matrix || existing.has_variants) {
+    await saveVariantMatrix(vendorId, existing.id, matrix || { options: [], variants: [] });
+  }
+
+  if (product.status && existing.status !== 'flagged') {
+    fields.status = product.status;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('products')
+    .update(fields)
+    .eq('id', existing.id)
+    .eq('vendor_id', vendorId);
+
+  if (error) {
+    throw error;
+  }
+
+  return existing.id;
+};
+
+const updateJob = async (jobId, data) => {
+  const { error } = await supabaseAdmin
+    .from('product_import_jobs')
+    .update({ ...data, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * Check and, unless it is a dry run, save the rows of a job
+ */
+const runImportJob = async (job, rows) => {
+  await updateJob(job.id, { status: 'running', started_at: new Date().toISOString() });
+
+  const groups = groupProductRows(rows);
+  await matchExistingProducts(job.vendor_id, groups);
+  await updateJob(job.id, { total_products: groups.length });
+
+  const counts = { created_count: 0, updated_count: 0, failed_count: 0 };
+  const results = [];
+
+  for (const [index, group] of groups.entries()) {
+    const result = {
+      productSku: group.productSku,
+      rows: group.rows.map(line => line.row),
+      action: group.existing ? 'update' : 'create',
+      productId: group.existing?.id || null
+    };
+
+    if (group.errors.size > 0) {
+      result.action = 'failed';
+    } else if (!job.dry_run) {
+      try {
+        result.productId = await saveProductGroup(job.vendor_id, group);
+        result.action = group.existing ? 'updated' : 'created';
+      } catch (error) {
+        if (!(error instanceof ProductVariantError)) {
+          console.error('Error importing product:', error);
+        }
+        group.errors.set(group.rows[0].row, [
+          error instanceof ProductVariantError ? error.message : 'The product could not be saved'
+        ]);
+        result.action = 'failed';
+      }
+    }
+
+    if (result.action === 'failed') counts.failed_count += 1;
+    else if (group.existing) counts.updated_count += 1;
+    else counts.created_count += 1;
+    results.push(result);
+
+    if ((index + 1) % PROGRESS_EVERY === 0) {
+      await updateJob(job.id, { processed_products: index + 1, ...counts });
+    }
+  }
+
+  const errors = groups
+    .flatMap(group => [...group.errors].map(([row, messages]) => ({ row, productSku: group.productSku, messages })))
+    .sort((a, b) => a.row - b.row);
+
+  await updateJob(job.id, {
+    status: 'completed',
+    processed_products: groups.length,
+    ...counts,
+    errors,
+    results,
+    finished_at: new Date().toISOString()
+  });
+};
+
+/**
+ * Mark the vendor's jobs cut off by a restart as failed
+ */
+const failStaleImportJobs = async (vendorId) => {
+  const { error } = await supabaseAdmin
+    .from('product_import_jobs')
+    .update({
+      status: 'failed',
+      failure_reason: 'The import was interrupted. Upload the file again.',
+      finished_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('vendor_id', vendorId)
+    .in('status', ['queued', 'running'])
+    .lt('updated_at', new Date(Date.now() - STALE_JOB_MS).toISOString());
+
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * Start importing an uploaded CSV file (multer file object)
+ * The file is read before answering so format problems are reported
+ * straight away; the rows are processed in the background. Resolves to
+ * the queued job.
+ */
+const startProductImport = async (vendorId, file, { dryRun = false } = {}) => {
+  if (!file) {
+    throw new ProductImportError('A CSV file is required');
+  }
+
+  const rows = parseProductCsv(file.buffer);
+
+  await failStaleImportJobs(vendorId);
+
+  const { data: job, error } = await supabaseAdmin
+    .from('product_import_jobs')
+    .insert([{
+      vendor_id: vendorId,
+      status: 'queued',
+      dry_run: dryRun,
+      file_name: sanitizeString(String(file.originalname || 'products.csv')).slice(0, 255),
+      total_rows: rows.length
+    }])
+    .select()
+    .single();
+
+  // Only one job per vendor can be queued or running
+  if (error?.code === '23505') {
+    throw new ProductImportError('Another import is still running. Wait for it to finish.', 409);
+  }
+  if (error) {
+    throw error;
+  }
+
+  setImmediate(() => {
+    runImportJob(job, rows).catch(async (jobError) => {
+      console.error('Product import job error:', jobError);
+      await updateJob(job.id, {
+        status: 'failed',
+        failure_reason: 'The import stopped unexpectedly. Products already saved are kept.',
+        finished_at: new Date().toISOString()
+      }).catch(updateError => console.error('Error marking import job as failed:', updateError));
+    });
+  });
+
+  return job;
+};
+
+/**
+ * Import jobs of a vendor, newest first (without their errors and results)
+ */
+const listImportJobs = async (vendorId, { page = 1, limit = 20 } = {}) => {
+  await failStaleImportJobs(vendorId);
+
+  const offset = (page - 1) * limit;
+  const { data: jobs, error, count } = await supabaseAdmin
+    .from('product_import_jobs')
+    .select(`
+      id, status, dry_run, file_name, total_rows, total_products, processed_products,
+      created_count, updated_count, failed_count, failure_reason, started_at, finished_at, created_at
+    `, { count: 'exact' })
+    .eq('vendor_id', vendorId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return { jobs: (jobs || []).map(formatImportJob), total: count || 0 };
+};
+
+/**
+ * Fetch an import job of a vendor, or null
+ */
+const fetchImportJob = async (vendorId, jobId) => {
+  await failStaleImportJobs(vendorId);
+
+  const { data: job, error } = await supabaseAdmin
+    .from('product_import_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return job;
+};
+
+// Quote text a spreadsheet would run as a formula; the import removes the quote
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+const formatPrice = (price) => (price === null || price === undefined ? '' : Number(price).toFixed(2));
+
+/**
+ * Rows of one product in CSV_COLUMNS order
+ */
+const productCsvRows = (product) => {
+  const base = {
+    product_sku: product.sku || '',
+    name: escapeCell(product.name),
+    description: escapeCell(product.description),
+    category: escapeCell(product.category),
+    price: formatPrice(product.price),
+    status: product.status
+  };
+
+  const variants = product.has_variants
+    ? [...(product.variants || [])].sort((a, b) => a.position - b.position)
+    : [];
+  if (variants.length === 0) {
+    return [{ ...base, stock: product.stock ?? 0 }];
+  }
+
+  const options = [...(product.options || [])].sort((a, b) => a.position - b.position);
+  return variants.map(variant => {
+    const row = {
+      ...base,
+      stock: variant.stock,
+      variant_sku: variant.sku,
+      variant_price: formatPrice(variant.price)
+    };
+    options.forEach((option, index) => {
+      row[`option${index + 1}_name`] = escapeCell(option.name);
+      row[`option${index + 1}_value`] = escapeCell(variant.options?.[option.name]);
+    });
+    return row;
+  });
+};
+
+/**
+ * The vendor's catalog as a CSV string the import accepts back
+ * Products without a SKU are listed with an empty product_sku.
+ */
+const exportProductCsv = async (vendorId) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const { data: products, error } = await supabaseAdmin
+      .from('products')
+      .select(`
+        id, sku, name, description, category, price, status, stock, has_variants,
+        options:product_options(name, position, values),
+        variants:product_variants(sku, options, price, stock, position)
+      `)
+      .eq('vendor_id', vendorId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    (products || []).forEach(product => rows.push(...productCsvRows(product)));
+
+    if (!products || products.length < EXPORT_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return stringify(rows, { header: true, columns: CSV_COLUMNS });
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  MAX_IMPORT_FILE_BYTES,
+  MAX_IMPORT_ROWS,
+  ProductImportError,
+  formatImportJob,
+  parseProductCsv,
+  groupProductRows,
+  startProductImport,
+  listImportJobs,
+  fetchImportJob,
+  exportProductCsv
+};
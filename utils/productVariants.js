@@ -0,0 +1,301 @@
+const validator = require('validator');
+const { supabaseAdmin } = require('../config/supabase');
+const { formatProductImage } = require('./productImages');
+const { isValidSku } = require('./validation');
+
+/**
+ * Product variants
+ * A product can be sold in several variants: it declares option types
+ * (e.g. Size: S, M, L and Colour: Red, Blue) and lists the combinations it
+ * is sold in, each with its own SKU, stock, images and optionally a price
+ * overriding the product's. Products without options are bought as they
+ * are. The stock of a product with variants is the sum of theirs.
+ */
+
+const MAX_OPTIONS = 3;
+const MAX_OPTION_VALUES = 50;
+const MAX_VARIANTS = 100;
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Error raised when the variants of a product cannot be saved
+ */
+class ProductVariantError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProductVariantError';
+    this.statusCode = statusCode;
+  }
+}
+
+const cleanName = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate the option types of a product; returns the cleaned options
+ */
+const validateOptions = (options, errors) => {
+  if (!Array.isArray(options) || options.length > MAX_OPTIONS) {
+    errors.push(`options must be a list of at most ${MAX_OPTIONS} option types`);
+    return [];
+  }
+
+  const cleaned = [];
+  const names = new Set();
+
+  options.forEach((option, index) => {
+    const name = cleanName(option?.name);
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.push(`options[${index}].name must be 1 to ${MAX_NAME_LENGTH} characters`);
+      return;
+    }
+    if (names.has(name.toLowerCase())) {
+      errors.push(`Option "${name}" is listed twice`);
+      return;
+    }
+    names.add(name.toLowerCase());
+
+    const values = Array.isArray(option.values) ? option.values.map(cleanName) : [];
+    if (values.length === 0 || values.length > MAX_OPTION_VALUES ||
+      values.some(value => !value || value.length > MAX_NAME_LENGTH)) {
+      errors.push(`Option "${name}" needs 1 to ${MAX_OPTION_VALUES} values of 1 to ${MAX_NAME_LENGTH} characters`);
+      return;
+    }
+    if (new Set(values).size !== values.length) {
+      errors.push(`Option "${name}" has duplicate values`);
+      return;
+    }
+
+    cleaned.push({ name, values });
+  });
+
+  return cleaned;
+};
+
+/**
+ * Validate one variant against the options; returns the cleaned variant
+ * Problems are added to `errors` without saying which variant they are of.
+ */
+const validateVariant = (variant, options, errors) => {
+  const sku = cleanName(variant?.sku);
+
+  if (!isValidSku(sku)) {
+    errors.push('sku must be 1 to 64 letters, digits, dots, dashes or underscores');
+  }
+
+  const selected = variant?.options && typeof variant.options === 'object' && !Array.isArray(variant.options)
+    ? variant.options
+    : {};
+  const cleanedOptions = {};
+  for (const option of options) {
+    const value = cleanName(selected[option.name]);
+    if (!option.values.includes(value)) {
+      errors.push(`${option.name} must be one of: ${option.values.join(', ')}`);
+    }
+    cleanedOptions[option.name] = value;
+  }
+  if (Object.keys(selected).some(name => !options.some(option => option.name === name))) {
+    errors.push('options has names that are not declared on the product');
+  }
+
+  let price = null;
+  if (variant?.price !== undefined && variant?.price !== null && variant?.price !== '') {
+    price = Number(variant.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      errors.push('price must be a positive number');
+    }
+  }
+
+  const stock = variant?.stock === undefined ? 0 : Number(variant.stock);
+  if (!Number.isInteger(stock) || stock < 0) {
+    errors.push('stock must be a whole number of at least 0');
+  }
+
+  // Left out, the variant keeps the images it has
+  const { imageIds } = variant || {};
+  if (imageIds !== undefined &&
+    (!Array.isArray(imageIds) || imageIds.some(id => typeof id !== 'string' || !validator.isUUID(id)))) {
+    errors.push('imageIds must be a list of image ids');
+  }
+
+  return {
+    sku,
+    options: cleanedOptions,
+    price: Number.isFinite(price) ? Math.round(price * 100) / 100 : null,
+    stock,
+    ...(Array.isArray(imageIds) && { imageIds })
+  };
+};
+
+/**
+ * Validate a variant matrix: { options: [{ name, values }], variants: [{
+ * sku, options: { name: value }, price, stock, imageIds }] }
+ * Empty lists turn the product back into one without variants. Returns
+ * { isValid, errors, matrix, variantErrors } where matrix holds the cleaned
+ * values and variantErrors[i] the problems of variants[i] (they are also in
+ * errors, prefixed with "variants[i]: ").
+ */
+const validateVariantMatrix = ({ options, variants }) => {
+  const errors = [];
+  const matrix = { options: [], variants: [] };
+
+  if (options === undefined || variants === undefined) {
+    return { isValid: false, errors: ['options and variants must be sent together'], matrix, variantErrors: [] };
+  }
+
+  matrix.options = validateOptions(options, errors);
+
+  if (!Array.isArray(variants) || variants.length > MAX_VARIANTS) {
+    errors.push(`variants must be a list of at most ${MAX_VARIANTS} variants`);
+    return { isValid: false, errors, matrix, variantErrors: [] };
+  }
+
+  if ((matrix.options.length === 0) !== (variants.length === 0)) {
+    errors.push('A product with options needs at least one variant, and variants need options');
+  }
+
+  const variantErrors = variants.map(() => []);
+  matrix.variants = variants.map((variant, index) => validateVariant(variant, matrix.options, variantErrors[index]));
+
+  const skus = new Set();
+  const combinations = new Set();
+  const imageIds = new Set();
+  matrix.variants.forEach((variant, index) => {
+    if (skus.has(variant.sku)) {
+      variantErrors[index].push(`SKU ${variant.sku} is used by more than one variant`);
+    }
+    skus.add(variant.sku);
+
+    const combination = JSON.stringify(matrix.options.map(option => variant.options[option.name]));
+    if (matrix.options.length > 0 && combinations.has(combination)) {
+      variantErrors[index].push(`More than one variant has the options ${Object.values(variant.options).join(' / ')}`);
+    }
+    combinations.add(combination);
+
+    for (const imageId of variant.imageIds || []) {
+      if (imageIds.has(imageId)) {
+        variantErrors[index].push(`Image ${imageId} is given to more than one variant`);
+      }
+      imageIds.add(imageId);
+    }
+  });
+
+  variantErrors.forEach((messages, index) => {
+    errors.push(...messages.map(message => `variants[${index}]: ${message}`));
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    matrix,
+    variantErrors
+  };
+};
+
+/**
+ * Save a validated matrix as the options and variants of a vendor's product
+ */
+const saveVariantMatrix = async (vendorId, productId, matrix) => {
+  const imageIds = matrix.variants.flatMap(variant => variant.imageIds || []);
+  if (imageIds.length > 0) {
+    const { data: images, error: imagesError } = await supabaseAdmin
+      .from('product_images')
+      .select('id')
+      .eq('product_id', productId)
+      .in('id', imageIds);
+
+    if (imagesError) {
+      throw imagesError;
+    }
+
+    if ((images || []).length !== imageIds.length) {
+      throw new ProductVariantError('Variant images must be images of this product');
+    }
+  }
+
+  const { error } = await supabaseAdmin.rpc('save_product_variants', {
+    p_product_id: productId,
+    p_vendor_id: vendorId,
+    p_options: matrix.options,
+    p_variants: matrix.variants
+  });
+
+  if (error) {
+    const [code, sku] = (error.message || '').split(':');
+    if (code === 'SKU_TAKEN') {
+      throw new ProductVariantError(`SKU ${sku} is already used by another of your products`, 409);
+    }
+    if (code === 'PRODUCT_NOT_FOUND') {
+      throw new ProductVariantError('Product not found or access denied', 404);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Public view of a variant row; `product` gives the price when the
+ * variant does not override it
+ */
+const formatVariant = (variant, product, images = []) => ({
+  id: variant.id,
+  sku: variant.sku,
+  options: variant.options,
+  price: variant.price !== null ? parseFloat(variant.price) : parseFloat(product.price),
+  priceOverride: variant.price !== null ? parseFloat(variant.price) : null,
+  stock: variant.stock,
+  images: images.map(formatProductImage)
+});
+
+/**
+ * Options and variants of a product: { options, variants }
+ */
+const getVariantMatrix = async (product) => {
+  if (!product.has_variants) {
+    return { options: [], variants: [] };
+  }
+
+  const [
+    { data: options, error: optionsError },
+    { data: variants, error: variantsError },
+    { data: images, error: imagesError }
+  ] = await Promise.all([
+    supabaseAdmin
+      .from('product_options')
+      .select('name, position, values')
+      .eq('product_id', product.id)
+      .order('position', { ascending: true }),
+    supabaseAdmin
+      .from('product_variants')
+      .select('*')
+      .eq('product_id', product.id)
+      .order('position', { ascending: true }),
+    supabaseAdmin
+      .from('product_images')
+      .select('*')
+      .eq('product_id', product.id)
+      .not('variant_id', 'is', null)
+      .order('position', { ascending: true })
+  ]);
+
+  if (optionsError || variantsError || imagesError) {
+    throw optionsError || variantsError || imagesError;
+  }
+
+  return {
+    options: (options || []).map(option => ({ name: option.name, values: option.values })),
+    variants: (variants || []).map(variant => formatVariant(
+      variant,
+      product,
+      (images || []).filter(image => image.variant_id === variant.id)
+    ))
+  };
+};
+
+module.exports = {
+  MAX_OPTIONS,
+  MAX_VARIANTS,
+  ProductVariantError,
+  validateVariantMatrix,
+  saveVariantMatrix,
+  formatVariant,
+  getVariantMatrix
+};
@@ -0,0 +1,459 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { isValidURL, sanitizeString } = require('./validation');
+const { roundMoney } = require('./cart');
+const { OrderTransitionError, transitionOrderStatus } = require('./orders');
+const {
+  PaymentError,
+  fetchRefundablePayment,
+  refundOrderPayment,
+  recordManualRefund
+} = require('./payments');
+
+/**
+ * Returns (RMA) workflow
+ * Customers open a return request per order item, the vendor approves or
+ * rejects it and an approval refunds the customer through the payment layer.
+ * Admins can resolve escalated requests, overriding a vendor rejection, and
+ * settle refunds left pending (retry, or record one made by hand).
+ */
+
+const RETURN_WINDOW_DAYS = 14;
+const MAX_RETURN_PHOTOS = 5;
+const MAX_TEXT_LENGTH = 1000;
+const RETURNABLE_ORDER_STATUSES = ['delivered', 'completed'];
+
+// Requests that count against the quantity still returnable
+const ACTIVE_RETURN_STATUSES = ['requested', 'refund_pending', 'refunded'];
+
+// Statuses each actor type may resolve a request from
+const RESOLVABLE_STATUSES = {
+  vendor: ['requested'],
+  admin: ['requested', 'rejected']
+};
+
+const RETURN_REQUEST_FIELDS = `
+  *,
+  order_item:order_items (
+    id, quantity, price,
+    product:products (id, name, images)
+  ),
+  order:orders (id, status, total_amount, refunded_amount, payment_status)
+`;
+
+/**
+ * Error raised when a return request cannot be created or resolved
+ */
+class ReturnRequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReturnRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validate return request data
+ */
+const validateReturnRequest = (data) => {
+  const errors = [];
+
+  if (!data.orderItemId) {
+    errors.push('Order item ID is required');
+  }
+
+  if (!Number.isInteger(data.quantity) || data.quantity < 1) {
+    errors.push('Quantity must be a positive whole number');
+  }
+
+  if (!data.reason || typeof data.reason !== 'string' || data.reason.trim().length < 10) {
+    errors.push('Please describe the reason for the return (at least 10 characters)');
+  }
+
+  if (data.photos !== undefined) {
+    if (!Array.isArray(data.photos) || data.photos.length > MAX_RETURN_PHOTOS) {
+      errors.push(`Photos must be a list of at most ${MAX_RETURN_PHOTOS} image URLs`);
+    } else if (data.photos.some(photo => typeof photo !== 'string' || !photo || !isValidURL(photo))) {
+      errors.push('Invalid photo URL');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * When an order was delivered, from its status history
+ */
+const getDeliveredAt = async (order) => {
+  const { data: entry } = await supabaseAdmin
+    .from('order_status_history')
+    .select('created_at')
+    .eq('order_id', order.id)
+    .eq('to_status', 'delivered')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return new Date(entry?.created_at || order.updated_at);
+};
+
+/**
+ * Fetch a return request with its item and order
+ */
+const fetchReturnRequest = async (returnId, { customerId, vendorId } = {}) => {
+  let query = supabaseAdmin
+    .from('return_requests')
+    .select(RETURN_REQUEST_FIELDS)
+    .eq('id', returnId);
+
+  if (customerId) query = query.eq('customer_id', customerId);
+  if (vendorId) query = query.eq('vendor_id', vendorId);
+
+  const { data: returnRequest, error } = await query.maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return returnRequest;
+};
+
+/**
+ * Open a return request for an item of a delivered order
+ */
+const createReturnRequest = async (customerId, orderId, { orderItemId, quantity, reason, photos = [] }) => {
+  const { data: order, error } = await supabaseAdmin
+    .from('orders')
+    .select('id, status, vendor_id, updated_at, order_items (id, quantity, price)')
+    .eq('id', orderId)
+    .eq('customer_id', customerId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!order) {
+    throw new ReturnRequestError('Order not found', 404);
+  }
+
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new ReturnRequestError('Only delivered orders can be returned', 409);
+  }
+
+  const deliveredAt = await getDeliveredAt(order);
+  if (Date.now() - deliveredAt.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ReturnRequestError(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`, 409);
+  }
+
+  const item = order.order_items.find(orderItem => orderItem.id === orderItemId);
+  if (!item) {
+    throw new ReturnRequestError('Item not found in this order', 404);
+  }
+
+  const { data: previousReturns, error: previousError } = await supabaseAdmin
+    .from('return_requests')
+    .select('quantity')
+    .eq('order_item_id', item.id)
+    .in('status', ACTIVE_RETURN_STATUSES);
+
+  if (previousError) {
+    throw previousError;
+  }
+
+  const alreadyReturned = (previousReturns || []).reduce((sum, previous) => sum + previous.quantity, 0);
+  const returnable = item.quantity - alreadyReturned;
+
+  if (quantity > returnable) {
+    throw new ReturnRequestError(returnable > 0
+      ? `Only ${returnable} of this item can still be returned`
+      : 'This item has already been returned', 409);
+  }
+
+  const { data: returnRequest, error: insertError } = await supabaseAdmin
+    .from('return_requests')
+    .insert([{
+      order_id: order.id,
+      order_item_id: item.id,
+      customer_id: customerId,
+      vendor_id: order.vendor_id,
+      quantity,
+      reason: sanitizeString(reason).slice(0, MAX_TEXT_LENGTH),
+      photos
+    }])
+    .select(RETURN_REQUEST_FIELDS)
+    .single();
+
+  if (insertError) {
+    if (insertError.code === '23505') {
+      throw new ReturnRequestError('A return request is already open for this item', 409);
+    }
+    throw insertError;
+  }
+
+  return returnRequest;
+};
+
+/**
+ * Move a request to a new state if it is still in the one it was read in
+ */
+const updateReturnRequest = async (returnRequest, fields) => {
+  const { data: updated, error } = await supabaseAdmin
+    .from('return_requests')
+    .update(fields)
+    .eq('id', returnRequest.id)
+    .eq('status', returnRequest.status)
+    .select(RETURN_REQUEST_FIELDS)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!updated) {
+    throw new ReturnRequestError('Return request has changed, please reload it and try again', 409);
+  }
+
+  return updated;
+};
+
+/**
+ * Mark an approved request refunded and move an order refunded in full to
+ * 'refunded'
+ */
+const completeReturnRefund = async (approved, refund) => {
+  const refunded = await updateReturnRequest(approved, {
+    status: 'refunded',
+    refund_reference: refund.refundReference
+  });
+
+  if (refund.payment.status === 'refunded') {
+    try {
+      await transitionOrderStatus(refunded.order, 'refunded', {
+        actorType: 'system',
+        note: 'Order refunded in full after returns'
+      });
+    } catch (transitionError) {
+      if (!(transitionError instanceof OrderTransitionError)) {
+        throw transitionError;
+      }
+    }
+  }
+
+  return refunded;
+};
+
+/**
+ * Approve or reject a return request as a vendor or admin
+ *
+ * Approving refunds `refundAmount` (by default the full price of the returned
+ * items) through the payment layer. When the provider cannot refund
+ * automatically the request stays 'refund_pending' until an admin settles
+ * it; when the refund is refused before reaching the provider the request
+ * goes back to its previous status. An order refunded in full moves to
+ * 'refunded'. Resolves to { returnRequest, refund }.
+ */
+const resolveReturnRequest = async (returnRequest, { approve, refundAmount, note, actorType, actorId }) => {
+  if (!(RESOLVABLE_STATUSES[actorType] || []).includes(returnRequest.status)) {
+    throw new ReturnRequestError(`Return requests that are ${returnRequest.status} cannot be resolved`, 409);
+  }
+
+  const resolution = {
+    resolution_note: note ? sanitizeString(String(note)).slice(0, MAX_TEXT_LENGTH) : null,
+    resolved_by_type: actorType,
+    resolved_by_id: actorId ? String(actorId) : null,
+    resolved_at: new Date().toISOString()
+  };
+
+  if (!approve) {
+    if (!resolution.resolution_note) {
+      throw new ReturnRequestError('A note explaining the rejection is required');
+    }
+
+    const rejected = await updateReturnRequest(returnRequest, { ...resolution, status: 'rejected' });
+    return { returnRequest: rejected, refund: null };
+  }
+
+  const maxRefund = roundMoney(parseFloat(returnRequest.order_item.price) * returnRequest.quantity);
+  const amount = refundAmount === undefined || refundAmount === null ? maxRefund : roundMoney(Number(refundAmount));
+
+  if (!Number.isFinite(amount) || amount <= 0 || amount > maxRefund) {
+    throw new ReturnRequestError(`Refund amount must be between 0 and ${maxRefund}`);
+  }
+
+  const orderRefundable = roundMoney(parseFloat(returnRequest.order.total_amount) - parseFloat(returnRequest.order.refunded_amount || 0));
+  if (amount > orderRefundable) {
+    throw new ReturnRequestError(`Only ${orderRefundable} of this order can still be refunded`, 409);
+  }
+
+  const paid = await fetchRefundablePayment(returnRequest.order);
+  if (!paid) {
+    throw new ReturnRequestError('This order has no paid payment to refund', 409);
+  }
+
+  if (amount > paid.refundable) {
+    throw new ReturnRequestError(`Only ${paid.refundable} of this payment can still be refunded`, 409);
+  }
+
+  // Claim the request before refunding so it cannot be refunded twice
+  const approved = await updateReturnRequest(returnRequest, {
+    ...resolution,
+    status: 'refund_pending',
+    refund_amount: amount
+  });
+
+  let refund;
+  try {
+    refund = await refundOrderPayment(returnRequest.order, {
+      amount,
+      reason: `Return ${returnRequest.id}`
+    });
+  } catch (refundError) {
+    // PaymentErrors are raised before the provider is called; after any
+    // other error the money may have moved, so the request stays claimed
+    if (refundError instanceof PaymentError) {
+      await releaseReturnRequest(approved, returnRequest);
+    }
+    throw refundError;
+  }
+
+  // The payment was refunded elsewhere since it was checked
+  if (!refund) {
+    await releaseReturnRequest(approved, returnRequest);
+    throw new ReturnRequestError('This order has no paid payment to refund', 409);
+  }
+
+  if (refund.status !== 'refunded') {
+    console.warn(`Return ${returnRequest.id} approved but needs a manual refund: ${refund.reason}`);
+    return { returnRequest: approved, refund };
+  }
+
+  return { returnRequest: await completeReturnRefund(approved, refund), refund };
+};
+
+/**
+ * Put a claimed request back as it was before a refund that failed
+ */
+const releaseReturnRequest = async (approved, previous) => {
+  try {
+    await updateReturnRequest(approved, {
+      status: previous.status,
+      resolution_note: previous.resolution_note ?? null,
+      resolved_by_type: previous.resolved_by_type ?? null,
+      resolved_by_id: previous.resolved_by_id ?? null,
+      resolved_at: previous.resolved_at ?? null,
+      refund_amount: previous.refund_amount ?? null
+    });
+  } catch (releaseError) {
+    console.error(`Return ${approved.id} left refund_pending after a failed refund:`, releaseError);
+  }
+};
+
+/**
+ * Settle the refund of a request left 'refund_pending', as an admin
+ *
+ * Without `reference` the refund is retried through the provider and the
+ * request stays pending if it still cannot go through. With `reference`
+ * (of a transfer made by hand) the refund is recorded as done. Either way a
+ * payment with nothing left to refund is refused with a 409. Resolves to
+ * { returnRequest, refund }.
+ */
+const settleReturnRefund = async (returnRequest, { reference = null } = {}) => {
+  if (returnRequest.status !== 'refund_pending') {
+    throw new ReturnRequestError(`Return requests that are ${returnRequest.status} have no refund to settle`, 409);
+  }
+
+  const amount = parseFloat(returnRequest.refund_amount);
+
+  if (!reference) {
+    const refund = await refundOrderPayment(returnRequest.order, {
+      amount,
+      reason: `Return ${returnRequest.id}`
+    });
+
+    if (!refund) {
+      throw new ReturnRequestError('This order has no paid payment left; record the refund made by hand with a reference', 409);
+    }
+
+    if (refund.status !== 'refunded') {
+      return { returnRequest, refund };
+    }
+
+    return { returnRequest: await completeReturnRefund(returnRequest, refund), refund };
+  }
+
+  const cleanReference = sanitizeString(String(reference)).slice(0, 255);
+  const refund = await recordManualRefund(returnRequest.order, { amount, reference: cleanReference });
+
+  // Nothing left on the payment: there is no refund to record
+  if (!refund) {
+    throw new ReturnRequestError('This order has no paid payment left to refund; check the refunds already recorded on it', 409);
+  }
+
+  return { returnRequest: await completeReturnRefund(returnRequest, refund), refund };
+};
+
+/**
+ * Escalate a request to the marketplace team
+ */
+const escalateReturnRequest = async (returnRequest, reason) => {
+  if (returnRequest.escalated) {
+    throw new ReturnRequestError('Return request has already been escalated', 409);
+  }
+
+  if (!['requested', 'rejected'].includes(returnRequest.status)) {
+    throw new ReturnRequestError(`Return requests that are ${returnRequest.status} cannot be escalated`, 409);
+  }
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    throw new ReturnRequestError('Please explain why you are escalating this return');
+  }
+
+  return updateReturnRequest(returnRequest, {
+    escalated: true,
+    escalation_reason: sanitizeString(reason).slice(0, MAX_TEXT_LENGTH),
+    escalated_at: new Date().toISOString()
+  });
+};
+
+/**
+ * Public view of a return request row
+ */
+const formatReturnRequest = (returnRequest) => ({
+  id: returnRequest.id,
+  orderId: returnRequest.order_id,
+  orderItemId: returnRequest.order_item_id,
+  product: returnRequest.order_item?.product ? {
+    id: returnRequest.order_item.product.id,
+    name: returnRequest.order_item.product.name,
+    image: returnRequest.order_item.product.images?.[0] || null
+  } : null,
+  quantity: returnRequest.quantity,
+  unitPrice: returnRequest.order_item ? parseFloat(returnRequest.order_item.price) : null,
+  reason: returnRequest.reason,
+  photos: returnRequest.photos || [],
+  status: returnRequest.status,
+  refundAmount: returnRequest.refund_amount !== null ? parseFloat(returnRequest.refund_amount) : null,
+  resolutionNote: returnRequest.resolution_note,
+  resolvedBy: returnRequest.resolved_by_type,
+  resolvedAt: returnRequest.resolved_at,
+  escalated: returnRequest.escalated,
+  escalationReason: returnRequest.escalation_reason,
+  createdAt: returnRequest.created_at
+});
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  MAX_RETURN_PHOTOS,
+  RETURN_REQUEST_FIELDS,
+  ReturnRequestError,
+  validateReturnRequest,
+  fetchReturnRequest,
+  createReturnRequest,
+  resolveReturnRequest,
+  settleReturnRefund,
+  escalateReturnRequest,
+  formatReturnRequest
+};
@@ -0,0 +1,235 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { isValidURL, sanitizeString } = require('./validation');
+
+/**
+ * Product reviews
+ * Customers review the products of their delivered order items, once per
+ * item. products.rating and review_count are kept in sync by a database
+ * trigger over the visible reviews.
+ */
+
+const MAX_REVIEW_PHOTOS = 5;
+const MAX_TITLE_LENGTH = 150;
+const MAX_BODY_LENGTH = 2000;
+const REVIEWABLE_ORDER_STATUSES = ['delivered', 'completed'];
+
+/**
+ * Supported review sort options mapped to [column, ascending]
+ */
+const REVIEW_SORT_OPTIONS = {
+  newest: ['created_at', false],
+  oldest: ['created_at', true],
+  highest: ['rating', false],
+  lowest: ['rating', true]
+};
+
+const REVIEW_FIELDS = `
+  *,
+  customer:customers (first_name, last_name),
+  product:products (id, name, images)
+`;
+
+/**
+ * Error raised when a review cannot be written or changed
+ */
+class ReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validate review data; `partial` validates only the fields present
+ */
+const validateReview = (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || data.rating !== undefined) {
+    if (!Number.isInteger(data.rating) || data.rating < 1 || data.rating > 5) {
+      errors.push('Rating must be a whole number between 1 and 5');
+    }
+  }
+
+  if (data.title !== undefined && data.title !== null &&
+      (typeof data.title !== 'string' || data.title.trim().length > MAX_TITLE_LENGTH)) {
+    errors.push(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  if (data.body !== undefined && data.body !== null &&
+      (typeof data.body !== 'string' || data.body.trim().length > MAX_BODY_LENGTH)) {
+    errors.push(`Review text must be at most ${MAX_BODY_LENGTH} characters`);
+  }
+
+  if (data.photos !== undefined) {
+    if (!Array.isArray(data.photos) || data.photos.length > MAX_REVIEW_PHOTOS) {
+      errors.push(`Photos must be a list of at most ${MAX_REVIEW_PHOTOS} image URLs`);
+    } else if (data.photos.some(photo => typeof photo !== 'string' || !photo || !isValidURL(photo))) {
+      errors.push('Invalid photo URL');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Review columns from request data (only the fields present)
+ */
+const toReviewFields = (data) => ({
+  ...(data.rating !== undefined && { rating: data.rating }),
+  ...(data.title !== undefined && { title: data.title ? sanitizeString(data.title) : null }),
+  ...(data.body !== undefined && { body: data.body ? sanitizeString(data.body) : null }),
+  ...(data.photos !== undefined && { photos: data.photos })
+});
+
+/**
+ * Review a product the customer received
+ */
+const createReview = async (customerId, data) => {
+  const { data: item, error } = await supabaseAdmin
+    .from('order_items')
+    .select('id, product_id, order:orders!inner (customer_id, vendor_id, status)')
+    .eq('id', data.orderItemId)
+    .eq('order.customer_id', customerId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!item) {
+    throw new ReviewError('Order item not found', 404);
+  }
+
+  if (!REVIEWABLE_ORDER_STATUSES.includes(item.order.status)) {
+    throw new ReviewError('You can review a product once your order has been delivered', 409);
+  }
+
+  const { data: review, error: insertError } = await supabaseAdmin
+    .from('reviews')
+    .insert([{
+      product_id: item.product_id,
+      order_item_id: item.id,
+      customer_id: customerId,
+      vendor_id: item.order.vendor_id,
+      ...toReviewFields(data)
+    }])
+    .select(REVIEW_FIELDS)
+    .single();
+
+  if (insertError) {
+    if (insertError.code === '23505') {
+      throw new ReviewError('You have already reviewed this item', 409);
+    }
+    throw insertError;
+  }
+
+  return review;
+};
+
+/**
+ * Update a review with the given columns
+ */
+const updateReview = async (reviewId, fields) => {
+  const { data: review, error } = await supabaseAdmin
+    .from('reviews')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', reviewId)
+    .select(REVIEW_FIELDS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return review;
+};
+
+/**
+ * Fetch a review, optionally restricted to its customer or vendor
+ */
+const fetchReview = async (reviewId, { customerId, vendorId } = {}) => {
+  let query = supabaseAdmin
+    .from('reviews')
+    .select(REVIEW_FIELDS)
+    .eq('id', reviewId);
+
+  if (customerId) query = query.eq('customer_id', customerId);
+  if (vendorId) query = query.eq('vendor_id', vendorId);
+
+  const { data: review, error } = await query.maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return review;
+};
+
+/**
+ * Number of visible reviews of a product per star rating
+ */
+const getRatingDistribution = async (productId) => {
+  const { data: ratings, error } = await supabaseAdmin
+    .from('reviews')
+    .select('rating')
+    .eq('product_id', productId)
+    .eq('hidden', false);
+
+  if (error) {
+    throw error;
+  }
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const { rating } of ratings || []) {
+    distribution[rating] += 1;
+  }
+  return distribution;
+};
+
+/**
+ * View of a review. Shoppers only see the reviewer's first name and
+ * initial; `moderation` adds the hidden state for vendors and admins.
+ */
+const formatReview = (review, { moderation = false } = {}) => ({
+  id: review.id,
+  productId: review.product_id,
+  product: review.product ? { id: review.product.id, name: review.product.name } : undefined,
+  rating: review.rating,
+  title: review.title,
+  body: review.body,
+  photos: review.photos || [],
+  author: review.customer
+    ? `${review.customer.first_name} ${(review.customer.last_name || '').charAt(0)}.`.trim()
+    : null,
+  vendorReply: review.vendor_reply ? {
+    body: review.vendor_reply,
+    repliedAt: review.vendor_replied_at
+  } : null,
+  ...(moderation && {
+    hidden: review.hidden,
+    hiddenReason: review.hidden_reason,
+    hiddenAt: review.hidden_at
+  }),
+  createdAt: review.created_at,
+  updatedAt: review.updated_at
+});
+
+module.exports = {
+  MAX_REVIEW_PHOTOS,
+  MAX_BODY_LENGTH,
+  REVIEW_SORT_OPTIONS,
+  REVIEW_FIELDS,
+  ReviewError,
+  validateReview,
+  toReviewFields,
+  createReview,
+  updateReview,
+  fetchReview,
+  getRatingDistribution,
+  formatReview
+};
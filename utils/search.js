@@ -0,0 +1,79 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Product search utility functions
+ * Wraps the search_products() database function (see database/schema.sql)
+ */
+
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Validate a search query string
+ */
+const isValidSearchQuery = (query) => {
+  return typeof query === 'string' &&
+    query.trim().length > 0 &&
+    query.trim().length <= MAX_QUERY_LENGTH;
+};
+
+/**
+ * Search products by relevance
+ *
+ * Matching is accent-insensitive, prefix based (for autocomplete) and
+ * tolerant to typos. Returns the matching product rows, selected with
+ * `select`, in relevance order together with the total number of matches.
+ */
+const searchProducts = async ({
+  query,
+  publishedOnly = true,
+  status = null,
+  category = null,
+  vendorId = null,
+  limit = 20,
+  offset = 0,
+  select = '*'
+}) => {
+  const { data: hits, error } = await supabaseAdmin.rpc('search_products', {
+    p_query: query.trim(),
+    p_published_only: publishedOnly,
+    p_status: status,
+    p_category: category,
+    p_vendor_id: vendorId,
+    p_limit: limit,
+    p_offset: offset
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  if (!hits || hits.length === 0) {
+    return { products: [], total: 0 };
+  }
+
+  const { data: products, error: productsError } = await supabaseAdmin
+    .from('products')
+    .select(select)
+    .in('id', hits.map(hit => hit.product_id));
+
+  if (productsError) {
+    throw productsError;
+  }
+
+  // Restore relevance order, which the IN query does not preserve
+  const productsById = new Map(products.map(product => [product.id, product]));
+  const ranked = hits
+    .filter(hit => productsById.has(hit.product_id))
+    .map(hit => ({ ...productsById.get(hit.product_id), relevance: hit.rank }));
+
+  return {
+    products: ranked,
+    total: Number(hits[0].total_count)
+  };
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  isValidSearchQuery,
+  searchProducts
+};
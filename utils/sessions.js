@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Login sessions
+ * A login opens a session and returns a short-lived JWT access token bound
+ * to it plus an opaque refresh token. Refresh tokens rotate on every use and
+ * only their SHA-256 hash is stored; presenting a refresh token that was
+ * already used revokes the whole session, since one of the two parties
+ * holding it is not the user. Revoked sessions are rejected by
+ * authenticateToken.
+ */
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+const MAX_USER_AGENT_LENGTH = 500;
+
+/**
+ * Error raised when a session cannot be opened, refreshed or revoked
+ */
+class SessionError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Sign an access token for a session; admins keep their adminId claim
+ */
+const signAccessToken = (session) => {
+  const subject = session.user_type === 'admin'
+    ? { adminId: session.user_id }
+    : { userId: session.user_id };
+
+  return jwt.sign(
+    { ...subject, role: session.user_type, sid: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Store a new refresh token for a session and return it
+ */
+const issueRefreshToken = async (sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const { error } = await supabaseAdmin
+    .from('refresh_tokens')
+    .insert([{ session_id: sessionId, token_hash: hashToken(refreshToken) }]);
+
+  if (error) {
+    throw error;
+  }
+
+  return refreshToken;
+};
+
+/**
+ * Tokens returned to the client for a session
+ */
+const buildTokens = async (session) => {
+  const accessToken = signAccessToken(session);
+  const refreshToken = await issueRefreshToken(session.id);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    sessionId: session.id
+  };
+};
+
+/**
+ * Device details of a request
+ */
+const getClientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, MAX_USER_AGENT_LENGTH) || null,
+  ip: req.ip || null
+});
+
+/**
+ * Open a session for a customer, vendor or admin
+ * Resolves to { token, refreshToken, expiresIn, sessionId }.
+ */
+const createSession = async (userType, userId, { userAgent = null, ip = null } = {}) => {
+  const { data: session, error } = await supabaseAdmin
+    .from('sessions')
+    .insert([{
+      user_type: userType,
+      user_id: String(userId),
+      user_agent: userAgent,
+      ip,
+      last_ip: ip,
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return buildTokens(session);
+};
+
+/**
+ * Revoke a session; returns whether it was still active
+ */
+const revokeSession = async (sessionId, reason) => {
+  const { data: revoked, error } = await supabaseAdmin
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return (revoked || []).length > 0;
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ * Returns the number of sessions revoked.
+ */
+const revokeAllSessions = async (userType, userId, reason, { exceptSessionId = null } = {}) => {
+  let query = supabaseAdmin
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_type', userType)
+    .eq('user_id', String(userId))
+    .is('revoked_at', null);
+
+  if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+  const { data: revoked, error } = await query.select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return (revoked || []).length;
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token
+ */
+const refreshSession = async (refreshToken, { userAgent = null, ip = null } = {}) => {
+  const { data: stored, error } = await supabaseAdmin
+    .from('refresh_tokens')
+    .select('id, used_at, session:sessions (*)')
+    .eq('token_hash', hashToken(String(refreshToken)))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!stored || !stored.session) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const { session } = stored;
+
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    throw new SessionError('Session expired, please log in again');
+  }
+
+  // Claim the token; losing the race means it was presented twice
+  const { data: claimed, error: claimError } = await supabaseAdmin
+    .from('refresh_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', stored.id)
+    .is('used_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (stored.used_at || !claimed) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    console.warn(`Refresh token reuse detected, session ${session.id} revoked`);
+    throw new SessionError('Session expired, please log in again');
+  }
+
+  await supabaseAdmin
+    .from('sessions')
+    .update({
+      last_used_at: new Date().toISOString(),
+      last_ip: ip || session.last_ip,
+      ...(userAgent && { user_agent: userAgent })
+    })
+    .eq('id', session.id);
+
+  return buildTokens(session);
+};
+
+/**
+ * Whether a session exists, is not revoked and has not expired
+ */
+const isSessionActive = async (sessionId) => {
+  const { data: session, error } = await supabaseAdmin
+    .from('sessions')
+    .select('id')
+    .eq('id', sessionId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return Boolean(session);
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+const listSessions = async (userType, userId) => {
+  const { data: sessions, error } = await supabaseAdmin
+    .from('sessions')
+    .select('id, user_agent, ip, last_ip, created_at, last_used_at, expires_at')
+    .eq('user_type', userType)
+    .eq('user_id', String(userId))
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return sessions || [];
+};
+
+/**
+ * Public view of a session row
+ */
+const formatSession = (session, currentSessionId = null) => ({
+  id: session.id,
+  userAgent: session.user_agent,
+  ip: session.last_ip || session.ip,
+  signedInFromIp: session.ip,
+  current: session.id === currentSessionId,
+  createdAt: session.created_at,
+  lastUsedAt: session.last_used_at,
+  expiresAt: session.expires_at
+});
+
+module.exports = {
+  SessionError,
+  getClientInfo,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  listSessions,
+  formatSession
+};
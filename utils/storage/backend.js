@@ -0,0 +1,70 @@
+/**
+ * Base class for file storage backends
+ *
+ * Files are addressed by a key such as "kyc/<vendorId>/<uuid>.pdf". Each
+ * backend instance holds one bucket (e.g. private documents), so callers
+ * never deal with the paths or buckets of a particular backend.
+ */
+
+/**
+ * Error raised by storage backends
+ */
+class StorageError extends Error {
+  constructor(message, { statusCode = 500, details } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class StorageBackend {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store `buffer` under `key`
+   * Options: contentType, cacheControl (max-age in seconds, as a string)
+   */
+  async put() {
+    throw new StorageError(`${this.name} storage does not support writes`);
+  }
+
+  /**
+   * Read the file under `key`; resolves to a Buffer
+   * Fails with a 404 StorageError when there is none.
+   */
+  async get() {
+    throw new StorageError(`${this.name} storage does not support reads`);
+  }
+
+  /**
+   * Remove the file under `key` (no error when it does not exist)
+   */
+  async delete() {
+    throw new StorageError(`${this.name} storage does not support deletes`);
+  }
+
+  /**
+   * URL the file under `key` is served from, for buckets that are public
+   */
+  getPublicUrl() {
+    throw new StorageError(`${this.name} storage does not serve public files`);
+  }
+}
+
+/**
+ * Reject keys that could escape the bucket
+ */
+const assertValidKey = (key) => {
+  if (typeof key !== 'string' || !/^[a-zA-Z0-9][a-zA-Z0-9._/-]*$/.test(key) || key.split('/').includes('..')) {
+    throw new StorageError(`Invalid storage key: ${key}`);
+  }
+};
+
+module.exports = {
+  StorageError,
+  StorageBackend,
+  assertValidKey
+};
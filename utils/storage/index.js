@@ -0,0 +1,87 @@
+const { StorageError, StorageBackend } = require('./backend');
+const LocalDiskStorage = require('./localDisk');
+const SupabaseStorage = require('./supabase');
+
+/**
+ * File storage
+ * STORAGE_DRIVER picks the backend: 'supabase' (Supabase Storage buckets)
+ * or 'local' (the uploads directory). It defaults to 'local' outside
+ * production. Buckets are named after what they hold:
+ *   private  KYC documents, only served through authorised routes
+ *   public   product images, served to anyone from their public URL
+ * Locally, the app serves the public bucket under /uploads/<bucket>;
+ * STORAGE_PUBLIC_URL is the URL that path is reached from.
+ */
+
+const BUCKETS = {
+  private: process.env.STORAGE_PRIVATE_BUCKET || 'private',
+  public: process.env.STORAGE_PUBLIC_BUCKET || 'public'
+};
+
+const PUBLIC_BUCKETS = ['public'];
+
+const storages = new Map();
+
+const getDriver = () => {
+  return process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'production' ? 'supabase' : 'local');
+};
+
+/**
+ * Path the app serves a local public bucket from
+ */
+const getLocalPublicPath = (bucket) => `/uploads/${BUCKETS[bucket]}`;
+
+const createLocalStorage = (bucket) => {
+  if (!PUBLIC_BUCKETS.includes(bucket)) {
+    return new LocalDiskStorage(BUCKETS[bucket]);
+  }
+
+  const publicUrl = process.env.STORAGE_PUBLIC_URL ||
+    `http://localhost:${process.env.PORT || 5000}${getLocalPublicPath(bucket)}`;
+  return new LocalDiskStorage(BUCKETS[bucket], { publicUrl });
+};
+
+/**
+ * Storage backend of a bucket ('private' or 'public')
+ */
+const getStorage = (bucket) => {
+  if (!BUCKETS[bucket]) {
+    throw new Error(`Unknown storage bucket: ${bucket}`);
+  }
+
+  if (!storages.has(bucket)) {
+    const driver = getDriver();
+    if (driver === 'supabase') {
+      storages.set(bucket, new SupabaseStorage(BUCKETS[bucket]));
+    } else if (driver === 'local') {
+      storages.set(bucket, createLocalStorage(bucket));
+    } else {
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+  }
+
+  return storages.get(bucket);
+};
+
+/**
+ * Use another backend for a bucket (e.g. a temporary directory in tests)
+ */
+const setStorage = (bucket, storage) => {
+  if (!BUCKETS[bucket]) {
+    throw new Error(`Unknown storage bucket: ${bucket}`);
+  }
+  if (!(storage instanceof StorageBackend)) {
+    throw new Error('Storage must extend StorageBackend');
+  }
+  storages.set(bucket, storage);
+};
+
+module.exports = {
+  StorageError,
+  StorageBackend,
+  LocalDiskStorage,
+  SupabaseStorage,
+  getStorage,
+  setStorage,
+  getLocalPublicPath
+};
@@ -0,0 +1,52 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { StorageBackend, StorageError, assertValidKey } = require('./backend');
+
+/**
+ * Files on the local disk, for development and tests
+ * Each bucket is a directory under UPLOADS_DIR (./uploads by default).
+ * A bucket given a `publicUrl` is served from there by the app itself.
+ */
+class LocalDiskStorage extends StorageBackend {
+  constructor(bucket, { root = process.env.UPLOADS_DIR || path.join(__dirname, '..', '..', 'uploads'), publicUrl } = {}) {
+    super('local');
+    this.directory = path.resolve(root, bucket);
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+  }
+
+  resolve(key) {
+    assertValidKey(key);
+    return path.join(this.directory, key);
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new StorageError('File not found', { statusCode: 404 });
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  getPublicUrl(key) {
+    assertValidKey(key);
+    if (!this.publicUrl) {
+      return super.getPublicUrl(key);
+    }
+    return `${this.publicUrl}/${key}`;
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,62 @@
+const { supabaseAdmin } = require('../../config/supabase');
+const { StorageBackend, StorageError, assertValidKey } = require('./backend');
+
+/**
+ * Files in a Supabase Storage bucket (accessed with the service role)
+ */
+class SupabaseStorage extends StorageBackend {
+  constructor(bucket) {
+    super('supabase');
+    this.bucket = bucket;
+  }
+
+  async put(key, buffer, { contentType, cacheControl } = {}) {
+    assertValidKey(key);
+
+    const { error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: false, ...(cacheControl && { cacheControl }) });
+
+    if (error) {
+      throw new StorageError('Failed to store file', { details: error.message });
+    }
+  }
+
+  async get(key) {
+    assertValidKey(key);
+
+    const { data, error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .download(key);
+
+    if (error || !data) {
+      throw new StorageError('File not found', { statusCode: 404, details: error?.message });
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async delete(key) {
+    assertValidKey(key);
+
+    const { error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .remove([key]);
+
+    if (error) {
+      throw new StorageError('Failed to delete file', { details: error.message });
+    }
+  }
+
+  getPublicUrl(key) {
+    assertValidKey(key);
+
+    const { data } = supabaseAdmin.storage
+      .from(this.bucket)
+      .getPublicUrl(key);
+
+    return data.publicUrl;
+  }
+}
+
+module.exports = SupabaseStorage;
@@ -0,0 +1,569 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { supabaseAdmin } = require('../config/supabase');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+const { getProductSales, sumSales } = require('./analytics');
+
+/**
+ * Two-factor authentication (TOTP) for vendors and admins
+ * Secrets are stored encrypted (AES-256-GCM) in two_factor_auth, recovery
+ * codes as SHA-256 hashes. A login with 2FA returns a short-lived challenge
+ * instead of a session; the challenge is completed with a code at
+ * POST /api/auth/2fa/verify. Admins can make 2FA mandatory through the
+ * two_factor_policy platform setting.
+ */
+
+const TWO_FACTOR_USER_TYPES = {
+  vendor: { table: 'vendors', emailColumn: 'business_email' },
+  admin: { table: 'admins', emailColumn: 'email' }
+};
+
+const ISSUER = 'WENZE TII NDAKU';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const DEFAULT_POLICY = {
+  requireForAdmins: false,
+  requireForVendorsAboveSales: null
+};
+
+/**
+ * Error raised when a two-factor operation is refused
+ */
+class TwoFactorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashValue = (value) => {
+  return crypto.createHash('sha256').update(value).digest('hex');
+};
+
+const getEncryptionKey = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+/**
+ * Encrypt a TOTP secret as iv.tag.ciphertext (base64)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Random recovery codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+/**
+ * Two-factor row of an account, or null
+ */
+const fetchTwoFactor = async (userType, userId) => {
+  const { data: row, error } = await supabaseAdmin
+    .from('two_factor_auth')
+    .select('*')
+    .eq('user_type', userType)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return row;
+};
+
+/**
+ * Platform-wide 2FA policy
+ */
+const getTwoFactorPolicy = async () => {
+  const { data: setting, error } = await supabaseAdmin
+    .from('platform_settings')
+    .select('value')
+    .eq('key', 'two_factor_policy')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return { ...DEFAULT_POLICY, ...(setting?.value || {}) };
+};
+
+/**
+ * Validate and store the 2FA policy; returns { before, after }
+ */
+const updateTwoFactorPolicy = async ({ requireForAdmins, requireForVendorsAboveSales }, adminId) => {
+  const errors = [];
+
+  if (requireForAdmins !== undefined && typeof requireForAdmins !== 'boolean') {
+    errors.push('requireForAdmins must be true or false');
+  }
+
+  if (requireForVendorsAboveSales !== undefined && requireForVendorsAboveSales !== null &&
+      (typeof requireForVendorsAboveSales !== 'number' || !Number.isFinite(requireForVendorsAboveSales) || requireForVendorsAboveSales < 0)) {
+    errors.push('requireForVendorsAboveSales must be a positive amount or null');
+  }
+
+  if (errors.length > 0) {
+    throw new TwoFactorError(errors.join('. '));
+  }
+
+  const before = await getTwoFactorPolicy();
+  const after = {
+    requireForAdmins: requireForAdmins !== undefined ? requireForAdmins : before.requireForAdmins,
+    requireForVendorsAboveSales: requireForVendorsAboveSales !== undefined
+      ? requireForVendorsAboveSales
+      : before.requireForVendorsAboveSales
+  };
+
+  const { error } = await supabaseAdmin
+    .from('platform_settings')
+    .upsert({
+      key: 'two_factor_policy',
+      value: after,
+      updated_by: String(adminId),
+      updated_at: new Date().toISOString()
+    });
+
+  if (error) {
+    throw error;
+  }
+
+  return { before, after };
+};
+
+/**
+ * Whether the policy makes 2FA mandatory for an account
+ */
+const isTwoFactorRequired = async (userType, userId, policy = null) => {
+  const { requireForAdmins, requireForVendorsAboveSales } = policy || await getTwoFactorPolicy();
+
+  if (userType === 'admin') {
+    return requireForAdmins;
+  }
+
+  if (userType === 'vendor' && requireForVendorsAboveSales !== null) {
+    const { revenue } = sumSales(await getProductSales(userId));
+    return revenue >= requireForVendorsAboveSales;
+  }
+
+  return false;
+};
+
+/**
+ * Start enrolment: store a pending secret and return what the
+ * authenticator app needs ({ secret, otpauthUri, qrCode data URL })
+ */
+const startTwoFactorSetup = async (userType, user) => {
+  const existing = await fetchTwoFactor(userType, user.id);
+
+  if (existing?.enabled_at) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateSecret();
+  const { error } = await supabaseAdmin
+    .from('two_factor_auth')
+    .upsert({
+      user_type: userType,
+      user_id: user.id,
+      pending_secret_encrypted: encryptSecret(secret),
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_type,user_id' });
+
+  if (error) {
+    throw error;
+  }
+
+  const otpauthUri = buildOtpauthUri(secret, {
+    issuer: ISSUER,
+    accountName: user[TWO_FACTOR_USER_TYPES[userType].emailColumn]
+  });
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri)
+  };
+};
+
+/**
+ * Replace the recovery codes of an account and return the new plain codes
+ */
+const replaceRecoveryCodes = async (userType, userId) => {
+  const codes = generateRecoveryCodes();
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('two_factor_recovery_codes')
+    .delete()
+    .eq('user_type', userType)
+    .eq('user_id', userId);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('two_factor_recovery_codes')
+    .insert(codes.map(code => ({
+      user_type: userType,
+      user_id: userId,
+      code_hash: hashValue(normalizeRecoveryCode(code))
+    })));
+
+  if (error) {
+    throw error;
+  }
+
+  return codes;
+};
+
+/**
+ * Finish enrolment with a code from the app; returns the recovery codes
+ */
+const confirmTwoFactorSetup = async (userType, userId, code) => {
+  const row = await fetchTwoFactor(userType, userId);
+
+  if (row?.enabled_at) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+  }
+
+  if (!row?.pending_secret_encrypted) {
+    throw new TwoFactorError('Start the two-factor setup first', 409);
+  }
+
+  const step = verifyCode(decryptSecret(row.pending_secret_encrypted), code);
+  if (step === null) {
+    throw new TwoFactorError('Invalid verification code', 401);
+  }
+
+  const { data: enabled, error } = await supabaseAdmin
+    .from('two_factor_auth')
+    .update({
+      secret_encrypted: row.pending_secret_encrypted,
+      pending_secret_encrypted: null,
+      enabled_at: new Date().toISOString(),
+      last_used_step: step,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', row.id)
+    .is('enabled_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!enabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+  }
+
+  return replaceRecoveryCodes(userType, userId);
+};
+
+/**
+ * Check a TOTP code of an enabled account; each code is accepted once
+ */
+const verifyTotp = async (row, code) => {
+  const step = verifyCode(decryptSecret(row.secret_encrypted), code);
+
+  if (step === null || (row.last_used_step !== null && step <= row.last_used_step)) {
+    return false;
+  }
+
+  // Only advance if no other request used this or a later step meanwhile
+  let query = supabaseAdmin
+    .from('two_factor_auth')
+    .update({ last_used_step: step })
+    .eq('id', row.id);
+
+  query = row.last_used_step === null
+    ? query.is('last_used_step', null)
+    : query.eq('last_used_step', row.last_used_step);
+
+  const { data: updated, error } = await query.select('id').maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return Boolean(updated);
+};
+
+/**
+ * Use up a recovery code
+ */
+const useRecoveryCode = async (userType, userId, recoveryCode) => {
+  const { data: used, error } = await supabaseAdmin
+    .from('two_factor_recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_type', userType)
+    .eq('user_id', userId)
+    .eq('code_hash', hashValue(normalizeRecoveryCode(recoveryCode)))
+    .is('used_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return Boolean(used);
+};
+
+/**
+ * Verify a login code or recovery code of an account with 2FA enabled
+ */
+const verifyTwoFactor = async (userType, userId, { code, recoveryCode }) => {
+  const row = await fetchTwoFactor(userType, userId);
+
+  if (!row?.enabled_at) {
+    throw new TwoFactorError('Two-factor authentication is not enabled', 409);
+  }
+
+  if (recoveryCode) {
+    return useRecoveryCode(userType, userId, recoveryCode);
+  }
+
+  return verifyTotp(row, code);
+};
+
+/**
+ * Require a fresh TOTP code (recovery codes are not accepted)
+ */
+const requireFreshCode = async (userType, userId, code) => {
+  const row = await fetchTwoFactor(userType, userId);
+
+  if (!row?.enabled_at) {
+    throw new TwoFactorError('Two-factor authentication is not enabled', 409);
+  }
+
+  if (!(await verifyTotp(row, code))) {
+    throw new TwoFactorError('Invalid verification code', 401);
+  }
+
+  return row;
+};
+
+/**
+ * Turn 2FA off with a fresh code, unless the policy requires it
+ */
+const disableTwoFactor = async (userType, userId, code) => {
+  if (await isTwoFactorRequired(userType, userId)) {
+    throw new TwoFactorError('Two-factor authentication is mandatory for your account', 403);
+  }
+
+  const row = await requireFreshCode(userType, userId, code);
+
+  const { error } = await supabaseAdmin
+    .from('two_factor_auth')
+    .delete()
+    .eq('id', row.id);
+
+  if (error) {
+    throw error;
+  }
+
+  await supabaseAdmin
+    .from('two_factor_recovery_codes')
+    .delete()
+    .eq('user_type', userType)
+    .eq('user_id', userId);
+};
+
+/**
+ * Issue new recovery codes with a fresh code
+ */
+const regenerateRecoveryCodes = async (userType, userId, code) => {
+  await requireFreshCode(userType, userId, code);
+  return replaceRecoveryCodes(userType, userId);
+};
+
+/**
+ * 2FA state of an account
+ */
+const getTwoFactorStatus = async (userType, userId) => {
+  const row = await fetchTwoFactor(userType, userId);
+
+  const { count, error } = await supabaseAdmin
+    .from('two_factor_recovery_codes')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_type', userType)
+    .eq('user_id', userId)
+    .is('used_at', null);
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    enabled: Boolean(row?.enabled_at),
+    enabledAt: row?.enabled_at || null,
+    required: await isTwoFactorRequired(userType, userId),
+    recoveryCodesRemaining: count || 0
+  };
+};
+
+/**
+ * Open a login challenge ('verify' a code, or 'enroll' when 2FA is
+ * mandatory but not set up yet)
+ */
+const createChallenge = async (userType, userId, purpose) => {
+  const challengeToken = crypto.randomBytes(32).toString('hex');
+
+  const { error } = await supabaseAdmin
+    .from('two_factor_challenges')
+    .insert([{
+      user_type: userType,
+      user_id: userId,
+      purpose,
+      token_hash: hashValue(challengeToken),
+      expires_at: new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000).toISOString()
+    }]);
+
+  if (error) {
+    throw error;
+  }
+
+  return { challengeToken, expiresIn: CHALLENGE_TTL_MINUTES * 60 };
+};
+
+/**
+ * Decide whether a password login needs a second step
+ * Resolves to null (log in now) or the challenge to return instead of a token.
+ */
+const startTwoFactorLogin = async (userType, userId) => {
+  const row = await fetchTwoFactor(userType, userId);
+
+  if (row?.enabled_at) {
+    return { twoFactorRequired: true, ...(await createChallenge(userType, userId, 'verify')) };
+  }
+
+  if (await isTwoFactorRequired(userType, userId)) {
+    return { twoFactorSetupRequired: true, ...(await createChallenge(userType, userId, 'enroll')) };
+  }
+
+  return null;
+};
+
+/**
+ * Load an open challenge by its token
+ */
+const fetchChallenge = async (challengeToken) => {
+  const { data: challenge, error } = await supabaseAdmin
+    .from('two_factor_challenges')
+    .select('*')
+    .eq('token_hash', hashValue(String(challengeToken)))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!challenge || challenge.completed_at || new Date(challenge.expires_at) <= new Date() ||
+      challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    throw new TwoFactorError('This login attempt has expired, please log in again', 401);
+  }
+
+  return challenge;
+};
+
+/**
+ * Count a wrong code against a challenge
+ */
+const recordFailedAttempt = async (challenge) => {
+  await supabaseAdmin
+    .from('two_factor_challenges')
+    .update({ attempts: challenge.attempts + 1 })
+    .eq('id', challenge.id)
+    .eq('attempts', challenge.attempts);
+
+  const remaining = MAX_CHALLENGE_ATTEMPTS - challenge.attempts - 1;
+  return remaining > 0
+    ? new TwoFactorError(`Invalid verification code (${remaining} attempts left)`, 401)
+    : new TwoFactorError('Too many invalid codes, please log in again', 401);
+};
+
+/**
+ * Close a challenge so it cannot be used again; returns false if it was already used
+ */
+const completeChallenge = async (challenge) => {
+  const { data: completed, error } = await supabaseAdmin
+    .from('two_factor_challenges')
+    .update({ completed_at: new Date().toISOString() })
+    .eq('id', challenge.id)
+    .is('completed_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return Boolean(completed);
+};
+
+/**
+ * Account row of a challenge (vendor or admin)
+ */
+const fetchChallengeUser = async (challenge) => {
+  const { data: user, error } = await supabaseAdmin
+    .from(TWO_FACTOR_USER_TYPES[challenge.user_type].table)
+    .select('*')
+    .eq('id', challenge.user_id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!user || (challenge.user_type === 'admin' && !user.active)) {
+    throw new TwoFactorError('This login attempt has expired, please log in again', 401);
+  }
+
+  return user;
+};
+
+module.exports = {
+  TWO_FACTOR_USER_TYPES,
+  MAX_CHALLENGE_ATTEMPTS,
+  TwoFactorError,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus,
+  startTwoFactorLogin,
+  fetchChallenge,
+  recordFailedAttempt,
+  completeChallenge,
+  fetchChallengeUser
+};
@@ -0,0 +1,95 @@
+const multer = require('multer');
+
+/**
+ * Multipart file uploads
+ * Files are kept in memory (uploads are small and go straight to storage)
+ * and their type is taken from their first bytes, never from the name or
+ * the Content-Type the client sent.
+ */
+
+// Magic numbers of the file types we accept anywhere
+const SIGNATURES = [
+  { mimeType: 'application/pdf', extension: 'pdf', matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+/**
+ * Type of a file from its content: { mimeType, extension } or null
+ */
+const sniffFileType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  const signature = SIGNATURES.find(candidate => candidate.matches(buffer));
+  return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+};
+
+/**
+ * Wrap a multer handler so that limit errors get a 413/400 response
+ */
+const handleUploadErrors = (upload, { maxBytes, maxFiles }) => {
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        let message = `Invalid upload: ${error.message}`;
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          message = `File is too large (max ${Math.floor(maxBytes / (1024 * 1024))} MB)`;
+        } else if (error.code === 'LIMIT_FILE_COUNT') {
+          message = `Too many files (max ${maxFiles})`;
+        }
+
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          success: false,
+          error: {
+            message
+          }
+        });
+      }
+
+      next(error);
+    });
+  };
+};
+
+/**
+ * Middleware reading the file field `field` into req.file
+ * Responds 413/400 itself when the upload breaks the limits.
+ */
+const singleFileUpload = (field, { maxBytes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1, fields: 10 }
+  }).single(field);
+
+  return handleUploadErrors(upload, { maxBytes, maxFiles: 1 });
+};
+
+/**
+ * Middleware reading up to `maxFiles` files of the field `field` into req.files
+ * Responds 413/400 itself when the upload breaks the limits.
+ */
+const multipleFileUpload = (field, { maxBytes, maxFiles }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxFiles, fields: 10 }
+  }).array(field, maxFiles);
+
+  return handleUploadErrors(upload, { maxBytes, maxFiles });
+};
+
+module.exports = {
+  sniffFileType,
+  singleFileUpload,
+  multipleFileUpload
+};
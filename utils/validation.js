@@ -45,6 +45,14 @@ const isValidURL = (url) => {
   return validator.isURL(url, { protocols: ['http', 'https'] });
 };
 
+/**
+ * Validate a product or variant SKU: letters, digits, dots, dashes and
+ * underscores, starting with a letter or digit, at most 64 characters
+ */
+const isValidSku = (sku) => {
+  return typeof sku === 'string' && /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(sku);
+};
+
 /**
  * Sanitize input string
  */
@@ -164,15 +172,114 @@ const validateVendorSignup = (data) => {
   };
 };
 
+/**
+ * Validate shipping address data
+ */
+const validateShippingAddress = (address) => {
+  const errors = [];
+
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    return {
+      isValid: false,
+      errors: ['Shipping address is required']
+    };
+  }
+
+  // Required fields
+  const requiredFields = ['fullName', 'phone', 'addressLine1', 'city', 'country'];
+  const { isValid, missingFields } = validateRequiredFields(address, requiredFields);
+
+  if (!isValid) {
+    errors.push(`Missing required address fields: ${missingFields.join(', ')}`);
+  }
+
+  // Phone validation
+  if (address.phone && !isValidPhone(String(address.phone))) {
+    errors.push('Invalid phone number format');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validate the data of a new product
+ * stock, status and sku are optional; vendors can only save drafts or
+ * published products ('flagged' is set by admins).
+ */
+const validateProduct = (data) => {
+  const errors = [];
+
+  // Required fields
+  const requiredFields = ['name', 'description', 'price', 'category'];
+  const { isValid, missingFields } = validateRequiredFields(data, requiredFields);
+
+  if (!isValid) {
+    errors.push(`Missing required fields: ${missingFields.join(', ')}`);
+  }
+
+  if (data.name && String(data.name).trim().length > 200) {
+    errors.push('Name must be at most 200 characters');
+  }
+
+  if (data.category && String(data.category).trim().length > 100) {
+    errors.push('Category must be at most 100 characters');
+  }
+
+  if (data.price && !(Number(data.price) > 0 && Number(data.price) < 100000000)) {
+    errors.push('Price must be a positive number');
+  }
+
+  if (data.stock !== undefined && data.stock !== '' &&
+    !(Number.isInteger(Number(data.stock)) && Number(data.stock) >= 0)) {
+    errors.push('Stock must be a whole number of at least 0');
+  }
+
+  if (data.status !== undefined && !['draft', 'published'].includes(data.status)) {
+    errors.push('Status must be draft or published');
+  }
+
+  if (data.sku !== undefined && data.sku !== null && !isValidSku(data.sku)) {
+    errors.push('SKU must be 1 to 64 letters, digits, dots, dashes or underscores');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Normalize a shipping address to the fields stored on orders
+ */
+const sanitizeShippingAddress = (address) => {
+  return {
+    fullName: sanitizeString(address.fullName),
+    phone: String(address.phone).trim(),
+    addressLine1: sanitizeString(address.addressLine1),
+    addressLine2: sanitizeString(address.addressLine2) || null,
+    city: sanitizeString(address.city),
+    state: sanitizeString(address.state) || null,
+    postalCode: address.postalCode ? sanitizeString(String(address.postalCode)) : null,
+    country: sanitizeString(address.country)
+  };
+};
+
 module.exports = {
   isValidEmail,
   isValidPassword,
   isValidPhone,
   isValidBusinessName,
   isValidURL,
+  isValidSku,
   sanitizeString,
   validateRequiredFields,
   validateCustomerSignup,
-  validateVendorSignup
+  validateVendorSignup,
+  validateShippingAddress,
+  validateProduct,
+  sanitizeShippingAddress
 };
 